@@ -0,0 +1,106 @@
+/**
+* --------------------------------------------
+* Порядковий diff двох текстів (алгоритм Майєрса)
+* --------------------------------------------
+* diffLines(a, b) → [{ op: " " | "-" | "+", line }]
+* unifiedDiff(a, b, { fromLabel, toLabel, context }) → текст у форматі `diff -u`
+*/
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = String(text).split("\n");
+    if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+    return lines;
+}
+
+// Найкоротший скрипт редагування; trace зберігає V для кожного d, щоб пройти назад
+export function diffLines(a, b) {
+    const from = splitLines(a);
+    const to = splitLines(b);
+    const n = from.length;
+    const m = to.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let done = false;
+    for (let d = 0; d <= max && !done; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+            let x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && from[x] === to[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                done = true;
+                break;
+            }
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const prev = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1]) ? k + 1 : k - 1;
+        const prevX = prev[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ op: " ", line: from[x] });
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ op: "+", line: to[--y] });
+            else ops.push({ op: "-", line: from[--x] });
+        }
+    }
+    return ops.reverse();
+}
+
+export function unifiedDiff(a, b, { fromLabel = "a", toLabel = "b", context = 3 } = {}) {
+    const ops = diffLines(a, b);
+    const changed = ops.map((o, i) => (o.op !== " " ? i : -1)).filter((i) => i >= 0);
+    if (!changed.length) return "";
+
+    // Групуємо зміни в ханки з `context` рядками навколо
+    const hunks = [];
+    for (const i of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && i - last.end <= context * 2) last.end = i;
+        else hunks.push({ start: i, end: i });
+    }
+
+    const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    // Номери рядків перед кожною операцією
+    const fromLine = [];
+    const toLine = [];
+    let fl = 1;
+    let tl = 1;
+    for (const o of ops) {
+        fromLine.push(fl);
+        toLine.push(tl);
+        if (o.op !== "+") fl++;
+        if (o.op !== "-") tl++;
+    }
+
+    for (const h of hunks) {
+        const start = Math.max(0, h.start - context);
+        const end = Math.min(ops.length - 1, h.end + context);
+        const slice = ops.slice(start, end + 1);
+        const fromCount = slice.filter((o) => o.op !== "+").length;
+        const toCount = slice.filter((o) => o.op !== "-").length;
+        const fromStart = fromCount ? fromLine[start] : fromLine[start] - 1;
+        const toStart = toCount ? toLine[start] : toLine[start] - 1;
+        out.push(`@@ -${fromStart},${fromCount} +${toStart},${toCount} @@`);
+        for (const o of slice) out.push(`${o.op}${o.line}`);
+    }
+    return out.join("\n") + "\n";
+}
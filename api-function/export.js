@@ -0,0 +1,957 @@
+import zlib from "node:zlib";
+import crypto from "node:crypto";
+
+/**
+* --------------------------------------------
+* Експорт конспектів: md, html, docx, epub
+* --------------------------------------------
+* Усе рендериться локально, без зовнішніх сервісів і залежностей:
+* markdown → AST → HTML/XHTML або WordprocessingML, а docx/epub
+* пакуються власним ZIP-писачем.
+*
+* Підтримується: заголовки, абзаци, списки (з вкладеністю), цитати,
+* таблиці (GFM), блоки коду, горизонтальні лінії, inline-код, жирний,
+* курсив, закреслений, посилання, зображення, формули $...$ та $$...$$
+* (у HTML/EPUB — MathML, у DOCX — TeX шрифтом Cambria Math).
+*/
+
+export const EXPORT_FORMATS = {
+    md: { contentType: "text/markdown; charset=utf-8", extension: "md", binary: false },
+    html: { contentType: "text/html; charset=utf-8", extension: "html", binary: false },
+    docx: {
+        contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        extension: "docx",
+        binary: true,
+    },
+    epub: { contentType: "application/epub+zip", extension: "epub", binary: true },
+};
+
+/**
+* --------------------------------------------
+* Markdown → AST
+* --------------------------------------------
+*/
+const RE_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const RE_HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RE_HR = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const RE_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const RE_TABLE_SEP = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith("|")) row = row.slice(1);
+    if (row.endsWith("|") && !row.endsWith("\\|")) row = row.slice(0, -1);
+    const cells = [];
+    let cur = "";
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === "\\" && row[i + 1] === "|") {
+            cur += "|";
+            i++;
+        } else if (row[i] === "|") {
+            cells.push(cur.trim());
+            cur = "";
+        } else {
+            cur += row[i];
+        }
+    }
+    cells.push(cur.trim());
+    return cells;
+}
+
+function isBlockStart(line, next) {
+    return (
+        RE_FENCE.test(line) ||
+        RE_HEADING.test(line) ||
+        RE_HR.test(line) ||
+        RE_LIST_ITEM.test(line) ||
+        /^\s*>/.test(line) ||
+        /^\s*\$\$/.test(line) ||
+        (line.includes("|") && next !== undefined && RE_TABLE_SEP.test(next))
+    );
+}
+
+export function parseMarkdown(src) {
+    return parseBlocks(String(src ?? "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n"));
+}
+
+function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // ```lang ... ```
+        const fence = RE_FENCE.exec(line);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+            i++;
+            blocks.push({ type: "code", lang: fence[2] || "", text: body.join("\n") });
+            continue;
+        }
+
+        // $$ ... $$ (в одному або кількох рядках)
+        if (/^\s*\$\$/.test(line)) {
+            const oneLine = /^\s*\$\$(.+)\$\$\s*$/.exec(line);
+            if (oneLine) {
+                blocks.push({ type: "math", tex: oneLine[1].trim() });
+                i++;
+                continue;
+            }
+            const body = [line.replace(/^\s*\$\$/, "")];
+            i++;
+            while (i < lines.length && !lines[i].includes("$$")) body.push(lines[i++]);
+            if (i < lines.length) body.push(lines[i++].replace(/\$\$\s*$/, ""));
+            blocks.push({ type: "math", tex: body.join("\n").trim() });
+            continue;
+        }
+
+        const heading = RE_HEADING.exec(line);
+        if (heading) {
+            blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+            i++;
+            continue;
+        }
+
+        if (RE_HR.test(line)) {
+            blocks.push({ type: "hr" });
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const body = [];
+            while (i < lines.length && lines[i].trim() && (/^\s*>/.test(lines[i]) || !isBlockStart(lines[i]))) {
+                body.push(lines[i++].replace(/^\s*>\s?/, ""));
+            }
+            blocks.push({ type: "blockquote", children: parseBlocks(body) });
+            continue;
+        }
+
+        // | a | b |
+        // |---|:-:|
+        if (line.includes("|") && i + 1 < lines.length && RE_TABLE_SEP.test(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const align = splitTableRow(lines[i + 1]).map((c) =>
+                c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : c.startsWith(":") ? "left" : null
+            );
+            i += 2;
+            const rows = [];
+            while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+                const cells = splitTableRow(lines[i++]);
+                rows.push(header.map((_, c) => parseInline(cells[c] ?? "")));
+            }
+            blocks.push({ type: "table", align, header: header.map(parseInline), rows });
+            continue;
+        }
+
+        const item = RE_LIST_ITEM.exec(line);
+        if (item) {
+            const indent = item[1].length;
+            const ordered = /\d/.test(item[2]);
+            const list = { type: "list", ordered, start: ordered ? parseInt(item[2], 10) : 1, items: [] };
+
+            while (i < lines.length) {
+                const m = RE_LIST_ITEM.exec(lines[i]);
+                if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break;
+
+                const contentIndent = m[1].length + m[2].length + 1;
+                const body = [m[3]];
+                i++;
+                // Продовження пункту: рядки з більшим відступом або "ліниві" рядки абзацу
+                while (i < lines.length) {
+                    const l = lines[i];
+                    const lIndent = l.length - l.trimStart().length;
+                    if (!l.trim()) {
+                        const nextIndent = i + 1 < lines.length ? lines[i + 1].length - lines[i + 1].trimStart().length : 0;
+                        if (i + 1 < lines.length && lines[i + 1].trim() && nextIndent > indent) {
+                            body.push("");
+                            i++;
+                            continue;
+                        }
+                        break;
+                    }
+                    if (lIndent > indent) {
+                        body.push(l.slice(Math.min(lIndent, contentIndent)));
+                        i++;
+                        continue;
+                    }
+                    if (!isBlockStart(l)) {
+                        body.push(l.trim());
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                list.items.push(parseBlocks(body));
+                // Порожній рядок між пунктами не розриває список
+                while (i < lines.length && !lines[i].trim()) {
+                    const n = RE_LIST_ITEM.exec(lines[i + 1] ?? "");
+                    if (n && n[1].length === indent) i++;
+                    else break;
+                }
+            }
+            blocks.push(list);
+            continue;
+        }
+
+        const para = [];
+        while (i < lines.length && lines[i].trim() && (!para.length || !isBlockStart(lines[i], lines[i + 1]))) {
+            para.push(lines[i++]);
+        }
+        blocks.push({ type: "paragraph", children: parseInline(para.map((l) => l.trim()).join("\n")) });
+    }
+
+    return blocks;
+}
+
+function parseInline(src) {
+    const nodes = [];
+    let text = "";
+    const flush = () => {
+        if (text) nodes.push({ type: "text", value: text });
+        text = "";
+    };
+
+    let i = 0;
+    while (i < src.length) {
+        const rest = src.slice(i);
+        let m;
+
+        if (rest[0] === "\\" && /^[\\`*_{}[\]()#+\-.!|$~<>]/.test(rest[1] || "")) {
+            text += rest[1];
+            i += 2;
+            continue;
+        }
+        if (rest[0] === "\n") {
+            // Два пробіли або "\" в кінці рядка — жорсткий перенос, інакше пробіл
+            if (/ {2,}$/.test(text)) {
+                text = text.replace(/ +$/, "");
+                flush();
+                nodes.push({ type: "break" });
+            } else {
+                text += " ";
+            }
+            i++;
+            continue;
+        }
+        if ((m = /^(`+)([\s\S]*?[^`])\1(?!`)/.exec(rest))) {
+            flush();
+            nodes.push({ type: "code", value: m[2].replace(/^ (.*) $/, "$1") });
+            i += m[0].length;
+            continue;
+        }
+        if ((m = /^\$([^\s$](?:[^$]*[^\s$])?)\$(?!\d)/.exec(rest))) {
+            flush();
+            nodes.push({ type: "math", tex: m[1] });
+            i += m[0].length;
+            continue;
+        }
+        if ((m = /^!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/.exec(rest))) {
+            flush();
+            nodes.push({ type: "image", alt: m[1], src: m[2], title: m[3] || "" });
+            i += m[0].length;
+            continue;
+        }
+        if ((m = /^\[((?:[^\]\\]|\\.)*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/.exec(rest))) {
+            flush();
+            nodes.push({ type: "link", href: m[2], title: m[3] || "", children: parseInline(m[1]) });
+            i += m[0].length;
+            continue;
+        }
+        if ((m = /^<(https?:\/\/[^\s>]+)>/.exec(rest))) {
+            flush();
+            nodes.push({ type: "link", href: m[1], title: "", children: [{ type: "text", value: m[1] }] });
+            i += m[0].length;
+            continue;
+        }
+        if ((m = /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/.exec(rest))) {
+            flush();
+            nodes.push({ type: "strong", children: parseInline(m[2]) });
+            i += m[0].length;
+            continue;
+        }
+        if ((m = /^~~(?=\S)([\s\S]*?\S)~~/.exec(rest))) {
+            flush();
+            nodes.push({ type: "del", children: parseInline(m[1]) });
+            i += m[0].length;
+            continue;
+        }
+        // _курсив_ лише на межі слова, щоб не ламати snake_case
+        if (
+            (m = /^\*(?=\S)([\s\S]*?\S)\*(?!\*)/.exec(rest)) ||
+            (!/\w/.test(src[i - 1] || "") && (m = /^_(?=\S)([\s\S]*?\S)_(?!\w)/.exec(rest)))
+        ) {
+            flush();
+            nodes.push({ type: "em", children: parseInline(m[1]) });
+            i += m[0].length;
+            continue;
+        }
+
+        text += rest[0];
+        i++;
+    }
+    flush();
+    return nodes;
+}
+
+/**
+* --------------------------------------------
+* TeX → MathML (підмножина: дроби, корені, індекси, грецькі літери, оператори)
+* --------------------------------------------
+*/
+const TEX_SYMBOLS = {
+    alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ε", varepsilon: "ε", zeta: "ζ", eta: "η",
+    theta: "θ", iota: "ι", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", pi: "π", rho: "ρ",
+    sigma: "σ", tau: "τ", upsilon: "υ", phi: "φ", varphi: "φ", chi: "χ", psi: "ψ", omega: "ω",
+    Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ", Pi: "Π", Sigma: "Σ", Phi: "Φ", Psi: "Ψ", Omega: "Ω",
+    infty: "∞", partial: "∂", nabla: "∇", hbar: "ℏ", ell: "ℓ", emptyset: "∅",
+};
+const TEX_OPERATORS = {
+    cdot: "⋅", times: "×", div: "÷", pm: "±", mp: "∓", le: "≤", leq: "≤", ge: "≥", geq: "≥", ne: "≠", neq: "≠",
+    approx: "≈", equiv: "≡", sim: "∼", propto: "∝", to: "→", rightarrow: "→", leftarrow: "←", Rightarrow: "⇒",
+    Leftarrow: "⇐", leftrightarrow: "↔", Leftrightarrow: "⇔", in: "∈", notin: "∉", subset: "⊂", subseteq: "⊆",
+    supset: "⊃", cup: "∪", cap: "∩", forall: "∀", exists: "∃", neg: "¬", land: "∧", lor: "∨", sum: "∑",
+    prod: "∏", int: "∫", oint: "∮", cdots: "⋯", ldots: "…", dots: "…", circ: "∘", langle: "⟨", rangle: "⟩",
+    mid: "∣", ast: "∗",
+};
+const TEX_FUNCTIONS = ["sin", "cos", "tan", "cot", "log", "ln", "exp", "lim", "max", "min", "det", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh", "tanh"];
+
+export function texToMathML(tex, display = false) {
+    let pos = 0;
+
+    function readGroup() {
+        while (tex[pos] === " ") pos++;
+        if (tex[pos] === "{") {
+            pos++;
+            const inner = readRow("}");
+            pos++;
+            return inner;
+        }
+        return readAtom();
+    }
+
+    function readAtom() {
+        while (tex[pos] === " ") pos++;
+        const ch = tex[pos];
+        if (ch === undefined) return "";
+
+        if (ch === "\\") {
+            const m = /^\\([A-Za-z]+|.)/.exec(tex.slice(pos));
+            pos += m[0].length;
+            const cmd = m[1];
+            if (cmd === "frac" || cmd === "dfrac" || cmd === "tfrac") return `<mfrac>${readGroup()}${readGroup()}</mfrac>`;
+            if (cmd === "sqrt") {
+                if (tex[pos] === "[") {
+                    pos++;
+                    const index = readRow("]");
+                    pos++;
+                    return `<mroot>${readGroup()}${index}</mroot>`;
+                }
+                return `<msqrt>${readGroup()}</msqrt>`;
+            }
+            if (cmd === "text" || cmd === "mathrm" || cmd === "operatorname") {
+                const start = pos + 1;
+                let depth = 0;
+                do {
+                    if (tex[pos] === "{") depth++;
+                    if (tex[pos] === "}") depth--;
+                    pos++;
+                } while (depth > 0 && pos < tex.length);
+                return `<mtext>${escapeXml(tex.slice(start, pos - 1))}</mtext>`;
+            }
+            if (cmd === "left" || cmd === "right") return readAtom();
+            if (TEX_SYMBOLS[cmd]) return `<mi>${TEX_SYMBOLS[cmd]}</mi>`;
+            if (TEX_OPERATORS[cmd]) return `<mo>${TEX_OPERATORS[cmd]}</mo>`;
+            if (TEX_FUNCTIONS.includes(cmd)) return `<mi>${cmd}</mi>`;
+            if (cmd === "," || cmd === ";" || cmd === "quad" || cmd === " ") return `<mspace width="0.3em"/>`;
+            if (cmd === "{" || cmd === "}") return `<mo>${cmd}</mo>`;
+            return `<mtext>\\${escapeXml(cmd)}</mtext>`;
+        }
+        if (ch === "{") return readGroup();
+
+        pos++;
+        if (/[0-9.]/.test(ch)) {
+            let num = ch;
+            while (/[0-9.]/.test(tex[pos] || "")) num += tex[pos++];
+            return `<mn>${num}</mn>`;
+        }
+        if (/[A-Za-z]/.test(ch)) return `<mi>${ch}</mi>`;
+        return `<mo>${escapeXml(ch)}</mo>`;
+    }
+
+    function readRow(end) {
+        let out = "";
+        while (pos < tex.length && tex[pos] !== end) {
+            if (tex[pos] === " ") {
+                pos++;
+                continue;
+            }
+            let base = readAtom();
+            let sub = null;
+            let sup = null;
+            for (;;) {
+                while (tex[pos] === " ") pos++;
+                if (tex[pos] === "_" && sub === null) {
+                    pos++;
+                    sub = readGroup();
+                } else if (tex[pos] === "^" && sup === null) {
+                    pos++;
+                    sup = readGroup();
+                } else break;
+            }
+            if (sub !== null && sup !== null) base = `<msubsup>${base}${wrapRow(sub)}${wrapRow(sup)}</msubsup>`;
+            else if (sub !== null) base = `<msub>${base}${wrapRow(sub)}</msub>`;
+            else if (sup !== null) base = `<msup>${base}${wrapRow(sup)}</msup>`;
+            out += base;
+        }
+        return `<mrow>${out}</mrow>`;
+    }
+
+    const wrapRow = (x) => (x.startsWith("<mrow>") ? x : `<mrow>${x}</mrow>`);
+
+    const body = readRow(undefined);
+    return (
+        `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ""}>` +
+        `<semantics>${body}<annotation encoding="application/x-tex">${escapeXml(tex)}</annotation></semantics></math>`
+    );
+}
+
+/**
+* --------------------------------------------
+* AST → (X)HTML
+* --------------------------------------------
+* Вихід — коректний XHTML, тож той самий рендер іде і в HTML, і в EPUB.
+*/
+function escapeXml(str) {
+    return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Лише безпечні схеми — markdown згенерований моделлю і не є довіреним
+function safeUrl(url) {
+    return /^(https?:|mailto:|#)/i.test(url) ? url : "#";
+}
+
+function inlineToHtml(nodes, { images = true } = {}) {
+    return nodes
+    .map((n) => {
+        switch (n.type) {
+            case "text": return escapeXml(n.value);
+            case "strong": return `<strong>${inlineToHtml(n.children, { images })}</strong>`;
+            case "em": return `<em>${inlineToHtml(n.children, { images })}</em>`;
+            case "del": return `<del>${inlineToHtml(n.children, { images })}</del>`;
+            case "code": return `<code>${escapeXml(n.value)}</code>`;
+            case "math": return texToMathML(n.tex);
+            case "break": return "<br/>";
+            case "link":
+                return `<a href="${escapeXml(safeUrl(n.href))}"${n.title ? ` title="${escapeXml(n.title)}"` : ""}>${inlineToHtml(n.children, { images })}</a>`;
+            case "image":
+                return images
+                ? `<img src="${escapeXml(safeUrl(n.src))}" alt="${escapeXml(n.alt)}"${n.title ? ` title="${escapeXml(n.title)}"` : ""}/>`
+                : `<a href="${escapeXml(safeUrl(n.src))}">${escapeXml(n.alt || n.src)}</a>`;
+            default: return "";
+        }
+    })
+    .join("");
+}
+
+function blocksToHtml(blocks, opts = {}) {
+    return blocks
+    .map((b) => {
+        switch (b.type) {
+            case "heading": {
+                const id = headingId(b, opts);
+                return `<h${b.level}${id ? ` id="${id}"` : ""}>${inlineToHtml(b.children, opts)}</h${b.level}>`;
+            }
+            case "paragraph": return `<p>${inlineToHtml(b.children, opts)}</p>`;
+            case "code":
+                return `<pre><code${b.lang ? ` class="language-${escapeXml(b.lang)}"` : ""}>${escapeXml(b.text)}</code></pre>`;
+            case "math": return `<div class="math">${texToMathML(b.tex, true)}</div>`;
+            case "hr": return "<hr/>";
+            case "blockquote": return `<blockquote>${blocksToHtml(b.children, opts)}</blockquote>`;
+            case "list": {
+                const tag = b.ordered ? "ol" : "ul";
+                const start = b.ordered && b.start !== 1 ? ` start="${b.start}"` : "";
+                // Пункт з одного абзацу — без <p>, як у "щільних" списках
+                const li = (item) =>
+                item.length === 1 && item[0].type === "paragraph"
+                ? inlineToHtml(item[0].children, opts)
+                : blocksToHtml(item, opts);
+                return `<${tag}${start}>${b.items.map((item) => `<li>${li(item)}</li>`).join("")}</${tag}>`;
+            }
+            case "table": {
+                const cell = (tag, content, c) =>
+                `<${tag}${b.align[c] ? ` style="text-align:${b.align[c]}"` : ""}>${inlineToHtml(content, opts)}</${tag}>`;
+                const head = `<tr>${b.header.map((h, c) => cell("th", h, c)).join("")}</tr>`;
+                const body = b.rows.map((r) => `<tr>${r.map((d, c) => cell("td", d, c)).join("")}</tr>`).join("");
+                return `<table><thead>${head}</thead><tbody>${body}</tbody></table>`;
+            }
+            default: return "";
+        }
+    })
+    .join("\n");
+}
+
+function inlineText(nodes) {
+    return nodes
+    .map((n) => (n.type === "text" || n.type === "code" ? n.value : n.type === "math" ? n.tex : n.children ? inlineText(n.children) : n.alt || ""))
+    .join("");
+}
+
+// Якорі для заголовків (зміст EPUB); opts.headings збирає їх по ходу рендеру
+function headingId(block, opts) {
+    if (!opts.headings) return null;
+    const id = `h${opts.headings.length + 1}`;
+    opts.headings.push({ id, level: block.level, text: inlineText(block.children) });
+    return id;
+}
+
+const DOCUMENT_CSS = `body { font-family: Georgia, "Times New Roman", serif; line-height: 1.55; max-width: 46em; margin: 2em auto; padding: 0 1em; color: #1a1a1a; }
+h1, h2, h3, h4, h5, h6 { font-family: "Helvetica Neue", Arial, sans-serif; line-height: 1.25; margin: 1.4em 0 0.5em; }
+pre { background: #f5f5f5; padding: 0.8em 1em; overflow-x: auto; border-radius: 4px; }
+code { font-family: Consolas, "Courier New", monospace; font-size: 0.92em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #bbb; padding: 0.35em 0.7em; vertical-align: top; }
+th { background: #f0f0f0; }
+blockquote { margin: 1em 0; padding: 0.2em 1em; border-left: 4px solid #ccc; color: #555; }
+img { max-width: 100%; }
+.math { margin: 1em 0; overflow-x: auto; }`;
+
+// Друк / "Зберегти як PDF" у браузері: поля сторінки, без розривів посеред блоків
+const PRINT_CSS = `@page { size: A4; margin: 20mm 18mm; }
+@media print {
+  body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+  h1, h2, h3, h4 { break-after: avoid; page-break-after: avoid; }
+  pre, table, blockquote, figure, .math { break-inside: avoid; page-break-inside: avoid; }
+  a { color: inherit; text-decoration: none; }
+  a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #555; }
+}`;
+
+function renderHtml(task, blocks) {
+    const lang = task.options?.language || "uk";
+    return `<!DOCTYPE html>
+<html lang="${escapeXml(lang)}">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>${escapeXml(task.topic)}</title>
+<style>
+${DOCUMENT_CSS}
+${PRINT_CSS}
+</style>
+</head>
+<body>
+<article>
+${blocksToHtml(blocks)}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+* --------------------------------------------
+* ZIP (store / deflate) — для docx та epub
+* --------------------------------------------
+*/
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: string|Buffer, store?: boolean }] — порядок зберігається (важливо для epub mimetype)
+export function createZip(files, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, "utf8");
+        const raw = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8");
+        const method = file.store ? 0 : 8;
+        const data = file.store ? raw : zlib.deflateRawSync(raw);
+        const crc = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 імена
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+* --------------------------------------------
+* AST → DOCX (WordprocessingML)
+* --------------------------------------------
+*/
+const W_NS =
+'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+function docxRuns(nodes, ctx, fmt = {}) {
+    return nodes
+    .map((n) => {
+        switch (n.type) {
+            case "text": return docxRun(n.value, fmt);
+            case "strong": return docxRuns(n.children, ctx, { ...fmt, bold: true });
+            case "em": return docxRuns(n.children, ctx, { ...fmt, italic: true });
+            case "del": return docxRuns(n.children, ctx, { ...fmt, strike: true });
+            case "code": return docxRun(n.value, { ...fmt, code: true });
+            case "math": return docxRun(n.tex, { ...fmt, math: true });
+            case "break": return "<w:r><w:br/></w:r>";
+            case "image": return docxRun(`[${n.alt || n.src}]`, { ...fmt, italic: true });
+            case "link": {
+                const url = safeUrl(n.href);
+                if (url === "#" || url.startsWith("#")) return docxRuns(n.children, ctx, fmt);
+                const rid = `rIdLink${ctx.links.length + 1}`;
+                ctx.links.push({ rid, url });
+                return `<w:hyperlink r:id="${rid}">${docxRuns(n.children, ctx, { ...fmt, link: true })}</w:hyperlink>`;
+            }
+            default: return "";
+        }
+    })
+    .join("");
+}
+
+function docxRun(text, fmt) {
+    const props = [];
+    if (fmt.link) props.push('<w:rStyle w:val="Hyperlink"/>');
+    if (fmt.code) props.push('<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>', '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>');
+    if (fmt.math) props.push('<w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/>');
+    if (fmt.bold) props.push("<w:b/>");
+    if (fmt.italic || fmt.math) props.push("<w:i/>");
+    if (fmt.strike) props.push("<w:strike/>");
+    const rPr = props.length ? `<w:rPr>${props.join("")}</w:rPr>` : "";
+
+    // Переноси рядків усередині тексту (блоки коду) — окремі <w:br/>
+    return String(text)
+    .split("\n")
+    .map((line, i) => `<w:r>${rPr}${i ? "<w:br/>" : ""}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)
+    .join("");
+}
+
+function docxParagraph(runs, { style, numId, ilvl, align } = {}) {
+    const props = [];
+    if (style) props.push(`<w:pStyle w:val="${style}"/>`);
+    if (numId != null) props.push(`<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>`);
+    if (align) props.push(`<w:jc w:val="${align === "right" ? "right" : align === "center" ? "center" : "left"}"/>`);
+    return `<w:p>${props.length ? `<w:pPr>${props.join("")}</w:pPr>` : ""}${runs}</w:p>`;
+}
+
+function docxBlocks(blocks, ctx, { level = 0, quote = false } = {}) {
+    const out = [];
+    for (const b of blocks) {
+        switch (b.type) {
+            case "heading":
+                out.push(docxParagraph(docxRuns(b.children, ctx), { style: `Heading${b.level}` }));
+                break;
+            case "paragraph":
+                out.push(docxParagraph(docxRuns(b.children, ctx), { style: quote ? "Quote" : undefined }));
+                break;
+            case "code":
+                out.push(docxParagraph(docxRun(b.text, { code: true }), { style: "Code" }));
+                break;
+            case "math":
+                out.push(docxParagraph(docxRun(b.tex, { math: true }), { align: "center" }));
+                break;
+            case "hr":
+                out.push('<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="999999"/></w:pBdr></w:pPr></w:p>');
+                break;
+            case "blockquote":
+                out.push(docxBlocks(b.children, ctx, { level, quote: true }));
+                break;
+            case "list": {
+                // Кожен нумерований список починається з 1 (або start) — окремий w:num
+                const numId = b.ordered ? ctx.newOrderedNum(b.start) : 1;
+                for (const item of b.items) {
+                    item.forEach((child, idx) => {
+                        if (child.type === "paragraph") {
+                            out.push(
+                                docxParagraph(docxRuns(child.children, ctx), idx === 0
+                                ? { style: "ListParagraph", numId, ilvl: Math.min(level, 8) }
+                                : { style: "ListParagraph" })
+                            );
+                        } else {
+                            out.push(docxBlocks([child], ctx, { level: child.type === "list" ? level + 1 : level, quote }));
+                        }
+                    });
+                }
+                break;
+            }
+            case "table": {
+                const cell = (content, c, header) =>
+                `<w:tc><w:tcPr>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/>' : ""}</w:tcPr>${docxParagraph(
+                    docxRuns(content, ctx, { bold: header }),
+                    { align: b.align[c] }
+                )}</w:tc>`;
+                const rows = [
+                    `<w:tr><w:trPr><w:tblHeader/></w:trPr>${b.header.map((h, c) => cell(h, c, true)).join("")}</w:tr>`,
+                    ...b.rows.map((r) => `<w:tr>${r.map((d, c) => cell(d, c, false)).join("")}</w:tr>`),
+                ];
+                out.push(
+                    `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>` +
+                    `<w:tblGrid>${b.header.map(() => "<w:gridCol/>").join("")}</w:tblGrid>${rows.join("")}</w:tbl>`,
+                    "<w:p/>"
+                );
+                break;
+            }
+        }
+    }
+    return out.join("");
+}
+
+function docxNumbering(orderedNums) {
+    const levels = (fmt) =>
+    Array.from({ length: 9 }, (_, l) => {
+        const text = fmt === "bullet" ? ["•", "◦", "▪"][l % 3] : `%${l + 1}.`;
+        return (
+            `<w:lvl w:ilvl="${l}"><w:start w:val="1"/><w:numFmt w:val="${fmt}"/><w:lvlText w:val="${text}"/>` +
+            `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (l + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+        );
+    }).join("");
+
+    const nums = [`<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>`];
+    for (const { numId, start } of orderedNums) {
+        nums.push(
+            `<w:num w:numId="${numId}"><w:abstractNumId w:val="1"/>` +
+            `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`
+        );
+    }
+    return (
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering ${W_NS}>` +
+        `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels("bullet")}</w:abstractNum>` +
+        `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels("decimal")}</w:abstractNum>` +
+        `${nums.join("")}</w:numbering>`
+    );
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${W_NS}>
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:lang w:val="uk-UA"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="44"/></w:rPr></w:style>
+${[40, 32, 28, 26, 24, 22]
+.map(
+    (sz, i) =>
+    `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${sz}"/></w:rPr></w:style>`
+)
+.join("\n")}
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="567"/><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="CCCCCC"/></w:pBdr></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/></w:pPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/><w:left w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/><w:right w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/></w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+function renderDocx(task, blocks) {
+    const orderedNums = [];
+    const ctx = {
+        links: [],
+        newOrderedNum(start) {
+            const numId = orderedNums.length + 2;
+            orderedNums.push({ numId, start });
+            return numId;
+        },
+    };
+
+    // Якщо конспект не починається з H1 — додаємо тему як заголовок документа
+    const title = blocks[0]?.type === "heading" && blocks[0].level === 1
+    ? ""
+    : docxParagraph(docxRun(task.topic, {}), { style: "Title" });
+
+    const body = docxBlocks(blocks, ctx);
+    const document =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document ${W_NS}><w:body>${title}${body}` +
+    `<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1021" w:bottom="1134" w:left="1021" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>` +
+    `</w:body></w:document>`;
+
+    const rels =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    `<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>` +
+    ctx.links
+    .map(
+        (l) =>
+        `<Relationship Id="${l.rid}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(l.url)}" TargetMode="External"/>`
+    )
+    .join("") +
+    `</Relationships>`;
+
+    const now = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+
+    return createZip([
+        {
+            name: "[Content_Types].xml",
+            data:
+            `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+            `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+            `<Default Extension="xml" ContentType="application/xml"/>` +
+            `<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>` +
+            `<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>` +
+            `<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>` +
+            `<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>` +
+            `</Types>`,
+        },
+        {
+            name: "_rels/.rels",
+            data:
+            `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>` +
+            `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>` +
+            `</Relationships>`,
+        },
+        {
+            name: "docProps/core.xml",
+            data:
+            `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+            `<dc:title>${escapeXml(task.topic)}</dc:title><dc:creator>AI Study Notes</dc:creator>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created></cp:coreProperties>`,
+        },
+        { name: "word/document.xml", data: document },
+        { name: "word/styles.xml", data: DOCX_STYLES },
+        { name: "word/numbering.xml", data: docxNumbering(orderedNums) },
+        { name: "word/_rels/document.xml.rels", data: rels },
+    ]);
+}
+
+/**
+* --------------------------------------------
+* AST → EPUB 3
+* --------------------------------------------
+*/
+function renderEpub(task, blocks) {
+    const lang = task.options?.language || "uk";
+    const headings = [];
+    // Зовнішні зображення в EPUB — лише як посилання, щоб читалка не лізла в мережу
+    const body = blocksToHtml(blocks, { headings, images: false });
+    const uid = `urn:uuid:${task.id || crypto.randomUUID()}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+    const hasMath = /<math[\s>]/.test(body);
+
+    const xhtml = (title, content, extra = "") =>
+    `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n` +
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(lang)}" lang="${escapeXml(lang)}">` +
+    `<head><meta charset="utf-8"/><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/>${extra}</head>` +
+    `<body>${content}</body></html>`;
+
+    const tocItems = headings.filter((h) => h.level <= 3);
+    const nav = xhtml(
+        task.topic,
+        `<nav epub:type="toc" id="toc"><h1>${escapeXml(task.topic)}</h1><ol>` +
+        (tocItems.length
+        ? tocItems.map((h) => `<li><a href="notes.xhtml#${h.id}">${escapeXml(h.text)}</a></li>`).join("")
+        : `<li><a href="notes.xhtml">${escapeXml(task.topic)}</a></li>`) +
+        `</ol></nav>`
+    );
+
+    const opf =
+    `<?xml version="1.0" encoding="UTF-8"?>\n<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${escapeXml(lang)}">` +
+    `<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">` +
+    `<dc:identifier id="uid">${uid}</dc:identifier><dc:title>${escapeXml(task.topic)}</dc:title>` +
+    `<dc:language>${escapeXml(lang)}</dc:language><dc:creator>AI Study Notes</dc:creator>` +
+    `<meta property="dcterms:modified">${modified}</meta></metadata>` +
+    `<manifest>` +
+    `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>` +
+    `<item id="notes" href="notes.xhtml" media-type="application/xhtml+xml"${hasMath ? ' properties="mathml"' : ""}/>` +
+    `<item id="css" href="style.css" media-type="text/css"/>` +
+    `</manifest><spine><itemref idref="notes"/></spine></package>`;
+
+    return createZip([
+        // mimetype — першим і без стиснення (вимога OCF)
+        { name: "mimetype", data: "application/epub+zip", store: true },
+        {
+            name: "META-INF/container.xml",
+            data:
+            `<?xml version="1.0" encoding="UTF-8"?>\n<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">` +
+            `<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`,
+        },
+        { name: "OEBPS/content.opf", data: opf },
+        { name: "OEBPS/nav.xhtml", data: nav },
+        { name: "OEBPS/notes.xhtml", data: xhtml(task.topic, `<section epub:type="bodymatter">${body}</section>`) },
+        { name: "OEBPS/style.css", data: DOCUMENT_CSS },
+    ]);
+}
+
+/**
+* --------------------------------------------
+* Public API
+* --------------------------------------------
+*/
+// "Машинне навчання: основи" -> ASCII-ім'я для старих клієнтів + UTF-8 для filename*
+export function contentDisposition(topic, extension) {
+    const base = String(topic || "notes").trim().slice(0, 80) || "notes";
+    const ascii = base.normalize("NFKD").replace(/[^\w\s.-]/g, "").trim().replace(/\s+/g, "-") || "notes";
+    return `attachment; filename="${ascii}.${extension}"; filename*=UTF-8''${encodeURIComponent(`${base}.${extension}`)}`;
+}
+
+// Повертає { body: string|Buffer, contentType, extension, binary }
+export function renderExport(task, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unsupported export format: ${format}`);
+
+    const markdown = task.researchMd || "";
+    if (format === "md") return { ...spec, body: markdown };
+
+    const blocks = parseMarkdown(markdown);
+    if (format === "html") return { ...spec, body: renderHtml(task, blocks) };
+    if (format === "docx") return { ...spec, body: renderDocx(task, blocks) };
+    return { ...spec, body: renderEpub(task, blocks) };
+}
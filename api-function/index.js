@@ -5,10 +5,30 @@ import {
     DeleteCommand,
     GetCommand,
     QueryCommand,
+    UpdateCommand,
+    BatchGetCommand,
+    BatchWriteCommand,
+    TransactWriteCommand,
 } from "@aws-sdk/lib-dynamodb";
-import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { SQSClient, SendMessageCommand, SendMessageBatchCommand } from "@aws-sdk/client-sqs";
 import { SSMClient, GetParametersByPathCommand } from "@aws-sdk/client-ssm";
 import crypto from "node:crypto";
+import { EXPORT_FORMATS, renderExport, contentDisposition } from "./export.js";
+import { buildSearchDoc, rankDocuments, highlight, markdownToPlainText } from "../shared/search.js";
+import { diffLines, unifiedDiff } from "./diff.js";
+import { getObjectStore } from "./storage.js";
+import { validate, validateParams } from "../shared/validation.js";
+import { buildOpenApiDocument } from "./openapi.js";
+import {
+    log,
+    withLogContext,
+    setLogContext,
+    normalizeCorrelationId,
+    newCorrelationId,
+    correlationAttributes,
+    emitMetrics,
+} from "../shared/logger.js";
+import { isPrivateHost } from "../shared/network.js";
 
 /**
 * --------------------------------------------
@@ -19,6 +39,7 @@ import crypto from "node:crypto";
 *  - /ai-studynotes/sqs-queue-url         (String або SecureString, опціонально)
 *  - /ai-studynotes/cognito-user-pool-id  (String або SecureString, опціонально)
 *  - /ai-studynotes/cognito-client-id     (String або SecureString, опціонально)
+*  - /ai-studynotes/sources-bucket-name   (String, опціонально) — S3 для джерел, див. storage.js
 *
 * Можна змінити базовий шлях і TTL кешу через env:
 *  - CONFIG_BASE_PATH (дефолт: "/ai-studynotes")
@@ -32,7 +53,7 @@ const ssm = new SSMClient({});
 let cachedConfig = null;
 let cachedAt = 0;
 
-async function loadConfig() {
+export async function loadConfig() {
     const now = Date.now();
     if (cachedConfig && now - cachedAt < CONFIG_TTL_MS) return cachedConfig;
     
@@ -67,6 +88,12 @@ async function loadConfig() {
 * JWT parsing utilities
 * --------------------------------------------
 */
+function decodeSegment(segment) {
+    // Додаємо padding якщо потрібно
+    const padded = segment + '='.repeat((4 - segment.length % 4) % 4);
+    return JSON.parse(Buffer.from(padded, 'base64url').toString('utf8'));
+}
+
 function parseJWT(token) {
     try {
         const parts = token.split('.');
@@ -74,349 +101,4077 @@ function parseJWT(token) {
             throw new Error('Invalid JWT format');
         }
         
-        // Декодуємо payload (друга частина)
-        const payload = parts[1];
-        // Додаємо padding якщо потрібно
-        const paddedPayload = payload + '='.repeat((4 - payload.length % 4) % 4);
-        const decodedPayload = Buffer.from(paddedPayload, 'base64url').toString('utf8');
-        
-        return JSON.parse(decodedPayload);
+        return {
+            header: decodeSegment(parts[0]),
+            payload: decodeSegment(parts[1]),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url'),
+        };
     } catch (error) {
         throw new Error(`Failed to parse JWT: ${error.message}`);
     }
 }
 
-function isTokenExpired(payload) {
-    if (!payload.exp) return true;
-    const now = Math.floor(Date.now() / 1000);
-    return payload.exp < now;
+/**
+* --------------------------------------------
+* JWKS (ключі підпису Cognito User Pool)
+* --------------------------------------------
+* За замовчуванням ключі тягнуться з
+*   https://cognito-idp.<region>.amazonaws.com/<userPoolId>/.well-known/jwks.json
+* Джерело можна підмінити через setJwksSource(async (issuer) => ({ keys: [...] })),
+* щоб перевіряти токени офлайн проти локального набору ключів.
+*
+* Збій завантаження (таймаут, 5xx, мережа) — не проблема токена: якщо ключі
+* вже в кеші, вони лишаються в силі (повтор не частіше за cooldown), а без
+* кешу запит отримує 503, а не 401.
+*
+* Опції через env:
+*  - JWKS_TTL_MS     (дефолт: 3600000 = 1 год)
+*  - JWKS_FETCH_TIMEOUT_MS (дефолт: 5000)
+*  - JWKS_REFETCH_COOLDOWN_MS (дефолт: 60000) — не частіше за цей інтервал JWKS
+*    перечитується через невідомий kid (інакше токени з випадковими kid = запит на кожен)
+*  - CLOCK_SKEW_SEC  (дефолт: 60) — допустимий розсинхрон годинників для exp/nbf/iat
+*/
+const JWKS_TTL_MS = Number(process.env.JWKS_TTL_MS || 60 * 60 * 1000); // 1 год кешу
+const JWKS_REFETCH_COOLDOWN_MS = Number(process.env.JWKS_REFETCH_COOLDOWN_MS || 60 * 1000);
+const JWKS_FETCH_TIMEOUT_MS = Number(process.env.JWKS_FETCH_TIMEOUT_MS || 5 * 1000);
+const CLOCK_SKEW_SEC = Number(process.env.CLOCK_SKEW_SEC || 60);
+
+// JWKS недоступний (а ключів у кеші немає) — відповідь 503
+class JwksUnavailableError extends Error {
+    constructor(issuer, cause) {
+        super(`JWKS unavailable for ${issuer}: ${cause?.message || cause}`);
+        this.name = "JwksUnavailableError";
+    }
+}
+
+async function fetchCognitoJwks(issuer) {
+    const out = await fetch(`${issuer}/.well-known/jwks.json`, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) });
+    if (!out.ok) throw new Error(`JWKS ${out.status}`);
+    return out.json();
+}
+
+let jwksSource = fetchCognitoJwks;
+let jwksCache = new Map(); // issuer -> { keys: Map<kid, KeyObject>, at, failedAt }
+
+export function setJwksSource(source) {
+    jwksSource = source || fetchCognitoJwks;
+    jwksCache = new Map();
+}
+
+async function loadJwks(issuer) {
+    let jwks;
+    try {
+        jwks = await jwksSource(issuer);
+    } catch (err) {
+        const cached = jwksCache.get(issuer);
+        if (!cached) throw new JwksUnavailableError(issuer, err);
+        // Лишаємо старі ключі; наступна спроба — не раніше за cooldown
+        log.error("Auth JWKS refresh failed — keeping cached keys", { issuer, error: err?.message || err });
+        cached.failedAt = Date.now();
+        return cached;
+    }
+    const keys = new Map();
+    for (const jwk of jwks?.keys ?? []) {
+        if (!jwk.kid || jwk.kty !== "RSA") continue;
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    }
+    const entry = { keys, at: Date.now() };
+    jwksCache.set(issuer, entry);
+    return entry;
+}
+
+// Минуло щонайменше cooldown від останньої спроби (вдалої чи ні)
+const jwksCooledDown = (entry) => Date.now() - Math.max(entry.at, entry.failedAt || 0) >= JWKS_REFETCH_COOLDOWN_MS;
+
+async function getSigningKey(issuer, kid) {
+    let entry = jwksCache.get(issuer);
+    if (!entry || (Date.now() - entry.at >= JWKS_TTL_MS && jwksCooledDown(entry))) entry = await loadJwks(issuer);
+    
+    // Невідомий kid — можливо, ключі ротувалися: перечитуємо JWKS, але не частіше
+    // за JWKS_REFETCH_COOLDOWN_MS від останньої спроби; інакше — токен невалідний
+    if (!entry.keys.has(kid) && jwksCooledDown(entry)) {
+        log.warn("Auth Unknown kid — refetching JWKS", { issuer });
+        entry = await loadJwks(issuer);
+    }
+    
+    return entry.keys.get(kid) || null;
 }
 
 /**
 * --------------------------------------------
 * Authentication
 * --------------------------------------------
+* Підтримувані режими:
+*  - Cognito ID token      (Authorization: Bearer) — повний доступ
+*  - Cognito access token  (Authorization: Bearer) — доступ за scope
+*  - API key               (X-Api-Key)             — доступ за scope ключа
+*
+* Додаткові ключі в SSM:
+*  - /ai-studynotes/cognito-access-client-ids  (через кому, опціонально) —
+*    app clients (CLI, server-to-server), чиї access-токени приймаються
+*  - /ai-studynotes/cognito-scope-prefix       (опціонально) — identifier
+*    resource server, напр. "https://api.example.com/" → ".../notes/read"
 */
-async function getAuthenticatedUser(event, config) {
+const SCOPES = ["notes/read", "notes/write"];
+
+class AuthError extends Error {
+    constructor(description, error = "invalid_token", statusCode = 401) {
+        super(description);
+        this.name = "AuthError";
+        this.error = error;
+        this.statusCode = statusCode;
+    }
+}
+
+async function verifyCognitoToken(token, { issuer, clientId, accessClientIds }) {
+    const { header, payload, signingInput, signature } = parseJWT(token);
+    
+    if (header.alg !== "RS256") throw new AuthError("Unsupported token algorithm");
+    if (payload.iss !== issuer) throw new AuthError("Token issuer mismatch");
+    
+    const key = await getSigningKey(issuer, header.kid);
+    if (!key) throw new AuthError("Unknown signing key");
+    
+    const valid = crypto.verify("RSA-SHA256", Buffer.from(signingInput), key, signature);
+    if (!valid) throw new AuthError("Invalid token signature");
+    
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== "number" || payload.exp + CLOCK_SKEW_SEC < now) {
+        throw new AuthError("Token expired");
+    }
+    if (typeof payload.nbf === "number" && payload.nbf - CLOCK_SKEW_SEC > now) {
+        throw new AuthError("Token not yet valid");
+    }
+    if (typeof payload.iat === "number" && payload.iat - CLOCK_SKEW_SEC > now) {
+        throw new AuthError("Token issued in the future");
+    }
+    
+    if (payload.token_use === 'id') {
+        if (payload.aud !== clientId) throw new AuthError("Token audience mismatch");
+    } else if (payload.token_use === 'access') {
+        // Access-токени не мають aud — клієнта видно в client_id
+        if (payload.client_id !== clientId && !accessClientIds.includes(payload.client_id)) {
+            throw new AuthError("Token client mismatch");
+        }
+    } else {
+        throw new AuthError("Unsupported token_use");
+    }
+    
+    return payload;
+}
+
+async function authenticateBearer(authHeader, config) {
     const userPoolId = config["cognito-user-pool-id"];
     const clientId = config["cognito-client-id"];
     
     if (!userPoolId || !clientId) {
-        console.warn("🟠 [AUTH] Cognito config not found in SSM - skipping auth");
-        return null;
+        // Без конфігу Cognito ми не можемо перевірити жоден токен
+        throw new Error("Cognito config not set in SSM");
     }
-
-    const authHeader = event.headers?.Authorization || event.headers?.authorization;
-    if (!authHeader) {
-        console.warn("🟠 [AUTH] No Authorization header");
-        return null;
-    }
-
-    const token = authHeader.replace(/^Bearer\s+/i, "");
+    
+    const token = authHeader.replace(/^Bearer\s+/i, "").trim();
     if (!token) {
-        console.warn("🟠 [AUTH] No token in Authorization header");
-        return null;
+        throw new AuthError("No token in Authorization header", "invalid_request");
     }
-
+    
+    const issuer = `https://cognito-idp.${userPoolId.split('_')[0]}.amazonaws.com/${userPoolId}`;
+    const accessClientIds = (config["cognito-access-client-ids"] || "")
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+    
+    let payload;
     try {
-        // Парсимо ID токен
-        const payload = parseJWT(token);
-        
-        // Перевіряємо чи токен не прострочений
-        if (isTokenExpired(payload)) {
-            console.warn("🟠 [AUTH] Token expired");
-            return null;
-        }
-        
-        // Перевіряємо чи токен від правильного User Pool та Client
-        if (payload.iss !== `https://cognito-idp.${userPoolId.split('_')[0]}.amazonaws.com/${userPoolId}`) {
-            console.warn("🟠 [AUTH] Token issuer mismatch");
-            return null;
-        }
-        
-        if (payload.aud !== clientId) {
-            console.warn("🟠 [AUTH] Token audience mismatch");
-            return null;
-        }
-        
-        if (payload.token_use !== 'id') {
-            console.warn("🟠 [AUTH] Token is not an ID token");
-            return null;
-        }
-        
-        console.log("🟢 [AUTH] ID token verified for user:", payload.sub);
+        payload = await verifyCognitoToken(token, { issuer, clientId, accessClientIds });
+    } catch (error) {
+        if (error instanceof AuthError || error instanceof JwksUnavailableError) throw error;
+        log.warn("Auth Token verification failed", { error: error.message });
+        throw new AuthError("Malformed token");
+    }
+    
+    if (payload.token_use === 'access') {
+        // "https://api.example.com/notes/read" -> "notes/read"
+        const prefix = config["cognito-scope-prefix"] || "";
+        const scopes = String(payload.scope || "")
+        .split(" ")
+        .filter((s) => s.startsWith(prefix))
+        .map((s) => s.slice(prefix.length))
+        .filter((s) => SCOPES.includes(s));
         
+        log.info("Auth Access token verified", { userId: payload.sub, scopes });
         return {
             id: payload.sub,
-            email: payload.email,
-            username: payload['cognito:username'],
-            userStatus: payload['cognito:user_status'],
+            username: payload.username,
+            authType: "access",
+            scopes,
             payload: payload
         };
-    } catch (error) {
-        console.warn("🟠 [AUTH] Token verification failed:", error.message);
-        return null;
     }
+    
+    log.info("Auth ID token verified", { userId: payload.sub });
+    
+    return {
+        id: payload.sub,
+        email: payload.email,
+        username: payload['cognito:username'],
+        userStatus: payload['cognito:user_status'],
+        authType: "id",
+        scopes: SCOPES,
+        payload: payload
+    };
 }
 
 /**
 * --------------------------------------------
-* AWS clients
+* API keys
 * --------------------------------------------
+* Формат ключа: "sn_<keyId>_<secret>". У таблиці зберігається лише
+* SHA-256 від усього ключа — відкритий ключ показується один раз при створенні.
+* Запис: { id: "APIKEY#<keyId>", pk: "APIKEY#<userId>", userId, name, scopes, keyHash, ... }
+* Як і задачі, ключі партиціоновані за власником (GET /keys читає лише свою
+* партицію); pk = "APIKEY" — спільна партиція до міграції (migrate.js).
 */
-const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
-const sqs = new SQSClient({});
+const API_KEY_PREFIX = "sn_";
+export const apiKeyPartition = (userId) => `APIKEY#${userId}`;
+
+const API_KEY_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["scopes"],
+    properties: {
+        name: { type: "string", "x-trim": true, maxLength: 100 },
+        scopes: { type: "array", minItems: 1, items: { type: "string", enum: SCOPES } },
+    },
+};
+
+function hashApiKey(apiKey) {
+    return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function generateApiKey() {
+    const keyId = crypto.randomBytes(6).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+    return { keyId, apiKey: `${API_KEY_PREFIX}${keyId}_${secret}` };
+}
+
+function publicApiKey(item) {
+    const { keyHash, pk, id, ...rest } = item;
+    return rest;
+}
+
+async function authenticateApiKey(apiKey, tableName) {
+    const match = /^sn_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(apiKey.trim());
+    if (!match) throw new AuthError("Malformed API key");
+    
+    const out = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: `APIKEY#${match[1]}` } })
+    );
+    const item = out.Item;
+    
+    const expected = Buffer.from(item?.keyHash || "", "hex");
+    const actual = Buffer.from(hashApiKey(apiKey.trim()), "hex");
+    if (!item || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AuthError("Invalid API key");
+    }
+    if (item.revokedAt) throw new AuthError("API key revoked");
+    
+    log.info("Auth API key verified", { keyId: item.keyId, userId: item.userId });
+    return {
+        id: item.userId,
+        authType: "apiKey",
+        keyId: item.keyId,
+        scopes: (item.scopes || []).filter((s) => SCOPES.includes(s)),
+    };
+}
+
+async function getAuthenticatedUser(event, config) {
+    const authHeader = event.headers?.Authorization || event.headers?.authorization;
+    if (authHeader) return authenticateBearer(authHeader, config);
+    
+    const apiKey = event.headers?.["X-Api-Key"] || event.headers?.["x-api-key"];
+    if (apiKey) return authenticateApiKey(apiKey, config["dynamo-db-table-name"]);
+    
+    throw new AuthError("No Authorization header", null);
+}
+
+// GET — читання, решта — запис. Керування ключами — лише з ID-токеном (сесія користувача).
+function authorizeRoute(event, user) {
+    if (event.resource?.startsWith("/keys")) {
+        if (user.authType !== "id") {
+            throw new AuthError("API keys can only be managed with an ID token", "insufficient_scope", 403);
+        }
+        return;
+    }
+    
+    const scope = event.httpMethod === "GET" ? "notes/read" : "notes/write";
+    if (!user.scopes.includes(scope)) {
+        const err = new AuthError(`Scope '${scope}' required`, "insufficient_scope", 403);
+        err.scope = scope;
+        throw err;
+    }
+}
+
+function unauthorized(err) {
+    // RFC 6750: без токена — лише realm, інакше код помилки та опис
+    let challenge = 'Bearer realm="ai-studynotes"';
+    if (err.error) {
+        challenge += `, error="${err.error}", error_description="${err.message.replace(/"/g, "'")}"`;
+    }
+    if (err.scope) challenge += `, scope="${err.scope}"`;
+    
+    const message = err.statusCode === 403 ? "Forbidden" : "Unauthorized";
+    return res(err.statusCode, { message }, { "WWW-Authenticate": challenge });
+}
 
 /**
 * --------------------------------------------
-* CORS
+* AWS clients
 * --------------------------------------------
 */
-const cors = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers":
-    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token",
-    "Access-Control-Allow-Methods": "OPTIONS,GET,POST,DELETE",
-};
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const sqs = new SQSClient({});
 
 /**
 * --------------------------------------------
-* Lambda handler
+* Task helpers
 * --------------------------------------------
 */
-export const handler = async (event) => {
-    console.log(
-        "🟢 [API] Incoming event:",
-        JSON.stringify({
-            httpMethod: event?.httpMethod,
-            path: event?.path,
-            resource: event?.resource,
-            qs: event?.queryStringParameters,
-            pathParams: event?.pathParameters,
-        })
+// Задачі партиціоновані за власником: pk = "TASK#<userId>" (GSI byCreatedAt).
+// pk = "TASK" — спільна партиція до міграції (migrate.js), читається, доки вона не пройде.
+export const taskPartition = (userId) => `TASK#${userId}`;
+const isTaskItem = (item) => item?.pk === "TASK" || !!item?.pk?.startsWith("TASK#");
+
+// Повертає { item } для задачі користувача або { response } з 404/403
+async function getOwnedTask(tableName, id, user) {
+    const out = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id } })
     );
+    if (!isTaskItem(out.Item)) {
+        log.warn("DynamoDB Not found", { id });
+        return { response: res(404, { message: "Not Found" }) };
+    }
     
-    try {
-        if (event.httpMethod === "OPTIONS") {
-            console.log("🟢 [API] OPTIONS preflight");
-            return { statusCode: 200, headers: cors, body: "" };
-        }
+    // Перевіряємо чи задача належить користувачу
+    const itemUserId = out.Item.userId || "anonymous";
+    if (itemUserId !== user.id) {
+        log.warn("Auth Access denied for task", { id, ownerId: itemUserId, userId: user.id });
+        return { response: res(403, { message: "Access Denied" }) };
+    }
+    
+    return { item: out.Item };
+}
 
-        const config = await loadConfig();
-        
-        // Отримуємо авторизованого користувача
-        const user = await getAuthenticatedUser(event, config);
-        console.log("🟢 [AUTH] User:", user ? `ID: ${user.id}` : "Not authenticated");
-        const tableName = config["dynamo-db-table-name"];
-        const queueUrl = config["sqs-queue-url"]; // може бути undefined
-        
-        if (!tableName) {
-            console.error("🔴 [CFG] dynamo-db-table-name not set in SSM");
-            return res(500, { message: "dynamo-db-table-name not set" });
-        }
-        
-        // POST /tasks — створити задачу + (опц.) покласти в SQS
-        if (event.httpMethod === "POST" && event.path?.endsWith("/tasks")) {
-            console.log("🟢 [ROUTE] POST /tasks");
-            
-            let body;
-            try {
-                body =
-                typeof event.body === "string" ? JSON.parse(event.body) : event.body;
-            } catch {
-                console.warn("🟠 [VALIDATION] Invalid JSON body");
-                return res(400, { message: "Invalid JSON" });
-            }
-            
-            const topic = (body?.topic || "").trim();
-            if (!topic) {
-                console.warn("🟠 [VALIDATION] Missing 'topic'");
-                return res(422, { message: "Field 'topic' is required" });
-            }
-            
-            const id = crypto.randomUUID();
-            const now = new Date().toISOString();
-            
-            const item = {
-                id,
-                pk: "TASK",
-                userId: user?.id || "anonymous",
-                topic,
-                status: "QUEUED",
-                createdAt: now,
-                updatedAt: now,
-                researchMd: "",
-                error: null,
-            };
-            
-            console.log("🟢 [DynamoDB] Put item:", item);
-            await ddb.send(
-                new PutCommand({
-                    TableName: tableName,
-                    Item: item,
-                    ConditionExpression: "attribute_not_exists(id)",
-                })
-            );
-            
-            if (queueUrl) {
-                const sqsPayload = {
-                    id,
-                    topic,
-                    requestedAt: now,
-                    taskType: "RESEARCH_SUMMARY_V1",
-                };
-                console.log(
-                    "🟢 [SQS] SendMessage to",
-                    queueUrl,
-                    "payload:",
-                    sqsPayload
-                );
-                const sqsRes = await sqs.send(
-                    new SendMessageCommand({
-                        QueueUrl: queueUrl,
-                        MessageBody: JSON.stringify(sqsPayload),
-                    })
-                );
-                console.log("🟢 [SQS] MessageId:", sqsRes?.MessageId);
-            } else {
-                console.log("🟠 [SQS] sqs-queue-url not set — skipping enqueue");
-            }
-            
-            return res(201, { id, topic, status: "QUEUED", createdAt: now }, 
-                user ? { "X-User-ID": user.id } : {});
-        }
-        
-        // GET /tasks — відсортований список (нові → старі) з курсором через GSI byCreatedAt
-        if (
-            event.httpMethod === "GET" &&
-            event.path?.endsWith("/tasks") &&
-            event.resource !== "/tasks/{id}"
-        ) {
-            console.log("🟢 [ROUTE] GET /tasks");
-            
-            const qs = event.queryStringParameters || {};
-            const limit = Math.min(Number(qs.limit || 25), 100);
-            const startKey = qs.cursor
-            ? JSON.parse(Buffer.from(qs.cursor, "base64").toString("utf8"))
-            : undefined;
-            
-            console.log(
-                "🟢 [DynamoDB] Query start (byCreatedAt). limit:",
-                limit,
-                "startKey:",
-                startKey,
-                "userId:",
-                user?.id || "anonymous"
-            );
-            const out = await ddb.send(
-                new QueryCommand({
-                    TableName: tableName,
-                    IndexName: "byCreatedAt",
-                    KeyConditionExpression: "pk = :p",
-                    FilterExpression: "userId = :u",
-                    ExpressionAttributeValues: { 
-                        ":p": "TASK",
-                        ":u": user?.id || "anonymous"
-                    },
-                    Limit: limit,
-                    ScanIndexForward: false,
-                    ExclusiveStartKey: startKey,
-                    ProjectionExpression: "id, topic, #s, createdAt, updatedAt",
-                    ExpressionAttributeNames: { "#s": "status" },
+async function enqueueTask(queueUrl, sqsPayload) {
+    if (!queueUrl) {
+        log.warn("SQS sqs-queue-url not set — skipping enqueue");
+        return;
+    }
+    log.info("SQS SendMessage", { queueUrl, id: sqsPayload.id, taskType: sqsPayload.taskType });
+    const sqsRes = await sqs.send(
+        new SendMessageCommand({
+            QueueUrl: queueUrl,
+            MessageBody: JSON.stringify(sqsPayload),
+            MessageAttributes: correlationAttributes(),
+        })
+    );
+    log.info("SQS Message sent", { messageId: sqsRes?.MessageId });
+}
+
+// SendMessageBatch по 10; повертає Map<id, повідомлення помилки> для невідправлених
+async function enqueueTasks(queueUrl, sqsPayloads) {
+    const failed = new Map();
+    if (!queueUrl) {
+        log.warn("SQS sqs-queue-url not set — skipping enqueue", { count: sqsPayloads.length });
+        return failed;
+    }
+    for (let i = 0; i < sqsPayloads.length; i += 10) {
+        const chunk = sqsPayloads.slice(i, i + 10);
+        log.info("SQS SendMessageBatch", { queueUrl, count: chunk.length });
+        try {
+            const out = await sqs.send(
+                new SendMessageBatchCommand({
+                    QueueUrl: queueUrl,
+                    Entries: chunk.map((payload, j) => ({
+                        Id: String(j),
+                        MessageBody: JSON.stringify(payload),
+                        MessageAttributes: correlationAttributes(),
+                    })),
                 })
             );
-            const cursor = out.LastEvaluatedKey
-            ? Buffer.from(JSON.stringify(out.LastEvaluatedKey)).toString("base64")
-            : null;
-            console.log(
-                "🟢 [DynamoDB] Query done. count:",
-                (out.Items || []).length,
-                "hasMore:",
-                !!out.LastEvaluatedKey
-            );
-            
-            return res(200, { items: out.Items || [], cursor }, 
-                user ? { "X-User-ID": user.id } : {});
-        }
-        
-        // GET /tasks/{id} — один запис (включно з researchMd)
-        if (event.httpMethod === "GET" && event.resource === "/tasks/{id}") {
-            const id = event.pathParameters?.id;
-            console.log("🟢 [ROUTE] GET /tasks/{id} id:", id);
-            if (!id) return res(400, { message: "Missing path param 'id'" });
-            
-            const out = await ddb.send(
-                new GetCommand({ TableName: tableName, Key: { id } })
-            );
-            if (!out.Item) {
-                console.warn("🟠 [DynamoDB] Not found id:", id);
-                return res(404, { message: "Not Found" });
-            }
-            
-            // Перевіряємо чи задача належить користувачу
-            const itemUserId = out.Item.userId || "anonymous";
-            const currentUserId = user?.id || "anonymous";
-            if (itemUserId !== currentUserId) {
-                console.warn("🟠 [AUTH] Access denied for task id:", id, "itemUserId:", itemUserId, "currentUserId:", currentUserId);
-                return res(403, { message: "Access Denied" });
-            }
-            
-            console.log("🟢 [DynamoDB] Found item id:", id);
-            return res(200, out.Item, 
-                user ? { "X-User-ID": user.id } : {});
-        }
-        
-        // DELETE /tasks/{id}
-        if (event.httpMethod === "DELETE" && event.resource === "/tasks/{id}") {
-            const id = event.pathParameters?.id;
-            console.log("🟢 [ROUTE] DELETE /tasks/{id} id:", id);
-            if (!id) return res(400, { message: "Missing path param 'id'" });
-            
-            // Спочатку перевіряємо чи задача існує та належить користувачу
-            const getOut = await ddb.send(
-                new GetCommand({ TableName: tableName, Key: { id } })
-            );
-            if (!getOut.Item) {
-                console.warn("🟠 [DynamoDB] Not found id:", id);
-                return res(404, { message: "Not Found" });
-            }
-            
-            // Перевіряємо чи задача належить користувачу
-            const itemUserId = getOut.Item.userId || "anonymous";
-            const currentUserId = user?.id || "anonymous";
-            if (itemUserId !== currentUserId) {
-                console.warn("🟠 [AUTH] Access denied for task id:", id, "itemUserId:", itemUserId, "currentUserId:", currentUserId);
-                return res(403, { message: "Access Denied" });
+            for (const entry of out.Failed || []) {
+                failed.set(chunk[Number(entry.Id)].id, entry.Message || entry.Code || "SendMessageBatch failed");
             }
-            
-            await ddb.send(new DeleteCommand({ TableName: tableName, Key: { id } }));
-            console.log("🟢 [DynamoDB] Deleted id:", id);
-            return res(204, "", 
-                user ? { "X-User-ID": user.id } : {});
+        } catch (err) {
+            log.error("SQS SendMessageBatch failed", { error: err?.message || err });
+            for (const payload of chunk) failed.set(payload.id, err?.message || "SendMessageBatch failed");
         }
-        
-        console.warn(
-            "🟠 [API] No route match for:",
-            event.httpMethod,
-            event.path,
-            event.resource
-        );
-        return res(404, { message: "Not Found" });
-    } catch (err) {
-        console.error("🔴 [API] Unhandled error:", err);
-        return res(500, { message: "Server error", error: err?.message });
     }
+    return failed;
+}
+
+// Новий запис задачі в статусі QUEUED (POST /tasks, /tasks/batch).
+// inFlight — копія статусу лише поки QUEUED/PROCESSING: ключ розрідженого
+// індексу byInFlight, за яким reaper шукає завислі записи
+function newTaskItem(userId, { id, topic, taskType, options, llm, now }) {
+    return {
+        id,
+        pk: taskPartition(userId),
+        userId,
+        topic,
+        taskType,
+        options,
+        llm,
+        status: "QUEUED",
+        inFlight: "QUEUED",
+        createdAt: now,
+        updatedAt: now,
+        chargedAt: now,
+        researchMd: "",
+        error: null,
+    };
+}
+
+/**
+* --------------------------------------------
+* Схеми запитів (спільні)
+* --------------------------------------------
+* Тіла й параметри кожного маршруту описані схемами (shared/validation.js) і
+* перевіряються до обробника — див. ROUTES перед handler. Схеми тіл лежать
+* біля коду, що їх використовує. З тих самих схем будується GET /openapi.json.
+*
+* Помилки: 400 — невалідний JSON, path, query або заголовки; 422 — тіло не
+* відповідає схемі. Формат в обох випадках:
+*   { message: "Request validation failed", errors: [{ location, field, message }] }
+*/
+// Лише літери, цифри, "_" і "-": id на кшталт "USER%23..." не має вказувати на службові записи
+const ID_SCHEMA = { type: "string", pattern: "^[\\w-]{1,64}$", "x-pattern-message": "must be 1-64 letters, digits, _ or -" };
+const LIMIT_PARAM = { schema: { type: "integer", minimum: 1, maximum: 100, default: 25 }, description: "Page size" };
+const CURSOR_PARAM = {
+    schema: {
+        type: "string",
+        maxLength: 4096,
+        pattern: "^[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+$",
+        "x-pattern-message": "must be a cursor returned by the previous page",
+    },
+    description: "Opaque cursor from the previous page",
 };
 
-function res(statusCode, data, additionalHeaders = {}) {
-    const payload = typeof data === "string" ? data : JSON.stringify(data);
-    const headers = { ...cors, ...additionalHeaders };
-    console.log(
-        "🟢 [API] Response",
-        statusCode,
-        payload.length > 600
-        ? payload.slice(0, 600) + "…(truncated)"
-        : payload
-    );
-    return { statusCode, headers, body: payload };
-}
\ No newline at end of file
+function validationFailed(statusCode, errors) {
+    log.warn("Validation Invalid request body", { errors });
+    return res(statusCode, { message: "Request validation failed", errors });
+}
+
+// Та сама форма, що й для помилок схем — для перевірок, які схемою не виразити
+function invalidRequest(statusCode, location, field, message) {
+    return validationFailed(statusCode, [{ location, field, message }]);
+}
+
+/**
+* --------------------------------------------
+* Task listing (GET /tasks)
+* --------------------------------------------
+* Фільтри: status (через кому), from/to (ISO-дата або дата-час, по createdAt),
+* topic (підрядок без урахування регістру), tag (через кому, усі мають бути),
+* folderId, favourite, q — повнотекстовий пошук (shared/search.js).
+* Запит іде лише по партиції користувача (pk = "TASK#<userId>"). Без q сторінка
+* добирається, доки не набереться `limit` збігів, а курсор вказує на останній
+* відданий запис. З q результати ранжуються, курсор — зсув.
+*/
+const TASK_STATUSES = ["QUEUED", "PROCESSING", "DONE", "ERROR", "CANCELLED"];
+const TASK_LIST_PROJECTION =
+"id, pk, userId, topic, taskType, options, #s, tags, favourite, folderId, planId, createdAt, updatedAt";
+const MAX_QUERY_LENGTH = 200;
+
+const RE_DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_PARAM_SCHEMA = {
+    type: "string",
+    pattern: "^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$",
+    "x-pattern-message": "must be an ISO 8601 date or date-time",
+};
+
+// Регістр статусу не важливий: "done" теж приймається
+const STATUS_ALTERNATION = [...TASK_STATUSES, ...TASK_STATUSES.map((v) => v.toLowerCase())].join("|");
+
+const TASK_LIST_QUERY = {
+    limit: LIMIT_PARAM,
+    cursor: CURSOR_PARAM,
+    status: {
+        schema: {
+            type: "string",
+            pattern: `^\\s*(?:${STATUS_ALTERNATION})(?:\\s*,\\s*(?:${STATUS_ALTERNATION}))*\\s*$`,
+            "x-pattern-message": `must be a comma-separated list of: ${TASK_STATUSES.join(", ")}`,
+        },
+        description: "Comma-separated statuses",
+    },
+    from: { schema: DATE_PARAM_SCHEMA, description: "Created at or after (date or date-time)" },
+    to: { schema: DATE_PARAM_SCHEMA, description: "Created at or before (a date means the end of that day)" },
+    topic: { schema: { type: "string", maxLength: MAX_QUERY_LENGTH }, description: "Case-insensitive substring of the topic" },
+    tag: { schema: { type: "string", maxLength: 1000 }, description: "Comma-separated tags; all must match" },
+    folderId: { schema: ID_SCHEMA },
+    favourite: { schema: { type: "boolean" } },
+    q: { schema: { type: "string", maxLength: MAX_QUERY_LENGTH }, description: "Full-text search" },
+};
+
+function parseDateParam(value, endOfDay) {
+    if (RE_DATE_ONLY.test(value)) value += endOfDay ? "T23:59:59.999Z" : "T00:00:00.000Z";
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+// Формат параметрів уже перевірено схемою (TASK_LIST_QUERY); тут — нормалізація
+// і те, що схемою не виразити. Повертає { filters } або { field, error }.
+function parseListFilters(qs) {
+    const filters = {};
+    
+    if (qs.status) filters.statuses = [...new Set(qs.status.split(",").map((v) => v.trim().toUpperCase()))];
+    for (const [key, endOfDay] of [["from", false], ["to", true]]) {
+        if (!qs[key]) continue;
+        filters[key] = parseDateParam(qs[key], endOfDay);
+        if (!filters[key]) return { field: key, error: "must be a valid ISO 8601 date" };
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+        return { field: "from", error: "must not be after 'to'" };
+    }
+    if (qs.topic?.trim()) filters.topic = qs.topic.trim().toLowerCase();
+    if (qs.tag?.trim()) filters.tags = [...new Set(qs.tag.split(",").map(normalizeTag).filter(Boolean))];
+    if (qs.folderId?.trim()) filters.folderId = qs.folderId.trim();
+    if (qs.favourite !== undefined) filters.favourite = qs.favourite;
+    if (qs.q?.trim()) filters.q = qs.q.trim();
+    return { filters };
+}
+
+function taskListQuery(tableName, userId, filters) {
+    const values = { ":p": taskPartition(userId) };
+    let keyCondition = "pk = :p";
+    if (filters.from && filters.to) {
+        keyCondition += " AND createdAt BETWEEN :from AND :to";
+        Object.assign(values, { ":from": filters.from, ":to": filters.to });
+    } else if (filters.from) {
+        keyCondition += " AND createdAt >= :from";
+        values[":from"] = filters.from;
+    } else if (filters.to) {
+        keyCondition += " AND createdAt <= :to";
+        values[":to"] = filters.to;
+    }
+    
+    const conditions = [];
+    if (filters.statuses) {
+        const names = filters.statuses.map((status, i) => {
+            values[`:s${i}`] = status;
+            return `:s${i}`;
+        });
+        conditions.push(`#s IN (${names.join(", ")})`);
+    }
+    (filters.tags || []).forEach((tag, i) => {
+        values[`:tag${i}`] = tag;
+        conditions.push(`contains(tags, :tag${i})`);
+    });
+    if (filters.folderId) {
+        values[":folder"] = filters.folderId;
+        conditions.push("folderId = :folder");
+    }
+    if (filters.favourite !== undefined) {
+        values[":fav"] = true;
+        conditions.push(filters.favourite ? "favourite = :fav" : "(attribute_not_exists(favourite) OR favourite <> :fav)");
+    }
+    const filter = conditions.length ? conditions.join(" AND ") : undefined;
+    
+    return {
+        TableName: tableName,
+        IndexName: "byCreatedAt",
+        KeyConditionExpression: keyCondition,
+        FilterExpression: filter,
+        ExpressionAttributeValues: values,
+        ExpressionAttributeNames: { "#s": "status" },
+        ProjectionExpression: TASK_LIST_PROJECTION,
+        ScanIndexForward: false,
+    };
+}
+
+// Підрядок topic перевіряємо тут: contains() у DynamoDB чутливий до регістру
+const matchesTopic = (item, filters) => !filters.topic || (item.topic || "").toLowerCase().includes(filters.topic);
+
+const listKey = (item) => ({ id: item.id, pk: item.pk, createdAt: item.createdAt });
+
+function toListItem({ pk, userId, ...item }) {
+    return item;
+}
+
+/**
+* Курсори підписані: base64url(JSON) + "." + HMAC-SHA256 ключем з SSM
+*  - /ai-studynotes/cursor-signing-key (SecureString; потрібен для пагінації)
+* Payload прив'язаний до користувача й фільтрів запиту, тож змінений, чужий
+* або перенесений на інший запит курсор відхиляється з 400.
+*/
+class CursorError extends Error {}
+
+function cursorKey(config) {
+    const key = config["cursor-signing-key"];
+    if (!key) throw new Error("cursor-signing-key not set");
+    return key;
+}
+
+const cursorScope = (userId, filters) =>
+    crypto.createHash("sha256").update(canonicalJson({ userId, filters })).digest("base64url").slice(0, 22);
+
+const cursorSignature = (config, data) => crypto.createHmac("sha256", cursorKey(config)).update(data).digest();
+
+function encodeCursor(config, userId, filters, position) {
+    const data = Buffer.from(JSON.stringify({ s: cursorScope(userId, filters), p: position })).toString("base64url");
+    return `${data}.${cursorSignature(config, data).toString("base64url")}`;
+}
+
+function decodeCursor(config, cursor, userId, filters) {
+    const [data, signature, extra] = String(cursor).split(".");
+    if (!data || !signature || extra !== undefined) throw new CursorError("Malformed cursor");
+    
+    const expected = cursorSignature(config, data);
+    const actual = Buffer.from(signature, "base64url");
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new CursorError("Bad cursor signature");
+    }
+    
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+    if (payload.s !== cursorScope(userId, filters)) throw new CursorError("Cursor belongs to another query");
+    return payload.p;
+}
+
+async function listTasksPage(tableName, userId, filters, limit, startKey) {
+    const query = taskListQuery(tableName, userId, filters);
+    const items = [];
+    let lastKey = startKey;
+    let hasMore = false;
+    
+    do {
+        const out = await ddb.send(new QueryCommand({ ...query, Limit: limit, ExclusiveStartKey: lastKey }));
+        const page = out.Items || [];
+        lastKey = out.LastEvaluatedKey;
+        for (let i = 0; i < page.length; i++) {
+            if (!matchesTopic(page[i], filters)) continue;
+            items.push(page[i]);
+            if (items.length === limit) {
+                hasMore = i < page.length - 1 || !!lastKey;
+                lastKey = listKey(page[i]);
+                break;
+            }
+        }
+    } while (items.length < limit && lastKey);
+    
+    if (items.length < limit) hasMore = false;
+    return { items: items.map(toListItem), next: hasMore ? lastKey : null };
+}
+
+async function listAllTasks(tableName, userId, filters) {
+    const query = taskListQuery(tableName, userId, filters);
+    const items = [];
+    let startKey;
+    do {
+        const out = await ddb.send(new QueryCommand({ ...query, ExclusiveStartKey: startKey }));
+        items.push(...(out.Items || []).filter((item) => matchesTopic(item, filters)));
+        startKey = out.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+}
+
+async function batchGetByIds(tableName, ids, projection) {
+    const items = [];
+    for (let i = 0; i < ids.length; i += 100) {
+        let request = {
+            [tableName]: {
+                Keys: ids.slice(i, i + 100).map((id) => ({ id })),
+                ...(projection ? { ProjectionExpression: projection } : {}),
+            },
+        };
+        while (request && Object.keys(request).length) {
+            const out = await ddb.send(new BatchGetCommand({ RequestItems: request }));
+            items.push(...(out.Responses?.[tableName] || []));
+            request = out.UnprocessedKeys;
+        }
+    }
+    return items;
+}
+
+/**
+* Документи пошукового індексу для задач — лише читання. Документ пишеться
+* разом з текстом (воркер, commitVersion); задача без нього (ще не DONE)
+* ранжується за topic з документа, зібраного тут у пам'яті.
+*/
+async function loadSearchDocs(tableName, userId, tasks) {
+    const docs = new Map();
+    let startKey;
+    do {
+        const out = await ddb.send(
+            new QueryCommand({
+                TableName: tableName,
+                IndexName: "byCreatedAt",
+                KeyConditionExpression: "pk = :p",
+                ExpressionAttributeValues: { ":p": `SEARCH#${userId}` },
+                ExclusiveStartKey: startKey,
+            })
+        );
+        for (const doc of out.Items || []) docs.set(doc.taskId, doc);
+        startKey = out.LastEvaluatedKey;
+    } while (startKey);
+    
+    return tasks.map((task) => docs.get(task.id) ?? buildSearchDoc({ ...task, researchMd: undefined }));
+}
+
+async function searchTasks(tableName, userId, filters, limit, offset) {
+    const tasks = await listAllTasks(tableName, userId, filters);
+    const docs = await loadSearchDocs(tableName, userId, tasks);
+    const ranked = rankDocuments(docs, filters.q);
+    const page = ranked.slice(offset, offset + limit);
+    
+    const byId = new Map(tasks.map((task) => [task.id, task]));
+    const texts = new Map(
+        (await batchGetByIds(tableName, page.map((r) => r.taskId), "id, researchMd")).map((item) => [
+            item.id,
+            item.researchMd,
+        ])
+    );
+    
+    const items = page.map(({ taskId, score }) => {
+        const task = byId.get(taskId);
+        const text = task.status === "DONE" ? markdownToPlainText(texts.get(taskId)) : "";
+        return {
+            ...toListItem(task),
+            score,
+            highlights: {
+                topic: highlight(task.topic, filters.q, { snippet: false }),
+                snippet: text ? highlight(text, filters.q) : null,
+            },
+        };
+    });
+    
+    const next = offset + limit;
+    return { items, total: ranked.length, next: next < ranked.length ? { offset: next } : null };
+}
+
+/**
+* --------------------------------------------
+* Organising: теги, обране, папки
+* --------------------------------------------
+* Метадані задачі (PATCH /tasks/{id}): tags (нормалізовані, нижній регістр),
+* favourite (boolean), folderId (id папки користувача або null).
+* Папка: { id: "FOLDER#<folderId>", pk: "FOLDER#<userId>", userId, folderId, name, kind, ... }
+* kind — "folder" або "course". Видалення папки спершу прибирає її запис,
+* а потім знімає folderId з усіх її задач — задачі лишаються, просто без папки.
+*/
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_FOLDER_NAME_LENGTH = 100;
+const FOLDER_KINDS = ["folder", "course"];
+const RE_TAG = /^[\p{L}\p{N}][\p{L}\p{N} _.+#-]*$/u;
+
+const TAG_SCHEMA = {
+    type: "string",
+    "x-trim": true,
+    minLength: 1,
+    maxLength: MAX_TAG_LENGTH,
+    pattern: RE_TAG.source,
+    "x-pattern-message": "must start with a letter or digit and contain only letters, digits, spaces or _ . + # -",
+};
+
+const TASK_METADATA_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    minProperties: 1,
+    properties: {
+        tags: { type: "array", maxItems: MAX_TAGS, items: TAG_SCHEMA, description: "Replaces all tags; [] removes them" },
+        favourite: { type: "boolean" },
+        folderId: { ...ID_SCHEMA, type: ["string", "null"], description: "Folder id, or null to unfile" },
+    },
+};
+
+const folderBodySchema = ({ partial }) => ({
+    type: "object",
+    additionalProperties: false,
+    ...(partial ? { minProperties: 1 } : { required: ["name"] }),
+    properties: {
+        name: { type: "string", "x-trim": true, minLength: 1, maxLength: MAX_FOLDER_NAME_LENGTH },
+        kind: { type: "string", enum: FOLDER_KINDS, default: "folder" },
+    },
+});
+
+const folderKey = (folderId) => `FOLDER#${folderId}`;
+const folderPartition = (userId) => `FOLDER#${userId}`;
+
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Тіло вже перевірене схемою — лише нормалізація
+function normalizeTags(value) {
+    return [...new Set(value.map(normalizeTag))];
+}
+
+function folderFields(body, { partial }) {
+    const out = {};
+    if (body.name !== undefined) out.name = body.name;
+    if (body.kind !== undefined) out.kind = body.kind;
+    else if (!partial) out.kind = "folder";
+    return out;
+}
+
+function publicFolder({ id, pk, userId, ...folder }) {
+    return folder;
+}
+
+// Та сама перевірка власника, що й getOwnedTask: { item } або { response } з 404/403
+async function getOwnedFolder(tableName, folderId, user) {
+    const out = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: folderKey(folderId) } }));
+    if (!out.Item) {
+        log.warn("DynamoDB Folder not found", { folderId });
+        return { response: res(404, { message: "Not Found" }) };
+    }
+    if (out.Item.userId !== user.id) {
+        log.warn("Auth Access denied for folder", { folderId, userId: user.id });
+        return { response: res(403, { message: "Access Denied" }) };
+    }
+    return { item: out.Item };
+}
+
+// Знімає folderId з усіх задач папки (умовно — паралельне переміщення не перезаписуємо)
+async function unfileFolderTasks(tableName, userId, folderId) {
+    const tasks = await listAllTasks(tableName, userId, { folderId });
+    for (const task of tasks) {
+        try {
+            await ddb.send(
+                new UpdateCommand({
+                    TableName: tableName,
+                    Key: { id: task.id },
+                    UpdateExpression: "REMOVE folderId SET updatedAt = :t",
+                    ConditionExpression: "folderId = :f",
+                    ExpressionAttributeValues: { ":f": folderId, ":t": new Date().toISOString() },
+                })
+            );
+        } catch (err) {
+            if (err?.name !== "ConditionalCheckFailedException") throw err;
+        }
+    }
+    return tasks.length;
+}
+
+/**
+* --------------------------------------------
+* Task options (POST /tasks)
+* --------------------------------------------
+* Без опцій задача йде як RESEARCH_SUMMARY_V1 (лише topic), з будь-якою
+* опцією — як STUDY_NOTES_V2, а відсутні опції заповнюються дефолтами.
+*
+* Тема: MIN_TOPIC_LENGTH–MAX_TOPIC_LENGTH символів після обрізання пробілів,
+* без керівних символів і хоча б з однією літерою чи цифрою.
+*/
+const MIN_TOPIC_LENGTH = 3;
+const MAX_TOPIC_LENGTH = 300;
+
+const TOPIC_SCHEMA = {
+    type: "string",
+    "x-trim": true,
+    minLength: MIN_TOPIC_LENGTH,
+    maxLength: MAX_TOPIC_LENGTH,
+    pattern: "^(?=[\\s\\S]*[\\p{L}\\p{N}])[^\\p{Cc}]*$",
+    "x-pattern-message": "must contain a letter or digit and no control characters",
+    description: "What the notes are about",
+};
+
+const TASK_OPTIONS = {
+    language: { values: ["uk", "en"], default: "uk" },
+    depth: { values: ["summary", "standard", "deep_dive"], default: "standard" },
+    audience: { values: ["school", "university", "professional"], default: "university" },
+    format: { values: ["notes", "outline", "qa", "cheat_sheet"], default: "notes" },
+};
+
+const TASK_OPTION_SCHEMAS = Object.fromEntries(
+    Object.entries(TASK_OPTIONS).map(([key, spec]) => [
+        key,
+        { type: ["string", "null"], enum: [...spec.values, null], default: spec.default },
+    ])
+);
+
+// Повертає { options, taskType }; значення вже перевірені схемою
+function parseTaskOptions(body) {
+    const provided = Object.keys(TASK_OPTIONS).filter((k) => body[k] != null);
+    if (!provided.length) return { options: null, taskType: "RESEARCH_SUMMARY_V1" };
+    
+    const options = {};
+    for (const [key, spec] of Object.entries(TASK_OPTIONS)) options[key] = body[key] ?? spec.default;
+    return { options, taskType: "STUDY_NOTES_V2" };
+}
+
+// Необов'язковий вибір LLM для задачі: { provider, model? }. Решта ланцюжка
+// (fallback) береться з конфігу воркера. "fake" лише для локальних тестів.
+const LLM_PROVIDERS = ["openai-responses", "openai-chat", "anthropic"];
+
+const LLM_OVERRIDE_SCHEMA = {
+    type: ["object", "null"],
+    additionalProperties: false,
+    required: ["provider"],
+    properties: {
+        provider: { type: "string", enum: LLM_PROVIDERS },
+        model: {
+            type: ["string", "null"],
+            pattern: "^[\\w.:/-]{1,100}$",
+            "x-pattern-message": "must be a model id (letters, digits, . : / - _)",
+        },
+    },
+};
+
+function parseLlmOverride(body) {
+    if (body.llm == null) return null;
+    return { provider: body.llm.provider, model: body.llm.model ?? null };
+}
+
+/**
+* --------------------------------------------
+* Sources (POST /tasks з матеріалами) та завантаження
+* --------------------------------------------
+* body.sources — до MAX_SOURCES джерел:
+*   { type: "text", text, title? }     — вставлений текст
+*   { type: "file", uploadId, title? } — файл, завантажений через POST /uploads
+*   { type: "url",  url, title? }      — сторінка або PDF за посиланням
+* У задачі й повідомленні SQS лише метадані { id: "S<n>", type, title, key|url, ... };
+* текст лежить у сховищі (storage.js), воркер сам витягує й стискає його.
+*
+* POST /uploads створює { id: "UPLOAD#<uploadId>", pk: "UPLOAD#<userId>", key, fileName,
+* contentType, size, expiresAt } і повертає presigned PUT URL. Запис живе
+* UPLOAD_TTL_SEC — за цей час файл треба прикріпити до задачі.
+*
+* Опції через env:
+*  - MAX_UPLOAD_BYTES (дефолт: 10485760 = 10 МБ)
+*/
+const MAX_SOURCES = 10;
+const MAX_SOURCE_TEXT_LENGTH = 200000;
+const MAX_SOURCE_TITLE_LENGTH = 200;
+const MAX_SOURCE_URL_LENGTH = 2048;
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES || 10 * 1024 * 1024);
+const UPLOAD_URL_TTL_SEC = 15 * 60;
+const UPLOAD_TTL_SEC = 24 * 60 * 60;
+
+const UPLOAD_CONTENT_TYPES = [
+    "application/pdf",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "text/plain",
+    "text/markdown",
+];
+
+const uploadKey = (uploadId) => `UPLOAD#${uploadId}`;
+
+const SOURCE_TITLE_SCHEMA = { type: ["string", "null"], "x-trim": true, maxLength: MAX_SOURCE_TITLE_LENGTH };
+
+const SOURCE_SCHEMA = {
+    type: "object",
+    discriminator: { propertyName: "type" },
+    oneOf: [
+        {
+            type: "object",
+            additionalProperties: false,
+            required: ["type", "text"],
+            properties: {
+                type: { const: "text" },
+                title: SOURCE_TITLE_SCHEMA,
+                text: { type: "string", maxLength: MAX_SOURCE_TEXT_LENGTH, pattern: "\\S", "x-pattern-message": "must not be blank" },
+            },
+        },
+        {
+            type: "object",
+            additionalProperties: false,
+            required: ["type", "uploadId"],
+            properties: {
+                type: { const: "file" },
+                title: SOURCE_TITLE_SCHEMA,
+                uploadId: { ...ID_SCHEMA, description: "uploadId from POST /uploads" },
+            },
+        },
+        {
+            type: "object",
+            additionalProperties: false,
+            required: ["type", "url"],
+            properties: {
+                type: { const: "url" },
+                title: SOURCE_TITLE_SCHEMA,
+                url: {
+                    type: "string",
+                    format: "uri",
+                    maxLength: MAX_SOURCE_URL_LENGTH,
+                    pattern: "^https?://",
+                    "x-pattern-message": "must be an http(s) URL",
+                },
+            },
+        },
+    ],
+};
+
+const SOURCES_SCHEMA = { type: ["array", "null"], minItems: 1, maxItems: MAX_SOURCES, items: SOURCE_SCHEMA };
+
+const UPLOAD_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["fileName", "contentType", "size"],
+    properties: {
+        fileName: {
+            type: "string",
+            "x-trim": true,
+            minLength: 1,
+            maxLength: 255,
+            pattern: "^[^\\p{Cc}]*$",
+            "x-pattern-message": "must not contain control characters",
+        },
+        contentType: { type: "string", enum: UPLOAD_CONTENT_TYPES },
+        size: { type: "integer", minimum: 1, maximum: MAX_UPLOAD_BYTES, description: "File size in bytes" },
+    },
+};
+
+// Повертає [...] | null; форма джерел уже перевірена схемою
+function parseSources(body) {
+    if (body.sources == null) return null;
+    return body.sources.map((src) => {
+        const title = src.title || null;
+        if (src.type === "text") return { type: "text", title, text: src.text };
+        if (src.type === "file") return { type: "file", title, uploadId: src.uploadId };
+        return { type: "url", title, url: new URL(src.url).href };
+    });
+}
+
+/**
+* Перетворює розібрані джерела на метадані задачі: перевіряє завантаження
+* (власник, файл справді у сховищі) і готує ключі для вставленого тексту.
+* Повертає { sources, texts: [{ key, text }] } або { response } з помилкою.
+*/
+async function resolveSources(tableName, store, userId, taskId, parsed) {
+    const sources = [];
+    const texts = [];
+    for (const [i, src] of parsed.entries()) {
+        const id = `S${i + 1}`;
+        if (src.type === "url") {
+            sources.push({ id, type: "url", title: src.title, url: src.url });
+            continue;
+        }
+        if (!store) return { response: res(501, { message: "File and text sources are not configured" }) };
+        
+        if (src.type === "text") {
+            const key = `sources/${userId}/${taskId}/${id}.txt`;
+            texts.push({ key, text: src.text });
+            sources.push({
+                id,
+                type: "text",
+                title: src.title || `Text ${i + 1}`,
+                contentType: "text/plain; charset=utf-8",
+                size: Buffer.byteLength(src.text),
+                key,
+            });
+            continue;
+        }
+        
+        const { Item: upload } = await ddb.send(
+            new GetCommand({ TableName: tableName, Key: { id: uploadKey(src.uploadId) } })
+        );
+        const field = `sources[${i}].uploadId`;
+        if (!upload || upload.userId !== userId) {
+            return { response: invalidRequest(422, "body", field, `upload '${src.uploadId}' not found`) };
+        }
+        const head = await store.head(upload.key);
+        if (!head) {
+            return { response: invalidRequest(422, "body", field, `upload '${src.uploadId}' has no file yet — PUT it to the upload URL first`) };
+        }
+        if (head.size > MAX_UPLOAD_BYTES) {
+            return { response: invalidRequest(422, "body", field, `upload '${src.uploadId}' is larger than ${MAX_UPLOAD_BYTES} bytes`) };
+        }
+        sources.push({
+            id,
+            type: "file",
+            title: src.title || upload.fileName,
+            fileName: upload.fileName,
+            contentType: upload.contentType,
+            size: head.size,
+            uploadId: upload.uploadId,
+            key: upload.key,
+        });
+    }
+    return { sources, texts };
+}
+
+// Ключі сховища — внутрішня деталь, клієнту не віддаємо
+const publicSources = (sources) => sources?.map(({ key, ...rest }) => rest) ?? null;
+
+// Вставлений текст належить задачі; завантажені файли можуть бути в кількох задачах
+async function deleteSourceTexts(config, task) {
+    const keys = (task.sources || []).filter((s) => s.type === "text" && s.key).map((s) => s.key);
+    const store = keys.length ? getObjectStore(config) : null;
+    if (!store) return;
+    for (const key of keys) {
+        try {
+            await store.delete(key);
+        } catch (err) {
+            log.warn("Storage Failed to delete", { key, error: err?.message });
+        }
+    }
+}
+
+/**
+* --------------------------------------------
+* Пакетні задачі й навчальні плани
+* --------------------------------------------
+* POST /tasks/batch — { topics: [...], ...опції } зі спільними опціями й llm.
+* Кожна тема перевіряється окремо (TOPIC_SCHEMA), невалідні й повтори
+* потрапляють у результат як FAILED, решта створюється: квота списується
+* одразу на всі (інакше 429 на весь пакет), задачі пишуться транзакціями по
+* BATCH_WRITE_CHUNK, у чергу йдуть SendMessageBatch по 10. Задача, яку не
+* вдалося покласти в чергу, лишається в ERROR (enqueue_failed, retryable) —
+* її можна перезапустити через POST /tasks/{id}/retry.
+*
+* POST /study-plans — { subject, itemCount, ...опції }. План:
+*   { id: "PLAN#<planId>", pk: "PLAN#<userId>", userId, planId, subject, options, llm,
+*     itemCount, status, title, items: [{ index, title, description, taskId }],
+*     itemStatuses: { <taskId>: <status> }, createdAt, updatedAt, completedAt }
+* Воркер (STUDY_PLAN_V1) генерує програму курсу з itemCount тем, створює
+* задачу на кожну (planId у задачі) і веде itemStatuses (worker-function/plans.js).
+* status: QUEUED → PROCESSING (програма) → GENERATING (задачі) → DONE | PARTIAL
+* (частина задач з помилкою або скасована); ERROR — програму не вдалося згенерувати.
+* Квота: itemCount + 1 генерація при створенні плану.
+*/
+const MAX_BATCH_TOPICS = 50;
+const BATCH_WRITE_CHUNK = 25;
+const MIN_PLAN_ITEMS = 3;
+const MAX_PLAN_ITEMS = 30;
+const DEFAULT_PLAN_ITEMS = 10;
+
+const TASK_BATCH_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["topics"],
+    properties: {
+        // Вміст тем перевіряється поштучно — одна погана тема не відхиляє весь пакет
+        topics: { type: "array", minItems: 1, maxItems: MAX_BATCH_TOPICS, items: { type: "string" } },
+        ...TASK_OPTION_SCHEMAS,
+        llm: LLM_OVERRIDE_SCHEMA,
+    },
+};
+
+const STUDY_PLAN_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["subject"],
+    properties: {
+        subject: { ...TOPIC_SCHEMA, description: "Course or exam the plan is for" },
+        itemCount: { type: "integer", minimum: MIN_PLAN_ITEMS, maximum: MAX_PLAN_ITEMS, default: DEFAULT_PLAN_ITEMS },
+        ...TASK_OPTION_SCHEMAS,
+        llm: LLM_OVERRIDE_SCHEMA,
+    },
+};
+
+const planKey = (planId) => `PLAN#${planId}`;
+const planPartition = (userId) => `PLAN#${userId}`;
+
+const TERMINAL_TASK_STATUSES = ["DONE", "ERROR", "CANCELLED"];
+
+// Теми пакета: { index, topic } для валідних або FAILED-результат з причиною
+function checkBatchTopics(topics) {
+    const seen = new Set();
+    return topics.map((raw, index) => {
+        const { value, errors } = validate(TOPIC_SCHEMA, raw, { location: "body" });
+        if (errors.length) {
+            return { index, topic: raw, status: "FAILED", error: { code: "invalid_topic", message: `topic ${errors[0].message}` } };
+        }
+        const norm = value.toLowerCase().replace(/\s+/g, " ");
+        if (seen.has(norm)) {
+            return { index, topic: value, status: "FAILED", error: { code: "duplicate_topic", message: "topic repeats an earlier one in this batch" } };
+        }
+        seen.add(norm);
+        return { index, topic: value };
+    });
+}
+
+function planProgress(plan) {
+    const statuses = (plan.items || []).map((item) => plan.itemStatuses?.[item.taskId] || "QUEUED");
+    const count = (status) => statuses.filter((s) => s === status).length;
+    const total = statuses.length;
+    const finished = statuses.filter((s) => TERMINAL_TASK_STATUSES.includes(s)).length;
+    return {
+        total,
+        queued: count("QUEUED"),
+        processing: count("PROCESSING"),
+        done: count("DONE"),
+        error: count("ERROR"),
+        cancelled: count("CANCELLED"),
+        percent: total ? Math.round((finished / total) * 100) : 0,
+    };
+}
+
+function publicPlan(plan, { withItems = true } = {}) {
+    const { id, pk, userId, itemStatuses, progressSeq, llm, items, ...rest } = plan;
+    return {
+        ...rest,
+        progress: planProgress(plan),
+        ...(withItems
+            ? { items: (items || []).map((item) => ({ ...item, status: itemStatuses?.[item.taskId] || "QUEUED" })) }
+            : {}),
+    };
+}
+
+async function getOwnedPlan(tableName, planId, user) {
+    const out = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: planKey(planId) } }));
+    if (!out.Item) {
+        log.warn("DynamoDB Study plan not found", { planId });
+        return { response: res(404, { message: "Not Found" }) };
+    }
+    if (out.Item.userId !== user.id) {
+        log.warn("Auth Access denied for study plan", { planId, userId: user.id });
+        return { response: res(403, { message: "Access Denied" }) };
+    }
+    return { item: out.Item };
+}
+
+/**
+* --------------------------------------------
+* Налаштування сповіщень (GET/PATCH /me/notifications)
+* --------------------------------------------
+* Зберігаються в записі користувача { id: "USER#<userId>", notifications:
+* { locale, delivery } }; читає їх воркер (worker-function/notifications.js).
+* locale: null — мовою конспекту.
+*/
+const NOTIFICATION_LOCALES = ["uk", "en"];
+const NOTIFICATION_DELIVERY = ["instant", "digest", "off"];
+const DEFAULT_NOTIFICATIONS = { locale: null, delivery: "instant" };
+
+const NOTIFICATIONS_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    minProperties: 1,
+    properties: {
+        locale: { type: ["string", "null"], enum: [...NOTIFICATION_LOCALES, null], description: "null — the language of the notes" },
+        delivery: { type: "string", enum: NOTIFICATION_DELIVERY },
+    },
+};
+
+const NOTIFICATIONS_SCHEMA = {
+    type: "object",
+    properties: NOTIFICATIONS_BODY_SCHEMA.properties,
+};
+
+async function getNotificationSettings(tableName, userId) {
+    const out = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: `USER#${userId}` }, ProjectionExpression: "notifications" })
+    );
+    return { ...DEFAULT_NOTIFICATIONS, ...out.Item?.notifications };
+}
+
+/**
+* --------------------------------------------
+* Webhooks
+* --------------------------------------------
+* { id: "WEBHOOK#<webhookId>", pk: "WEBHOOK#<userId>", userId, webhookId, url, events,
+*   description, secret, status: "active" | "disabled", consecutiveFailures,
+*   disabledReason, lastDeliveryAt, lastStatusCode, createdAt, updatedAt }
+* Доставляє воркер (worker-function/webhooks.js) і пише журнал
+*   { id: "DELIVERY#<deliveryId>", pk: "DELIVERY#<webhookId>", event, payload,
+*     status, attemptCount, attempts, nextAttemptAt, createdAt, expiresAt }
+* secret віддається лише у відповіді на створення.
+*
+* URL з приватним IP-літералом або localhost відхиляється одразу (422);
+* імена, що резолвляться в приватні адреси, відсіює воркер під час доставки.
+*
+* Опції через env:
+*  - WEBHOOK_ALLOW_HTTP         (дефолт: false) — дозволити http:// (локальна розробка)
+*  - WEBHOOK_ALLOW_PRIVATE_URLS (дефолт: false) — дозволити приватні адреси (локальна розробка)
+*/
+const WEBHOOK_EVENTS = ["task.processing", "task.done", "task.error"];
+const MAX_WEBHOOKS = 10;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === "true";
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const webhookKey = (webhookId) => `WEBHOOK#${webhookId}`;
+const webhookPartition = (userId) => `WEBHOOK#${userId}`;
+
+// Без облікових даних у URL: host не може містити "@"
+const WEBHOOK_URL_SCHEMA = {
+    type: "string",
+    format: "uri",
+    maxLength: MAX_WEBHOOK_URL_LENGTH,
+    pattern: `^${WEBHOOK_ALLOW_HTTP ? "https?" : "https"}://[^/?#@\\s]+([/?#]\\S*)?$`,
+    "x-pattern-message": `must be an ${WEBHOOK_ALLOW_HTTP ? "http(s)" : "https"} URL without credentials`,
+};
+
+const webhookBodySchema = ({ partial }) => ({
+    type: "object",
+    additionalProperties: false,
+    ...(partial ? { minProperties: 1 } : { required: ["url", "events"] }),
+    properties: {
+        url: WEBHOOK_URL_SCHEMA,
+        events: { type: "array", minItems: 1, items: { type: "string", enum: WEBHOOK_EVENTS } },
+        description: { type: "string", "x-trim": true, maxLength: MAX_WEBHOOK_DESCRIPTION_LENGTH },
+        ...(partial ? { enabled: { type: "boolean", description: "true re-enables a disabled webhook" } } : {}),
+    },
+});
+
+// Тіло вже перевірене схемою — лише нормалізація
+function webhookFields(body) {
+    const out = {};
+    if (body.url !== undefined) out.url = new URL(body.url).href;
+    if (body.events !== undefined) out.events = [...new Set(body.events)];
+    if (body.description !== undefined) out.description = body.description;
+    if (body.enabled !== undefined) out.enabled = body.enabled;
+    return out;
+}
+
+// Схема перевіряє лише форму URL; куди він веде — тут. null або відповідь 422
+function rejectPrivateWebhookUrl(url) {
+    if (url === undefined || WEBHOOK_ALLOW_PRIVATE_URLS || !isPrivateHost(new URL(url).hostname)) return null;
+    log.warn("Validation Webhook URL points to a private network", { url });
+    return invalidRequest(422, "body", "url", "must not point to a private network");
+}
+
+function publicWebhook({ id, pk, userId, secret, ...webhook }) {
+    return webhook;
+}
+
+function publicDelivery({ id, pk, userId, payload, expiresAt, ...delivery }) {
+    let parsed = null;
+    try {
+        parsed = JSON.parse(payload);
+    } catch {
+        // payload завжди JSON, але журнал не має падати через один битий запис
+    }
+    return { ...delivery, payload: parsed };
+}
+
+async function listWebhooks(tableName, userId) {
+    const items = [];
+    let startKey = undefined;
+    do {
+        const out = await ddb.send(
+            new QueryCommand({
+                TableName: tableName,
+                IndexName: "byCreatedAt",
+                KeyConditionExpression: "pk = :p",
+                ExpressionAttributeValues: { ":p": webhookPartition(userId) },
+                ExclusiveStartKey: startKey,
+            })
+        );
+        items.push(...(out.Items || []));
+        startKey = out.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+}
+
+// Та сама перевірка власника, що й getOwnedTask: { item } або { response } з 404/403
+async function getOwnedWebhook(tableName, webhookId, user) {
+    const out = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: webhookKey(webhookId) } }));
+    if (!out.Item) {
+        log.warn("DynamoDB Webhook not found", { webhookId });
+        return { response: res(404, { message: "Not Found" }) };
+    }
+    if (out.Item.userId !== user.id) {
+        log.warn("Auth Access denied for webhook", { webhookId, userId: user.id });
+        return { response: res(403, { message: "Access Denied" }) };
+    }
+    return { item: out.Item };
+}
+
+/**
+* --------------------------------------------
+* Idempotency (POST /tasks з заголовком Idempotency-Key)
+* --------------------------------------------
+* Запис { id: "IDEMP#<userId>#<sha256(key)>", userId, requestHash, response, expiresAt }
+* (без pk — читається лише за id, в індекс byCreatedAt не потрапляє)
+* створюється в одній транзакції із задачею, тож повтор з тим самим ключем
+* або отримує збережену відповідь, або (інше тіло) — 409.
+* Повтор перевіряється до квоти і запису джерел: він нічого не списує.
+* `expiresAt` (epoch seconds) варто увімкнути як TTL-атрибут таблиці.
+*
+* Опції через env:
+*  - IDEMPOTENCY_TTL_SEC (дефолт: 86400 = 24 год)
+*/
+const IDEMPOTENCY_TTL_SEC = Number(process.env.IDEMPOTENCY_TTL_SEC || 24 * 60 * 60);
+
+// Стабільний JSON (ключі відсортовані), щоб { a, b } і { b, a } давали один хеш
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+        .sort()
+        .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function idempotencyRecordId(userId, key) {
+    return `IDEMP#${userId}#${crypto.createHash("sha256").update(key).digest("hex")}`;
+}
+
+// Відповідь на повтор із тим самим ключем: збережена 201 або 409, якщо тіло інше
+function idempotentReplay(record, requestHash, user) {
+    if (record.requestHash !== requestHash) {
+        log.warn("Idempotency Key reused with a different body");
+        return res(409, { message: "Idempotency-Key already used with a different request body" });
+    }
+    log.info("Idempotency Replay task", { taskId: record.taskId });
+    return res(record.response.statusCode, record.response.body, {
+        "X-User-ID": user.id,
+        "Idempotent-Replayed": "true",
+    });
+}
+
+// Чинний (не прострочений) запис ключа або null
+async function getIdempotencyRecord(tableName, recordId) {
+    const { Item } = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: recordId } }));
+    if (!Item || Item.expiresAt < Math.floor(Date.now() / 1000)) return null;
+    return Item;
+}
+
+function getIdempotencyKey(event) {
+    const key = event.headers?.["Idempotency-Key"] ?? event.headers?.["idempotency-key"];
+    return key == null ? null : String(key).trim();
+}
+
+/**
+* --------------------------------------------
+* Quotas & usage
+* --------------------------------------------
+* Лічильники по користувачу на UTC-день і місяць:
+*   { id: "USAGE#<userId>#<YYYY-MM-DD|YYYY-MM>", userId, period,
+*     tasks, tokens, inputTokens, outputTokens, costUsd, expiresAt }
+* без pk: лічильники читаються за id, в індексі byCreatedAt їм не місце.
+* `tasks` збільшує API при кожному запуску генерації (умовно, в межах ліміту),
+* токени й вартість додає воркер з `usage` відповіді LLM.
+*
+* Ліміти — за тарифом користувача (`tier` у записі { id: "USER#<userId>" }, дефолт "free").
+* Тарифи можна перевизначити в SSM:
+*  - /ai-studynotes/quota-tiers (JSON, опціонально) —
+*    { "free": { "dailyTasks": 20, "monthlyTasks": 200, "dailyTokens": ..., "monthlyTokens": ... }, ... }
+*    null або 0 — без ліміту.
+*/
+const DEFAULT_QUOTA_TIERS = {
+    free: { dailyTasks: 20, monthlyTasks: 200, dailyTokens: 200000, monthlyTokens: 2000000 },
+    pro: { dailyTasks: 200, monthlyTasks: 3000, dailyTokens: 4000000, monthlyTokens: 60000000 },
+};
+const DEFAULT_TIER = "free";
+
+const DAY_SEC = 24 * 60 * 60;
+
+// Поточні вікна обліку: UTC-день і UTC-місяць
+function usageWindows(date = new Date()) {
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const d = date.getUTCDate();
+    const dayReset = Date.UTC(y, m, d + 1);
+    const monthReset = Date.UTC(y, m + 1, 1);
+    return [
+        {
+            period: "day",
+            start: date.toISOString().slice(0, 10),
+            resetAt: dayReset,
+            expiresAt: dayReset / 1000 + 35 * DAY_SEC,
+            taskLimitKey: "dailyTasks",
+            tokenLimitKey: "dailyTokens",
+        },
+        {
+            period: "month",
+            start: date.toISOString().slice(0, 7),
+            resetAt: monthReset,
+            expiresAt: monthReset / 1000 + 400 * DAY_SEC,
+            taskLimitKey: "monthlyTasks",
+            tokenLimitKey: "monthlyTokens",
+        },
+    ];
+}
+
+const usageKey = (userId, window) => `USAGE#${userId}#${window.start}`;
+
+// Повертає одну генерацію у вікна, в яких її списали (chargedAt задачі;
+// у старих задач — createdAt). Лічильник за минулий день просто зменшується.
+async function refundTaskQuota(tableName, task) {
+    const chargedAt = task.chargedAt || task.createdAt;
+    if (!task.userId || !chargedAt) return;
+    for (const w of usageWindows(new Date(chargedAt))) {
+        try {
+            await ddb.send(
+                new UpdateCommand({
+                    TableName: tableName,
+                    Key: { id: usageKey(task.userId, w) },
+                    UpdateExpression: "ADD tasks :minus",
+                    ConditionExpression: "tasks > :zero",
+                    ExpressionAttributeValues: { ":minus": -1, ":zero": 0 },
+                })
+            );
+        } catch (err) {
+            if (err?.name !== "ConditionalCheckFailedException") throw err;
+        }
+    }
+    log.info("Quota Refund cancelled task", { taskId: task.id, userId: task.userId });
+}
+
+async function getQuotaLimits(tableName, userId, config) {
+    let tiers = DEFAULT_QUOTA_TIERS;
+    if (config["quota-tiers"]) {
+        try {
+            tiers = { ...DEFAULT_QUOTA_TIERS, ...JSON.parse(config["quota-tiers"]) };
+        } catch {
+            log.error("Config quota-tiers is not valid JSON — using defaults");
+        }
+    }
+    
+    const out = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: `USER#${userId}` }, ProjectionExpression: "tier" })
+    );
+    const tier = tiers[out.Item?.tier] ? out.Item.tier : DEFAULT_TIER;
+    return { tier, limits: tiers[tier] || {} };
+}
+
+async function getUsageCounters(tableName, userId, windows) {
+    const keys = windows.map((w) => ({ id: usageKey(userId, w) }));
+    const out = await ddb.send(new BatchGetCommand({ RequestItems: { [tableName]: { Keys: keys } } }));
+    const byId = new Map((out.Responses?.[tableName] || []).map((item) => [item.id, item]));
+    return windows.map((w) => byId.get(usageKey(userId, w)) || {});
+}
+
+const remaining = (limit, used) => (limit ? Math.max(0, limit - (used || 0)) : null);
+
+// Заголовки за найтіснішим вікном по задачах
+function rateLimitHeaders(windows, counters, limits) {
+    let tightest = null;
+    windows.forEach((w, i) => {
+        const limit = limits[w.taskLimitKey];
+        if (!limit) return;
+        const left = remaining(limit, counters[i].tasks);
+        if (!tightest || left < tightest.left) tightest = { limit, left, resetAt: w.resetAt };
+    });
+    if (!tightest) return {};
+    return {
+        "X-RateLimit-Limit": String(tightest.limit),
+        "X-RateLimit-Remaining": String(tightest.left),
+        "X-RateLimit-Reset": String(Math.ceil(tightest.resetAt / 1000)),
+    };
+}
+
+/**
+* Списує одну генерацію з квот користувача. Обидва вікна оновлюються в одній
+* транзакції з умовою на ліміт, тож паралельні запити не проскочать понад квоту.
+* Повертає { headers, refund } або { response } з 429.
+*/
+async function consumeQuota(tableName, userId, config, count = 1) {
+    const { tier, limits } = await getQuotaLimits(tableName, userId, config);
+    const windows = usageWindows();
+    
+    // tasks + count <= ліміт; для count > ліміту умова свідомо недосяжна
+    const updates = windows.map((w) => {
+        const conditions = [];
+        const values = { ":n": count, ":u": userId, ":p": w.period, ":exp": w.expiresAt };
+        if (limits[w.taskLimitKey]) {
+            conditions.push(`(${count <= limits[w.taskLimitKey] ? "attribute_not_exists(tasks) OR " : ""}tasks <= :taskMax)`);
+            values[":taskMax"] = limits[w.taskLimitKey] - count;
+        }
+        if (limits[w.tokenLimitKey]) {
+            conditions.push("(attribute_not_exists(tokens) OR tokens < :tokenLimit)");
+            values[":tokenLimit"] = limits[w.tokenLimitKey];
+        }
+        return {
+            Update: {
+                TableName: tableName,
+                Key: { id: usageKey(userId, w) },
+                UpdateExpression: "SET userId = :u, #p = :p, expiresAt = :exp ADD tasks :n",
+                ConditionExpression: conditions.length ? conditions.join(" AND ") : undefined,
+                ExpressionAttributeNames: { "#p": "period" },
+                ExpressionAttributeValues: values,
+            },
+        };
+    });
+    
+    try {
+        await ddb.send(new TransactWriteCommand({ TransactItems: updates }));
+    } catch (err) {
+        if (err?.name !== "TransactionCanceledException") throw err;
+        
+        const counters = await getUsageCounters(tableName, userId, windows);
+        const tasksShort = (w, j) => limits[w.taskLimitKey] && remaining(limits[w.taskLimitKey], counters[j].tasks) < count;
+        const exhausted = (w, j) => tasksShort(w, j) || remaining(limits[w.tokenLimitKey], counters[j].tokens) === 0;
+        const i = windows.findIndex(exhausted);
+        // Транзакція могла впасти через конфлікт, а не ліміт — хай клієнт повторить
+        if (i < 0) throw err;
+        
+        const w = windows[i];
+        const kind = tasksShort(w, i) ? "tasks" : "tokens";
+        log.warn("Quota Exceeded", { userId, period: w.period, kind, tier });
+        return {
+            response: res(
+                429,
+                {
+                    message: `${w.period === "day" ? "Daily" : "Monthly"} ${kind} quota exceeded`,
+                    code: "quota_exceeded",
+                    tier,
+                    period: w.period,
+                    limit: kind,
+                    resetAt: new Date(w.resetAt).toISOString(),
+                    ...(count > 1 ? { requested: count, remaining: remaining(limits[w.taskLimitKey], counters[i].tasks) } : {}),
+                },
+                {
+                    ...rateLimitHeaders(windows, counters, limits),
+                    "Retry-After": String(Math.max(1, Math.ceil((w.resetAt - Date.now()) / 1000))),
+                }
+            ),
+        };
+    }
+    
+    const counters = await getUsageCounters(tableName, userId, windows);
+    
+    // Генерація не відбулась (конфлікт, повтор за Idempotency-Key) — повертаємо списане
+    const refund = async (n = count) => {
+        if (n <= 0) return;
+        log.info("Quota Refund tasks", { count: n, userId });
+        await ddb.send(
+            new TransactWriteCommand({
+                TransactItems: windows.map((w) => ({
+                    Update: {
+                        TableName: tableName,
+                        Key: { id: usageKey(userId, w) },
+                        UpdateExpression: "ADD tasks :minus",
+                        ExpressionAttributeValues: { ":minus": -n },
+                    },
+                })),
+            })
+        );
+    };
+    
+    return { headers: rateLimitHeaders(windows, counters, limits), refund };
+}
+
+/**
+* --------------------------------------------
+* Versions (ревізії)
+* --------------------------------------------
+* Кожна зміна researchMd зберігається окремим записом
+*   { id: "<taskId>#v<n>", taskId, userId, version, researchMd,
+*     source, author, restoredFrom, createdAt }
+* без pk — версії читаються лише за id і не потрапляють в індекс byCreatedAt.
+* а в задачі лишається лічильник `version` з номером останньої.
+* source: "generation" (воркер), "edit" (PUT /tasks/{id}/content), "restore".
+* ETag задачі — номер версії, тож ручне редагування перевіряє If-Match.
+*/
+const versionKey = (taskId, version) => `${taskId}#v${version}`;
+
+async function getVersions(tableName, task) {
+    const count = Number(task.version || 0);
+    const versions = [];
+    // BatchGet приймає до 100 ключів за раз
+    for (let from = 1; from <= count; from += 100) {
+        const keys = [];
+        for (let v = from; v <= Math.min(count, from + 99); v++) keys.push({ id: versionKey(task.id, v) });
+        
+        let request = { [tableName]: { Keys: keys } };
+        while (request && Object.keys(request).length) {
+            const out = await ddb.send(new BatchGetCommand({ RequestItems: request }));
+            versions.push(...(out.Responses?.[tableName] || []));
+            request = out.UnprocessedKeys;
+        }
+    }
+    return versions.sort((a, b) => a.version - b.version);
+}
+
+// Задачі, згенеровані до появи версій, мають researchMd без запису версії —
+// зберігаємо його як v1 перед повторною генерацією, щоб не втратити
+async function snapshotLegacyVersion(tableName, task) {
+    if (task.version || !task.researchMd) return;
+    
+    log.info("DynamoDB Snapshot legacy researchMd as v1", { id: task.id });
+    await ddb.send(
+        new PutCommand({
+            TableName: tableName,
+            Item: {
+                id: versionKey(task.id, 1),
+                taskId: task.id,
+                userId: task.userId,
+                version: 1,
+                researchMd: task.researchMd,
+                createdAt: task.updatedAt,
+            },
+            ConditionExpression: "attribute_not_exists(id)",
+        })
+    );
+    await ddb.send(
+        new UpdateCommand({
+            TableName: tableName,
+            Key: { id: task.id },
+            UpdateExpression: "SET version = :v",
+            ConditionExpression: "attribute_not_exists(version)",
+            ExpressionAttributeValues: { ":v": 1 },
+        })
+    );
+}
+
+const MAX_CONTENT_LENGTH = 300000;
+
+const CONTENT_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["researchMd"],
+    properties: { researchMd: { type: "string", maxLength: MAX_CONTENT_LENGTH } },
+};
+
+const taskEtag = (task) => `"v${Number(task.version || 0)}"`;
+
+function getIfMatch(event) {
+    const value = event.headers?.["If-Match"] ?? event.headers?.["if-match"];
+    return value == null ? null : String(value).trim();
+}
+
+// If-Match: "*" або список ETag через кому; слабкі (W/) порівнюємо як сильні
+function ifMatchSatisfied(header, task) {
+    if (header === "*") return true;
+    const etag = taskEtag(task);
+    return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag);
+}
+
+function publicVersion(v, task) {
+    return {
+        version: v.version,
+        createdAt: v.createdAt,
+        length: (v.researchMd || "").length,
+        source: v.source || "generation",
+        author: v.author ?? null,
+        restoredFrom: v.restoredFrom ?? null,
+        current: v.version === task.version,
+    };
+}
+
+/**
+* Записує новий вміст як наступну версію. Задача оновлюється лише якщо її
+* версія не змінилась і вона DONE (не в процесі генерації), разом із записом
+* версії й документом пошуку — однією транзакцією. Повертає { task } або
+* { conflict: true }.
+*/
+async function commitVersion(tableName, task, researchMd, { source, author, restoredFrom = null }) {
+    await snapshotLegacyVersion(tableName, task);
+    const current = Number(task.version || (task.researchMd ? 1 : 0));
+    const next = current + 1;
+    const now = new Date().toISOString();
+    
+    try {
+        await ddb.send(
+            new TransactWriteCommand({
+                TransactItems: [
+                    {
+                        Update: {
+                            TableName: tableName,
+                            Key: { id: task.id },
+                            UpdateExpression: "SET researchMd = :md, version = :next, updatedAt = :t",
+                            ConditionExpression: current
+                            ? "#s = :done AND version = :current"
+                            : "#s = :done AND attribute_not_exists(version)",
+                            ExpressionAttributeNames: { "#s": "status" },
+                            ExpressionAttributeValues: {
+                                ":md": researchMd,
+                                ":next": next,
+                                ":t": now,
+                                ":done": "DONE",
+                                ...(current ? { ":current": current } : {}),
+                            },
+                        },
+                    },
+                    {
+                        Put: {
+                            TableName: tableName,
+                            Item: {
+                                id: versionKey(task.id, next),
+                                taskId: task.id,
+                                userId: task.userId,
+                                version: next,
+                                researchMd,
+                                source,
+                                author,
+                                restoredFrom,
+                                createdAt: now,
+                            },
+                            ConditionExpression: "attribute_not_exists(id)",
+                        },
+                    },
+                    {
+                        Put: {
+                            TableName: tableName,
+                            Item: buildSearchDoc({ ...task, status: "DONE", researchMd, updatedAt: now }),
+                        },
+                    },
+                ],
+            })
+        );
+    } catch (err) {
+        if (err?.name !== "TransactionCanceledException") throw err;
+        return { conflict: true };
+    }
+    return { task: { ...task, researchMd, version: next, updatedAt: now } };
+}
+
+// Версії, похідні матеріали (картки, тести), індекс і посилання живуть окремими записами поруч із задачею
+async function deleteTaskChildren(tableName, task) {
+    const ids = Object.keys(DERIVED_KINDS).map((kind) => derivedKey(task.id, kind));
+    ids.push(`${task.id}#search`);
+    for (let v = 1; v <= Number(task.version || 0); v++) ids.push(versionKey(task.id, v));
+    for (const share of await listTaskShares(tableName, task.id)) ids.push(share.id);
+    
+    // BatchWrite приймає до 25 запитів за раз
+    for (let i = 0; i < ids.length; i += 25) {
+        let request = {
+            [tableName]: ids.slice(i, i + 25).map((id) => ({ DeleteRequest: { Key: { id } } })),
+        };
+        while (request && Object.keys(request).length) {
+            const out = await ddb.send(new BatchWriteCommand({ RequestItems: request }));
+            request = out.UnprocessedItems;
+        }
+    }
+}
+
+/**
+* --------------------------------------------
+* Derived study material (флеш-картки, тести)
+* --------------------------------------------
+* Генерується воркером з researchMd готової задачі й зберігається в
+*   { id: "<taskId>#<kind>", taskId, userId, kind, status, data, count, error, ... }
+*/
+const DERIVED_KINDS = {
+    flashcards: { taskType: "FLASHCARDS_V1", defaultCount: 20 },
+    quiz: { taskType: "QUIZ_V1", defaultCount: 10 },
+};
+
+const DERIVED_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        count: { type: "integer", minimum: 1, maximum: 50, description: "Defaults to 20 flashcards or 10 questions" },
+    },
+};
+
+const derivedKey = (taskId, kind) => `${taskId}#${kind}`;
+
+function csvField(value) {
+    const str = String(value ?? "");
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Anki (2.1.54+) читає директиви з заголовка файлу; старіші версії просто пропускають рядки з "#"
+function flashcardsToAnkiCsv(cards) {
+    const lines = ["#separator:Comma", "#html:false", "#columns:Front,Back"];
+    for (const card of cards) lines.push(`${csvField(card.front)},${csvField(card.back)}`);
+    return lines.join("\n") + "\n";
+}
+
+/**
+* --------------------------------------------
+* Share links (публічне читання конспекту)
+* --------------------------------------------
+* Запис { id: "SHARE#<token>", pk: "SHARE#<taskId>", taskId, userId, createdAt,
+*   expiresAt, revokedAt, accessCount, lastAccessedAt }
+* Токен — 32 випадкові байти (base64url), він же ключ запису. `expiresAt` —
+* epoch seconds, тож TTL таблиці прибирає прострочені посилання автоматично.
+* GET /shared/{token} працює без автентифікації й не віддає даних власника.
+*/
+const MAX_SHARE_TTL_SEC = 365 * DAY_SEC;
+
+const shareKey = (token) => `SHARE#${token}`;
+const sharePartition = (taskId) => `SHARE#${taskId}`;
+
+function shareState(share, nowSec = Math.floor(Date.now() / 1000)) {
+    if (share.revokedAt) return "revoked";
+    if (share.expiresAt && share.expiresAt <= nowSec) return "expired";
+    return "active";
+}
+
+function publicShare(share) {
+    return {
+        token: share.token,
+        taskId: share.taskId,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt ? new Date(share.expiresAt * 1000).toISOString() : null,
+        revokedAt: share.revokedAt ?? null,
+        state: shareState(share),
+        accessCount: share.accessCount || 0,
+        lastAccessedAt: share.lastAccessedAt ?? null,
+    };
+}
+
+// body.expiresAt (ISO) або body.expiresInHours; без них — безстрокове
+const SHARE_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        expiresAt: { type: "string", format: "date-time" },
+        expiresInHours: { type: "number", exclusiveMinimum: 0 },
+    },
+};
+
+// Формат полів перевірено схемою; тут — взаємовиключність і діапазон.
+// Повертає { expiresAt } або { field, error }.
+function parseShareExpiry(body) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    let expiresAt = null;
+    if (body.expiresAt !== undefined && body.expiresInHours !== undefined) {
+        return { field: "expiresInHours", error: "must not be used together with 'expiresAt'" };
+    }
+    if (body.expiresAt !== undefined) {
+        expiresAt = Math.floor(Date.parse(body.expiresAt) / 1000);
+    } else if (body.expiresInHours !== undefined) {
+        expiresAt = nowSec + Math.round(body.expiresInHours * 3600);
+    }
+    if (expiresAt !== null && (expiresAt <= nowSec || expiresAt > nowSec + MAX_SHARE_TTL_SEC)) {
+        const field = body.expiresAt !== undefined ? "expiresAt" : "expiresInHours";
+        return { field, error: "must be in the future and at most 365 days ahead" };
+    }
+    return { expiresAt };
+}
+
+async function listTaskShares(tableName, taskId) {
+    const items = [];
+    let startKey = undefined;
+    do {
+        const out = await ddb.send(
+            new QueryCommand({
+                TableName: tableName,
+                IndexName: "byCreatedAt",
+                KeyConditionExpression: "pk = :p",
+                ExpressionAttributeValues: { ":p": sharePartition(taskId) },
+                ScanIndexForward: false,
+                ExclusiveStartKey: startKey,
+            })
+        );
+        items.push(...(out.Items || []));
+        startKey = out.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+}
+
+async function revokeShare(tableName, token, now) {
+    try {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: shareKey(token) },
+                UpdateExpression: "SET revokedAt = :t",
+                ConditionExpression: "attribute_exists(id) AND attribute_not_exists(revokedAt)",
+                ExpressionAttributeValues: { ":t": now },
+            })
+        );
+        return true;
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        return false;
+    }
+}
+
+// GET /shared/{token} — поза автентифікацією; 404 для невідомих, 410 для відкликаних/прострочених
+async function handleSharedRead(tableName, token) {
+    if (!token || !/^[A-Za-z0-9_-]{43}$/.test(token)) return res(404, { message: "Not Found" });
+    
+    const nowSec = Math.floor(Date.now() / 1000);
+    const now = new Date().toISOString();
+    let share;
+    try {
+        // Лічильник і перевірка стану — одним умовним оновленням
+        const out = await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: shareKey(token) },
+                UpdateExpression: "ADD accessCount :one SET lastAccessedAt = :t",
+                ConditionExpression:
+                "attribute_exists(id) AND attribute_not_exists(revokedAt) AND " +
+                "(attribute_not_exists(expiresAt) OR expiresAt > :now)",
+                ExpressionAttributeValues: { ":one": 1, ":t": now, ":now": nowSec },
+                ReturnValues: "ALL_NEW",
+            })
+        );
+        share = out.Attributes;
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        const out = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: shareKey(token) } }));
+        if (!out.Item) return res(404, { message: "Not Found" });
+        log.warn("Share Link unavailable", { state: shareState(out.Item, nowSec) });
+        return res(410, { message: "This share link has expired or was revoked" });
+    }
+    
+    const { Item: task } = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: share.taskId } }));
+    if (!isTaskItem(task)) return res(404, { message: "Not Found" });
+    
+    // Поки йде повторна генерація, віддаємо останню готову версію, а не чернетку
+    let researchMd = task.researchMd;
+    let updatedAt = task.updatedAt;
+    if (task.status !== "DONE") {
+        const { Item: version } = task.version
+        ? await ddb.send(new GetCommand({ TableName: tableName, Key: { id: versionKey(task.id, task.version) } }))
+        : {};
+        if (!version) return res(404, { message: "Not Found" });
+        researchMd = version.researchMd;
+        updatedAt = version.createdAt;
+    }
+    
+    log.info("Share Read task", { taskId: task.id, accessCount: share.accessCount });
+    return res(
+        200,
+        { topic: task.topic, researchMd, updatedAt },
+        { "Cache-Control": "no-store", "X-Robots-Tag": "noindex" }
+    );
+}
+
+/**
+* --------------------------------------------
+* Server-sent events (GET /tasks/{id}/events)
+* --------------------------------------------
+* API Gateway буферизує відповідь Lambda, тому це long-poll SSE: запит чекає
+* до SSE_MAX_WAIT_MS на нові зміни, віддає їх і завершується, а EventSource
+* перепідключається через `retry` з Last-Event-ID = "<status>:<довжина researchMd>".
+*
+* Події:
+*  - status — { status, updatedAt } при зміні статусу
+*  - chunk  — { offset, text } новий фрагмент researchMd (offset 0 + reset: true,
+*             якщо текст став коротшим за вже відданий)
+*  - done   — { status, researchMd, updatedAt } фінальний текст, після чого клієнт закриває стрім
+*  - error  — { status, error }
+*  - cancelled — { status, updatedAt } задачу скасовано (POST /tasks/{id}/cancel)
+*
+* Опції через env:
+*  - SSE_MAX_WAIT_MS (дефолт: 25000) — має бути менше за 29 с ліміту API Gateway
+*  - SSE_POLL_MS     (дефолт: 1000)
+*/
+const SSE_MAX_WAIT_MS = Number(process.env.SSE_MAX_WAIT_MS || 25000);
+const SSE_POLL_MS = Number(process.env.SSE_POLL_MS || 1000);
+const SSE_RETRY_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseEventId(lastEventId) {
+    const m = /^([A-Z_]+):(\d+)$/.exec(lastEventId || "");
+    return m ? { status: m[1], offset: Number(m[2]) } : { status: null, offset: 0 };
+}
+
+function taskEvents(item, since) {
+    const events = [];
+    const md = item.researchMd || "";
+    
+    if (item.status !== since.status) {
+        events.push({
+            event: "status",
+            id: `${item.status}:${since.offset}`,
+            data: { status: item.status, updatedAt: item.updatedAt },
+        });
+    }
+    if (md.length > since.offset) {
+        events.push({
+            event: "chunk",
+            id: `${item.status}:${md.length}`,
+            data: { offset: since.offset, text: md.slice(since.offset) },
+        });
+    } else if (md.length < since.offset) {
+        events.push({
+            event: "chunk",
+            id: `${item.status}:${md.length}`,
+            data: { offset: 0, text: md, reset: true },
+        });
+    }
+    
+    return events;
+}
+
+function terminalEvent(item) {
+    const id = `${item.status}:${(item.researchMd || "").length}`;
+    if (item.status === "DONE") {
+        return {
+            event: "done",
+            id,
+            data: { status: item.status, researchMd: item.researchMd || "", updatedAt: item.updatedAt },
+        };
+    }
+    if (item.status === "ERROR") {
+        return { event: "error", id, data: { status: item.status, error: item.error ?? null } };
+    }
+    if (item.status === "CANCELLED") {
+        return { event: "cancelled", id, data: { status: item.status, updatedAt: item.updatedAt } };
+    }
+    return null;
+}
+
+function formatSSE(events) {
+    let out = `retry: ${SSE_RETRY_MS}\n\n`;
+    for (const e of events) {
+        out += `id: ${e.id}\nevent: ${e.event}\ndata: ${JSON.stringify(e.data)}\n\n`;
+    }
+    // Коментар, щоб проксі не вважали порожню відповідь помилкою
+    if (!events.length) out += ": keep-alive\n\n";
+    return out;
+}
+
+/**
+* --------------------------------------------
+* Маршрути: схеми параметрів і тіл
+* --------------------------------------------
+* Один запис на маршрут handler: з нього validateRequest перевіряє запит до
+* обробника, а buildOpenApiDocument будує GET /openapi.json. Новий маршрут
+* без запису тут не перевіряється й не потрапляє в документ.
+* Обробник отримує вже нормалізовані значення: event.body — об'єкт,
+* queryStringParameters — лише описані параметри з приведеними типами.
+*/
+const API_TITLE = "AI Study Notes API";
+const API_VERSION = "1.0.0";
+
+const ID_PATH = { id: { schema: ID_SCHEMA } };
+const POSITIVE_INT = { type: "integer", minimum: 1 };
+const IF_MATCH_HEADER = { schema: { type: "string", maxLength: 100 }, description: "ETag from GET /tasks/{id}" };
+const SHARE_TOKEN_SCHEMA = {
+    type: "string",
+    pattern: "^[A-Za-z0-9_-]{16,128}$",
+    "x-pattern-message": "must be a share token",
+};
+
+const TASK_BODY_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["topic"],
+    properties: {
+        topic: TOPIC_SCHEMA,
+        ...TASK_OPTION_SCHEMAS,
+        llm: LLM_OVERRIDE_SCHEMA,
+        sources: SOURCES_SCHEMA,
+    },
+};
+
+export const ROUTES = [
+    {
+        method: "POST",
+        resource: "/tasks",
+        operationId: "createTask",
+        summary: "Create a task and queue generation",
+        tag: "Tasks",
+        headers: {
+            "Idempotency-Key": {
+                schema: { type: "string", "x-trim": true, minLength: 1, maxLength: 255 },
+                description: "Replays the first response for the same key and body",
+            },
+        },
+        body: TASK_BODY_SCHEMA,
+        responses: { 201: "Task queued", 409: "Idempotency-Key reused with a different body", 429: "Quota exceeded" },
+    },
+    {
+        method: "POST",
+        resource: "/tasks/batch",
+        operationId: "createTaskBatch",
+        summary: "Create up to 50 tasks with shared options",
+        tag: "Tasks",
+        body: TASK_BATCH_BODY_SCHEMA,
+        responses: {
+            201: "All topics queued: { items: [{ index, topic, status, id }], queued, failed }",
+            207: "Some topics failed: items with status FAILED carry { error: { code, message } }",
+            429: "Quota does not cover the batch",
+        },
+    },
+    {
+        method: "GET",
+        resource: "/tasks",
+        operationId: "listTasks",
+        summary: "List or search tasks",
+        tag: "Tasks",
+        query: TASK_LIST_QUERY,
+        responses: { 200: "{ items, cursor } (with q: also total)" },
+    },
+    { method: "GET", resource: "/tasks/{id}", operationId: "getTask", summary: "Get a task with researchMd", tag: "Tasks", path: ID_PATH, responses: { 200: "Task", 404: "Not found" } },
+    {
+        method: "PATCH",
+        resource: "/tasks/{id}",
+        operationId: "updateTaskMetadata",
+        summary: "Update tags, favourite or folder",
+        tag: "Tasks",
+        path: ID_PATH,
+        body: TASK_METADATA_SCHEMA,
+        responses: { 200: "Updated task", 404: "Not found", 409: "Concurrent change" },
+    },
+    { method: "DELETE", resource: "/tasks/{id}", operationId: "deleteTask", summary: "Delete a task", tag: "Tasks", path: ID_PATH, responses: { 204: "Deleted", 404: "Not found" } },
+    { method: "POST", resource: "/tasks/{id}/cancel", operationId: "cancelTask", summary: "Cancel a queued or running task", tag: "Tasks", path: ID_PATH, responses: { 200: "Cancelled", 409: "Task is not QUEUED or PROCESSING" } },
+    { method: "POST", resource: "/tasks/{id}/retry", operationId: "retryTask", summary: "Requeue a failed or cancelled task", tag: "Tasks", path: ID_PATH, responses: { 202: "Requeued", 409: "Task is not in ERROR or CANCELLED status", 429: "Quota exceeded" } },
+    { method: "POST", resource: "/tasks/{id}/regenerate", operationId: "regenerateTask", summary: "Regenerate a finished task", tag: "Tasks", path: ID_PATH, responses: { 202: "Requeued", 409: "Task is not in DONE status", 429: "Quota exceeded" } },
+    {
+        method: "GET",
+        resource: "/tasks/{id}/events",
+        operationId: "getTaskEvents",
+        summary: "Progress as server-sent events (long poll)",
+        tag: "Tasks",
+        path: ID_PATH,
+        query: { lastEventId: { schema: { type: "string", maxLength: 100 }, description: "For clients that cannot send headers" } },
+        headers: { "Last-Event-ID": { schema: { type: "string", maxLength: 100 } } },
+        responses: { 200: { description: "Event stream", schema: { type: "string" }, contentType: "text/event-stream" } },
+    },
+    {
+        method: "GET",
+        resource: "/tasks/{id}/export",
+        operationId: "exportTask",
+        summary: "Download the notes",
+        tag: "Tasks",
+        path: ID_PATH,
+        query: { format: { schema: { type: "string", enum: Object.keys(EXPORT_FORMATS), default: "html" } } },
+        responses: { 200: "File", 409: "Task is not in DONE status" },
+    },
+    { method: "GET", resource: "/tasks/{id}/versions", operationId: "listVersions", summary: "List versions", tag: "Versions", path: ID_PATH, responses: { 200: "{ items }" } },
+    { method: "GET", resource: "/tasks/{id}/revisions", operationId: "listRevisions", summary: "List revisions (alias of versions)", tag: "Versions", path: ID_PATH, responses: { 200: "{ items }" } },
+    {
+        method: "GET",
+        resource: "/tasks/{id}/versions/{version}",
+        operationId: "getVersion",
+        summary: "Get one version",
+        tag: "Versions",
+        path: { ...ID_PATH, version: { schema: POSITIVE_INT } },
+        responses: { 200: "Version", 404: "Not found" },
+    },
+    {
+        method: "GET",
+        resource: "/tasks/{id}/revisions/{revision}",
+        operationId: "getRevision",
+        summary: "Get one revision (alias of versions)",
+        tag: "Versions",
+        path: { ...ID_PATH, revision: { schema: POSITIVE_INT } },
+        responses: { 200: "Version", 404: "Not found" },
+    },
+    {
+        method: "GET",
+        resource: "/tasks/{id}/revisions/diff",
+        operationId: "diffRevisions",
+        summary: "Unified diff between two versions",
+        tag: "Versions",
+        path: ID_PATH,
+        query: {
+            from: { schema: POSITIVE_INT, required: true },
+            to: { schema: POSITIVE_INT, description: "Defaults to the current version" },
+        },
+        responses: { 200: "{ from, to, added, removed, unified }", 404: "Not found" },
+    },
+    {
+        method: "PUT",
+        resource: "/tasks/{id}/content",
+        operationId: "updateContent",
+        summary: "Edit researchMd",
+        tag: "Versions",
+        path: ID_PATH,
+        headers: { "If-Match": IF_MATCH_HEADER },
+        body: CONTENT_BODY_SCHEMA,
+        responses: { 200: "{ id, version, updatedAt }", 409: "Task is not in DONE status", 412: "ETag mismatch", 428: "If-Match missing" },
+    },
+    {
+        method: "POST",
+        resource: "/tasks/{id}/revisions/{revision}/restore",
+        operationId: "restoreRevision",
+        summary: "Make an old revision current",
+        tag: "Versions",
+        path: { ...ID_PATH, revision: { schema: POSITIVE_INT } },
+        headers: { "If-Match": IF_MATCH_HEADER },
+        responses: { 200: "{ id, version, restoredFrom, updatedAt }", 404: "Not found", 412: "ETag mismatch" },
+    },
+    ...Object.keys(DERIVED_KINDS).flatMap((kind) => [
+        {
+            method: "POST",
+            resource: `/tasks/{id}/${kind}`,
+            operationId: `generate${kind[0].toUpperCase()}${kind.slice(1)}`,
+            summary: `Generate ${kind} from the notes`,
+            tag: "Study material",
+            path: ID_PATH,
+            body: DERIVED_BODY_SCHEMA,
+            bodyRequired: false,
+            responses: { 202: "Queued", 409: "Task is not in DONE status", 429: "Quota exceeded" },
+        },
+        {
+            method: "GET",
+            resource: `/tasks/{id}/${kind}`,
+            operationId: `get${kind[0].toUpperCase()}${kind.slice(1)}`,
+            summary: `Get ${kind}`,
+            tag: "Study material",
+            path: ID_PATH,
+            query: { format: { schema: { type: "string", enum: ["csv"] }, description: "csv — Anki import (flashcards only)" } },
+            responses: { 200: "Status and data", 404: "Not found" },
+        },
+    ]),
+    {
+        method: "POST",
+        resource: "/tasks/{id}/share",
+        operationId: "createShare",
+        summary: "Create a public read-only link",
+        tag: "Sharing",
+        path: ID_PATH,
+        body: SHARE_BODY_SCHEMA,
+        bodyRequired: false,
+        responses: { 201: "Share link", 409: "Task is not in DONE status" },
+    },
+    { method: "GET", resource: "/tasks/{id}/share", operationId: "listShares", summary: "List share links", tag: "Sharing", path: ID_PATH, responses: { 200: "{ items }" } },
+    { method: "DELETE", resource: "/tasks/{id}/share", operationId: "revokeShares", summary: "Revoke all share links", tag: "Sharing", path: ID_PATH, responses: { 204: "Revoked" } },
+    {
+        method: "DELETE",
+        resource: "/tasks/{id}/share/{token}",
+        operationId: "revokeShare",
+        summary: "Revoke one share link",
+        tag: "Sharing",
+        path: { ...ID_PATH, token: { schema: SHARE_TOKEN_SCHEMA } },
+        responses: { 204: "Revoked", 404: "Not found" },
+    },
+    {
+        method: "GET",
+        resource: "/shared/{token}",
+        operationId: "readShared",
+        summary: "Read shared notes",
+        tag: "Sharing",
+        auth: false,
+        path: { token: { schema: SHARE_TOKEN_SCHEMA } },
+        responses: { 200: "{ topic, researchMd, updatedAt }", 404: "Not found", 410: "Revoked or expired" },
+    },
+    {
+        method: "POST",
+        resource: "/study-plans",
+        operationId: "createStudyPlan",
+        summary: "Generate a syllabus and one task per item",
+        tag: "Study plans",
+        body: STUDY_PLAN_BODY_SCHEMA,
+        responses: { 202: "Plan queued", 429: "Quota does not cover the plan" },
+    },
+    { method: "GET", resource: "/study-plans", operationId: "listStudyPlans", summary: "List study plans with progress", tag: "Study plans", responses: { 200: "{ items }" } },
+    {
+        method: "GET",
+        resource: "/study-plans/{id}",
+        operationId: "getStudyPlan",
+        summary: "Plan with items, task statuses and progress",
+        tag: "Study plans",
+        path: ID_PATH,
+        responses: { 200: "Plan", 404: "Not found" },
+    },
+    {
+        method: "POST",
+        resource: "/uploads",
+        operationId: "createUpload",
+        summary: "Presigned URL for a source file",
+        tag: "Sources",
+        body: UPLOAD_BODY_SCHEMA,
+        responses: { 201: "{ uploadId, uploadUrl, method, headers, expiresAt }", 501: "Uploads not configured" },
+    },
+    {
+        method: "POST",
+        resource: "/folders",
+        operationId: "createFolder",
+        summary: "Create a folder or course",
+        tag: "Folders",
+        body: folderBodySchema({ partial: false }),
+        responses: { 201: "Folder" },
+    },
+    { method: "GET", resource: "/folders", operationId: "listFolders", summary: "List folders", tag: "Folders", responses: { 200: "{ items }" } },
+    { method: "GET", resource: "/folders/{id}", operationId: "getFolder", summary: "Get a folder", tag: "Folders", path: ID_PATH, responses: { 200: "Folder", 404: "Not found" } },
+    {
+        method: "PATCH",
+        resource: "/folders/{id}",
+        operationId: "updateFolder",
+        summary: "Rename a folder or change its kind",
+        tag: "Folders",
+        path: ID_PATH,
+        body: folderBodySchema({ partial: true }),
+        responses: { 200: "Folder", 404: "Not found" },
+    },
+    { method: "DELETE", resource: "/folders/{id}", operationId: "deleteFolder", summary: "Delete a folder (tasks stay)", tag: "Folders", path: ID_PATH, responses: { 204: "Deleted", 404: "Not found" } },
+    {
+        method: "POST",
+        resource: "/webhooks",
+        operationId: "createWebhook",
+        summary: "Register a webhook",
+        tag: "Webhooks",
+        body: webhookBodySchema({ partial: false }),
+        responses: { 201: "Webhook with its secret", 409: "Too many webhooks" },
+    },
+    { method: "GET", resource: "/webhooks", operationId: "listWebhooks", summary: "List webhooks", tag: "Webhooks", responses: { 200: "{ items }" } },
+    { method: "GET", resource: "/webhooks/{id}", operationId: "getWebhook", summary: "Get a webhook", tag: "Webhooks", path: ID_PATH, responses: { 200: "Webhook", 404: "Not found" } },
+    {
+        method: "PATCH",
+        resource: "/webhooks/{id}",
+        operationId: "updateWebhook",
+        summary: "Update or re-enable a webhook",
+        tag: "Webhooks",
+        path: ID_PATH,
+        body: webhookBodySchema({ partial: true }),
+        responses: { 200: "Webhook", 404: "Not found" },
+    },
+    { method: "DELETE", resource: "/webhooks/{id}", operationId: "deleteWebhook", summary: "Delete a webhook", tag: "Webhooks", path: ID_PATH, responses: { 204: "Deleted", 404: "Not found" } },
+    {
+        method: "GET",
+        resource: "/webhooks/{id}/deliveries",
+        operationId: "listDeliveries",
+        summary: "Delivery log",
+        tag: "Webhooks",
+        path: ID_PATH,
+        query: { limit: LIMIT_PARAM, cursor: CURSOR_PARAM },
+        responses: { 200: "{ items, next }", 404: "Not found" },
+    },
+    { method: "GET", resource: "/me/usage", operationId: "getUsage", summary: "Usage and limits", tag: "Account", responses: { 200: "Daily and monthly usage" } },
+    {
+        method: "GET",
+        resource: "/me/notifications",
+        operationId: "getNotificationSettings",
+        summary: "Notification settings",
+        tag: "Account",
+        responses: { 200: { description: "Settings", schema: NOTIFICATIONS_SCHEMA } },
+    },
+    {
+        method: "PATCH",
+        resource: "/me/notifications",
+        operationId: "updateNotificationSettings",
+        summary: "Change notification settings",
+        tag: "Account",
+        body: NOTIFICATIONS_BODY_SCHEMA,
+        responses: { 200: { description: "Settings", schema: NOTIFICATIONS_SCHEMA } },
+    },
+    { method: "POST", resource: "/keys", operationId: "createApiKey", summary: "Create an API key", tag: "Account", body: API_KEY_BODY_SCHEMA, responses: { 201: "Key with the plain apiKey" } },
+    { method: "GET", resource: "/keys", operationId: "listApiKeys", summary: "List API keys", tag: "Account", responses: { 200: "{ items }" } },
+    { method: "DELETE", resource: "/keys/{id}", operationId: "revokeApiKey", summary: "Revoke an API key", tag: "Account", path: ID_PATH, responses: { 204: "Revoked", 404: "Not found" } },
+    {
+        method: "GET",
+        resource: "/openapi.json",
+        operationId: "getOpenApi",
+        summary: "This document",
+        tag: "Meta",
+        auth: false,
+        responses: { 200: "OpenAPI 3.1 document" },
+    },
+];
+
+// POST/GET /tasks матчилися за шляхом (proxy-інтеграція може не мати resource)
+function findRoute(event) {
+    const resource = event.resource && event.resource !== "/{proxy+}"
+    ? event.resource
+    : event.path?.endsWith("/tasks") ? "/tasks" : event.path;
+    return ROUTES.find((r) => r.method === event.httpMethod && r.resource === resource) || null;
+}
+
+/**
+* Перевіряє path, query, заголовки (400) і тіло (невалідний JSON — 400,
+* схема — 422). Повертає { response } або { event } з нормалізованими
+* pathParameters, queryStringParameters і body.
+*/
+function validateRequest(route, event) {
+    const errors = [];
+    const checked = {};
+    for (const [location, key, params] of [
+        ["path", "pathParameters", route.path],
+        ["query", "queryStringParameters", route.query],
+        ["header", "headers", route.headers],
+    ]) {
+        const { value, errors: paramErrors } = validateParams(params, event[key], { location });
+        errors.push(...paramErrors);
+        checked[key] = value;
+    }
+    if (errors.length) return { response: validationFailed(400, errors) };
+    
+    let body = event.body;
+    if (route.body) {
+        try {
+            body = typeof event.body === "string" && event.body ? JSON.parse(event.body) : event.body;
+        } catch {
+            return { response: invalidRequest(400, "body", "", "must be valid JSON") };
+        }
+        const result = validate(route.body, body ?? {}, { location: "body" });
+        if (result.errors.length) return { response: validationFailed(422, result.errors) };
+        body = result.value;
+    }
+    
+    return {
+        event: {
+            ...event,
+            pathParameters: { ...event.pathParameters, ...checked.pathParameters },
+            queryStringParameters: checked.queryStringParameters,
+            body,
+        },
+    };
+}
+
+const openApiCache = new Map();
+
+function getOpenApiDocument(event) {
+    const domain = event.requestContext?.domainName;
+    const stage = event.requestContext?.stage;
+    const serverUrl = domain ? `https://${domain}${stage && stage !== "$default" ? `/${stage}` : ""}` : undefined;
+    const cacheKey = serverUrl || "";
+    if (!openApiCache.has(cacheKey)) {
+        openApiCache.set(
+            cacheKey,
+            buildOpenApiDocument(ROUTES, {
+                title: API_TITLE,
+                version: API_VERSION,
+                description: "Study notes generated by an LLM from a topic and optional sources.",
+                serverUrl,
+            })
+        );
+    }
+    return openApiCache.get(cacheKey);
+}
+
+/**
+* --------------------------------------------
+* CORS
+* --------------------------------------------
+*/
+const cors = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers":
+    "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,Last-Event-ID,Idempotency-Key,If-Match," +
+    "X-Correlation-Id",
+    "Access-Control-Allow-Methods": "OPTIONS,GET,POST,PUT,PATCH,DELETE",
+    "Access-Control-Expose-Headers":
+    "WWW-Authenticate,X-User-ID,Idempotent-Replayed,Content-Disposition,ETag," +
+    "X-RateLimit-Limit,X-RateLimit-Remaining,X-RateLimit-Reset,Retry-After,X-Correlation-Id",
+};
+
+/**
+* --------------------------------------------
+* Lambda handler
+* --------------------------------------------
+*/
+const handleRequest = async (event) => {
+    log.info("API Incoming event", {
+        httpMethod: event?.httpMethod,
+        path: event?.path,
+        resource: event?.resource,
+        qs: event?.queryStringParameters,
+        pathParams: event?.pathParameters,
+    });
+    
+    try {
+        if (event.httpMethod === "OPTIONS") {
+            log.info("API OPTIONS preflight");
+            return { statusCode: 200, headers: cors, body: "" };
+        }
+        
+        // GET /openapi.json — опис API з тих самих схем, що й валідація (публічний)
+        if (event.httpMethod === "GET" && event.resource === "/openapi.json") {
+            log.info("Route GET /openapi.json");
+            return res(200, getOpenApiDocument(event), { "Cache-Control": "public, max-age=300" });
+        }
+
+        const config = await loadConfig();
+        
+        const tableName = config["dynamo-db-table-name"];
+        const queueUrl = config["sqs-queue-url"]; // може бути undefined
+        
+        if (!tableName) {
+            log.error("Config dynamo-db-table-name not set in SSM");
+            return res(500, { message: "dynamo-db-table-name not set" });
+        }
+        
+        const route = findRoute(event);
+        
+        // GET /shared/{token} — публічне посилання, без автентифікації
+        if (event.httpMethod === "GET" && event.resource === "/shared/{token}") {
+            log.info("Route GET /shared/{token}");
+            const checked = validateRequest(route, event);
+            if (checked.response) return checked.response;
+            return handleSharedRead(tableName, checked.event.pathParameters.token);
+        }
+        
+        // Отримуємо авторизованого користувача (без валідного токена/ключа — 401)
+        let user;
+        try {
+            user = await getAuthenticatedUser(event, config);
+            authorizeRoute(event, user);
+        } catch (err) {
+            if (err instanceof JwksUnavailableError) {
+                log.error("Auth JWKS unavailable", { error: err.message });
+                return res(503, { message: "Authentication service unavailable" }, { "Retry-After": "5" });
+            }
+            if (!(err instanceof AuthError)) throw err;
+            log.warn("Auth Rejected", { error: err.message });
+            return unauthorized(err);
+        }
+        log.info("Auth User authenticated", { userId: user.id, authType: user.authType });
+        setLogContext({ userId: user.id });
+        
+        // Схеми маршруту (ROUTES): далі обробники бачать уже перевірені значення
+        if (route) {
+            const checked = validateRequest(route, event);
+            if (checked.response) return checked.response;
+            event = checked.event;
+        }
+        
+        // POST /tasks/batch — кілька тем зі спільними опціями; результат по кожній темі
+        if (event.httpMethod === "POST" && event.resource === "/tasks/batch") {
+            log.info("Route POST /tasks/batch");
+            
+            const body = event.body;
+            const { options, taskType } = parseTaskOptions(body);
+            const llm = parseLlmOverride(body);
+            const results = checkBatchTopics(body.topics);
+            const pending = results.filter((r) => !r.status);
+            if (!pending.length) {
+                return validationFailed(
+                    422,
+                    results.map((r) => ({ location: "body", field: `topics[${r.index}]`, message: r.error.message }))
+                );
+            }
+            
+            const quota = await consumeQuota(tableName, user.id, config, pending.length);
+            if (quota.response) return quota.response;
+            
+            const now = new Date().toISOString();
+            const created = [];
+            for (let i = 0; i < pending.length; i += BATCH_WRITE_CHUNK) {
+                const chunk = pending.slice(i, i + BATCH_WRITE_CHUNK);
+                const items = chunk.map((r) => newTaskItem(user.id, { id: crypto.randomUUID(), topic: r.topic, taskType, options, llm, now }));
+                log.info("DynamoDB Transact put tasks", { count: items.length });
+                try {
+                    await ddb.send(
+                        new TransactWriteCommand({
+                            TransactItems: items.map((item) => ({
+                                Put: { TableName: tableName, Item: item, ConditionExpression: "attribute_not_exists(id)" },
+                            })),
+                        })
+                    );
+                } catch (err) {
+                    log.error("DynamoDB Batch chunk write failed", { error: err?.message || err });
+                    await quota.refund(chunk.length);
+                    for (const r of chunk) Object.assign(r, { status: "FAILED", error: { code: "write_failed", message: "could not save the task, please retry" } });
+                    continue;
+                }
+                chunk.forEach((r, j) => Object.assign(r, { status: "QUEUED", id: items[j].id }));
+                created.push(...items);
+            }
+            
+            const failedEnqueue = await enqueueTasks(
+                queueUrl,
+                created.map((item) => ({ id: item.id, topic: item.topic, options, llm, sources: null, requestedAt: now, taskType }))
+            );
+            for (const [id, message] of failedEnqueue) {
+                log.warn("SQS Not enqueued, marking ERROR", { id, error: message });
+                const error = { code: "enqueue_failed", message: "Task could not be queued", retryable: true };
+                await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id },
+                        UpdateExpression: "SET #s = :s, #e = :e, updatedAt = :t REMOVE inFlight",
+                        ExpressionAttributeNames: { "#s": "status", "#e": "error" },
+                        ExpressionAttributeValues: { ":s": "ERROR", ":e": error, ":t": new Date().toISOString() },
+                    })
+                );
+                Object.assign(results.find((r) => r.id === id), { status: "FAILED", error: { code: error.code, message: error.message } });
+            }
+            await quota.refund(failedEnqueue.size);
+            
+            const queued = results.filter((r) => r.status === "QUEUED").length;
+            const failed = results.length - queued;
+            log.info("Batch Tasks created", { queued, failed });
+            return res(failed ? 207 : 201, { items: results, queued, failed }, { "X-User-ID": user.id, ...quota.headers });
+        }
+        
+        // POST /tasks — створити задачу + (опц.) покласти в SQS
+        if (event.httpMethod === "POST" && event.path?.endsWith("/tasks")) {
+            log.info("Route POST /tasks");
+            
+            const body = event.body;
+            
+            const topic = body.topic;
+            const { options, taskType } = parseTaskOptions(body);
+            const llm = parseLlmOverride(body);
+            const parsedSources = parseSources(body);
+            const idempotencyKey = getIdempotencyKey(event);
+            const recordId = idempotencyKey ? idempotencyRecordId(user.id, idempotencyKey) : null;
+            const requestHash = idempotencyKey
+            ? crypto.createHash("sha256").update(canonicalJson(body)).digest("hex")
+            : null;
+            
+            // Повтор не списує квоту і не створює задачу — відповідаємо до всього іншого
+            if (recordId) {
+                const record = await getIdempotencyRecord(tableName, recordId);
+                if (record) return idempotentReplay(record, requestHash, user);
+            }
+            
+            const id = crypto.randomUUID();
+            let sources = null;
+            let sourceTexts = [];
+            if (parsedSources) {
+                const store = getObjectStore(config);
+                const resolved = await resolveSources(tableName, store, user.id, id, parsedSources);
+                if (resolved.response) return resolved.response;
+                ({ sources, texts: sourceTexts } = resolved);
+            }
+            
+            const quota = await consumeQuota(tableName, user.id, config);
+            if (quota.response) return quota.response;
+            
+            const now = new Date().toISOString();
+            
+            const item = {
+                ...newTaskItem(user.id, { id, topic, taskType, options, llm, now }),
+                ...(sources ? { sources } : {}),
+            };
+            
+            const responseBody = {
+                id,
+                topic,
+                options,
+                ...(sources ? { sources: publicSources(sources) } : {}),
+                status: "QUEUED",
+                createdAt: now,
+            };
+            
+            if (idempotencyKey) {
+                const nowSec = Math.floor(Date.now() / 1000);
+                
+                log.info("DynamoDB Transact put item + idempotency record", { id });
+                try {
+                    await ddb.send(
+                        new TransactWriteCommand({
+                            TransactItems: [
+                                {
+                                    Put: {
+                                        TableName: tableName,
+                                        Item: {
+                                            id: recordId,
+                                            userId: user.id,
+                                            taskId: id,
+                                            requestHash,
+                                            response: { statusCode: 201, body: responseBody },
+                                            createdAt: now,
+                                            expiresAt: nowSec + IDEMPOTENCY_TTL_SEC,
+                                        },
+                                        // TTL видаляє записи з запізненням — прострочений ключ можна перевикористати
+                                        ConditionExpression: "attribute_not_exists(id) OR expiresAt < :now",
+                                        ExpressionAttributeValues: { ":now": nowSec },
+                                    },
+                                },
+                                {
+                                    Put: {
+                                        TableName: tableName,
+                                        Item: item,
+                                        ConditionExpression: "attribute_not_exists(id)",
+                                    },
+                                },
+                            ],
+                        })
+                    );
+                } catch (err) {
+                    if (err?.name !== "TransactionCanceledException") throw err;
+                    
+                    // Паралельний запит з тим самим ключем встиг першим — квоту цього повертаємо
+                    const prev = await ddb.send(
+                        new GetCommand({ TableName: tableName, Key: { id: recordId } })
+                    );
+                    if (!prev.Item) throw err;
+                    await quota.refund();
+                    return idempotentReplay(prev.Item, requestHash, user);
+                }
+            } else {
+                log.info("DynamoDB Put item", { id });
+                await ddb.send(
+                    new PutCommand({
+                        TableName: tableName,
+                        Item: item,
+                        ConditionExpression: "attribute_not_exists(id)",
+                    })
+                );
+            }
+            
+            // Текст — лише після запису задачі (повтор, 409 чи збій транзакції не лишають
+            // сиріт у сховищі), але до черги: воркер читає його одразу з повідомленням
+            for (const { key, text } of sourceTexts) {
+                await getObjectStore(config).put(key, text, "text/plain; charset=utf-8");
+            }
+            
+            await enqueueTask(queueUrl, {
+                id,
+                topic,
+                options,
+                llm,
+                sources,
+                requestedAt: now,
+                taskType,
+            });
+            
+            return res(201, responseBody, { "X-User-ID": user.id, ...quota.headers });
+        }
+        
+        // GET /tasks — список (нові → старі) з фільтрами та курсором; ?q= — повнотекстовий пошук
+        if (
+            event.httpMethod === "GET" &&
+            event.path?.endsWith("/tasks") &&
+            event.resource !== "/tasks/{id}"
+        ) {
+            log.info("Route GET /tasks");
+            
+            const qs = event.queryStringParameters || {};
+            const limit = qs.limit ?? 25;
+            const { filters, field, error } = parseListFilters(qs);
+            if (error) return invalidRequest(400, "query", field, error);
+            
+            let startKey;
+            try {
+                startKey = qs.cursor ? decodeCursor(config, qs.cursor, user.id, filters) : undefined;
+            } catch (err) {
+                if (!(err instanceof CursorError) && !(err instanceof SyntaxError)) throw err;
+                log.warn("Validation Invalid cursor", { error: err.message });
+                return invalidRequest(400, "query", "cursor", "is invalid or belongs to another query");
+            }
+            const cursorFor = (next) => (next ? encodeCursor(config, user.id, filters, next) : null);
+            
+            if (filters.q) {
+                log.info("Search Query", { filters, userId: user.id });
+                const { items, total, next } = await searchTasks(tableName, user.id, filters, limit, startKey?.offset || 0);
+                log.info("Search Done", { total, returned: items.length });
+                return res(200, { items, total, cursor: cursorFor(next) }, { "X-User-ID": user.id });
+            }
+            
+            log.info("DynamoDB Query start (byCreatedAt)", { limit, startKey, filters, userId: user.id });
+            const { items, next } = await listTasksPage(tableName, user.id, filters, limit, startKey);
+            log.info("DynamoDB Query done", { count: items.length, hasMore: !!next });
+            
+            return res(200, { items, cursor: cursorFor(next) }, { "X-User-ID": user.id });
+        }
+        
+        // GET /tasks/{id} — один запис (включно з researchMd)
+        if (event.httpMethod === "GET" && event.resource === "/tasks/{id}") {
+            const id = event.pathParameters?.id;
+            log.info("Route GET /tasks/{id}", { id });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            log.info("DynamoDB Found item", { id });
+            return res(200, item, { "X-User-ID": user.id, ETag: taskEtag(item) });
+        }
+        
+        // PATCH /tasks/{id} — метадані: tags, favourite, folderId
+        if (event.httpMethod === "PATCH" && event.resource === "/tasks/{id}") {
+            const id = event.pathParameters?.id;
+            log.info("Route PATCH /tasks/{id}", { id });
+            
+            const body = event.body;
+            
+            const fields = Object.keys(body);
+            const set = ["updatedAt = :t"];
+            const remove = [];
+            const values = { ":t": new Date().toISOString(), ":u": user.id };
+            if (body.tags !== undefined) {
+                const tags = normalizeTags(body.tags);
+                if (tags.length) {
+                    set.push("tags = :tags");
+                    values[":tags"] = tags;
+                } else {
+                    remove.push("tags");
+                }
+            }
+            if (body.favourite !== undefined) {
+                set.push("favourite = :fav");
+                values[":fav"] = body.favourite;
+            }
+            const { response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const transactItems = [];
+            if (body.folderId) {
+                const folder = await getOwnedFolder(tableName, body.folderId, user);
+                if (folder.response) return invalidRequest(422, "body", "folderId", "must reference one of your folders");
+                set.push("folderId = :folder");
+                values[":folder"] = body.folderId;
+                // Папку можуть видалити паралельно — перевіряємо її в тій самій транзакції
+                transactItems.push({
+                    ConditionCheck: {
+                        TableName: tableName,
+                        Key: { id: folderKey(body.folderId) },
+                        ConditionExpression: "userId = :u",
+                        ExpressionAttributeValues: { ":u": user.id },
+                    },
+                });
+            } else if (body.folderId === null) {
+                remove.push("folderId");
+            }
+            
+            const update = {
+                TableName: tableName,
+                Key: { id },
+                UpdateExpression: `SET ${set.join(", ")}${remove.length ? ` REMOVE ${remove.join(", ")}` : ""}`,
+                ConditionExpression: "userId = :u",
+                ExpressionAttributeValues: values,
+            };
+            try {
+                if (transactItems.length) {
+                    await ddb.send(new TransactWriteCommand({ TransactItems: [...transactItems, { Update: update }] }));
+                } else {
+                    await ddb.send(new UpdateCommand(update));
+                }
+            } catch (err) {
+                if (!["TransactionCanceledException", "ConditionalCheckFailedException"].includes(err?.name)) throw err;
+                log.warn("DynamoDB Task or folder changed concurrently", { id });
+                return res(409, { message: "Task or folder was modified concurrently, please retry" });
+            }
+            
+            const out = await ddb.send(
+                new GetCommand({
+                    TableName: tableName,
+                    Key: { id },
+                    ProjectionExpression: TASK_LIST_PROJECTION,
+                    ExpressionAttributeNames: { "#s": "status" },
+                })
+            );
+            log.info("DynamoDB Updated metadata", { id, fields });
+            return res(200, toListItem(out.Item), { "X-User-ID": user.id });
+        }
+        
+        // POST /tasks/{id}/share — нове публічне посилання (лише для готових конспектів)
+        if (event.httpMethod === "POST" && event.resource === "/tasks/{id}/share") {
+            const id = event.pathParameters?.id;
+            log.info("Route POST /tasks/{id}/share", { id });
+            
+            const body = event.body;
+            
+            const { expiresAt, field, error } = parseShareExpiry(body);
+            if (error) return invalidRequest(422, "body", field, error);
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            if (item.status !== "DONE") {
+                log.warn("Validation Share requires DONE task", { status: item.status });
+                return res(409, { message: "Task must be in DONE status", status: item.status });
+            }
+            
+            const token = crypto.randomBytes(32).toString("base64url");
+            const share = {
+                id: shareKey(token),
+                pk: sharePartition(id),
+                token,
+                taskId: id,
+                userId: user.id,
+                createdAt: new Date().toISOString(),
+                accessCount: 0,
+                ...(expiresAt ? { expiresAt } : {}),
+            };
+            log.info("DynamoDB Put share", { taskId: id });
+            await ddb.send(
+                new PutCommand({ TableName: tableName, Item: share, ConditionExpression: "attribute_not_exists(id)" })
+            );
+            return res(201, publicShare(share), { "X-User-ID": user.id });
+        }
+        
+        // GET /tasks/{id}/share — усі посилання задачі (разом з відкликаними) і лічильники переглядів
+        if (event.httpMethod === "GET" && event.resource === "/tasks/{id}/share") {
+            const id = event.pathParameters?.id;
+            log.info("Route GET /tasks/{id}/share", { id });
+            
+            const { response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const items = (await listTaskShares(tableName, id)).map(publicShare);
+            return res(200, { items }, { "X-User-ID": user.id });
+        }
+        
+        // DELETE /tasks/{id}/share/{token} — відкликати одне; DELETE /tasks/{id}/share — усі
+        if (
+            event.httpMethod === "DELETE" &&
+            (event.resource === "/tasks/{id}/share" || event.resource === "/tasks/{id}/share/{token}")
+        ) {
+            const id = event.pathParameters?.id;
+            const token = event.pathParameters?.token;
+            log.info(`Route DELETE ${event.resource}`, { id });
+            
+            const { response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const now = new Date().toISOString();
+            if (token) {
+                const out = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: shareKey(token) } }));
+                if (!out.Item || out.Item.taskId !== id) return res(404, { message: "Not Found" });
+                await revokeShare(tableName, token, now);
+            } else {
+                let revoked = 0;
+                for (const share of await listTaskShares(tableName, id)) {
+                    if (await revokeShare(tableName, share.token, now)) revoked++;
+                }
+                log.info("DynamoDB Revoked shares", { revoked, taskId: id });
+            }
+            return res(204, "", { "X-User-ID": user.id });
+        }
+        
+        // DELETE /tasks/{id}
+        if (event.httpMethod === "DELETE" && event.resource === "/tasks/{id}") {
+            const id = event.pathParameters?.id;
+            log.info("Route DELETE /tasks/{id}", { id });
+            
+            // Спочатку перевіряємо чи задача існує та належить користувачу
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            await ddb.send(new DeleteCommand({ TableName: tableName, Key: { id } }));
+            await deleteTaskChildren(tableName, item);
+            await deleteSourceTexts(config, item);
+            log.info("DynamoDB Deleted task", { id, versions: item.version || 0 });
+            return res(204, "", { "X-User-ID": user.id });
+        }
+        
+        // POST /tasks/{id}/cancel — QUEUED/PROCESSING → CANCELLED. Воркер не запише
+        // результат у скасовану задачу й перерве генерацію на наступному записі
+        // прогресу; списана генерація повертається в квоту
+        if (event.httpMethod === "POST" && event.resource === "/tasks/{id}/cancel") {
+            const id = event.pathParameters?.id;
+            log.info("Route POST /tasks/{id}/cancel", { id });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const now = new Date().toISOString();
+            let cancelled;
+            try {
+                ({ Attributes: cancelled } = await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id },
+                        UpdateExpression: "SET #s = :c, cancelledAt = :t, updatedAt = :t REMOVE lastError, inFlight",
+                        ConditionExpression: "#s IN (:q, :p)",
+                        ExpressionAttributeNames: { "#s": "status" },
+                        ExpressionAttributeValues: { ":c": "CANCELLED", ":q": "QUEUED", ":p": "PROCESSING", ":t": now },
+                        ReturnValues: "ALL_NEW",
+                    })
+                ));
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                const { Item: current } = await ddb.send(new GetCommand({ TableName: tableName, Key: { id } }));
+                log.warn("Validation Cancel requires QUEUED or PROCESSING", { status: current?.status ?? item.status });
+                return res(409, { message: "Only QUEUED or PROCESSING tasks can be cancelled", status: current?.status ?? item.status });
+            }
+            
+            await refundTaskQuota(tableName, cancelled);
+            return res(
+                200,
+                { id, topic: cancelled.topic, status: cancelled.status, cancelledAt: now, updatedAt: now },
+                { "X-User-ID": user.id }
+            );
+        }
+        
+        // POST /tasks/{id}/retry (ERROR, CANCELLED) та /tasks/{id}/regenerate (DONE) — повторно в чергу з тим самим id
+        if (
+            event.httpMethod === "POST" &&
+            (event.resource === "/tasks/{id}/retry" || event.resource === "/tasks/{id}/regenerate")
+        ) {
+            const id = event.pathParameters?.id;
+            const action = event.resource.endsWith("/retry") ? "RETRY" : "REGENERATE";
+            // Скасовану задачу можна запустити знову так само, як і невдалу
+            const expectedStatuses = action === "RETRY" ? ["ERROR", "CANCELLED"] : ["DONE"];
+            const expectedStatus = expectedStatuses.join(" or ");
+            log.info(`Route POST ${event.resource}`, { id });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            if (!expectedStatuses.includes(item.status)) {
+                log.warn(`Validation ${action} requires status ${expectedStatus}`, { status: item.status });
+                return res(409, { message: `Task must be in ${expectedStatus} status`, status: item.status });
+            }
+            
+            const quota = await consumeQuota(tableName, user.id, config);
+            if (quota.response) return quota.response;
+            
+            if (action === "REGENERATE") await snapshotLegacyVersion(tableName, item);
+            
+            const now = new Date().toISOString();
+            try {
+                // Умова на статус — щоб два паралельні запити не поставили задачу в чергу двічі.
+                // Лічильники спроб (worker, reaper) рахуються для кожного запуску окремо
+                await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id },
+                        UpdateExpression:
+                        "SET #s = :q, inFlight = :q, updatedAt = :t, chargedAt = :t REMOVE #e, attempts, reapCount, cancelledAt",
+                        ConditionExpression: "#s = :seen",
+                        ExpressionAttributeNames: { "#s": "status", "#e": "error" },
+                        ExpressionAttributeValues: { ":q": "QUEUED", ":t": now, ":seen": item.status },
+                    })
+                );
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                log.warn("DynamoDB Status changed concurrently", { id });
+                await quota.refund();
+                return res(409, { message: `Task must be in ${expectedStatus} status` });
+            }
+            
+            await enqueueTask(queueUrl, {
+                id,
+                topic: item.topic,
+                options: item.options ?? null,
+                llm: item.llm ?? null,
+                sources: item.sources ?? null,
+                requestedAt: now,
+                taskType: item.taskType || "RESEARCH_SUMMARY_V1",
+                reason: action,
+            });
+            
+            return res(
+                202,
+                { id, topic: item.topic, status: "QUEUED", updatedAt: now },
+                { "X-User-ID": user.id, ...quota.headers }
+            );
+        }
+        
+        // GET /tasks/{id}/versions | /revisions — уся історія змін (без тексту)
+        if (
+            event.httpMethod === "GET" &&
+            (event.resource === "/tasks/{id}/versions" || event.resource === "/tasks/{id}/revisions")
+        ) {
+            const id = event.pathParameters?.id;
+            log.info(`Route GET ${event.resource}`, { id });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const versions = await getVersions(tableName, item);
+            const items = versions.map((v) => publicVersion(v, item));
+            return res(200, { items }, { "X-User-ID": user.id, ETag: taskEtag(item) });
+        }
+        
+        // GET /tasks/{id}/revisions/diff?from=&to= — unified diff між двома версіями (to — дефолт поточна)
+        if (event.httpMethod === "GET" && event.resource === "/tasks/{id}/revisions/diff") {
+            const id = event.pathParameters?.id;
+            const qs = event.queryStringParameters || {};
+            log.info("Route GET /tasks/{id}/revisions/diff", { id, query: qs });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const from = qs.from;
+            const to = qs.to ?? Number(item.version || 0);
+            if (to < 1) return invalidRequest(400, "query", "to", "is required while the task has no versions");
+            
+            const [a, b] = await Promise.all(
+                [from, to].map((v) => ddb.send(new GetCommand({ TableName: tableName, Key: { id: versionKey(id, v) } })))
+            );
+            if (!a.Item || !b.Item) {
+                log.warn("DynamoDB Version not found", { id, from, to });
+                return res(404, { message: "Not Found" });
+            }
+            
+            const ops = diffLines(a.Item.researchMd, b.Item.researchMd);
+            return res(
+                200,
+                {
+                    from,
+                    to,
+                    added: ops.filter((o) => o.op === "+").length,
+                    removed: ops.filter((o) => o.op === "-").length,
+                    unified: unifiedDiff(a.Item.researchMd, b.Item.researchMd, {
+                        fromLabel: `v${from}`,
+                        toLabel: `v${to}`,
+                    }),
+                },
+                { "X-User-ID": user.id }
+            );
+        }
+        
+        // PUT /tasks/{id}/content — ручне редагування researchMd (обов'язковий If-Match)
+        if (event.httpMethod === "PUT" && event.resource === "/tasks/{id}/content") {
+            const id = event.pathParameters?.id;
+            log.info("Route PUT /tasks/{id}/content", { id });
+            
+            const body = event.body;
+            
+            const ifMatch = getIfMatch(event);
+            if (!ifMatch) {
+                log.warn("Validation Missing If-Match");
+                return res(428, { message: "Header 'If-Match' with the task ETag is required" });
+            }
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            if (item.status !== "DONE") {
+                return res(409, { message: "Task must be in DONE status", status: item.status });
+            }
+            if (!ifMatchSatisfied(ifMatch, item)) {
+                log.warn("ETag Stale If-Match", { ifMatch, current: taskEtag(item) });
+                return res(412, { message: "Task was modified since it was read" }, { ETag: taskEtag(item) });
+            }
+            
+            const { task, conflict } = await commitVersion(tableName, item, body.researchMd, {
+                source: "edit",
+                author: user.id,
+            });
+            if (conflict) {
+                log.warn("DynamoDB Concurrent change", { id });
+                return res(412, { message: "Task was modified since it was read" });
+            }
+            
+            log.info("DynamoDB Edited content", { id, version: task.version });
+            return res(
+                200,
+                { id, version: task.version, updatedAt: task.updatedAt },
+                { "X-User-ID": user.id, ETag: taskEtag(task) }
+            );
+        }
+        
+        // POST /tasks/{id}/revisions/{revision}/restore — стара версія стає новою поточною
+        if (event.httpMethod === "POST" && event.resource === "/tasks/{id}/revisions/{revision}/restore") {
+            const id = event.pathParameters?.id;
+            const revision = Number(event.pathParameters?.revision);
+            log.info("Route POST /tasks/{id}/revisions/{revision}/restore", { id, revision });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            if (item.status !== "DONE") {
+                return res(409, { message: "Task must be in DONE status", status: item.status });
+            }
+            const ifMatch = getIfMatch(event);
+            if (ifMatch && !ifMatchSatisfied(ifMatch, item)) {
+                return res(412, { message: "Task was modified since it was read" }, { ETag: taskEtag(item) });
+            }
+            
+            const out = await ddb.send(
+                new GetCommand({ TableName: tableName, Key: { id: versionKey(id, revision) } })
+            );
+            if (!out.Item) {
+                log.warn("DynamoDB Version not found", { id, revision });
+                return res(404, { message: "Not Found" });
+            }
+            
+            const { task, conflict } = await commitVersion(tableName, item, out.Item.researchMd, {
+                source: "restore",
+                author: user.id,
+                restoredFrom: revision,
+            });
+            if (conflict) return res(412, { message: "Task was modified since it was read" });
+            
+            log.info("DynamoDB Restored revision", { id, revision, version: task.version });
+            return res(
+                200,
+                { id, version: task.version, restoredFrom: revision, updatedAt: task.updatedAt },
+                { "X-User-ID": user.id, ETag: taskEtag(task) }
+            );
+        }
+        
+        // GET /tasks/{id}/versions/{version} | /revisions/{revision} — текст конкретної версії
+        if (
+            event.httpMethod === "GET" &&
+            (event.resource === "/tasks/{id}/versions/{version}" || event.resource === "/tasks/{id}/revisions/{revision}")
+        ) {
+            const id = event.pathParameters?.id;
+            const version = Number(event.pathParameters?.version ?? event.pathParameters?.revision);
+            log.info(`Route GET ${event.resource}`, { id, version });
+            
+            const { response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const out = await ddb.send(
+                new GetCommand({ TableName: tableName, Key: { id: versionKey(id, version) } })
+            );
+            if (!out.Item) {
+                log.warn("DynamoDB Version not found", { id, version });
+                return res(404, { message: "Not Found" });
+            }
+            const { pk, id: _key, ...data } = out.Item;
+            return res(200, data, { "X-User-ID": user.id });
+        }
+        
+        // POST /tasks/{id}/flashcards | /tasks/{id}/quiz — згенерувати матеріал з готового конспекту
+        if (
+            event.httpMethod === "POST" &&
+            (event.resource === "/tasks/{id}/flashcards" || event.resource === "/tasks/{id}/quiz")
+        ) {
+            const id = event.pathParameters?.id;
+            const kind = event.resource.split("/").pop();
+            log.info(`Route POST ${event.resource}`, { id });
+            
+            const body = event.body;
+            
+            const count = body.count ?? DERIVED_KINDS[kind].defaultCount;
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            if (item.status !== "DONE") {
+                log.warn(`Validation ${kind} requires DONE task`, { status: item.status });
+                return res(409, { message: "Task must be in DONE status", status: item.status });
+            }
+            
+            const quota = await consumeQuota(tableName, user.id, config);
+            if (quota.response) return quota.response;
+            
+            const now = new Date().toISOString();
+            try {
+                // Не ставимо в чергу вдруге, поки попередня генерація ще триває
+                await ddb.send(
+                    new PutCommand({
+                        TableName: tableName,
+                        Item: {
+                            id: derivedKey(id, kind),
+                            taskId: id,
+                            userId: user.id,
+                            kind,
+                            count,
+                            status: "QUEUED",
+                            inFlight: "QUEUED",
+                            data: null,
+                            error: null,
+                            createdAt: now,
+                            updatedAt: now,
+                        },
+                        ConditionExpression: "attribute_not_exists(id) OR NOT (#s IN (:q, :p))",
+                        ExpressionAttributeNames: { "#s": "status" },
+                        ExpressionAttributeValues: { ":q": "QUEUED", ":p": "PROCESSING" },
+                    })
+                );
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                log.warn(`DynamoDB ${kind} already in progress`, { id });
+                await quota.refund();
+                return res(409, { message: `Generation of ${kind} is already in progress` });
+            }
+            
+            await enqueueTask(queueUrl, {
+                id,
+                topic: item.topic,
+                count,
+                llm: item.llm ?? null,
+                requestedAt: now,
+                taskType: DERIVED_KINDS[kind].taskType,
+            });
+            
+            return res(
+                202,
+                { taskId: id, kind, count, status: "QUEUED", updatedAt: now },
+                { "X-User-ID": user.id, ...quota.headers }
+            );
+        }
+        
+        // GET /tasks/{id}/flashcards | /tasks/{id}/quiz — статус і результат (?format=csv — Anki CSV для карток)
+        if (
+            event.httpMethod === "GET" &&
+            (event.resource === "/tasks/{id}/flashcards" || event.resource === "/tasks/{id}/quiz")
+        ) {
+            const id = event.pathParameters?.id;
+            const kind = event.resource.split("/").pop();
+            log.info(`Route GET ${event.resource}`, { id });
+            
+            const { response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const out = await ddb.send(
+                new GetCommand({ TableName: tableName, Key: { id: derivedKey(id, kind) } })
+            );
+            if (!out.Item) {
+                log.warn(`DynamoDB No ${kind}`, { id });
+                return res(404, { message: "Not Found" });
+            }
+            
+            const format = event.queryStringParameters?.format;
+            if (format === "csv") {
+                if (kind !== "flashcards") return invalidRequest(400, "query", "format", "csv is only available for flashcards");
+                if (out.Item.status !== "DONE") {
+                    return res(409, { message: "Flashcards are not ready", status: out.Item.status });
+                }
+                return res(200, flashcardsToAnkiCsv(out.Item.data.cards), {
+                    "Content-Type": "text/csv; charset=utf-8",
+                    "Content-Disposition": `attachment; filename="flashcards-${id}.csv"`,
+                    "X-User-ID": user.id,
+                });
+            }
+            
+            const { id: _key, ...data } = out.Item;
+            return res(200, data, { "X-User-ID": user.id });
+        }
+        
+        // GET /tasks/{id}/export?format=html|docx|epub|md — завантаження конспекту
+        if (event.httpMethod === "GET" && event.resource === "/tasks/{id}/export") {
+            const id = event.pathParameters?.id;
+            const format = event.queryStringParameters?.format || "html";
+            log.info("Route GET /tasks/{id}/export", { id, format });
+            
+            const { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            if (item.status !== "DONE") {
+                log.warn("Validation Export requires DONE task", { status: item.status });
+                return res(409, { message: "Task must be in DONE status", status: item.status });
+            }
+            
+            const file = renderExport(item, format);
+            const headers = {
+                "Content-Type": file.contentType,
+                "Content-Disposition": contentDisposition(item.topic, file.extension),
+                "X-User-ID": user.id,
+            };
+            log.info("Export Rendered file", { format, bytes: Buffer.byteLength(file.body) });
+            return file.binary ? binaryRes(200, file.body, headers) : res(200, file.body, headers);
+        }
+        
+        // GET /tasks/{id}/events — прогрес задачі як server-sent events
+        if (event.httpMethod === "GET" && event.resource === "/tasks/{id}/events") {
+            const id = event.pathParameters?.id;
+            log.info("Route GET /tasks/{id}/events", { id });
+            
+            let { item, response } = await getOwnedTask(tableName, id, user);
+            if (response) return response;
+            
+            const since = parseEventId(
+                event.headers?.["Last-Event-ID"] ||
+                event.headers?.["last-event-id"] ||
+                event.queryStringParameters?.lastEventId
+            );
+            const deadline = Date.now() + SSE_MAX_WAIT_MS;
+            
+            let events = taskEvents(item, since);
+            while (!events.length && !terminalEvent(item) && Date.now() + SSE_POLL_MS < deadline) {
+                await sleep(SSE_POLL_MS);
+                const out = await ddb.send(
+                    new GetCommand({ TableName: tableName, Key: { id } })
+                );
+                if (!out.Item) {
+                    log.warn("SSE Task disappeared", { id });
+                    return res(404, { message: "Not Found" });
+                }
+                item = out.Item;
+                events = taskEvents(item, since);
+            }
+            
+            const terminal = terminalEvent(item);
+            if (terminal) events.push(terminal);
+            
+            log.info("SSE Events", { id, events: events.map((e) => e.event) });
+            return res(200, formatSSE(events), {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                "X-User-ID": user.id,
+            });
+        }
+        
+        // POST /study-plans — програма курсу від LLM, далі по задачі на кожну тему
+        if (event.httpMethod === "POST" && event.resource === "/study-plans") {
+            log.info("Route POST /study-plans");
+            
+            const body = event.body;
+            const { options } = parseTaskOptions(body);
+            const llm = parseLlmOverride(body);
+            const itemCount = body.itemCount ?? DEFAULT_PLAN_ITEMS;
+            
+            const quota = await consumeQuota(tableName, user.id, config, itemCount + 1);
+            if (quota.response) return quota.response;
+            
+            const planId = crypto.randomUUID();
+            const now = new Date().toISOString();
+            const plan = {
+                id: planKey(planId),
+                pk: planPartition(user.id),
+                userId: user.id,
+                planId,
+                subject: body.subject,
+                options,
+                llm,
+                itemCount,
+                status: "QUEUED",
+                inFlight: "QUEUED",
+                title: null,
+                items: [],
+                error: null,
+                createdAt: now,
+                updatedAt: now,
+            };
+            log.info("DynamoDB Put study plan", { planId, itemCount });
+            try {
+                await ddb.send(
+                    new PutCommand({ TableName: tableName, Item: plan, ConditionExpression: "attribute_not_exists(id)" })
+                );
+            } catch (err) {
+                // Плану немає — списані теми й сама програма повертаються в квоту
+                await quota.refund(itemCount + 1);
+                throw err;
+            }
+            
+            try {
+                await enqueueTask(queueUrl, {
+                    id: planId,
+                    topic: body.subject,
+                    options,
+                    llm,
+                    count: itemCount,
+                    requestedAt: now,
+                    taskType: "STUDY_PLAN_V1",
+                });
+            } catch (err) {
+                // План уже записаний як QUEUED — reaper (REAPER_QUEUED_STALE_SEC) поставить його в чергу
+                // сам, тож клієнт отримує 202, а квота лишається списаною
+                log.error("SQS Study plan not enqueued, left for the reaper", { planId, error: err?.message || err });
+            }
+            
+            return res(202, publicPlan(plan), { "X-User-ID": user.id, ...quota.headers });
+        }
+        
+        // GET /study-plans — плани користувача (нові → старі) з прогресом, без тем
+        if (event.httpMethod === "GET" && event.resource === "/study-plans") {
+            log.info("Route GET /study-plans");
+            
+            const items = [];
+            let startKey = undefined;
+            do {
+                const out = await ddb.send(
+                    new QueryCommand({
+                        TableName: tableName,
+                        IndexName: "byCreatedAt",
+                        KeyConditionExpression: "pk = :p",
+                        ExpressionAttributeValues: { ":p": planPartition(user.id) },
+                        ScanIndexForward: false,
+                        ExclusiveStartKey: startKey,
+                    })
+                );
+                items.push(...(out.Items || []).map((plan) => publicPlan(plan, { withItems: false })));
+                startKey = out.LastEvaluatedKey;
+            } while (startKey);
+            
+            return res(200, { items }, { "X-User-ID": user.id });
+        }
+        
+        // GET /study-plans/{id} — теми, статуси їхніх задач і загальний прогрес
+        if (event.httpMethod === "GET" && event.resource === "/study-plans/{id}") {
+            const planId = event.pathParameters?.id;
+            log.info("Route GET /study-plans/{id}", { id: planId });
+            
+            const { item, response } = await getOwnedPlan(tableName, planId, user);
+            if (response) return response;
+            return res(200, publicPlan(item), { "X-User-ID": user.id });
+        }
+        
+        // POST /uploads — presigned URL для завантаження файлу-джерела (PDF/DOCX/TXT)
+        if (event.httpMethod === "POST" && event.resource === "/uploads") {
+            log.info("Route POST /uploads");
+            
+            const body = event.body;
+            
+            const fileName = body.fileName;
+            
+            const store = getObjectStore(config);
+            if (!store) return res(501, { message: "File uploads are not configured" });
+            
+            const uploadId = crypto.randomUUID();
+            const key = `uploads/${user.id}/${uploadId}`;
+            const now = new Date();
+            const uploadUrl = await store.presignPut(key, {
+                contentType: body.contentType,
+                contentLength: body.size,
+                expiresIn: UPLOAD_URL_TTL_SEC,
+            });
+            
+            log.info("DynamoDB Put upload", { uploadId, contentType: body.contentType, size: body.size });
+            await ddb.send(
+                new PutCommand({
+                    TableName: tableName,
+                    Item: {
+                        id: uploadKey(uploadId),
+                        pk: `UPLOAD#${user.id}`,
+                        userId: user.id,
+                        uploadId,
+                        fileName,
+                        contentType: body.contentType,
+                        size: body.size,
+                        key,
+                        createdAt: now.toISOString(),
+                        expiresAt: Math.floor(now.getTime() / 1000) + UPLOAD_TTL_SEC,
+                    },
+                    ConditionExpression: "attribute_not_exists(id)",
+                })
+            );
+            
+            return res(
+                201,
+                {
+                    uploadId,
+                    uploadUrl,
+                    method: "PUT",
+                    headers: { "Content-Type": body.contentType },
+                    expiresAt: new Date(now.getTime() + UPLOAD_URL_TTL_SEC * 1000).toISOString(),
+                },
+                { "X-User-ID": user.id }
+            );
+        }
+        
+        // POST /folders — створити папку або курс
+        if (event.httpMethod === "POST" && event.resource === "/folders") {
+            log.info("Route POST /folders");
+            
+            const body = event.body;
+            
+            const fields = folderFields(body, { partial: false });
+            
+            const folderId = crypto.randomUUID();
+            const now = new Date().toISOString();
+            const item = {
+                id: folderKey(folderId),
+                pk: folderPartition(user.id),
+                userId: user.id,
+                folderId,
+                ...fields,
+                createdAt: now,
+                updatedAt: now,
+            };
+            
+            log.info("DynamoDB Put folder", { folderId });
+            await ddb.send(
+                new PutCommand({ TableName: tableName, Item: item, ConditionExpression: "attribute_not_exists(id)" })
+            );
+            return res(201, publicFolder(item), { "X-User-ID": user.id });
+        }
+        
+        // GET /folders — папки користувача (старі → нові)
+        if (event.httpMethod === "GET" && event.resource === "/folders") {
+            log.info("Route GET /folders");
+            
+            const items = [];
+            let startKey = undefined;
+            do {
+                const out = await ddb.send(
+                    new QueryCommand({
+                        TableName: tableName,
+                        IndexName: "byCreatedAt",
+                        KeyConditionExpression: "pk = :p",
+                        ExpressionAttributeValues: { ":p": folderPartition(user.id) },
+                        ExclusiveStartKey: startKey,
+                    })
+                );
+                items.push(...(out.Items || []).map(publicFolder));
+                startKey = out.LastEvaluatedKey;
+            } while (startKey);
+            
+            log.info("DynamoDB Folders listed", { count: items.length });
+            return res(200, { items }, { "X-User-ID": user.id });
+        }
+        
+        // GET /folders/{id}
+        if (event.httpMethod === "GET" && event.resource === "/folders/{id}") {
+            const folderId = event.pathParameters?.id;
+            log.info("Route GET /folders/{id}", { id: folderId });
+            
+            const { item, response } = await getOwnedFolder(tableName, folderId, user);
+            if (response) return response;
+            return res(200, publicFolder(item), { "X-User-ID": user.id });
+        }
+        
+        // PATCH /folders/{id} — перейменувати / змінити kind
+        if (event.httpMethod === "PATCH" && event.resource === "/folders/{id}") {
+            const folderId = event.pathParameters?.id;
+            log.info("Route PATCH /folders/{id}", { id: folderId });
+            
+            const body = event.body;
+            
+            const fields = folderFields(body, { partial: true });
+            
+            const { response } = await getOwnedFolder(tableName, folderId, user);
+            if (response) return response;
+            
+            const names = {};
+            const values = { ":t": new Date().toISOString(), ":u": user.id };
+            const set = ["updatedAt = :t"];
+            for (const [key, value] of Object.entries(fields)) {
+                names[`#${key}`] = key;
+                values[`:${key}`] = value;
+                set.push(`#${key} = :${key}`);
+            }
+            try {
+                const { Attributes } = await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id: folderKey(folderId) },
+                        UpdateExpression: `SET ${set.join(", ")}`,
+                        ConditionExpression: "userId = :u",
+                        ExpressionAttributeNames: names,
+                        ExpressionAttributeValues: values,
+                        ReturnValues: "ALL_NEW",
+                    })
+                );
+                return res(200, publicFolder(Attributes), { "X-User-ID": user.id });
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                return res(404, { message: "Not Found" });
+            }
+        }
+        
+        // DELETE /folders/{id} — задачі папки лишаються, лише без folderId
+        if (event.httpMethod === "DELETE" && event.resource === "/folders/{id}") {
+            const folderId = event.pathParameters?.id;
+            log.info("Route DELETE /folders/{id}", { id: folderId });
+            
+            const { response } = await getOwnedFolder(tableName, folderId, user);
+            if (response) return response;
+            
+            // Спершу папка: після цього PATCH з цим folderId не пройде ConditionCheck,
+            // тож прибирання задач нижче нікого не пропустить
+            await ddb.send(new DeleteCommand({ TableName: tableName, Key: { id: folderKey(folderId) } }));
+            const unfiled = await unfileFolderTasks(tableName, user.id, folderId);
+            log.info("DynamoDB Deleted folder", { folderId, unfiled });
+            return res(204, "", { "X-User-ID": user.id });
+        }
+        
+        // POST /webhooks — зареєструвати вебхук (secret повертається лише тут)
+        if (event.httpMethod === "POST" && event.resource === "/webhooks") {
+            log.info("Route POST /webhooks");
+            
+            const body = event.body;
+            
+            const fields = webhookFields(body);
+            const privateUrl = rejectPrivateWebhookUrl(fields.url);
+            if (privateUrl) return privateUrl;
+            
+            const existing = await listWebhooks(tableName, user.id);
+            if (existing.length >= MAX_WEBHOOKS) {
+                return res(409, { message: `At most ${MAX_WEBHOOKS} webhooks per user` });
+            }
+            
+            const webhookId = crypto.randomUUID();
+            const now = new Date().toISOString();
+            const item = {
+                id: webhookKey(webhookId),
+                pk: webhookPartition(user.id),
+                userId: user.id,
+                webhookId,
+                description: "",
+                ...fields,
+                secret: `whsec_${crypto.randomBytes(32).toString("base64")}`,
+                status: "active",
+                consecutiveFailures: 0,
+                createdAt: now,
+                updatedAt: now,
+            };
+            
+            log.info("DynamoDB Put webhook", { webhookId, events: fields.events });
+            await ddb.send(
+                new PutCommand({ TableName: tableName, Item: item, ConditionExpression: "attribute_not_exists(id)" })
+            );
+            return res(201, { ...publicWebhook(item), secret: item.secret }, { "X-User-ID": user.id });
+        }
+        
+        // GET /webhooks — вебхуки користувача (без секретів)
+        if (event.httpMethod === "GET" && event.resource === "/webhooks") {
+            log.info("Route GET /webhooks");
+            const items = (await listWebhooks(tableName, user.id)).map(publicWebhook);
+            return res(200, { items }, { "X-User-ID": user.id });
+        }
+        
+        // GET /webhooks/{id}
+        if (event.httpMethod === "GET" && event.resource === "/webhooks/{id}") {
+            const webhookId = event.pathParameters?.id;
+            log.info("Route GET /webhooks/{id}", { id: webhookId });
+            
+            const { item, response } = await getOwnedWebhook(tableName, webhookId, user);
+            if (response) return response;
+            return res(200, publicWebhook(item), { "X-User-ID": user.id });
+        }
+        
+        // PATCH /webhooks/{id} — url, events, description; enabled: true вмикає вимкнений вебхук
+        if (event.httpMethod === "PATCH" && event.resource === "/webhooks/{id}") {
+            const webhookId = event.pathParameters?.id;
+            log.info("Route PATCH /webhooks/{id}", { id: webhookId });
+            
+            const body = event.body;
+            
+            const fields = webhookFields(body);
+            const privateUrl = rejectPrivateWebhookUrl(fields.url);
+            if (privateUrl) return privateUrl;
+            
+            const { response } = await getOwnedWebhook(tableName, webhookId, user);
+            if (response) return response;
+            
+            const { enabled, ...rest } = fields;
+            const names = {};
+            const values = { ":t": new Date().toISOString(), ":u": user.id };
+            const set = ["updatedAt = :t"];
+            const remove = [];
+            for (const [key, value] of Object.entries(rest)) {
+                names[`#${key}`] = key;
+                values[`:${key}`] = value;
+                set.push(`#${key} = :${key}`);
+            }
+            if (enabled !== undefined) {
+                names["#s"] = "status";
+                values[":s"] = enabled ? "active" : "disabled";
+                set.push("#s = :s");
+                if (enabled) {
+                    values[":zero"] = 0;
+                    set.push("consecutiveFailures = :zero");
+                    remove.push("disabledReason", "disabledAt");
+                } else {
+                    values[":r"] = "manual";
+                    set.push("disabledReason = :r", "disabledAt = :t");
+                }
+            }
+            try {
+                const { Attributes } = await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id: webhookKey(webhookId) },
+                        UpdateExpression: `SET ${set.join(", ")}${remove.length ? ` REMOVE ${remove.join(", ")}` : ""}`,
+                        ConditionExpression: "userId = :u",
+                        ExpressionAttributeNames: names,
+                        ExpressionAttributeValues: values,
+                        ReturnValues: "ALL_NEW",
+                    })
+                );
+                return res(200, publicWebhook(Attributes), { "X-User-ID": user.id });
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                return res(404, { message: "Not Found" });
+            }
+        }
+        
+        // DELETE /webhooks/{id} — журнал доставок зникне сам (TTL expiresAt)
+        if (event.httpMethod === "DELETE" && event.resource === "/webhooks/{id}") {
+            const webhookId = event.pathParameters?.id;
+            log.info("Route DELETE /webhooks/{id}", { id: webhookId });
+            
+            const { response } = await getOwnedWebhook(tableName, webhookId, user);
+            if (response) return response;
+            
+            await ddb.send(new DeleteCommand({ TableName: tableName, Key: { id: webhookKey(webhookId) } }));
+            log.info("DynamoDB Deleted webhook", { webhookId });
+            return res(204, "", { "X-User-ID": user.id });
+        }
+        
+        // GET /webhooks/{id}/deliveries — журнал доставок (нові → старі) з курсором
+        if (event.httpMethod === "GET" && event.resource === "/webhooks/{id}/deliveries") {
+            const webhookId = event.pathParameters?.id;
+            const qs = event.queryStringParameters || {};
+            log.info("Route GET /webhooks/{id}/deliveries", { id: webhookId });
+            
+            const limit = qs.limit ?? 25;
+            
+            const { response } = await getOwnedWebhook(tableName, webhookId, user);
+            if (response) return response;
+            
+            const scope = { webhookId };
+            let startKey;
+            try {
+                startKey = qs.cursor ? decodeCursor(config, qs.cursor, user.id, scope) : undefined;
+            } catch (err) {
+                if (!(err instanceof CursorError) && !(err instanceof SyntaxError)) throw err;
+                log.warn("Validation Invalid cursor", { error: err.message });
+                return invalidRequest(400, "query", "cursor", "is invalid or belongs to another query");
+            }
+            
+            const out = await ddb.send(
+                new QueryCommand({
+                    TableName: tableName,
+                    IndexName: "byCreatedAt",
+                    KeyConditionExpression: "pk = :p",
+                    ExpressionAttributeValues: { ":p": `DELIVERY#${webhookId}` },
+                    ScanIndexForward: false,
+                    Limit: limit,
+                    ExclusiveStartKey: startKey,
+                })
+            );
+            const next = out.LastEvaluatedKey ? encodeCursor(config, user.id, scope, out.LastEvaluatedKey) : null;
+            return res(200, { items: (out.Items || []).map(publicDelivery), next }, { "X-User-ID": user.id });
+        }
+        
+        // GET /me/usage — споживання за поточний день і місяць та ліміти тарифу
+        if (event.httpMethod === "GET" && event.resource === "/me/usage") {
+            log.info("Route GET /me/usage");
+            
+            const { tier, limits } = await getQuotaLimits(tableName, user.id, config);
+            const windows = usageWindows();
+            const counters = await getUsageCounters(tableName, user.id, windows);
+            
+            const usage = Object.fromEntries(
+                windows.map((w, i) => {
+                    const c = counters[i];
+                    return [
+                        w.period,
+                        {
+                            start: w.start,
+                            resetAt: new Date(w.resetAt).toISOString(),
+                            tasks: c.tasks || 0,
+                            tokens: c.tokens || 0,
+                            inputTokens: c.inputTokens || 0,
+                            outputTokens: c.outputTokens || 0,
+                            costUsd: Number((c.costUsd || 0).toFixed(6)),
+                            limits: { tasks: limits[w.taskLimitKey] || null, tokens: limits[w.tokenLimitKey] || null },
+                            remaining: {
+                                tasks: remaining(limits[w.taskLimitKey], c.tasks),
+                                tokens: remaining(limits[w.tokenLimitKey], c.tokens),
+                            },
+                        },
+                    ];
+                })
+            );
+            
+            return res(200, { userId: user.id, tier, ...usage }, {
+                "X-User-ID": user.id,
+                ...rateLimitHeaders(windows, counters, limits),
+            });
+        }
+        
+        // GET /me/notifications — мова і спосіб доставки сповіщень
+        if (event.httpMethod === "GET" && event.resource === "/me/notifications") {
+            log.info("Route GET /me/notifications");
+            const settings = await getNotificationSettings(tableName, user.id);
+            return res(200, settings, { "X-User-ID": user.id });
+        }
+        
+        // PATCH /me/notifications — { locale?, delivery? }
+        if (event.httpMethod === "PATCH" && event.resource === "/me/notifications") {
+            log.info("Route PATCH /me/notifications");
+            
+            const body = event.body;
+            
+            const settings = { ...(await getNotificationSettings(tableName, user.id)), ...body };
+            await ddb.send(
+                new UpdateCommand({
+                    TableName: tableName,
+                    Key: { id: `USER#${user.id}` },
+                    UpdateExpression: "SET notifications = :n",
+                    ExpressionAttributeValues: { ":n": settings },
+                })
+            );
+            log.info("DynamoDB Notification settings", { userId: user.id, settings });
+            return res(200, settings, { "X-User-ID": user.id });
+        }
+        
+        // POST /keys — створити API-ключ (відкритий ключ повертається лише тут)
+        if (event.httpMethod === "POST" && event.resource === "/keys") {
+            log.info("Route POST /keys");
+            
+            const body = event.body;
+            
+            const name = body.name ?? "";
+            const scopes = body.scopes;
+            
+            const { keyId, apiKey } = generateApiKey();
+            const now = new Date().toISOString();
+            const item = {
+                id: `APIKEY#${keyId}`,
+                pk: apiKeyPartition(user.id),
+                userId: user.id,
+                keyId,
+                name,
+                scopes: [...new Set(scopes)],
+                keyHash: hashApiKey(apiKey),
+                createdAt: now,
+                updatedAt: now,
+                revokedAt: null,
+            };
+            
+            log.info("DynamoDB Put API key", { keyId });
+            await ddb.send(
+                new PutCommand({
+                    TableName: tableName,
+                    Item: item,
+                    ConditionExpression: "attribute_not_exists(id)",
+                })
+            );
+            
+            return res(201, { ...publicApiKey(item), apiKey }, { "X-User-ID": user.id });
+        }
+        
+        // GET /keys — ключі користувача (без хешів)
+        if (event.httpMethod === "GET" && event.resource === "/keys") {
+            log.info("Route GET /keys");
+            
+            const items = [];
+            let startKey = undefined;
+            do {
+                const out = await ddb.send(
+                    new QueryCommand({
+                        TableName: tableName,
+                        IndexName: "byCreatedAt",
+                        KeyConditionExpression: "pk = :p",
+                        ExpressionAttributeValues: { ":p": apiKeyPartition(user.id) },
+                        ScanIndexForward: false,
+                        ExclusiveStartKey: startKey,
+                    })
+                );
+                items.push(...(out.Items || []).map(publicApiKey));
+                startKey = out.LastEvaluatedKey;
+            } while (startKey);
+            
+            log.info("DynamoDB API keys listed", { count: items.length });
+            return res(200, { items }, { "X-User-ID": user.id });
+        }
+        
+        // DELETE /keys/{id} — відкликати ключ (запис лишається для аудиту)
+        if (event.httpMethod === "DELETE" && event.resource === "/keys/{id}") {
+            const keyId = event.pathParameters?.id;
+            log.info("Route DELETE /keys/{id}", { id: keyId });
+            
+            const getOut = await ddb.send(
+                new GetCommand({ TableName: tableName, Key: { id: `APIKEY#${keyId}` } })
+            );
+            if (!getOut.Item) {
+                log.warn("DynamoDB API key not found", { keyId });
+                return res(404, { message: "Not Found" });
+            }
+            if (getOut.Item.userId !== user.id) {
+                log.warn("Auth Access denied for API key", { keyId, userId: user.id });
+                return res(403, { message: "Access Denied" });
+            }
+            
+            if (!getOut.Item.revokedAt) {
+                const now = new Date().toISOString();
+                await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id: `APIKEY#${keyId}` },
+                        UpdateExpression: "SET revokedAt = :t, updatedAt = :t",
+                        ConditionExpression: "attribute_exists(id)",
+                        ExpressionAttributeValues: { ":t": now },
+                    })
+                );
+            }
+            log.info("DynamoDB Revoked API key", { keyId });
+            return res(204, "", { "X-User-ID": user.id });
+        }
+        
+        log.warn("API No route match", { httpMethod: event.httpMethod, path: event.path, resource: event.resource });
+        return res(404, { message: "Not Found" });
+    } catch (err) {
+        log.error("API Unhandled error", { error: err });
+        return res(500, { message: "Server error", error: err?.message });
+    }
+};
+
+/**
+* --------------------------------------------
+* Кореляція і метрики запиту
+* --------------------------------------------
+* X-Correlation-Id з запиту (якщо валідний) або requestId API Gateway стає
+* correlationId усіх логів запиту; він же йде атрибутом повідомлень SQS,
+* тож воркер, вебхуки і DLQ логують ту саму ланку. Id повертається в
+* заголовку X-Correlation-Id. На кожен запит — один підсумковий рядок логу
+* і метрики Requests, Latency, Error4xx, Error5xx з виміром Route.
+*/
+function requestCorrelationId(event) {
+    const header = event?.headers?.["X-Correlation-Id"] ?? event?.headers?.["x-correlation-id"];
+    return normalizeCorrelationId(header) || normalizeCorrelationId(event?.requestContext?.requestId) || newCorrelationId();
+}
+
+export const handler = (event, context) => {
+    const correlationId = requestCorrelationId(event);
+    return withLogContext({ service: "api", correlationId, requestId: context?.awsRequestId }, async () => {
+        const startedAt = Date.now();
+        const response = await handleRequest(event);
+        const statusCode = response?.statusCode ?? 500;
+        const latency = Date.now() - startedAt;
+        // Лише шаблон маршруту: сирий шлях (id, токени посилань) дав би
+        // необмежену кількість значень виміру
+        const route = event?.resource ? `${event.httpMethod} ${event.resource}` : "unmatched";
+
+        log.info("API Done", { route, statusCode, latencyMs: latency });
+        emitMetrics(
+            {
+                Requests: 1,
+                Latency: latency,
+                Error4xx: statusCode >= 400 && statusCode < 500 ? 1 : 0,
+                Error5xx: statusCode >= 500 ? 1 : 0,
+            },
+            { Route: route },
+            { statusCode }
+        );
+        return { ...response, headers: { ...response?.headers, "X-Correlation-Id": correlationId } };
+    });
+};
+
+function res(statusCode, data, additionalHeaders = {}) {
+    const payload = typeof data === "string" ? data : JSON.stringify(data);
+    const headers = { ...cors, ...additionalHeaders };
+    // Тіло не логуємо: у ньому нотатки, токени посилань і ключі API
+    log.debug("API Response", { statusCode, bytes: Buffer.byteLength(payload ?? "") });
+    return { statusCode, headers, body: payload };
+}
+
+// Бінарні відповіді (docx, epub) — base64 з isBase64Encoded; у REST API
+// відповідні media types мають бути додані в binaryMediaTypes
+function binaryRes(statusCode, buffer, additionalHeaders = {}) {
+    const headers = { ...cors, ...additionalHeaders };
+    log.info("API Response (binary)", { statusCode, bytes: buffer.length });
+    return { statusCode, headers, body: buffer.toString("base64"), isBase64Encoded: true };
+}
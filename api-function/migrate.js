@@ -0,0 +1,211 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, PutCommand, ScanCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { loadConfig, taskPartition, apiKeyPartition } from "./index.js";
+import { buildSearchDoc } from "../shared/search.js";
+import { log } from "../shared/logger.js";
+
+/**
+* --------------------------------------------
+* Міграція: pk = "TASK" → pk = "TASK#<userId>", pk = "APIKEY" → "APIKEY#<userId>",
+* pk = "VERSION" | "IDEMPOTENCY" | "USAGE" → без pk
+* --------------------------------------------
+* Переносить задачі й API-ключі зі спільних партицій у партиції власників,
+* щоб GET /tasks і GET /keys читали лише дані користувача. Записам, які
+* індекс не читає (версії, ключі ідемпотентності, лічильники квот), pk
+* прибирається — вони випадають з byCreatedAt.
+* Запускається як
+* окрема Lambda (handler "migrate.handler" з тим самим пакетом api-function)
+* або локально.
+*
+* Ідемпотентна й відновлювана: кожен запис оновлюється з умовою на старий pk,
+* тож повторний запуск нічого не зламає. Якщо час Lambda закінчується,
+* повертає { done: false, startKey } — передайте його в наступний виклик.
+*
+* Подія (усе опціонально):
+*  { "dryRun": true, "startKey": {...}, "segment": 0, "totalSegments": 4, "backfill": "search" }
+* segment/totalSegments — паралельний Scan кількома одночасними викликами.
+* backfill: "search" — замість переносу партицій пише документи пошуку
+* DONE-задачам, завершеним до появи індексу (див. backfillSearchDocs);
+* "in-flight" — проставляє inFlight записам QUEUED/PROCESSING, щоб reaper
+* бачив їх в індексі byInFlight (див. backfillInFlight).
+*/
+// Старий pk → партиція власника; null — прибрати pk
+const LEGACY_PARTITIONS = { TASK: taskPartition, APIKEY: apiKeyPartition, VERSION: null, IDEMPOTENCY: null, USAGE: null };
+const LEGACY_VALUES = Object.fromEntries(Object.keys(LEGACY_PARTITIONS).map((pk, i) => [`:legacy${i}`, pk]));
+const SAFETY_MARGIN_MS = 30 * 1000;
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+export async function migrateTaskPartitions(tableName, { dryRun = false, startKey, segment, totalSegments, shouldStop } = {}) {
+    const stats = { scanned: 0, migrated: 0, skipped: 0 };
+    let lastKey = startKey;
+
+    do {
+        const out = await ddb.send(
+            new ScanCommand({
+                TableName: tableName,
+                FilterExpression: `pk IN (${Object.keys(LEGACY_VALUES).join(", ")})`,
+                ProjectionExpression: "id, pk, userId",
+                ExpressionAttributeValues: LEGACY_VALUES,
+                ExclusiveStartKey: lastKey,
+                ...(totalSegments ? { Segment: segment, TotalSegments: totalSegments } : {}),
+            })
+        );
+        lastKey = out.LastEvaluatedKey;
+
+        for (const item of out.Items || []) {
+            stats.scanned++;
+            // Без userId задача вважається "anonymous" (як у getOwnedTask)
+            const partition = LEGACY_PARTITIONS[item.pk];
+            const pk = partition ? partition(item.userId || "anonymous") : null;
+            if (dryRun) {
+                stats.migrated++;
+                continue;
+            }
+            try {
+                await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id: item.id },
+                        UpdateExpression: pk ? "SET pk = :pk" : "REMOVE pk",
+                        ConditionExpression: "pk = :legacy",
+                        ExpressionAttributeValues: { ...(pk ? { ":pk": pk } : {}), ":legacy": item.pk },
+                    })
+                );
+                stats.migrated++;
+            } catch (err) {
+                // Запис видалили або вже перенесли паралельно
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                stats.skipped++;
+            }
+        }
+
+        log.info("Migration Progress", { stats, hasMore: !!lastKey });
+    } while (lastKey && !shouldStop?.());
+
+    return { ...stats, done: !lastKey, startKey: lastKey ?? null, dryRun };
+}
+
+/**
+* Документ пошуку для кожної DONE-задачі, у якої його ще немає. Документ
+* пишеться з умовою attribute_not_exists — свіжіший, записаний воркером чи
+* редагуванням паралельно, не перезаписується.
+*/
+export async function backfillSearchDocs(tableName, { dryRun = false, startKey, segment, totalSegments, shouldStop } = {}) {
+    const stats = { scanned: 0, indexed: 0, skipped: 0 };
+    let lastKey = startKey;
+
+    do {
+        const out = await ddb.send(
+            new ScanCommand({
+                TableName: tableName,
+                FilterExpression: "begins_with(pk, :task) AND #s = :done",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":task": "TASK#", ":done": "DONE" },
+                ExclusiveStartKey: lastKey,
+                ...(totalSegments ? { Segment: segment, TotalSegments: totalSegments } : {}),
+            })
+        );
+        lastKey = out.LastEvaluatedKey;
+
+        for (const task of out.Items || []) {
+            stats.scanned++;
+            if (dryRun) {
+                stats.indexed++;
+                continue;
+            }
+            try {
+                await ddb.send(
+                    new PutCommand({
+                        TableName: tableName,
+                        Item: buildSearchDoc(task),
+                        ConditionExpression: "attribute_not_exists(id)",
+                    })
+                );
+                stats.indexed++;
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                stats.skipped++;
+            }
+        }
+
+        log.info("Migration Progress", { stats, hasMore: !!lastKey });
+    } while (lastKey && !shouldStop?.());
+
+    return { ...stats, done: !lastKey, startKey: lastKey ?? null, dryRun };
+}
+
+/**
+* inFlight = status для записів у роботі, створених до появи byInFlight.
+* Умова на той самий status: запис, який воркер саме завершив, атрибут не
+* отримає і в індекс не потрапить.
+*/
+export async function backfillInFlight(tableName, { dryRun = false, startKey, segment, totalSegments, shouldStop } = {}) {
+    const stats = { scanned: 0, marked: 0, skipped: 0 };
+    let lastKey = startKey;
+
+    do {
+        const out = await ddb.send(
+            new ScanCommand({
+                TableName: tableName,
+                FilterExpression: "#s IN (:q, :p) AND attribute_not_exists(inFlight)",
+                ProjectionExpression: "id, #s",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":q": "QUEUED", ":p": "PROCESSING" },
+                ExclusiveStartKey: lastKey,
+                ...(totalSegments ? { Segment: segment, TotalSegments: totalSegments } : {}),
+            })
+        );
+        lastKey = out.LastEvaluatedKey;
+
+        for (const item of out.Items || []) {
+            stats.scanned++;
+            if (dryRun) {
+                stats.marked++;
+                continue;
+            }
+            try {
+                await ddb.send(
+                    new UpdateCommand({
+                        TableName: tableName,
+                        Key: { id: item.id },
+                        UpdateExpression: "SET inFlight = :s",
+                        ConditionExpression: "#s = :s",
+                        ExpressionAttributeNames: { "#s": "status" },
+                        ExpressionAttributeValues: { ":s": item.status },
+                    })
+                );
+                stats.marked++;
+            } catch (err) {
+                if (err?.name !== "ConditionalCheckFailedException") throw err;
+                stats.skipped++;
+            }
+        }
+
+        log.info("Migration Progress", { stats, hasMore: !!lastKey });
+    } while (lastKey && !shouldStop?.());
+
+    return { ...stats, done: !lastKey, startKey: lastKey ?? null, dryRun };
+}
+
+const BACKFILLS = { search: backfillSearchDocs, "in-flight": backfillInFlight };
+
+export const handler = async (event = {}, context) => {
+    const config = await loadConfig();
+    const tableName = config["dynamo-db-table-name"];
+    if (!tableName) throw new Error("dynamo-db-table-name not set");
+
+    const run = event.backfill ? BACKFILLS[event.backfill] : migrateTaskPartitions;
+    if (!run) throw new Error(`Unknown backfill: ${event.backfill}`);
+
+    log.info("Migration Start", { event });
+    const result = await run(tableName, {
+        dryRun: !!event.dryRun,
+        startKey: event.startKey || undefined,
+        segment: event.segment,
+        totalSegments: event.totalSegments,
+        shouldStop: () => (context?.getRemainingTimeInMillis?.() ?? Infinity) < SAFETY_MARGIN_MS,
+    });
+    log.info("Migration Result", { result });
+    return result;
+};
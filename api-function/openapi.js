@@ -0,0 +1,117 @@
+/**
+* --------------------------------------------
+* OpenAPI 3.1 з таблиці маршрутів
+* --------------------------------------------
+* buildOpenApiDocument(routes, { title, version, description, serverUrl })
+* Маршрут (див. ROUTES в index.js):
+*   { method, resource, operationId, summary, tag, auth, path, query, headers,
+*     body, bodyRequired, responses: { "<code>": "опис" | { description, schema, contentType } } }
+* path/query/headers — { name: { schema, required, description } }, ті самі
+* схеми, якими shared/validation.js перевіряє запити, тож документ не розходиться з
+* реальною валідацією. 400/422/401/403 додаються автоматично.
+*/
+
+const ERROR_SCHEMA = {
+    type: "object",
+    required: ["message"],
+    properties: { message: { type: "string" } },
+};
+
+const VALIDATION_ERROR_SCHEMA = {
+    type: "object",
+    required: ["message", "errors"],
+    properties: {
+        message: { type: "string", examples: ["Request validation failed"] },
+        errors: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["location", "field", "message"],
+                properties: {
+                    location: { type: "string", enum: ["path", "query", "header", "body"] },
+                    field: { type: "string", description: "Path to the field, e.g. sources[0].url; empty for the whole body" },
+                    message: { type: "string" },
+                },
+            },
+        },
+    },
+};
+
+const errorResponse = (description, ref = "Error") => ({
+    description,
+    content: { "application/json": { schema: { $ref: `#/components/schemas/${ref}` } } },
+});
+
+function parameters(location, params = {}) {
+    return Object.entries(params).map(([name, spec]) => ({
+        name,
+        in: location,
+        required: location === "path" ? true : Boolean(spec.required),
+        ...(spec.description ? { description: spec.description } : {}),
+        schema: spec.schema,
+    }));
+}
+
+function responses(route) {
+    const out = {};
+    for (const [code, spec] of Object.entries(route.responses || {})) {
+        const { description, schema, contentType = "application/json" } = typeof spec === "string" ? { description: spec } : spec;
+        out[code] = { description, ...(schema ? { content: { [contentType]: { schema } } } : {}) };
+    }
+    const hasParams = [route.path, route.query, route.headers].some((p) => p && Object.keys(p).length);
+    if (hasParams || route.body) out["400"] ??= errorResponse("Invalid JSON, path, query or header parameters", "ValidationError");
+    if (route.body) out["422"] ??= errorResponse("Request body failed validation", "ValidationError");
+    if (route.auth !== false) {
+        out["401"] ??= errorResponse("Missing or invalid credentials");
+        out["403"] ??= errorResponse("Insufficient scope or not the owner");
+    }
+    return out;
+}
+
+export function buildOpenApiDocument(routes, { title, version, description, serverUrl } = {}) {
+    const paths = {};
+    for (const route of routes) {
+        const operation = {
+            operationId: route.operationId,
+            summary: route.summary,
+            ...(route.tag ? { tags: [route.tag] } : {}),
+            ...(route.auth === false ? { security: [] } : {}),
+            parameters: [
+                ...parameters("path", route.path),
+                ...parameters("query", route.query),
+                ...parameters("header", route.headers),
+            ],
+            ...(route.body
+                ? {
+                    requestBody: {
+                        required: route.bodyRequired !== false,
+                        content: { "application/json": { schema: route.body } },
+                    },
+                }
+                : {}),
+            responses: responses(route),
+        };
+        if (!operation.parameters.length) delete operation.parameters;
+        (paths[route.resource] ??= {})[route.method.toLowerCase()] = operation;
+    }
+
+    return {
+        openapi: "3.1.0",
+        info: { title, version, ...(description ? { description } : {}) },
+        ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+        security: [{ bearerAuth: [] }, { apiKey: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                    description: "Cognito ID token (full access) or access token (scopes notes/read, notes/write)",
+                },
+                apiKey: { type: "apiKey", in: "header", name: "X-Api-Key", description: "API key from POST /keys" },
+            },
+            schemas: { Error: ERROR_SCHEMA, ValidationError: VALIDATION_ERROR_SCHEMA },
+        },
+    };
+}
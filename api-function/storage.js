@@ -0,0 +1,154 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+* --------------------------------------------
+* Сховище файлів джерел (S3 або локальна тека)
+* --------------------------------------------
+* Завантаження йдуть напряму клієнтом за presigned PUT URL, API лише видає
+* URL і перевіряє, що об'єкт з'явився. Ключі генерує API:
+*   uploads/<userId>/<uploadId>              — файли, завантажені клієнтом
+*   sources/<userId>/<taskId>/<sourceId>.txt — вставлений текст
+*
+*  - S3:    SSM /ai-studynotes/sources-bucket-name. Клієнт S3 і presigner
+*           підвантажуються ліниво (є в рантаймі Lambda).
+*  - Local: env LOCAL_STORAGE_DIR — тека на диску замість бакета, для
+*           локальної розробки. URL завантаження — LOCAL_STORAGE_URL/<key>
+*           з HMAC-підписом; приймає його acceptUpload (локальний сервер).
+*           Воркер читає ту саму теку.
+*
+* Джерело можна підмінити через setObjectStore(store), як setJwksSource.
+*/
+const LOCAL_STORAGE_URL = process.env.LOCAL_STORAGE_URL || "http://localhost:3000/_storage";
+const LOCAL_STORAGE_SECRET = process.env.LOCAL_STORAGE_SECRET || crypto.randomBytes(32).toString("hex");
+
+function s3Store(bucket) {
+    let clients = null;
+    const load = async () => {
+        if (clients) return clients;
+        const s3 = await import("@aws-sdk/client-s3");
+        const { getSignedUrl } = await import("@aws-sdk/s3-request-presigner");
+        clients = { s3, getSignedUrl, client: new s3.S3Client({}) };
+        return clients;
+    };
+
+    return {
+        kind: "s3",
+        async presignPut(key, { contentType, contentLength, expiresIn }) {
+            const { s3, getSignedUrl, client } = await load();
+            const command = new s3.PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                ContentLength: contentLength,
+            });
+            return getSignedUrl(client, command, { expiresIn });
+        },
+        async head(key) {
+            const { s3, client } = await load();
+            try {
+                const out = await client.send(new s3.HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: out.ContentLength, contentType: out.ContentType };
+            } catch (err) {
+                if (err?.name === "NotFound" || err?.$metadata?.httpStatusCode === 404) return null;
+                throw err;
+            }
+        },
+        async put(key, body, contentType) {
+            const { s3, client } = await load();
+            await client.send(new s3.PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+        async delete(key) {
+            const { s3, client } = await load();
+            await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+}
+
+// Поруч з файлом — <file>.meta.json з contentType (як метадані об'єкта в S3)
+function localStore(dir) {
+    const root = path.resolve(dir);
+    const fileFor = (key) => {
+        const file = path.resolve(root, ...String(key).split("/"));
+        if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return file;
+    };
+    const sign = (key, expires, contentType) =>
+        crypto.createHmac("sha256", LOCAL_STORAGE_SECRET).update(`${key}\n${expires}\n${contentType}`).digest("base64url");
+
+    const store = {
+        kind: "local",
+        root,
+        async presignPut(key, { contentType, expiresIn }) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const qs = new URLSearchParams({ expires: String(expires), signature: sign(key, expires, contentType) });
+            return `${LOCAL_STORAGE_URL}/${key}?${qs}`;
+        },
+        async head(key) {
+            try {
+                const [stat, meta] = await Promise.all([
+                    fs.stat(fileFor(key)),
+                    fs.readFile(`${fileFor(key)}.meta.json`, "utf8").then(JSON.parse).catch(() => ({})),
+                ]);
+                return { size: stat.size, contentType: meta.contentType };
+            } catch (err) {
+                if (err?.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+        async put(key, body, contentType) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+            await fs.writeFile(`${file}.meta.json`, JSON.stringify({ contentType }));
+        },
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true });
+            await fs.rm(`${fileFor(key)}.meta.json`, { force: true });
+        },
+        /**
+        * Приймає PUT на URL з presignPut (для локального сервера).
+        * Повертає { statusCode, message } — 200 або 403/400, як відповів би S3.
+        */
+        async acceptUpload(url, body, contentType) {
+            const parsed = new URL(url, LOCAL_STORAGE_URL);
+            const prefix = new URL(LOCAL_STORAGE_URL).pathname.replace(/\/$/, "") + "/";
+            if (!parsed.pathname.startsWith(prefix)) return { statusCode: 404, message: "Not Found" };
+
+            const key = decodeURIComponent(parsed.pathname.slice(prefix.length));
+            const expires = Number(parsed.searchParams.get("expires"));
+            const signature = parsed.searchParams.get("signature") || "";
+            const expected = sign(key, expires, contentType || "");
+            if (
+                signature.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+            ) {
+                return { statusCode: 403, message: "SignatureDoesNotMatch" };
+            }
+            if (!expires || expires < Date.now() / 1000) return { statusCode: 403, message: "Request has expired" };
+
+            await store.put(key, body, contentType);
+            return { statusCode: 200, message: "OK" };
+        },
+    };
+    return store;
+}
+
+let overrideStore = null;
+const stores = new Map();
+
+export function setObjectStore(store) {
+    overrideStore = store || null;
+}
+
+// null — сховище не налаштоване (джерела-файли й вставлений текст недоступні)
+export function getObjectStore(config) {
+    if (overrideStore) return overrideStore;
+    const bucket = config["sources-bucket-name"];
+    const dir = process.env.LOCAL_STORAGE_DIR;
+    const id = bucket ? `s3:${bucket}` : dir ? `local:${dir}` : null;
+    if (!id) return null;
+    if (!stores.has(id)) stores.set(id, bucket ? s3Store(bucket) : localStore(dir));
+    return stores.get(id);
+}
@@ -0,0 +1,363 @@
+import crypto from "node:crypto";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { SQSClient } from "@aws-sdk/client-sqs";
+import { SNSClient } from "@aws-sdk/client-sns";
+import { SSMClient } from "@aws-sdk/client-ssm";
+import { log } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* ☁️ SQS, SNS і SSM у пам'яті (для local/server.js)
+* ---------------------------------------------------------
+* Обидві Lambda створюють клієнти AWS SDK на рівні модуля, тож підміна
+* йде через прототипи: installAwsStandIns() перенаправляє send() клієнтів
+* DynamoDBDocumentClient, SQSClient, SNSClient і SSMClient у ці реалізації.
+* Функції мають бачити ту саму копію @aws-sdk/*, що й local/ (один
+* node_modules у корені репозиторію або вище).
+*
+*  - createMemoryQueues — черги з visibility timeout, лічильником доставок і
+*    redrive у DLQ; pollQueue подає повідомлення в handler як SQS trigger
+*    (з ReportBatchItemFailures);
+*  - createMemoryTopic  — SNS topic, що зберігає опубліковане;
+*  - createParameterStore — GetParametersByPath / GetParameter з об'єкта.
+*/
+const REGION = "local";
+const ACCOUNT = "000000000000";
+
+class QueueDoesNotExist extends Error {
+    constructor(url) {
+        super(`The specified queue does not exist: ${url}`);
+        this.name = "QueueDoesNotExist";
+    }
+}
+
+class ReceiptHandleIsInvalid extends Error {
+    constructor() {
+        super("The input receipt handle is invalid");
+        this.name = "ReceiptHandleIsInvalid";
+    }
+}
+
+const md5 = (text) => crypto.createHash("md5").update(text).digest("hex");
+
+/**
+* ---------------------------------------------------------
+* SQS
+* ---------------------------------------------------------
+* queues — { name: { deadLetter?: name, maxReceiveCount? } }.
+* URL черги — https://sqs.local.amazonaws.com/000000000000/<name>, ARN —
+* arn:aws:sqs:local:000000000000:<name>: воркер будує URL з eventSourceARN
+* так само, як для справжньої черги.
+*/
+export function createMemoryQueues(queues, { visibilityTimeoutSec = 30 } = {}) {
+    const state = new Map(
+        Object.entries(queues).map(([name, spec]) => [name, { name, ...spec, messages: [], waiters: new Set() }])
+    );
+
+    const urlFor = (name) => `https://sqs.${REGION}.amazonaws.com/${ACCOUNT}/${name}`;
+    const arnFor = (name) => `arn:aws:sqs:${REGION}:${ACCOUNT}:${name}`;
+
+    function queueFor(url) {
+        const queue = state.get(String(url || "").split("/").pop());
+        if (!queue) throw new QueueDoesNotExist(url);
+        return queue;
+    }
+
+    function wake(queue) {
+        for (const resolve of queue.waiters) resolve();
+        queue.waiters.clear();
+    }
+
+    function enqueue(queue, body, { delaySec = 0, attributes = {} } = {}) {
+        const message = {
+            messageId: crypto.randomUUID(),
+            body,
+            attributes,
+            sentAt: Date.now(),
+            visibleAt: Date.now() + delaySec * 1000,
+            receiveCount: 0,
+            firstReceivedAt: null,
+            receiptHandle: null,
+        };
+        queue.messages.push(message);
+        if (!delaySec) wake(queue);
+        return message;
+    }
+
+    function findByReceipt(queue, receiptHandle) {
+        const message = queue.messages.find((m) => m.receiptHandle === receiptHandle);
+        if (!message) throw new ReceiptHandleIsInvalid();
+        return message;
+    }
+
+    function remove(queue, message) {
+        queue.messages.splice(queue.messages.indexOf(message), 1);
+    }
+
+    /**
+    * До max видимих повідомлень у форматі SQS event record. Повідомлення, яке
+    * вже доставлялося maxReceiveCount разів, переходить у DLQ, як у SQS.
+    */
+    function receive(name, max = 10) {
+        const queue = state.get(name);
+        const now = Date.now();
+        const records = [];
+        for (const message of [...queue.messages]) {
+            if (records.length >= max) break;
+            if (message.visibleAt > now) continue;
+            if (queue.deadLetter && message.receiveCount >= queue.maxReceiveCount) {
+                remove(queue, message);
+                enqueue(state.get(queue.deadLetter), message.body, { attributes: message.attributes });
+                log.warn("SQS Moved to dead-letter queue", { messageId: message.messageId, queue: queue.deadLetter, receiveCount: message.receiveCount });
+                continue;
+            }
+            message.receiveCount++;
+            message.firstReceivedAt ??= now;
+            message.receiptHandle = crypto.randomUUID();
+            message.visibleAt = now + visibilityTimeoutSec * 1000;
+            records.push({
+                messageId: message.messageId,
+                receiptHandle: message.receiptHandle,
+                body: message.body,
+                attributes: {
+                    ApproximateReceiveCount: String(message.receiveCount),
+                    SentTimestamp: String(message.sentAt),
+                    SenderId: ACCOUNT,
+                    ApproximateFirstReceiveTimestamp: String(message.firstReceivedAt),
+                },
+                // Lambda передає атрибути повідомлення з малої літери
+                messageAttributes: Object.fromEntries(
+                    Object.entries(message.attributes).map(([k, v]) => [k, { stringValue: v.StringValue, dataType: v.DataType }])
+                ),
+                md5OfBody: md5(message.body),
+                eventSource: "aws:sqs",
+                eventSourceARN: arnFor(name),
+                awsRegion: REGION,
+            });
+        }
+        return records;
+    }
+
+    // Чекає нового повідомлення або найближчого повернення в чергу (не довше maxWaitMs)
+    function waitForMessages(name, maxWaitMs) {
+        const queue = state.get(name);
+        const nextVisible = Math.min(...queue.messages.map((m) => m.visibleAt));
+        const waitMs = Math.max(0, Math.min(maxWaitMs, nextVisible - Date.now()));
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                queue.waiters.delete(done);
+                resolve();
+            };
+            const timer = setTimeout(done, waitMs);
+            queue.waiters.add(done);
+        });
+    }
+
+    function deleteMessage(name, receiptHandle) {
+        const queue = state.get(name);
+        const message = queue.messages.find((m) => m.receiptHandle === receiptHandle);
+        if (message) remove(queue, message);
+    }
+
+    function stats() {
+        const now = Date.now();
+        return Object.fromEntries(
+            [...state.values()].map((q) => [
+                q.name,
+                {
+                    visible: q.messages.filter((m) => m.visibleAt <= now).length,
+                    inFlight: q.messages.filter((m) => m.visibleAt > now).length,
+                },
+            ])
+        );
+    }
+
+    const commands = {
+        SendMessageCommand(i) {
+            const message = enqueue(queueFor(i.QueueUrl), i.MessageBody, {
+                delaySec: i.DelaySeconds,
+                attributes: i.MessageAttributes,
+            });
+            return { MessageId: message.messageId, MD5OfMessageBody: md5(i.MessageBody) };
+        },
+        SendMessageBatchCommand(i) {
+            const queue = queueFor(i.QueueUrl);
+            const Successful = i.Entries.map((e) => {
+                const message = enqueue(queue, e.MessageBody, { delaySec: e.DelaySeconds, attributes: e.MessageAttributes });
+                return { Id: e.Id, MessageId: message.messageId, MD5OfMessageBody: md5(e.MessageBody) };
+            });
+            return { Successful, Failed: [] };
+        },
+        ChangeMessageVisibilityCommand(i) {
+            const queue = queueFor(i.QueueUrl);
+            findByReceipt(queue, i.ReceiptHandle).visibleAt = Date.now() + i.VisibilityTimeout * 1000;
+            if (!i.VisibilityTimeout) wake(queue);
+            return {};
+        },
+        DeleteMessageCommand(i) {
+            const queue = queueFor(i.QueueUrl);
+            remove(queue, findByReceipt(queue, i.ReceiptHandle));
+            return {};
+        },
+    };
+
+    return {
+        urlFor,
+        arnFor,
+        receive,
+        waitForMessages,
+        deleteMessage,
+        stats,
+        async send(command) {
+            const op = commands[command.constructor.name];
+            if (!op) throw new Error(`Unsupported SQS command: ${command.constructor.name}`);
+            return op(command.input);
+        },
+    };
+}
+
+/**
+* Подає повідомлення черги name у handler, як SQS trigger Lambda з
+* ReportBatchItemFailures: успішні записи видаляються, записи з
+* batchItemFailures (або весь batch, якщо handler кинув) повертаються в
+* чергу після visibility timeout. Один виклик handler за раз.
+* Повертає { stop(), busy() }.
+*/
+export function pollQueue(queues, name, handler, { batchSize = 10, label = name } = {}) {
+    let stopped = false;
+    let busy = false;
+
+    (async () => {
+        while (!stopped) {
+            const records = queues.receive(name, batchSize);
+            if (!records.length) {
+                await queues.waitForMessages(name, 1000);
+                continue;
+            }
+            busy = true;
+            let failed = new Set(records.map((r) => r.messageId));
+            try {
+                const out = await handler({ Records: records });
+                failed = new Set((out?.batchItemFailures ?? []).map((f) => f.itemIdentifier));
+            } catch (err) {
+                log.error("Local Handler failed, batch returns to the queue", { handler: label, error: err?.message || err });
+            }
+            for (const r of records) {
+                if (!failed.has(r.messageId)) queues.deleteMessage(name, r.receiptHandle);
+            }
+            busy = false;
+        }
+    })();
+
+    return {
+        stop: () => {
+            stopped = true;
+        },
+        busy: () => busy,
+    };
+}
+
+/**
+* ---------------------------------------------------------
+* SNS
+* ---------------------------------------------------------
+* Опубліковане лишається в messages (останні limit) — для GET /_local/notifications.
+* Повідомлення з MessageStructure "json" розбираються: message — його "default",
+* payload — JSON з "email-json", якщо є.
+*/
+export function createMemoryTopic({ limit = 100 } = {}) {
+    const messages = [];
+    return {
+        messages,
+        async send(command) {
+            if (command.constructor.name !== "PublishCommand") {
+                throw new Error(`Unsupported SNS command: ${command.constructor.name}`);
+            }
+            const i = command.input;
+            let message = i.Message;
+            let payload = null;
+            if (i.MessageStructure === "json") {
+                const parsed = JSON.parse(i.Message);
+                message = parsed.default;
+                try {
+                    payload = parsed["email-json"] ? JSON.parse(parsed["email-json"]) : null;
+                } catch {
+                    payload = null;
+                }
+            }
+            const entry = {
+                messageId: crypto.randomUUID(),
+                topicArn: i.TopicArn,
+                subject: i.Subject ?? null,
+                message,
+                payload,
+                attributes: Object.fromEntries(Object.entries(i.MessageAttributes || {}).map(([k, v]) => [k, v.StringValue])),
+                publishedAt: new Date().toISOString(),
+            };
+            messages.push(entry);
+            if (messages.length > limit) messages.shift();
+            log.info("Local SNS Publish", { event: entry.attributes.event || "message", subject: entry.subject });
+            return { MessageId: entry.messageId };
+        },
+    };
+}
+
+/**
+* ---------------------------------------------------------
+* SSM
+* ---------------------------------------------------------
+* values — { "dynamo-db-table-name": "...", ... } під basePath.
+*/
+export function createParameterStore(values, { basePath = "/ai-studynotes" } = {}) {
+    const parameters = () =>
+        Object.entries(values)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => ({ Name: `${basePath}/${k}`, Type: "String", Value: String(v) }));
+
+    return {
+        values,
+        async send(command) {
+            const i = command.input;
+            if (command.constructor.name === "GetParametersByPathCommand") {
+                const prefix = i.Path.replace(/\/$/, "") + "/";
+                return { Parameters: parameters().filter((p) => p.Name.startsWith(prefix)) };
+            }
+            if (command.constructor.name === "GetParameterCommand") {
+                const parameter = parameters().find((p) => p.Name === i.Name);
+                if (!parameter) {
+                    const err = new Error(`Parameter ${i.Name} not found`);
+                    err.name = "ParameterNotFound";
+                    throw err;
+                }
+                return { Parameter: parameter };
+            }
+            throw new Error(`Unsupported SSM command: ${command.constructor.name}`);
+        },
+    };
+}
+
+/**
+* Перенаправляє send() клієнтів SDK у локальні підміни. Повертає функцію, що
+* відновлює оригінали.
+*/
+export function installAwsStandIns({ dynamodb, sqs, sns, ssm }) {
+    const targets = [
+        [DynamoDBDocumentClient, dynamodb],
+        [SQSClient, sqs],
+        [SNSClient, sns],
+        [SSMClient, ssm],
+    ];
+    const originals = targets.map(([Client]) => [Client, Object.getOwnPropertyDescriptor(Client.prototype, "send")]);
+    for (const [Client, standIn] of targets) {
+        Client.prototype.send = function send(command) {
+            return standIn.send(command);
+        };
+    }
+    return () => {
+        for (const [Client, descriptor] of originals) {
+            if (descriptor) Object.defineProperty(Client.prototype, "send", descriptor);
+            else delete Client.prototype.send;
+        }
+    };
+}
@@ -0,0 +1,528 @@
+import { isDeepStrictEqual } from "node:util";
+
+/**
+* ---------------------------------------------------------
+* 🗃️ DynamoDB у пам'яті (для local/server.js)
+* ---------------------------------------------------------
+* Підміна DynamoDBDocumentClient: send(command) приймає ті самі команди
+* @aws-sdk/lib-dynamodb (Get, Put, Update, Delete, Query, Scan, BatchGet,
+* BatchWrite, TransactWrite) зі звичайними JS-значеннями і повертає
+* відповіді того ж вигляду.
+*
+* Вирази: ConditionExpression / FilterExpression / KeyConditionExpression
+* (=, <>, <, <=, >, >=, BETWEEN, IN, AND, OR, NOT, attribute_exists,
+* attribute_not_exists, attribute_type, begins_with, contains, size) і
+* UpdateExpression (SET з +/-, if_not_exists, list_append; REMOVE; ADD для
+* чисел і множин; DELETE для множин).
+*
+* Ключ таблиці — hashKey (дефолт: "id"), GSI — { name: { hash, range } }.
+* Як і в DynamoDB, Limit обмежує прочитані записи до FilterExpression, а
+* записи без ключа індексу в GSI не потрапляють. TTL не емулюється.
+*/
+
+export class ConditionalCheckFailedException extends Error {
+    constructor(message = "The conditional request failed") {
+        super(message);
+        this.name = "ConditionalCheckFailedException";
+    }
+}
+
+class TransactionCanceledException extends Error {
+    constructor(reasons) {
+        super(`Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((r) => r.Code).join(", ")}]`);
+        this.name = "TransactionCanceledException";
+        this.CancellationReasons = reasons;
+    }
+}
+
+class ValidationException extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ValidationException";
+    }
+}
+
+/**
+* ---------------------------------------------------------
+* Вирази
+* ---------------------------------------------------------
+*/
+const TOKEN_RE = /\s*(<>|<=|>=|[=<>(),+-]|[#:]?[A-Za-z0-9_]+(?:\[\d+\])*(?:\.[#]?[A-Za-z0-9_]+(?:\[\d+\])*)*)/y;
+const KEYWORDS = ["AND", "OR", "NOT", "BETWEEN", "IN"];
+const CLAUSES = ["SET", "REMOVE", "ADD", "DELETE"];
+
+function tokenize(expr) {
+    const tokens = [];
+    TOKEN_RE.lastIndex = 0;
+    while (TOKEN_RE.lastIndex < expr.length) {
+        if (!expr.slice(TOKEN_RE.lastIndex).trim()) break;
+        const m = TOKEN_RE.exec(expr);
+        if (!m) throw new ValidationException(`Invalid expression: ${expr}`);
+        tokens.push(m[1]);
+    }
+    return tokens;
+}
+
+// "#a.b[0]" -> ["<name of #a>", "b", 0]
+function parsePath(token, names) {
+    const segments = [];
+    for (const part of token.split(".")) {
+        const [, head, indexes] = part.match(/^([^[]+)((?:\[\d+\])*)$/);
+        const name = head.startsWith("#") ? names?.[head] : head;
+        if (name === undefined) throw new ValidationException(`Unknown attribute name ${head}`);
+        segments.push(name, ...[...indexes.matchAll(/\[(\d+)\]/g)].map((i) => Number(i[1])));
+    }
+    return segments;
+}
+
+function getPath(item, segments) {
+    let value = item;
+    for (const s of segments) value = value?.[s];
+    return value;
+}
+
+function setPath(item, segments, value) {
+    let target = item;
+    for (const s of segments.slice(0, -1)) {
+        if (target[s] === undefined || target[s] === null) {
+            throw new ValidationException("The document path provided in the update expression is invalid for update");
+        }
+        target = target[s];
+    }
+    const last = segments.at(-1);
+    if (value === undefined) {
+        if (Array.isArray(target) && typeof last === "number") target.splice(last, 1);
+        else delete target[last];
+    } else {
+        target[last] = value;
+    }
+}
+
+function typeName(value) {
+    if (value === null) return "NULL";
+    if (value instanceof Set) return [...value].every((v) => typeof v === "number") ? "NS" : "SS";
+    if (Array.isArray(value)) return "L";
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return "B";
+    return { string: "S", number: "N", boolean: "BOOL", object: "M" }[typeof value];
+}
+
+function compare(a, b, op) {
+    if (op === "=") return a !== undefined && isDeepStrictEqual(a, b);
+    if (op === "<>") return !isDeepStrictEqual(a, b);
+    // Порівняння різних типів у DynamoDB — завжди false
+    if (a === undefined || b === undefined || typeName(a) !== typeName(b) || !["S", "N"].includes(typeName(a))) return false;
+    if (op === "<") return a < b;
+    if (op === "<=") return a <= b;
+    if (op === ">") return a > b;
+    return a >= b;
+}
+
+const FUNCTIONS = {
+    attribute_exists: ([path]) => path !== undefined,
+    attribute_not_exists: ([path]) => path === undefined,
+    attribute_type: ([path, type]) => path !== undefined && typeName(path) === type,
+    begins_with: ([path, prefix]) => typeof path === "string" && path.startsWith(prefix),
+    contains: ([path, operand]) => {
+        if (typeof path === "string") return typeof operand === "string" && path.includes(operand);
+        if (path instanceof Set) return path.has(operand);
+        if (Array.isArray(path)) return path.some((v) => isDeepStrictEqual(v, operand));
+        return false;
+    },
+    size: ([path]) => {
+        if (typeof path === "string" || Array.isArray(path)) return path.length;
+        if (path instanceof Set) return path.size;
+        if (Buffer.isBuffer(path)) return path.length;
+        if (path && typeof path === "object") return Object.keys(path).length;
+        return undefined;
+    },
+    if_not_exists: ([path, fallback]) => (path === undefined ? fallback : path),
+    list_append: ([a, b]) => [...(a ?? []), ...(b ?? [])],
+};
+
+/**
+* Розбір виразу в функції від запису. names/values — ExpressionAttributeNames
+* і ExpressionAttributeValues команди.
+*/
+function createParser(tokens, names, values) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) throw new ValidationException(`Invalid expression: expected ${token}`);
+    };
+
+    function operand() {
+        const token = next();
+        if (token === undefined) throw new ValidationException("Invalid expression: unexpected end");
+        if (token === "(") {
+            const inner = orExpr();
+            expect(")");
+            return inner;
+        }
+        if (token.startsWith(":")) {
+            if (!(token in (values || {}))) throw new ValidationException(`Unknown attribute value ${token}`);
+            const value = values[token];
+            return () => value;
+        }
+        if (peek() === "(" && FUNCTIONS[token]) {
+            next();
+            const args = [];
+            while (peek() !== ")") {
+                args.push(operand());
+                if (peek() === ",") next();
+            }
+            next();
+            const fn = FUNCTIONS[token];
+            return (item) => fn(args.map((arg) => arg(item)));
+        }
+        const segments = parsePath(token, names);
+        return Object.assign((item) => getPath(item, segments), { segments });
+    }
+
+    // operand [+|- operand] — права частина SET
+    function value() {
+        const left = operand();
+        if (peek() !== "+" && peek() !== "-") return left;
+        const op = next();
+        const right = operand();
+        return (item) => {
+            const a = left(item);
+            const b = right(item);
+            if (typeof a !== "number" || typeof b !== "number") {
+                throw new ValidationException("An operand in the update expression has an incorrect data type");
+            }
+            return op === "+" ? a + b : a - b;
+        };
+    }
+
+    function comparison() {
+        if (peek() === "NOT") {
+            next();
+            const inner = comparison();
+            return (item) => !inner(item);
+        }
+        const left = operand();
+        const op = peek();
+        if (["=", "<>", "<", "<=", ">", ">="].includes(op)) {
+            next();
+            const right = operand();
+            return (item) => compare(left(item), right(item), op);
+        }
+        if (op === "BETWEEN") {
+            next();
+            const low = operand();
+            expect("AND");
+            const high = operand();
+            return (item) => {
+                const v = left(item);
+                return compare(v, low(item), ">=") && compare(v, high(item), "<=");
+            };
+        }
+        if (op === "IN") {
+            next();
+            expect("(");
+            const options = [];
+            while (peek() !== ")") {
+                options.push(operand());
+                if (peek() === ",") next();
+            }
+            next();
+            return (item) => options.some((o) => compare(left(item), o(item), "="));
+        }
+        return left;
+    }
+
+    function andExpr() {
+        let left = comparison();
+        while (peek() === "AND") {
+            next();
+            const a = left;
+            const b = comparison();
+            left = (item) => Boolean(a(item)) && Boolean(b(item));
+        }
+        return left;
+    }
+
+    function orExpr() {
+        let left = andExpr();
+        while (peek() === "OR") {
+            next();
+            const a = left;
+            const b = andExpr();
+            left = (item) => Boolean(a(item)) || Boolean(b(item));
+        }
+        return left;
+    }
+
+    return { peek, next, expect, operand, value, orExpr, done: () => pos >= tokens.length };
+}
+
+function compileCondition(expr, names, values) {
+    if (!expr) return () => true;
+    const parser = createParser(tokenize(expr), names, values);
+    const fn = parser.orExpr();
+    if (!parser.done()) throw new ValidationException(`Invalid expression: ${expr}`);
+    return (item) => Boolean(fn(item));
+}
+
+// Повертає функцію (item) => змінений item; праві частини SET рахуються від стану до оновлення
+function compileUpdate(expr, names, values) {
+    const parser = createParser(tokenize(expr), names, values);
+    const actions = [];
+    let clause = null;
+    while (!parser.done()) {
+        const token = parser.peek();
+        if (CLAUSES.includes(token)) {
+            clause = parser.next();
+            continue;
+        }
+        if (token === ",") {
+            parser.next();
+            continue;
+        }
+        if (!clause) throw new ValidationException(`Invalid UpdateExpression: ${expr}`);
+        const target = parser.operand();
+        if (!target.segments) throw new ValidationException(`Invalid UpdateExpression: ${expr}`);
+        if (clause === "SET") {
+            parser.expect("=");
+            actions.push({ clause, segments: target.segments, value: parser.value() });
+        } else if (clause === "REMOVE") {
+            actions.push({ clause, segments: target.segments });
+        } else {
+            actions.push({ clause, segments: target.segments, value: parser.operand() });
+        }
+    }
+
+    return (item) => {
+        const before = structuredClone(item);
+        for (const action of actions) {
+            const current = getPath(item, action.segments);
+            if (action.clause === "SET") {
+                setPath(item, action.segments, action.value(before));
+            } else if (action.clause === "REMOVE") {
+                if (current !== undefined) setPath(item, action.segments, undefined);
+            } else if (action.clause === "ADD") {
+                const delta = action.value(before);
+                if (delta instanceof Set) setPath(item, action.segments, new Set([...(current ?? []), ...delta]));
+                else if (typeof delta === "number" && (current === undefined || typeof current === "number")) {
+                    setPath(item, action.segments, (current ?? 0) + delta);
+                } else {
+                    throw new ValidationException("An operand in the update expression has an incorrect data type");
+                }
+            } else if (action.clause === "DELETE" && current instanceof Set) {
+                const remove = action.value(before);
+                const rest = new Set([...current].filter((v) => !remove.has(v)));
+                setPath(item, action.segments, rest.size ? rest : undefined);
+            }
+        }
+        return item;
+    };
+}
+
+function project(item, expr, names) {
+    if (!item || !expr) return structuredClone(item);
+    const out = {};
+    for (const token of expr.split(",").map((s) => s.trim())) {
+        const segments = parsePath(token, names);
+        const value = getPath(item, segments);
+        if (value === undefined) continue;
+        let target = out;
+        for (const s of segments.slice(0, -1)) target = target[s] ??= {};
+        target[segments.at(-1)] = structuredClone(value);
+    }
+    return out;
+}
+
+/**
+* ---------------------------------------------------------
+* Таблиця
+* ---------------------------------------------------------
+*/
+function createTable({ hashKey, indexes }) {
+    const items = new Map();
+
+    const keyOf = (key) => {
+        const id = key?.[hashKey];
+        if (id === undefined) throw new ValidationException(`The provided key element does not match the schema (${hashKey})`);
+        return id;
+    };
+
+    function check(input, current) {
+        const cond = compileCondition(input.ConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+        if (!cond(current || {})) throw new ConditionalCheckFailedException();
+    }
+
+    // Записи індексу (або таблиці) у порядку ключа сортування
+    function scanIndex(indexName) {
+        const all = [...items.values()];
+        if (!indexName) return all;
+        const index = indexes[indexName];
+        if (!index) throw new ValidationException(`The table does not have the specified index: ${indexName}`);
+        return all
+        .filter((it) => it[index.hash] !== undefined && (!index.range || it[index.range] !== undefined))
+        .sort((a, b) => {
+            const ra = index.range ? a[index.range] : "";
+            const rb = index.range ? b[index.range] : "";
+            return ra < rb ? -1 : ra > rb ? 1 : String(a[hashKey]).localeCompare(String(b[hashKey]));
+        });
+    }
+
+    function lastKey(item, indexName) {
+        const index = indexName ? indexes[indexName] : null;
+        const key = { [hashKey]: item[hashKey] };
+        if (index) {
+            key[index.hash] = item[index.hash];
+            if (index.range) key[index.range] = item[index.range];
+        }
+        return key;
+    }
+
+    function page(all, input, filter) {
+        let start = 0;
+        if (input.ExclusiveStartKey) {
+            start = all.findIndex((it) => it[hashKey] === input.ExclusiveStartKey[hashKey]) + 1;
+        }
+        const read = input.Limit ? all.slice(start, start + input.Limit) : all.slice(start);
+        const more = start + read.length < all.length && input.Limit !== undefined;
+        const matched = read.filter(filter);
+        return {
+            ...(input.Select === "COUNT"
+                ? {}
+                : { Items: matched.map((it) => project(it, input.ProjectionExpression, input.ExpressionAttributeNames)) }),
+            Count: matched.length,
+            ScannedCount: read.length,
+            ...(more && read.length ? { LastEvaluatedKey: lastKey(read.at(-1), input.IndexName) } : {}),
+        };
+    }
+
+    const ops = {
+        get(input) {
+            const item = items.get(keyOf(input.Key));
+            return item ? { Item: project(item, input.ProjectionExpression, input.ExpressionAttributeNames) } : {};
+        },
+        put(input) {
+            const id = keyOf(input.Item);
+            const old = items.get(id);
+            check(input, old);
+            items.set(id, structuredClone(input.Item));
+            return input.ReturnValues === "ALL_OLD" && old ? { Attributes: structuredClone(old) } : {};
+        },
+        update(input) {
+            const id = keyOf(input.Key);
+            const old = items.get(id);
+            check(input, old);
+            const apply = compileUpdate(input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+            const updated = apply(structuredClone(old) ?? structuredClone(input.Key));
+            items.set(id, updated);
+            if (input.ReturnValues === "ALL_NEW" || input.ReturnValues === "UPDATED_NEW") return { Attributes: structuredClone(updated) };
+            if ((input.ReturnValues === "ALL_OLD" || input.ReturnValues === "UPDATED_OLD") && old) {
+                return { Attributes: structuredClone(old) };
+            }
+            return {};
+        },
+        delete(input) {
+            const id = keyOf(input.Key);
+            const old = items.get(id);
+            check(input, old);
+            items.delete(id);
+            return input.ReturnValues === "ALL_OLD" && old ? { Attributes: structuredClone(old) } : {};
+        },
+        conditionCheck(input) {
+            check(input, items.get(keyOf(input.Key)));
+            return {};
+        },
+        query(input) {
+            const names = input.ExpressionAttributeNames;
+            const values = input.ExpressionAttributeValues;
+            const key = compileCondition(input.KeyConditionExpression, names, values);
+            const filter = compileCondition(input.FilterExpression, names, values);
+            const all = scanIndex(input.IndexName).filter(key);
+            if (input.ScanIndexForward === false) all.reverse();
+            return page(all, input, filter);
+        },
+        scan(input) {
+            const filter = compileCondition(input.FilterExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+            let all = scanIndex(input.IndexName);
+            if (input.TotalSegments) {
+                // Стабільний поділ за ключем — сегменти не перетинаються
+                const segmentOf = (it) => [...String(it[hashKey])].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 7) % input.TotalSegments;
+                all = all.filter((it) => segmentOf(it) === input.Segment);
+            }
+            return page(all, input, filter);
+        },
+    };
+
+    return { items, ops };
+}
+
+/**
+* createMemoryDynamo({ hashKey, indexes }) → { send, table(name), reset() }
+* Таблиці створюються при першому зверненні за TableName.
+*/
+export function createMemoryDynamo({ hashKey = "id", indexes = {} } = {}) {
+    const tables = new Map();
+    const table = (name) => {
+        if (!name) throw new ValidationException("TableName is required");
+        if (!tables.has(name)) tables.set(name, createTable({ hashKey, indexes }));
+        return tables.get(name);
+    };
+
+    function transactWrite(input) {
+        const ops = input.TransactItems.map((op) => {
+            const [type, params] = Object.entries(op)[0];
+            return { type, params, table: table(params.TableName) };
+        });
+        // Спершу всі умови, потім усі записи — або нічого
+        const reasons = ops.map(({ type, params, table: t }) => {
+            const current = t.items.get(params.Key?.[hashKey] ?? params.Item?.[hashKey]);
+            const cond = compileCondition(params.ConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+            return cond(current || {}) ? { Code: "None" } : { Code: "ConditionalCheckFailed", Message: `${type}: the conditional request failed` };
+        });
+        if (reasons.some((r) => r.Code !== "None")) throw new TransactionCanceledException(reasons);
+        for (const { type, params, table: t } of ops) {
+            if (type === "Put") t.ops.put(params);
+            else if (type === "Update") t.ops.update(params);
+            else if (type === "Delete") t.ops.delete(params);
+        }
+        return {};
+    }
+
+    const commands = {
+        GetCommand: (i) => table(i.TableName).ops.get(i),
+        PutCommand: (i) => table(i.TableName).ops.put(i),
+        UpdateCommand: (i) => table(i.TableName).ops.update(i),
+        DeleteCommand: (i) => table(i.TableName).ops.delete(i),
+        QueryCommand: (i) => table(i.TableName).ops.query(i),
+        ScanCommand: (i) => table(i.TableName).ops.scan(i),
+        BatchGetCommand: (i) => ({
+            Responses: Object.fromEntries(
+                Object.entries(i.RequestItems).map(([name, req]) => [
+                    name,
+                    req.Keys.map((key) => table(name).ops.get({ Key: key, ...req }).Item).filter(Boolean),
+                ])
+            ),
+            UnprocessedKeys: {},
+        }),
+        BatchWriteCommand: (i) => {
+            for (const [name, requests] of Object.entries(i.RequestItems)) {
+                for (const r of requests) {
+                    if (r.PutRequest) table(name).ops.put({ Item: r.PutRequest.Item });
+                    if (r.DeleteRequest) table(name).ops.delete({ Key: r.DeleteRequest.Key });
+                }
+            }
+            return { UnprocessedItems: {} };
+        },
+        TransactWriteCommand: transactWrite,
+    };
+
+    return {
+        async send(command) {
+            const op = commands[command.constructor.name];
+            if (!op) throw new ValidationException(`Unsupported DynamoDB command: ${command.constructor.name}`);
+            // structuredClone — як мережа: виклик не ділить об'єкти з таблицею
+            return structuredClone(op(command.input));
+        },
+        table: (name) => table(name).items,
+        reset: () => tables.clear(),
+    };
+}
@@ -0,0 +1,362 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import path from "node:path";
+import fs from "node:fs/promises";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createMemoryDynamo } from "./dynamodb.js";
+import { log } from "../shared/logger.js";
+import { createMemoryQueues, createMemoryTopic, createParameterStore, installAwsStandIns, pollQueue } from "./aws.js";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Локальний сервер розробки
+* ---------------------------------------------------------
+* node local/server.js — API і воркер в одному процесі без AWS:
+*  - HTTP-запити стають подіями API Gateway (REST, proxy): resource і
+*    pathParameters знаходяться за ROUTES з api-function, відповідь
+*    (включно з isBase64Encoded) віддається як є;
+*  - DynamoDB, SQS, SNS і SSM — у пам'яті (dynamodb.js, aws.js), стан
+*    зникає з процесом;
+*  - повідомлення черги задач іде в handler воркера, черги вебхуків — у
+*    webhooks.handler, DLQ (після LOCAL_MAX_RECEIVE_COUNT доставок) — у
+*    dlq.handler;
+*  - LLM — провайдер fake з llm.js (якщо llm-provider не задано в
+*    LOCAL_PARAMS_FILE);
+*  - файли джерел — у LOCAL_STORAGE_DIR, PUT на presigned URL приймає
+*    storage.acceptUpload;
+*  - Cognito — власна пара ключів: токен видає POST /_local/token.
+*
+* Службові маршрути (без автентифікації):
+*  - POST /_local/token          { sub?, email?, scope? } → { token, sub }
+*                                 (scope — access-токен з цими scope, інакше ID-токен)
+*  - POST /_local/drain          чекає, поки черги спорожніють → { queues }
+*  - POST /_local/run/{name}     reaper | digest — запуск за розкладом вручну
+*  - GET  /_local/queues         стан черг
+*  - GET  /_local/notifications  опубліковане в SNS
+*
+* Опції через env:
+*  - PORT                          (дефолт: 3000)
+*  - LOCAL_PARAMS_FILE             JSON з параметрами SSM поверх дефолтних
+*  - LOCAL_STORAGE_DIR             (дефолт: .local/storage)
+*  - LOCAL_NOTIFICATIONS_DIR       сповіщення у файли замість SNS у пам'яті
+*  - LOCAL_VISIBILITY_TIMEOUT_SEC  (дефолт: 30)
+*  - LOCAL_MAX_RECEIVE_COUNT       (дефолт: 6) — більше за MAX_RECEIVE_COUNT воркера
+*  - LOCAL_REAPER_INTERVAL_SEC     (дефолт: 0 — лише вручну)
+*  - LOCAL_MAX_BODY_BYTES          (дефолт: 26214400 = 25 МБ)
+*  - LOG_FORMAT                    (дефолт тут: text) — json, щоб бачити записи як у Lambda
+*
+* Для e2e-тестів — startLocalServer({ port: 0, parameters }) в тому ж процесі.
+* Модулі функцій завантажуються один раз, тож сервер — один на процес.
+*/
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const LOCAL_VISIBILITY_TIMEOUT_SEC = Number(process.env.LOCAL_VISIBILITY_TIMEOUT_SEC || 30);
+const LOCAL_MAX_RECEIVE_COUNT = Number(process.env.LOCAL_MAX_RECEIVE_COUNT || 6);
+const LOCAL_REAPER_INTERVAL_SEC = Number(process.env.LOCAL_REAPER_INTERVAL_SEC || 0);
+const LOCAL_MAX_BODY_BYTES = Number(process.env.LOCAL_MAX_BODY_BYTES || 25 * 1024 * 1024);
+const DRAIN_TIMEOUT_MS = 60 * 1000;
+
+const USER_POOL_ID = "local_studynotes";
+const CLIENT_ID = "local-client";
+const ISSUER = `https://cognito-idp.local.amazonaws.com/${USER_POOL_ID}`;
+const TOKEN_TTL_SEC = 12 * 60 * 60;
+
+const QUEUES = {
+    "studynotes-tasks": { deadLetter: "studynotes-tasks-dlq", maxReceiveCount: LOCAL_MAX_RECEIVE_COUNT },
+    "studynotes-tasks-dlq": {},
+    "studynotes-webhooks": {},
+};
+
+/**
+* --------------------------------------------
+* Cognito: ключі й токени
+* --------------------------------------------
+*/
+function createTokenIssuer() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const kid = crypto.randomUUID();
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" };
+    const segment = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+    return {
+        jwks: { keys: [jwk] },
+        // scope — access-токен (як client credentials), інакше ID-токен користувача
+        issue({ sub = "local-user", email = `${sub}@example.com`, scope } = {}) {
+            const now = Math.floor(Date.now() / 1000);
+            const claims = scope
+            ? { sub, client_id: CLIENT_ID, token_use: "access", scope, username: sub }
+            : { sub, aud: CLIENT_ID, token_use: "id", email, "cognito:username": sub, "cognito:user_status": "CONFIRMED" };
+            const header = segment({ alg: "RS256", kid });
+            const payload = segment({ ...claims, iss: ISSUER, iat: now, exp: now + TOKEN_TTL_SEC });
+            const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey).toString("base64url");
+            return `${header}.${payload}.${signature}`;
+        },
+    };
+}
+
+/**
+* --------------------------------------------
+* HTTP → подія API Gateway
+* --------------------------------------------
+*/
+function compileRoutes(routes) {
+    return routes
+    .map((route) => {
+        const names = [];
+        const pattern = route.resource.replace(/\{([^}+]+)(\+?)\}/g, (_, name, greedy) => {
+            names.push(name);
+            return greedy ? "(.+)" : "([^/]+)";
+        });
+        return { ...route, names, regex: new RegExp(`^${pattern}$`), literals: route.resource.split("/").filter((s) => !s.startsWith("{")).length };
+    })
+    // Як в API Gateway: /tasks/batch важливіший за /tasks/{id}
+    .sort((a, b) => b.literals - a.literals);
+}
+
+function matchRoute(routes, method, pathname) {
+    let pathMatched = null;
+    for (const route of routes) {
+        const m = pathname.match(route.regex);
+        if (!m) continue;
+        const pathParameters = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(m[i + 1])]));
+        if (route.method === method) return { resource: route.resource, pathParameters };
+        pathMatched ??= { resource: route.resource, pathParameters };
+    }
+    // OPTIONS обробляє сама функція (CORS), тож шлях без методу теж передаємо
+    return method === "OPTIONS" ? pathMatched : null;
+}
+
+function singleAndMulti(pairs) {
+    if (!pairs.length) return { single: null, multi: null };
+    const single = {};
+    const multi = {};
+    for (const [k, v] of pairs) {
+        single[k] = v;
+        (multi[k] ??= []).push(v);
+    }
+    return { single, multi };
+}
+
+function toApiGatewayEvent(req, url, route, body) {
+    const rawPairs = [];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) rawPairs.push([req.rawHeaders[i], req.rawHeaders[i + 1]]);
+    const headers = singleAndMulti(rawPairs);
+    const query = singleAndMulti([...url.searchParams]);
+    const hasPathParameters = Object.keys(route.pathParameters).length > 0;
+
+    return {
+        resource: route.resource,
+        path: url.pathname,
+        httpMethod: req.method,
+        headers: headers.single ?? {},
+        multiValueHeaders: headers.multi ?? {},
+        queryStringParameters: query.single,
+        multiValueQueryStringParameters: query.multi,
+        pathParameters: hasPathParameters ? route.pathParameters : null,
+        stageVariables: null,
+        requestContext: {
+            requestId: crypto.randomUUID(),
+            stage: "local",
+            httpMethod: req.method,
+            path: url.pathname,
+            resourcePath: route.resource,
+            requestTimeEpoch: Date.now(),
+            identity: { sourceIp: req.socket.remoteAddress, userAgent: req.headers["user-agent"] ?? null },
+        },
+        body: body.length ? body.toString("utf8") : null,
+        isBase64Encoded: false,
+    };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > LOCAL_MAX_BODY_BYTES) {
+                reject(Object.assign(new Error("Request body too large"), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+function send(httpRes, statusCode, body, headers = {}) {
+    const payload = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === "string" ? body : JSON.stringify(body));
+    httpRes.writeHead(statusCode, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Content-Length": payload.length,
+        ...headers,
+    });
+    httpRes.end(payload);
+}
+
+function sendLambdaResponse(httpRes, out) {
+    const headers = { ...out.headers };
+    for (const [k, values] of Object.entries(out.multiValueHeaders || {})) headers[k] = values;
+    const body = out.isBase64Encoded ? Buffer.from(out.body || "", "base64") : Buffer.from(out.body ?? "", "utf8");
+    httpRes.writeHead(out.statusCode, { ...headers, "Content-Length": body.length });
+    httpRes.end(body);
+}
+
+/**
+* --------------------------------------------
+* Сервер
+* --------------------------------------------
+*/
+async function loadParameterOverrides(file) {
+    if (!file) return {};
+    const values = JSON.parse(await fs.readFile(path.resolve(file), "utf8"));
+    log.info("Local SSM overrides", { file, keys: Object.keys(values) });
+    return values;
+}
+
+export async function startLocalServer({ port = Number(process.env.PORT || 3000), parameters = {} } = {}) {
+    const dynamodb = createMemoryDynamo({
+        indexes: {
+            byCreatedAt: { hash: "pk", range: "createdAt" },
+            byInFlight: { hash: "inFlight", range: "updatedAt" },
+        },
+    });
+    const queues = createMemoryQueues(QUEUES, { visibilityTimeoutSec: LOCAL_VISIBILITY_TIMEOUT_SEC });
+    const topic = createMemoryTopic();
+    const tokens = createTokenIssuer();
+    const ssm = createParameterStore({
+        "dynamo-db-table-name": "studynotes-local",
+        "sqs-queue-url": queues.urlFor("studynotes-tasks"),
+        "webhook-queue-url": queues.urlFor("studynotes-webhooks"),
+        "sns-topic-arn": process.env.LOCAL_NOTIFICATIONS_DIR ? null : `arn:aws:sns:local:000000000000:studynotes-notifications`,
+        "cognito-user-pool-id": USER_POOL_ID,
+        "cognito-client-id": CLIENT_ID,
+        "cursor-signing-key": crypto.randomBytes(32).toString("hex"),
+        "llm-provider": "fake",
+        ...(await loadParameterOverrides(process.env.LOCAL_PARAMS_FILE)),
+        ...parameters,
+    });
+    installAwsStandIns({ dynamodb, sqs: queues, sns: topic, ssm });
+
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(port, resolve));
+    const url = `http://localhost:${server.address().port}`;
+
+    // Модулі читають env при завантаженні — тому імпорт лише після listen (відомий порт)
+    process.env.LOCAL_STORAGE_URL ??= `${url}/_storage`;
+    process.env.LOCAL_STORAGE_DIR ??= path.join(ROOT, ".local", "storage");
+    process.env.WEBHOOK_ALLOW_HTTP ??= "true";
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS ??= "true";
+    // Логи функцій — "🟢 текст key=value" замість JSON-рядків (див. shared/logger.js)
+    process.env.LOG_FORMAT ??= "text";
+    const api = await import("../api-function/index.js");
+    const { getObjectStore } = await import("../api-function/storage.js");
+    const worker = await import("../worker-function/index.js");
+    const webhooks = await import("../worker-function/webhooks.js");
+    const dlq = await import("../worker-function/dlq.js");
+    const reaper = await import("../worker-function/reaper.js");
+    const digest = await import("../worker-function/digest.js");
+
+    api.setJwksSource(async () => tokens.jwks);
+    const routes = compileRoutes(api.ROUTES);
+    const scheduled = { reaper: reaper.handler, digest: digest.handler };
+
+    const consumers = [
+        pollQueue(queues, "studynotes-tasks", worker.handler, { label: "worker" }),
+        pollQueue(queues, "studynotes-webhooks", webhooks.handler, { label: "webhooks" }),
+        pollQueue(queues, "studynotes-tasks-dlq", dlq.handler, { label: "dlq" }),
+    ];
+    const reaperTimer = LOCAL_REAPER_INTERVAL_SEC
+    ? setInterval(() => reaper.handler({}).catch((err) => log.error("Local Reaper failed", { error: err?.message || err })), LOCAL_REAPER_INTERVAL_SEC * 1000)
+    : null;
+
+    // Черги порожні (крім повідомлень, відкладених на повтор) і обробники не працюють
+    async function drain(timeoutMs = DRAIN_TIMEOUT_MS) {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            const stats = queues.stats();
+            const idle = Object.values(stats).every((q) => !q.visible) && consumers.every((c) => !c.busy());
+            if (idle) return stats;
+            await new Promise((resolve) => setTimeout(resolve, 25));
+        }
+        throw Object.assign(new Error("Queues did not drain in time"), { statusCode: 504 });
+    }
+
+    async function handleLocal(req, httpRes, url, body) {
+        const route = `${req.method} ${url.pathname}`;
+        if (route === "POST /_local/token") {
+            const input = body.length ? JSON.parse(body.toString("utf8")) : {};
+            const sub = input.sub || "local-user";
+            return send(httpRes, 200, { token: tokens.issue({ ...input, sub }), sub });
+        }
+        if (route === "POST /_local/drain") return send(httpRes, 200, { queues: await drain() });
+        if (route === "GET /_local/queues") return send(httpRes, 200, { queues: queues.stats() });
+        if (route === "GET /_local/notifications") return send(httpRes, 200, { items: topic.messages });
+        const run = url.pathname.match(/^\/_local\/run\/([a-z]+)$/);
+        if (req.method === "POST" && run && scheduled[run[1]]) {
+            return send(httpRes, 200, await scheduled[run[1]]({ time: new Date().toISOString() }));
+        }
+        return send(httpRes, 404, { message: "Not Found" });
+    }
+
+    // PUT на presigned URL з storage.js — як запит напряму в S3
+    async function handleStorage(req, httpRes, body) {
+        if (req.method === "OPTIONS") {
+            return send(httpRes, 204, "", {
+                "Access-Control-Allow-Methods": "PUT",
+                "Access-Control-Allow-Headers": "Content-Type,Content-Length",
+            });
+        }
+        if (req.method !== "PUT") return send(httpRes, 405, { message: "Method Not Allowed" });
+        const store = getObjectStore(await api.loadConfig());
+        const out = await store.acceptUpload(req.url, body, req.headers["content-type"] || "");
+        return send(httpRes, out.statusCode, { message: out.message });
+    }
+
+    server.on("request", async (req, httpRes) => {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            const body = await readBody(req);
+            if (url.pathname.startsWith("/_local/")) return await handleLocal(req, httpRes, url, body);
+            if (url.pathname.startsWith("/_storage/")) return await handleStorage(req, httpRes, body);
+
+            const route = matchRoute(routes, req.method, url.pathname);
+            if (!route) {
+                // Відповідь API Gateway (REST) на невідомий ресурс чи метод
+                return send(httpRes, 403, { message: "Missing Authentication Token" });
+            }
+            const out = await api.handler(toApiGatewayEvent(req, url, route, body));
+            sendLambdaResponse(httpRes, out);
+        } catch (err) {
+            log.error("Local Request failed", { method: req.method, path: url.pathname, error: err?.message || err });
+            if (!httpRes.headersSent) send(httpRes, err?.statusCode || 500, { message: err?.message || "Internal Server Error" });
+        }
+    });
+
+    log.info("Local API listening", { url, storage: process.env.LOCAL_STORAGE_DIR });
+    return {
+        url,
+        server,
+        dynamodb,
+        queues,
+        topic,
+        parameters: ssm.values,
+        issueToken: tokens.issue,
+        drain,
+        async close() {
+            consumers.forEach((c) => c.stop());
+            if (reaperTimer) clearInterval(reaperTimer);
+            await new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    const local = await startLocalServer();
+    log.info("Local Token", { curl: `curl -X POST ${local.url}/_local/token` });
+    const shutdown = () => local.close().then(() => process.exit(0));
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
@@ -0,0 +1,241 @@
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+* ---------------------------------------------------------
+* 📜 Структуровані логи, correlation id і метрики (EMF)
+* ---------------------------------------------------------
+* Спільний модуль для api-function/ і worker-function/: обидві функції
+* імпортують "../shared/logger.js" (деплой — разом із shared/, див. README).
+*
+* Кожен запис — один JSON-рядок у stdout:
+*   { timestamp, level, service, correlationId, requestId, userId, taskId,
+*     ..., message, ...fields }
+*  - log.debug/info/warn/error(message, fields) — message — сталий текст
+*    ("SQS SendMessage"), змінні значення — у fields (верхній рівень запису);
+*  - контекст (correlationId, userId, taskId…) — AsyncLocalStorage:
+*    withLogContext(fields, fn) на виклик, setLogContext(fields) — доповнити.
+*
+* Редагування (і в fields, і в тексті):
+*  - секрети за ключем (authorization, *token, *secret, *api-key, keyHash,
+*    signature…) і PII (email, phone, адреси) — "[REDACTED]";
+*  - вміст користувача за ключем (researchMd, markdown, text, html, body,
+*    content, prompt, messages…) — лише довжина;
+*  - у рядках — email, Bearer/JWT, ключі "sn_…" і "sk-…", підписи URL.
+*
+* Correlation id: API бере X-Correlation-Id (або requestId API Gateway) і
+* повертає його в заголовку; у SQS він іде атрибутом повідомлення
+* correlationId (correlationAttributes()), воркер читає його з запису
+* (correlationIdFrom(record)).
+*
+* emitMetrics(values, dimensions, properties) — рядок у форматі CloudWatch
+* Embedded Metric Format: метрики з логів без PutMetricData. Одиниця — за
+* назвою: *Duration/*Latency/*Time — Milliseconds, решта — Count.
+*
+* Опції через env:
+*  - LOG_LEVEL          (дефолт: info) — debug | info | warn | error | silent (тести)
+*  - LOG_FORMAT         (дефолт: json) — text: "🟢 текст key=value" для терміналу (локальний сервер)
+*  - METRICS_NAMESPACE  (дефолт: AIStudyNotes)
+*  - METRICS_DISABLED   (дефолт: false)
+*/
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+// Формат читається під час запису: local/server.js задає LOG_FORMAT уже після імпорту модуля
+const isText = () => process.env.LOG_FORMAT === "text";
+const METRICS_NAMESPACE = process.env.METRICS_NAMESPACE || "AIStudyNotes";
+const METRICS_DISABLED = process.env.METRICS_DISABLED === "true";
+
+const MAX_STRING = 1000;
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+const defaultContext = process.env.AWS_LAMBDA_FUNCTION_NAME ? { function: process.env.AWS_LAMBDA_FUNCTION_NAME } : {};
+
+/**
+* --------------------------------------------
+* Редагування
+* --------------------------------------------
+*/
+const SECRET_KEY = /(authorization|cookie|password|secret|token|signature|api-?key|keyhash|private-?key|signing-?key)$/i;
+const PII_KEY = /^(email|e-mail|phone|phone_number|address|sourceip)$/i;
+const CONTENT_KEY = /^(researchmd|markdown|text|html|body|content|prompt|partial|messages|instructions)$/i;
+
+const STRING_PATTERNS = [
+    [/\bBearer\s+[\w.~+/=-]+/gi, "Bearer [REDACTED]"],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[REDACTED_JWT]"],
+    [/\bsn_[A-Za-z0-9]+_[\w-]+/g, "sn_[REDACTED]"],
+    [/\bsk-[\w-]{16,}/g, "sk-[REDACTED]"],
+    [/([?&](?:signature|X-Amz-Signature|X-Amz-Credential|X-Amz-Security-Token)=)[^&\s"]+/gi, "$1[REDACTED]"],
+    [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, "[REDACTED_EMAIL]"],
+];
+
+export function redactString(value) {
+    let out = String(value);
+    for (const [pattern, replacement] of STRING_PATTERNS) out = out.replace(pattern, replacement);
+    return out.length > MAX_STRING ? `${out.slice(0, MAX_STRING)}…(+${out.length - MAX_STRING} chars)` : out;
+}
+
+function summarize(value) {
+    if (typeof value === "string") return `[${value.length} chars]`;
+    if (Array.isArray(value)) return `[${value.length} items]`;
+    return value == null ? value : "[omitted]";
+}
+
+export function redact(value, depth = 0, seen = new WeakSet()) {
+    if (value == null || typeof value === "number" || typeof value === "boolean") return value;
+    if (typeof value === "string") return redactString(value);
+    if (typeof value === "bigint") return String(value);
+    if (typeof value !== "object") return undefined;
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message),
+            ...(value.code ? { code: value.code } : {}),
+            ...(value.stack ? { stack: redactString(value.stack) } : {}),
+        };
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return `[${value.length} bytes]`;
+    if (seen.has(value)) return "[Circular]";
+    if (depth >= MAX_DEPTH) return "[Object]";
+    seen.add(value);
+
+    if (Array.isArray(value) || value instanceof Set) {
+        const items = [...value];
+        const out = items.slice(0, MAX_ITEMS).map((v) => redact(v, depth + 1, seen));
+        if (items.length > MAX_ITEMS) out.push(`…(+${items.length - MAX_ITEMS} items)`);
+        return out;
+    }
+    const entries = value instanceof Map ? [...value] : Object.entries(value);
+    const out = {};
+    for (const [key, v] of entries) {
+        if (SECRET_KEY.test(key) || PII_KEY.test(key)) out[key] = v == null ? v : "[REDACTED]";
+        else if (CONTENT_KEY.test(key)) out[key] = summarize(v);
+        else out[key] = redact(v, depth + 1, seen);
+    }
+    return out;
+}
+
+/**
+* --------------------------------------------
+* Контекст
+* --------------------------------------------
+*/
+export function withLogContext(fields, fn) {
+    return storage.run({ ...defaultContext, ...storage.getStore(), ...fields }, fn);
+}
+
+// Доповнює контекст поточного виклику (поза withLogContext нічого не робить)
+export function setLogContext(fields) {
+    const store = storage.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+export function getCorrelationId() {
+    return storage.getStore()?.correlationId ?? null;
+}
+
+// Прийнятний ззовні id: літери, цифри, _ . : / -, до 128 символів
+export function normalizeCorrelationId(value) {
+    const id = typeof value === "string" ? value.trim() : "";
+    return /^[\w.:/-]{1,128}$/.test(id) ? id : null;
+}
+
+export const newCorrelationId = () => crypto.randomUUID();
+
+// MessageAttributes для SendMessage / Publish з поточним correlation id
+export function correlationAttributes() {
+    const id = getCorrelationId();
+    return id ? { correlationId: { DataType: "String", StringValue: id } } : {};
+}
+
+// SQS event record → correlation id відправника (або messageId, якщо його немає)
+export function correlationIdFrom(record) {
+    return normalizeCorrelationId(record?.messageAttributes?.correlationId?.stringValue) || record?.messageId || newCorrelationId();
+}
+
+/**
+* --------------------------------------------
+* Запис
+* --------------------------------------------
+*/
+const LEVEL_EMOJI = { debug: "⚪", info: "🟢", warn: "🟠", error: "🔴" };
+
+// Поля контексту без порожніх значень (setLogContext({ taskId: null }) їх скидає)
+function currentContext() {
+    const context = { ...defaultContext, ...storage.getStore() };
+    return Object.fromEntries(Object.entries(context).filter(([, v]) => v !== null && v !== undefined));
+}
+
+const textValue = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+function write(level, message, fields) {
+    if (LEVELS[level] < LOG_LEVEL) return;
+    const text = redactString(message);
+    const clean = fields == null ? {} : redact(fields instanceof Error ? { error: fields } : fields);
+
+    if (isText()) {
+        const pairs = Object.entries(clean).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}=${textValue(v)}`);
+        process.stdout.write(`${[`${LEVEL_EMOJI[level]} ${text}`, ...pairs].join(" ")}\n`);
+        return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const record = { timestamp, level, ...currentContext(), message: text, ...clean };
+    // Поля не перекривають службові ключі запису
+    Object.assign(record, { timestamp, level, message: text });
+    process.stdout.write(`${JSON.stringify(record)}\n`);
+}
+
+export const log = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+};
+
+/**
+* --------------------------------------------
+* Метрики (Embedded Metric Format)
+* --------------------------------------------
+* values — { MetricName: число }; undefined/NaN пропускаються.
+* dimensions — { Name: значення }; до них додається Service, і кожна метрика
+* агрегується ще й лише за Service.
+* properties — додаткові поля рядка (не метрики), напр. model, code.
+*/
+const unitFor = (name) => (/(Duration|Latency|Time)$/.test(name) ? "Milliseconds" : "Count");
+
+export function emitMetrics(values, dimensions = {}, properties = {}) {
+    if (METRICS_DISABLED) return;
+    const metrics = Object.entries(values).filter(([, v]) => typeof v === "number" && Number.isFinite(v));
+    if (!metrics.length) return;
+
+    const context = currentContext();
+    const dims = { Service: context.service || "unknown", ...Object.fromEntries(Object.entries(dimensions).map(([k, v]) => [k, String(v ?? "none")])) };
+    const dimensionNames = Object.keys(dims);
+
+    if (isText()) {
+        const line = metrics.map(([k, v]) => `${k}=${v}`).join(" ");
+        process.stdout.write(`📈 Metrics ${line} ${JSON.stringify(dims)}\n`);
+        return;
+    }
+
+    const record = {
+        _aws: {
+            Timestamp: Date.now(),
+            CloudWatchMetrics: [
+                {
+                    Namespace: METRICS_NAMESPACE,
+                    Dimensions: dimensionNames.length > 1 ? [dimensionNames, ["Service"]] : [dimensionNames],
+                    Metrics: metrics.map(([name]) => ({ Name: name, Unit: unitFor(name) })),
+                },
+            ],
+        },
+        ...redact(properties),
+        ...(context.correlationId ? { correlationId: context.correlationId } : {}),
+        ...dims,
+        ...Object.fromEntries(metrics),
+    };
+    process.stdout.write(`${JSON.stringify(record)}\n`);
+}
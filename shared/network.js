@@ -0,0 +1,43 @@
+import net from "node:net";
+
+/**
+* ---------------------------------------------------------
+* 🌐 Приватні мережі (захист від SSRF)
+* ---------------------------------------------------------
+* Спільне для API (реєстрація вебхуків) і воркера (джерела-URL, доставка
+* вебхуків): isPrivateAddress(ip) — чи адреса в мережі, куди запити з
+* Lambda йти не мають (loopback, RFC 1918, link-local з 169.254.169.254,
+* CGNAT, multicast, ULA, NAT64/6to4 з вбудованою IPv4 тощо).
+* isPrivateHost(hostname) — для hostname з URL: IP-літерал (у т.ч. "[::1]")
+* або localhost. Звичайні імена тут не резолвляться — це робить lookup
+* з'єднання у воркері.
+*/
+
+// Адреси, куди запити з Lambda не йдуть. IPv4-mapped IPv6 (::ffff:a.b.c.d,
+// зокрема hex-форма ::ffff:7f00:1 від парсера URL) BlockList перевіряє за
+// IPv4-правилами, тож окремо ::ffff:0:0/96 не додаємо — він накрив би всі IPv4.
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [prefix, bits] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+    PRIVATE_NETWORKS.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+    ["::", 96], ["64:ff9b::", 96], ["64:ff9b:1::", 48], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) {
+    PRIVATE_NETWORKS.addSubnet(prefix, bits, "ipv6");
+}
+
+// Не IP (або порожній рядок) — теж true: такий хост не пропускаємо
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    return PRIVATE_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+export function isPrivateHost(hostname) {
+    const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+    if (host === "localhost" || host.endsWith(".localhost")) return true;
+    return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
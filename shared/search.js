@@ -0,0 +1,160 @@
+/**
+* --------------------------------------------
+* Повнотекстовий пошук по конспектах
+* --------------------------------------------
+* Індекс вбудований: на кожну задачу — один документ з частотами термів
+*   { id: "<taskId>#search", pk: "SEARCH#<userId>", createdAt, taskId, sourceUpdatedAt,
+*     topicTerms: { term: tf }, bodyTerms: { term: tf }, length }
+* Документ пишеться там, де змінюється текст: воркер — разом з DONE, API — з
+* новою версією (редагування, відновлення), тією ж транзакцією. Пошук лише
+* читає документи; задача без документа (ще не DONE) шукається за topic.
+* Ранжування — BM25 з вагою для topic, терм запиту також збігається як
+* префікс ("нейрон" → "нейронні").
+* Тут лише чисті функції без I/O, спільні для api-function і worker-function.
+*/
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TOPIC_WEIGHT = 3;
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+const SNIPPET_LENGTH = 180;
+
+const RE_WORD = /[\p{L}\p{N}]+/gu;
+
+// Нижній регістр без діакритики; "й"/"ї" лишаються окремими літерами
+function normalizeTerm(word) {
+    return word
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/(?![\u0306\u0308])\p{M}/gu, "")
+    .normalize("NFC");
+}
+
+export function tokenize(text) {
+    const terms = [];
+    for (const [word] of String(text || "").matchAll(RE_WORD)) {
+        const term = normalizeTerm(word);
+        if (term.length > 1 || /\p{N}/u.test(term)) terms.push(term);
+    }
+    return terms;
+}
+
+function termFrequencies(terms) {
+    const tf = {};
+    for (const term of terms) tf[term] = (tf[term] || 0) + 1;
+    return tf;
+}
+
+// Прибирає розмітку markdown, лишаючи читабельний текст для індексу і сніпетів
+export function markdownToPlainText(md) {
+    return String(md || "")
+    .replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^ {0,3}#{1,6}\s+/gm, "")
+    .replace(/^\s*(>\s*)+/gm, "")
+    .replace(/^\s*([-*+]|\d{1,9}[.)])\s+/gm, "")
+    .replace(/[*_~`|$]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function buildSearchDoc(task) {
+    const bodyTerms = tokenize(markdownToPlainText(task.status === "DONE" ? task.researchMd : ""));
+    const topicTerms = tokenize(task.topic);
+    return {
+        id: `${task.id}#search`,
+        pk: `SEARCH#${task.userId}`,
+        createdAt: task.createdAt,
+        taskId: task.id,
+        userId: task.userId,
+        sourceUpdatedAt: task.updatedAt,
+        topicTerms: termFrequencies(topicTerms),
+        bodyTerms: termFrequencies(bodyTerms),
+        length: topicTerms.length * TOPIC_WEIGHT + bodyTerms.length,
+    };
+}
+
+// Зважена частота терма запиту в документі: точний збіг + префіксні збіги
+function weightedTf(doc, queryTerm) {
+    let tf = 0;
+    for (const [field, weight] of [["topicTerms", TOPIC_WEIGHT], ["bodyTerms", 1]]) {
+        const terms = doc[field] || {};
+        tf += (terms[queryTerm] || 0) * weight;
+        if (queryTerm.length < MIN_PREFIX_LENGTH) continue;
+        for (const [term, count] of Object.entries(terms)) {
+            if (term !== queryTerm && term.startsWith(queryTerm)) tf += count * weight * PREFIX_WEIGHT;
+        }
+    }
+    return tf;
+}
+
+/**
+* BM25 по всіх документах користувача. Документ потрапляє в результат,
+* лише якщо містить кожен терм запиту (AND-семантика).
+* Повертає [{ taskId, score }] за спаданням score.
+*/
+export function rankDocuments(docs, query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length || !docs.length) return [];
+
+    const avgLength = docs.reduce((sum, d) => sum + (d.length || 0), 0) / docs.length || 1;
+    const tfs = docs.map((doc) => queryTerms.map((term) => weightedTf(doc, term)));
+
+    const idf = queryTerms.map((_, i) => {
+        const df = tfs.filter((row) => row[i] > 0).length;
+        return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    });
+
+    const results = [];
+    docs.forEach((doc, d) => {
+        if (tfs[d].some((tf) => tf === 0)) return;
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * (doc.length || 0)) / avgLength);
+        const score = tfs[d].reduce((sum, tf, i) => sum + idf[i] * ((tf * (BM25_K1 + 1)) / (tf + norm)), 0);
+        results.push({ taskId: doc.taskId, score: Number(score.toFixed(4)) });
+    });
+    return results.sort((a, b) => b.score - a.score || (a.taskId < b.taskId ? -1 : 1));
+}
+
+const escapeHtml = (s) =>
+    s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function matchesQuery(word, queryTerms) {
+    const term = normalizeTerm(word);
+    return queryTerms.some((q) => term === q || (q.length >= MIN_PREFIX_LENGTH && term.startsWith(q)));
+}
+
+/**
+* Підсвічує збіги в тексті: HTML-екранований рядок з <mark>…</mark>.
+* Для довгого тексту повертає вікно ~SNIPPET_LENGTH символів навколо
+* першого збігу з "…" на обрізаних краях.
+*/
+export function highlight(text, query, { snippet = true } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const source = String(text || "");
+    const words = [...source.matchAll(RE_WORD)];
+    const hits = words.filter(([word]) => matchesQuery(word, queryTerms));
+
+    let start = 0;
+    let end = source.length;
+    if (snippet && source.length > SNIPPET_LENGTH) {
+        const first = hits[0]?.index ?? 0;
+        start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+        end = Math.min(source.length, start + SNIPPET_LENGTH);
+        // Не різати слова навпіл
+        while (start > 0 && /[\p{L}\p{N}]/u.test(source[start - 1])) start--;
+        while (end < source.length && /[\p{L}\p{N}]/u.test(source[end])) end++;
+    }
+
+    let out = start > 0 ? "…" : "";
+    let pos = start;
+    for (const hit of hits) {
+        if (hit.index < start || hit.index + hit[0].length > end) continue;
+        out += escapeHtml(source.slice(pos, hit.index)) + `<mark>${escapeHtml(hit[0])}</mark>`;
+        pos = hit.index + hit[0].length;
+    }
+    out += escapeHtml(source.slice(pos, end));
+    if (end < source.length) out += "…";
+    return out;
+}
@@ -0,0 +1,211 @@
+/**
+* --------------------------------------------
+* Валідація за схемами (підмножина JSON Schema 2020-12)
+* --------------------------------------------
+* Спільна для api-function (запити) і worker-function (структуровані
+* відповіді моделі: картки, тести, програма плану).
+* validate(schema, value, { location, coerce, trim }) → { value, errors }
+*  - errors: [{ location, field, message }], field — шлях на кшталт
+*    "sources[0].url" (порожній — увесь документ);
+*  - value: копія з нормалізаціями (x-trim) і, з coerce, рядки query/path
+*    перетворені на integer/number/boolean за схемою;
+*  - trim: усі рядки обрізаються, як з x-trim (воркер: відповідь моделі
+*    з одних пробілів не проходить minLength).
+*
+* Ключові слова: type (рядок або масив), enum, const, minLength, maxLength,
+* pattern, format (date, date-time, uri, uuid), minimum, exclusiveMinimum,
+* maximum, items, minItems, maxItems, uniqueItems, properties, required,
+* additionalProperties (false), minProperties, oneOf + discriminator
+* (OpenAPI: гілка обирається за discriminator.propertyName через const).
+* Розширення:
+*  - x-trim: true — рядок обрізається до перевірки довжини/патерну;
+*  - x-pattern-message — текст помилки замість "must match pattern …".
+* Інші ключові слова (description, default, examples…) ігноруються і
+* лише потрапляють в OpenAPI.
+*/
+
+const FORMATS = {
+    date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+    "date-time": (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(v) && !Number.isNaN(Date.parse(v)),
+    uri: (v) => {
+        try {
+            return Boolean(new URL(v));
+        } catch {
+            return false;
+        }
+    },
+    uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+};
+
+const TYPE_NAMES = {
+    string: "a string",
+    integer: "an integer",
+    number: "a number",
+    boolean: "a boolean",
+    array: "an array",
+    object: "an object",
+    null: "null",
+};
+
+const patternCache = new Map();
+
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) patternCache.set(pattern, new RegExp(pattern, "u"));
+    return patternCache.get(pattern);
+}
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+// query/path приходять рядками — приводимо до типу зі схеми
+function coerceValue(value, types) {
+    if (typeof value !== "string") return value;
+    if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+    return value;
+}
+
+const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function describe(values) {
+    return values.map((v) => (v === null ? "null" : String(v))).join(", ");
+}
+
+function check(schema, value, path, ctx) {
+    const fail = (message) => {
+        ctx.errors.push({ location: ctx.location, field: path, message });
+        return value;
+    };
+
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (ctx.coerce && types.length) value = coerceValue(value, types);
+    if (types.length && !types.some((t) => matchesType(value, t))) {
+        return fail(`must be ${types.map((t) => TYPE_NAMES[t] || t).join(" or ")}`);
+    }
+    if (value === null) {
+        if (schema.enum && !schema.enum.includes(null)) return fail(`must be one of: ${describe(schema.enum)}`);
+        return value;
+    }
+
+    if (typeof value === "string") {
+        if (schema["x-trim"] || ctx.trim) value = value.trim();
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            return fail(`must be a valid ${schema.format}`);
+        }
+        if (schema.pattern && !compilePattern(schema.pattern).test(value)) {
+            return fail(schema["x-pattern-message"] || `must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            return fail(`must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (schema.const !== undefined && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${describe(schema.enum)}`);
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(schema.minItems === 1 ? "must not be empty" : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) {
+            return fail("must not contain duplicates");
+        }
+        if (schema.items) value = value.map((item, i) => check(schema.items, item, join(path, i), ctx));
+        return value;
+    }
+
+    if (typeof value === "object") {
+        if (schema.oneOf && schema.discriminator) return checkDiscriminated(schema, value, path, ctx);
+
+        const properties = schema.properties || {};
+        const out = { ...value };
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) ctx.errors.push({ location: ctx.location, field: join(path, name), message: "is required" });
+        }
+        for (const [name, propValue] of Object.entries(value)) {
+            if (properties[name]) {
+                if (propValue !== undefined) out[name] = check(properties[name], propValue, join(path, name), ctx);
+            } else if (schema.additionalProperties === false) {
+                ctx.errors.push({ location: ctx.location, field: join(path, name), message: "is not allowed" });
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            const names = Object.keys(properties);
+            return fail(`must include at least one of: ${names.join(", ")}`);
+        }
+        return out;
+    }
+    return value;
+}
+
+function checkDiscriminated(schema, value, path, ctx) {
+    const prop = schema.discriminator.propertyName;
+    const branches = schema.oneOf.map((s) => [s.properties?.[prop]?.const, s]);
+    const branch = branches.find(([tag]) => tag === value[prop]);
+    if (!branch) {
+        ctx.errors.push({
+            location: ctx.location,
+            field: join(path, prop),
+            message: value[prop] === undefined ? "is required" : `must be one of: ${describe(branches.map(([tag]) => tag))}`,
+        });
+        return value;
+    }
+    return check(branch[1], value, path, ctx);
+}
+
+export function validate(schema, value, { location = "body", coerce = false, trim = false } = {}) {
+    const ctx = { errors: [], location, coerce, trim };
+    const out = check(schema, value, "", ctx);
+    return { value: out, errors: ctx.errors };
+}
+
+/**
+* Набір параметрів (query, path, headers) як одна об'єктна схема.
+* params — { name: { schema, required, description } }. Заголовки
+* шукаються без урахування регістру.
+*/
+export function validateParams(params, values, { location }) {
+    const source = values || {};
+    const lookup = location === "header"
+    ? Object.fromEntries(Object.entries(source).map(([k, v]) => [k.toLowerCase(), v]))
+    : source;
+    const errors = [];
+    const out = {};
+    for (const [name, spec] of Object.entries(params || {})) {
+        const raw = lookup[location === "header" ? name.toLowerCase() : name];
+        // Порожній query-параметр (?limit=) — як відсутній; порожній заголовок — помилка
+        if (raw === undefined || raw === null || (raw === "" && location === "query")) {
+            if (spec.required) errors.push({ location, field: name, message: "is required" });
+            continue;
+        }
+        const { value, errors: fieldErrors } = validate(spec.schema, raw, { location, coerce: true });
+        errors.push(...fieldErrors.map((e) => ({ ...e, field: e.field ? `${name}${e.field.startsWith("[") ? "" : "."}${e.field}` : name })));
+        out[name] = value;
+    }
+    return { value: out, errors };
+}
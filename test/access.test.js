@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Access-токени зі scope і API-ключі (X-Api-Key)
+* ---------------------------------------------------------
+* ID-токен — повний доступ; access-токен і ключ — лише за своїми scope:
+* GET вимагає notes/read, решта — notes/write. Ключами керує лише ID-токен.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-access-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, { token, apiKey, body } = {}) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(apiKey ? { "X-Api-Key": apiKey } : {}),
+            ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+const challenge = (res) => res.headers.get("www-authenticate") || "";
+
+test("read-only access token can list but not create", async () => {
+    const token = local.issueToken({ sub: "alice", scope: "notes/read" });
+
+    assert.equal((await call("GET", "/tasks", { token })).status, 200);
+
+    const created = await call("POST", "/tasks", { token, body: { topic: "Plate tectonics" } });
+    assert.equal(created.status, 403);
+    assert.match(challenge(created), /error="insufficient_scope"/);
+    assert.match(challenge(created), /scope="notes\/write"/);
+});
+
+test("access token without known scopes is refused", async () => {
+    const token = local.issueToken({ sub: "alice", scope: "openid profile" });
+    const res = await call("GET", "/tasks", { token });
+    assert.equal(res.status, 403);
+    assert.match(challenge(res), /scope="notes\/read"/);
+});
+
+test("write-scoped access token creates tasks for its subject", async () => {
+    const token = local.issueToken({ sub: "carol", scope: "notes/read notes/write" });
+    const created = await call("POST", "/tasks", { token, body: { topic: "Ocean currents" } });
+    assert.equal(created.status, 201);
+    await local.drain();
+
+    const mine = await call("GET", "/tasks", { token: local.issueToken({ sub: "carol" }) });
+    assert.deepEqual(mine.body.items.map((t) => t.id), [created.body.id]);
+});
+
+test("API keys cannot be managed with an access token", async () => {
+    const token = local.issueToken({ sub: "alice", scope: "notes/read notes/write" });
+    const res = await call("POST", "/keys", { token, body: { scopes: ["notes/read"] } });
+    assert.equal(res.status, 403);
+    assert.match(challenge(res), /API keys can only be managed with an ID token/);
+});
+
+test("API key lifecycle: create, use within scopes, list, revoke", async () => {
+    const token = local.issueToken({ sub: "alice" });
+
+    const created = await call("POST", "/keys", { token, body: { name: "cli", scopes: ["notes/read"] } });
+    assert.equal(created.status, 201);
+    const { apiKey, keyId } = created.body;
+    assert.match(apiKey, /^sn_[0-9a-f]{12}_[A-Za-z0-9_-]+$/);
+    assert.equal(created.body.keyHash, undefined);
+
+    assert.equal((await call("GET", "/tasks", { apiKey })).status, 200);
+    const write = await call("POST", "/tasks", { apiKey, body: { topic: "Volcanoes" } });
+    assert.equal(write.status, 403);
+    assert.match(challenge(write), /scope="notes\/write"/);
+
+    // Ключ не може керувати ключами, навіть свого власника
+    assert.equal((await call("GET", "/keys", { apiKey })).status, 403);
+
+    const listed = await call("GET", "/keys", { token });
+    assert.deepEqual(listed.body.items.map((k) => [k.keyId, k.name, k.scopes]), [[keyId, "cli", ["notes/read"]]]);
+    assert.ok(listed.body.items.every((k) => k.keyHash === undefined && k.apiKey === undefined));
+
+    // Чужий ключ відкликати не можна
+    const foreign = await call("DELETE", `/keys/${keyId}`, { token: local.issueToken({ sub: "bob" }) });
+    assert.equal(foreign.status, 403);
+
+    assert.equal((await call("DELETE", `/keys/${keyId}`, { token })).status, 204);
+    const revoked = await call("GET", "/tasks", { apiKey });
+    assert.equal(revoked.status, 401);
+    assert.match(challenge(revoked), /API key revoked/);
+    assert.ok((await call("GET", "/keys", { token })).body.items[0].revokedAt);
+});
+
+test("write-scoped API key acts as its owner", async () => {
+    const token = local.issueToken({ sub: "dave" });
+    const { body } = await call("POST", "/keys", { token, body: { scopes: ["notes/read", "notes/write"] } });
+
+    const created = await call("POST", "/tasks", { apiKey: body.apiKey, body: { topic: "Glaciers" } });
+    assert.equal(created.status, 201);
+    await local.drain();
+
+    const task = await call("GET", `/tasks/${created.body.id}`, { token });
+    assert.equal(task.status, 200);
+    assert.equal(task.body.userId, "dave");
+});
+
+test("forged or malformed API keys are rejected", async () => {
+    const token = local.issueToken({ sub: "alice" });
+    const { body } = await call("POST", "/keys", { token, body: { scopes: ["notes/read"] } });
+    const forged = body.apiKey.slice(0, -4) + (body.apiKey.endsWith("AAAA") ? "BBBB" : "AAAA");
+
+    const bad = await call("GET", "/tasks", { apiKey: forged });
+    assert.equal(bad.status, 401);
+    assert.match(challenge(bad), /Invalid API key/);
+
+    const malformed = await call("GET", "/tasks", { apiKey: "not-a-key" });
+    assert.equal(malformed.status, 401);
+    assert.match(challenge(malformed), /Malformed API key/);
+});
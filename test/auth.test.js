@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Перевірка JWT офлайн через setJwksSource
+* ---------------------------------------------------------
+* Власна пара ключів і лічильник звернень до JWKS. TTL і cooldown — 0:
+* кожен запит іде в джерело, тож видно і повторне читання, і збої.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+process.env.JWKS_TTL_MS = "0";
+process.env.JWKS_REFETCH_COOLDOWN_MS = "0";
+process.env.CLOCK_SKEW_SEC = "60";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-auth-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+const { setJwksSource } = await import("../api-function/index.js");
+
+const ISSUER = "https://cognito-idp.local.amazonaws.com/local_studynotes";
+const CLIENT_ID = "local-client";
+const KID = "test-key";
+
+const signing = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const attacker = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwks = { keys: [{ ...signing.publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" }] };
+
+let local;
+let jwksCalls = 0;
+let jwksFailure = null;
+
+const source = async () => {
+    jwksCalls++;
+    if (jwksFailure) throw jwksFailure;
+    return jwks;
+};
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+});
+
+beforeEach(() => {
+    jwksFailure = null;
+    setJwksSource(source);
+    jwksCalls = 0;
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const segment = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+function token({ header = {}, claims = {}, key = signing.privateKey, sign } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const h = segment({ alg: "RS256", kid: KID, ...header });
+    const p = segment({ sub: "alice", aud: CLIENT_ID, token_use: "id", iss: ISSUER, iat: now, exp: now + 600, ...claims });
+    const signature = sign ? sign(`${h}.${p}`) : crypto.sign("RSA-SHA256", Buffer.from(`${h}.${p}`), key).toString("base64url");
+    return `${h}.${p}.${signature}`;
+}
+
+async function listTasks(jwt) {
+    const res = await fetch(`${local.url}/tasks`, { headers: { Authorization: `Bearer ${jwt}` } });
+    await res.arrayBuffer();
+    return { status: res.status, challenge: res.headers.get("www-authenticate") || "" };
+}
+
+async function rejected(jwt, description) {
+    const res = await listTasks(jwt);
+    assert.equal(res.status, 401);
+    assert.match(res.challenge, /error="invalid_token"/);
+    assert.ok(res.challenge.includes(`error_description="${description}"`), res.challenge);
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test("valid ID token is accepted", async () => {
+    assert.equal((await listTasks(token())).status, 200);
+});
+
+test("signature from another key is rejected", async () => {
+    await rejected(token({ key: attacker.privateKey }), "Invalid token signature");
+});
+
+test("tampered payload is rejected", async () => {
+    const [h, , s] = token().split(".");
+    const forged = segment({ sub: "mallory", aud: CLIENT_ID, token_use: "id", iss: ISSUER, exp: now() + 600 });
+    await rejected(`${h}.${forged}.${s}`, "Invalid token signature");
+});
+
+test("unknown kid refetches the JWKS and is rejected", async () => {
+    await rejected(token({ header: { kid: "rotated-away" } }), "Unknown signing key");
+    // TTL 0 — одне завантаження, плюс одне повторне через невідомий kid
+    assert.equal(jwksCalls, 2);
+});
+
+test("alg none is rejected", async () => {
+    const [h, p] = token({ header: { alg: "none" } }).split(".");
+    await rejected(`${h}.${p}.`, "Unsupported token algorithm");
+});
+
+test("HS256 signed with the public key is rejected", async () => {
+    const secret = signing.publicKey.export({ format: "pem", type: "spki" });
+    const jwt = token({
+        header: { alg: "HS256" },
+        sign: (input) => crypto.createHmac("sha256", secret).update(input).digest("base64url"),
+    });
+    await rejected(jwt, "Unsupported token algorithm");
+});
+
+test("wrong issuer is rejected", async () => {
+    await rejected(token({ claims: { iss: "https://cognito-idp.local.amazonaws.com/other_pool" } }), "Token issuer mismatch");
+});
+
+test("wrong audience is rejected", async () => {
+    await rejected(token({ claims: { aud: "other-client" } }), "Token audience mismatch");
+});
+
+test("exp within the clock skew is accepted, beyond it rejected", async () => {
+    assert.equal((await listTasks(token({ claims: { iat: now() - 600, exp: now() - 30 } }))).status, 200);
+    await rejected(token({ claims: { iat: now() - 600, exp: now() - 120 } }), "Token expired");
+});
+
+test("nbf within the clock skew is accepted, beyond it rejected", async () => {
+    assert.equal((await listTasks(token({ claims: { nbf: now() + 30 } }))).status, 200);
+    await rejected(token({ claims: { nbf: now() + 120 } }), "Token not yet valid");
+});
+
+test("JWKS outage with cached keys keeps accepting valid tokens", async () => {
+    assert.equal((await listTasks(token())).status, 200);
+    jwksFailure = new Error("connect ETIMEDOUT");
+    assert.equal((await listTasks(token())).status, 200);
+    assert.equal(jwksCalls, 2);
+});
+
+test("JWKS outage without cached keys is 503, not 401", async () => {
+    jwksFailure = new Error("connect ETIMEDOUT");
+    const res = await fetch(`${local.url}/tasks`, { headers: { Authorization: `Bearer ${token()}` } });
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get("www-authenticate"), null);
+    assert.deepEqual(await res.json(), { message: "Authentication service unavailable" });
+});
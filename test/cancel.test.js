@@ -0,0 +1,108 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { GetCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Скасування і видалення задачі посеред генерації
+* ---------------------------------------------------------
+* fake-провайдер віддає текст шматками з паузою, воркер пише прогрес на
+* кожному шматку (PROGRESS_FLUSH_MS=0) — і на першому ж записі після
+* скасування бачить, що задача вже не PROCESSING.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+process.env.LLM_FAKE_DELAY_MS = "40";
+process.env.PROGRESS_FLUSH_MS = "0";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-cancel-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub: "alice" })}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+// Чекає, поки воркер запише перший шматок тексту
+async function startGeneration(topic) {
+    const { id } = (await call("POST", "/tasks", { topic })).body;
+    for (let i = 0; i < 250; i++) {
+        const { body } = await call("GET", `/tasks/${id}`);
+        if (body.status === "PROCESSING" && body.researchMd) return id;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Task ${id} never started streaming`);
+}
+
+test("cancel stops the generation, keeps no version and refunds the quota", async () => {
+    const id = await startGeneration("Quantum tunnelling");
+
+    const cancelled = await call("POST", `/tasks/${id}/cancel`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, "CANCELLED");
+    assert.equal(cancelled.body.topic, "Quantum tunnelling");
+    assert.ok(cancelled.body.cancelledAt);
+    await local.drain();
+
+    const task = (await call("GET", `/tasks/${id}`)).body;
+    assert.equal(task.status, "CANCELLED");
+    assert.equal(task.error ?? null, null);
+    assert.deepEqual((await call("GET", `/tasks/${id}/revisions`)).body.items, []);
+
+    const usage = (await call("GET", "/me/usage")).body;
+    assert.equal(usage.day.tasks, 0);
+    assert.equal(usage.day.tokens, 0);
+
+    const again = await call("POST", `/tasks/${id}/cancel`);
+    assert.equal(again.status, 409);
+    assert.deepEqual(again.body, { message: "Only QUEUED or PROCESSING tasks can be cancelled", status: "CANCELLED" });
+});
+
+test("cancelled task can be retried to completion", async () => {
+    const id = await startGeneration("Wave-particle duality");
+    assert.equal((await call("POST", `/tasks/${id}/cancel`)).status, 200);
+    await local.drain();
+
+    const retried = await call("POST", `/tasks/${id}/retry`);
+    assert.equal(retried.status, 202);
+    await local.drain();
+
+    const task = (await call("GET", `/tasks/${id}`)).body;
+    assert.equal(task.status, "DONE");
+    assert.equal(task.cancelledAt, undefined);
+    assert.equal(task.version, 1);
+    assert.equal((await call("GET", "/me/usage")).body.day.tasks, 1);
+});
+
+test("deleting a task mid-generation leaves no record behind", async () => {
+    const id = await startGeneration("Superconductivity");
+    assert.equal((await call("DELETE", `/tasks/${id}`)).status, 204);
+    await local.drain();
+
+    assert.equal((await call("GET", `/tasks/${id}`)).status, 404);
+    const { Item } = await local.dynamodb.send(
+        new GetCommand({ TableName: local.parameters["dynamo-db-table-name"], Key: { id } })
+    );
+    assert.equal(Item, undefined);
+    assert.equal((await call("GET", `/tasks/${id}/revisions`)).status, 404);
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Структуровані відповіді моделі: картки, тест, програма плану
+* ---------------------------------------------------------
+* Воркер перевіряє JSON моделі тим самим shared/validation.js, що й API запити;
+* fake-провайдер віддає мінімальне валідне значення за схемою.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-derived-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub: "alice" })}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+test("flashcards and quiz pass the worker's schema check and are stored", async () => {
+    const { id } = (await call("POST", "/tasks", { topic: "Plate tectonics" })).body;
+    await local.drain();
+
+    assert.equal((await call("POST", `/tasks/${id}/flashcards`, { count: 5 })).status, 202);
+    assert.equal((await call("POST", `/tasks/${id}/quiz`, { count: 3 })).status, 202);
+    await local.drain();
+
+    const flashcards = (await call("GET", `/tasks/${id}/flashcards`)).body;
+    assert.equal(flashcards.status, "DONE");
+    assert.equal(flashcards.error ?? null, null);
+    assert.ok(flashcards.data.cards.every((c) => c.front && c.back));
+
+    const quiz = (await call("GET", `/tasks/${id}/quiz`)).body;
+    assert.equal(quiz.status, "DONE");
+    assert.ok(quiz.data.questions.every((q) => q.options.length >= 2 && Number.isInteger(q.answerIndex)));
+});
+
+test("study plan syllabus with exactly itemCount topics is accepted", async () => {
+    const { planId } = (await call("POST", "/study-plans", { subject: "Oceanography", itemCount: 3 })).body;
+    await local.drain();
+
+    const plan = (await call("GET", `/study-plans/${planId}`)).body;
+    assert.equal(plan.error ?? null, null);
+    assert.equal(plan.items.length, 3);
+    assert.equal(plan.progress.done, 3);
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Щоденний дайджест замість миттєвих сповіщень
+* ---------------------------------------------------------
+* Листи — в local.topic.messages (локальний SNS), запуск — POST /_local/run/digest.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-digest-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(sub, method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub })}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+const runDigest = async () => (await fetch(`${local.url}/_local/run/digest`, { method: "POST" })).json();
+const sentTo = (userId, event) => local.topic.messages.filter((m) => m.payload?.userId === userId && m.payload?.event === event);
+
+test("instant delivery sends a message per finished task", async () => {
+    await call("bob", "POST", "/tasks", { topic: "Volcanoes" });
+    await local.drain();
+    assert.equal(sentTo("bob", "task.done").length, 1);
+});
+
+test("digest collects finished tasks into one escaped message", async () => {
+    const prefs = await call("alice", "PATCH", "/me/notifications", { delivery: "digest", locale: "en" });
+    assert.equal(prefs.status, 200);
+    assert.equal(prefs.body.delivery, "digest");
+
+    const ids = [];
+    for (const topic of ["Acids & <bases>", "Redox reactions"]) {
+        ids.push((await call("alice", "POST", "/tasks", { topic })).body.id);
+        await local.drain();
+    }
+    assert.equal(sentTo("alice", "task.done").length, 0);
+
+    const stats = await runDigest();
+    assert.deepEqual(stats, { users: 1, sent: 1, skipped: 0, failed: 0, entries: 2 });
+
+    const [digest] = sentTo("alice", "digest");
+    assert.match(digest.subject, /^Notes ready on \d{1,2} \w+ \d{4}: 2$/);
+    assert.deepEqual(digest.payload.taskIds, ids);
+    assert.ok(digest.payload.text.includes(`- Acids & <bases> (ID: ${ids[0]})\n- Redox reactions (ID: ${ids[1]})\n`));
+    assert.ok(digest.payload.html.includes("<strong>Acids &amp; &lt;bases&gt;</strong>"));
+    assert.ok(!digest.payload.html.includes("<bases>"));
+});
+
+test("sent entries are removed, so the next run has nothing to send", async () => {
+    assert.deepEqual(await runDigest(), { users: 0, sent: 0, skipped: 0, failed: 0, entries: 0 });
+    assert.equal(sentTo("alice", "digest").length, 1);
+});
+
+test("entries of deleted tasks are dropped from the digest", async () => {
+    const { id } = (await call("alice", "POST", "/tasks", { topic: "Electrolysis" })).body;
+    await local.drain();
+    assert.equal((await call("alice", "DELETE", `/tasks/${id}`)).status, 204);
+
+    assert.deepEqual(await runDigest(), { users: 1, sent: 0, skipped: 1, failed: 0, entries: 1 });
+    assert.equal(sentTo("alice", "digest").length, 1);
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 End-to-end: API → черга → воркер через local/server.js
+* ---------------------------------------------------------
+* Сервер піднімається в процесі тесту (port 0), AWS — у пам'яті, LLM — fake.
+* Env виставляємо до імпорту: модулі функцій читають його при завантаженні.
+*/
+// Тихі логи й без метрик: stdout тестового процесу читає раннер node --test
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+process.env.CONFIG_TTL_MS ??= "0";
+const storageDir = process.env.LOCAL_STORAGE_DIR ? null : fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-e2e-"));
+process.env.LOCAL_STORAGE_DIR ??= storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+let token;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    token = local.issueToken({ sub: "alice" });
+});
+
+after(async () => {
+    await local?.close();
+    if (storageDir) fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, { body, headers = {}, auth = true } = {}) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: {
+            ...(auth ? { Authorization: `Bearer ${token}` } : {}),
+            ...(body ? { "Content-Type": "application/json" } : {}),
+            ...headers,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+test("task goes from QUEUED to DONE with a first version", async () => {
+    const created = await call("POST", "/tasks", {
+        body: { topic: "Photosynthesis basics" },
+        headers: { "X-Correlation-Id": "e2e-create" },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, "QUEUED");
+    assert.equal(created.headers.get("x-correlation-id"), "e2e-create");
+
+    await local.drain();
+
+    const task = await call("GET", `/tasks/${created.body.id}`);
+    assert.equal(task.status, 200);
+    assert.equal(task.body.status, "DONE");
+    assert.match(task.body.researchMd, /Photosynthesis basics/);
+    assert.equal(task.body.version, 1);
+
+    const versions = await call("GET", `/tasks/${created.body.id}/versions`);
+    assert.deepEqual(versions.body.items.map((v) => v.version), [1]);
+});
+
+test("idempotent replay returns the original task", async () => {
+    const headers = { "Idempotency-Key": "e2e-replay" };
+    const first = await call("POST", "/tasks", { body: { topic: "Cell division" }, headers });
+    const replay = await call("POST", "/tasks", { body: { topic: "Cell division" }, headers });
+    assert.equal(first.status, 201);
+    assert.equal(replay.status, 201);
+    assert.equal(replay.headers.get("idempotent-replayed"), "true");
+    assert.equal(replay.body.id, first.body.id);
+
+    const conflict = await call("POST", "/tasks", { body: { topic: "Mitosis" }, headers });
+    assert.equal(conflict.status, 409);
+    await local.drain();
+});
+
+test("requests without a token are rejected", async () => {
+    const res = await call("GET", "/tasks", { auth: false });
+    assert.equal(res.status, 401);
+});
@@ -0,0 +1,125 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 GET /tasks/{id}/events: long-poll SSE і відновлення з Last-Event-ID
+* ---------------------------------------------------------
+* fake-провайдер віддає текст шматками з паузою, воркер пише кожен шматок
+* (PROGRESS_FLUSH_MS=0) — клієнт бачить прогрес і продовжує з останнього id.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+process.env.LLM_FAKE_DELAY_MS = "25";
+process.env.PROGRESS_FLUSH_MS = "0";
+process.env.SSE_MAX_WAIT_MS = "400";
+process.env.SSE_POLL_MS = "20";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-events-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+let token;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    token = local.issueToken({ sub: "alice" });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, { body, headers = {} } = {}) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...headers },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, text };
+}
+
+function parseSSE(text) {
+    return text
+    .split("\n\n")
+    .map((block) => Object.fromEntries(block.split("\n").filter((l) => /^(id|event|data): /.test(l)).map((l) => l.split(/: (.*)/s))))
+    .filter((e) => e.event)
+    .map((e) => ({ id: e.id, event: e.event, data: JSON.parse(e.data) }));
+}
+
+async function events(id, lastEventId) {
+    const res = await call("GET", `/tasks/${id}/events`, { headers: lastEventId ? { "Last-Event-ID": lastEventId } : {} });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+    assert.match(res.text, /^retry: \d+/);
+    return parseSSE(res.text);
+}
+
+async function createDone(topic) {
+    const created = await call("POST", "/tasks", { body: { topic } });
+    const { id } = JSON.parse(created.text);
+    await local.drain();
+    return id;
+}
+
+test("reconnecting with Last-Event-ID replays only what is new", async () => {
+    const created = JSON.parse((await call("POST", "/tasks", { body: { topic: "Plate tectonics", language: "en", depth: "deep_dive" } })).text);
+
+    let lastId = null;
+    let text = "";
+    const statuses = [];
+    let chunks = 0;
+    let done = null;
+    for (let i = 0; i < 200 && !done; i++) {
+        for (const e of await events(created.id, lastId)) {
+            lastId = e.id;
+            if (e.event === "status") statuses.push(e.data.status);
+            if (e.event === "chunk") {
+                chunks++;
+                text = e.data.reset ? e.data.text : text.slice(0, e.data.offset) + e.data.text;
+            }
+            if (e.event === "done") done = e.data;
+        }
+    }
+
+    assert.ok(done, "stream ended with a done event");
+    assert.deepEqual(statuses.slice(-2), ["PROCESSING", "DONE"]);
+    assert.ok(chunks > 1, `text arrived in ${chunks} chunk(s)`);
+    assert.equal(text, done.researchMd);
+    assert.match(lastId, new RegExp(`^DONE:${done.researchMd.length}$`));
+});
+
+test("Last-Event-ID at the end yields only the done event", async () => {
+    const id = await createDone("Continental drift");
+    const [first, , final] = await events(id);
+    assert.deepEqual([first.event, final.event], ["status", "done"]);
+
+    const again = await events(id, final.id);
+    assert.deepEqual(again.map((e) => e.event), ["done"]);
+});
+
+test("resume from the middle of the text continues at that offset", async () => {
+    const id = await createDone("Mid-ocean ridges");
+    const full = (await events(id)).find((e) => e.event === "done").data.researchMd;
+
+    const resumed = await events(id, "PROCESSING:10");
+    assert.deepEqual(resumed.map((e) => e.event), ["status", "chunk", "done"]);
+    assert.equal(resumed[0].data.status, "DONE");
+    assert.deepEqual(resumed[1].data, { offset: 10, text: full.slice(10) });
+
+    // Текст став коротшим за відданий (напр., повторна генерація) — reset з нуля
+    const reset = await events(id, `DONE:${full.length + 50}`);
+    assert.deepEqual(reset[0].data, { offset: 0, text: full, reset: true });
+});
+
+test("lastEventId query parameter works for clients without headers", async () => {
+    const id = await createDone("Subduction zones");
+    const res = await call("GET", `/tasks/${id}/events?lastEventId=${encodeURIComponent("DONE:0")}`);
+    assert.deepEqual(parseSSE(res.text).map((e) => e.event), ["chunk", "done"]);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 GET /tasks: пошук з ранжуванням і підписані курсори
+* ---------------------------------------------------------
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-listing-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+const ids = {};
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    for (const topic of ["Photosynthesis", "Chlorophyll pigments", "Roman history"]) {
+        ids[topic] = (await call("alice", "POST", "/tasks", { topic })).body.id;
+    }
+    await local.drain();
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(sub, method, route, body, headers = {}) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub })}`, "Content-Type": "application/json", ...headers },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+async function edit(id, researchMd) {
+    const task = await call("alice", "GET", `/tasks/${id}`);
+    const out = await call("alice", "PUT", `/tasks/${id}/content`, { researchMd }, { "If-Match": task.headers.get("etag") });
+    assert.equal(out.status, 200);
+}
+
+test("q ranks topic matches above body matches and highlights both", async () => {
+    await edit(ids.Photosynthesis, "# Photosynthesis\n\nLeaves capture light with **chlorophyll**.");
+
+    const res = await call("alice", "GET", "/tasks?q=chlorophyll");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.items.map((t) => t.id), [ids["Chlorophyll pigments"], ids.Photosynthesis]);
+    assert.ok(res.body.items[0].score > res.body.items[1].score);
+    assert.equal(res.body.items[0].highlights.topic, "<mark>Chlorophyll</mark> pigments");
+    assert.equal(res.body.items[1].highlights.snippet, "Photosynthesis Leaves capture light with <mark>chlorophyll</mark>.");
+});
+
+test("q matches prefixes, requires every term and respects filters", async () => {
+    const prefix = await call("alice", "GET", "/tasks?q=photosynth");
+    assert.deepEqual(prefix.body.items.map((t) => t.id), [ids.Photosynthesis]);
+
+    const both = await call("alice", "GET", "/tasks?q=chlorophyll%20roman");
+    assert.equal(both.body.total, 0);
+
+    const filtered = await call("alice", "GET", "/tasks?q=chlorophyll&status=ERROR");
+    assert.equal(filtered.body.total, 0);
+
+    const foreign = await call("bob", "GET", "/tasks?q=chlorophyll");
+    assert.equal(foreign.body.total, 0);
+});
+
+test("search picks up edited content", async () => {
+    await edit(ids["Roman history"], "# Roman history\n\nAqueducts carried water into the city.");
+    const res = await call("alice", "GET", "/tasks?q=aqueducts");
+    assert.deepEqual(res.body.items.map((t) => t.id), [ids["Roman history"]]);
+});
+
+test("cursor pages through all tasks without gaps", async () => {
+    const first = await call("alice", "GET", "/tasks?limit=2");
+    assert.equal(first.body.items.length, 2);
+    assert.ok(first.body.cursor);
+
+    const second = await call("alice", "GET", `/tasks?limit=2&cursor=${first.body.cursor}`);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.items.length, 1);
+    assert.equal(second.body.cursor, null);
+
+    const seen = [...first.body.items, ...second.body.items].map((t) => t.id).sort();
+    assert.deepEqual(seen, Object.values(ids).sort());
+});
+
+test("tampered, foreign or re-scoped cursors are rejected with 400", async () => {
+    const { body } = await call("alice", "GET", "/tasks?limit=1");
+    const [data, signature] = body.cursor.split(".");
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+    const forged = Buffer.from(JSON.stringify({ ...payload, p: { ...payload.p, createdAt: "9999-12-31T00:00:00.000Z" } })).toString("base64url");
+    const invalid = { location: "query", field: "cursor", message: "is invalid or belongs to another query" };
+
+    for (const [sub, query] of [
+        ["alice", `limit=1&cursor=${forged}.${signature}`],
+        ["alice", `limit=1&cursor=${data}.${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`],
+        ["bob", `limit=1&cursor=${body.cursor}`],
+        ["alice", `limit=1&status=DONE&cursor=${body.cursor}`],
+    ]) {
+        const res = await call(sub, "GET", `/tasks?${query}`);
+        assert.equal(res.status, 400, query);
+        assert.deepEqual(res.body.errors, [invalid]);
+    }
+
+    const garbage = await call("alice", "GET", "/tasks?cursor=not-a-cursor");
+    assert.equal(garbage.status, 400);
+    assert.deepEqual(garbage.body.errors, [{ location: "query", field: "cursor", message: "must be a cursor returned by the previous page" }]);
+});
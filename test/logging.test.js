@@ -0,0 +1,86 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Логи й метрики запитів API: без тіл відповідей, Route лише з шаблону
+* ---------------------------------------------------------
+* Рядки stdout перехоплюються на час запиту; LOG_FORMAT=json, як у Lambda.
+*/
+process.env.LOG_LEVEL = "debug";
+process.env.LOG_FORMAT = "json";
+process.env.METRICS_DISABLED = "false";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-logging-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+const { handler } = await import("../api-function/index.js");
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// Записи stdout, зроблені за час fn(), розібрані як JSON
+async function captureStdout(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = (chunk, ...rest) => {
+        lines.push(...String(chunk).split("\n").filter(Boolean));
+        return typeof rest.at(-1) === "function" ? (rest.at(-1)(), true) : true;
+    };
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines.flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+test("response log carries the size, not the body", async () => {
+    const topic = "Photosynthesis secret-marker";
+    const records = await captureStdout(async () => {
+        const res = await fetch(`${local.url}/tasks`, {
+            method: "POST",
+            headers: { Authorization: `Bearer ${local.issueToken({ sub: "alice" })}`, "Content-Type": "application/json" },
+            body: JSON.stringify({ topic }),
+        });
+        assert.equal(res.status, 201);
+        await res.text();
+    });
+
+    const responses = records.filter((r) => r.message === "API Response");
+    assert.ok(responses.length > 0);
+    for (const r of responses) {
+        assert.equal(typeof r.bytes, "number");
+        assert.equal(r.payload, undefined);
+    }
+    assert.ok(!responses.some((r) => JSON.stringify(r).includes("secret-marker")));
+    await local.drain();
+});
+
+test("requests outside the routes are counted under a fixed Route", async () => {
+    const records = await captureStdout(async () => {
+        await handler({ httpMethod: "GET", path: "/tasks/3f1c9a7e/anything", headers: {}, requestContext: {} });
+    });
+
+    const done = records.find((r) => r.message === "API Done");
+    assert.equal(done.route, "unmatched");
+    const metrics = records.find((r) => r._aws);
+    assert.equal(metrics.Route, "unmatched");
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { GetCommand, PutCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+* ---------------------------------------------------------
+* 🧪 migrate.handler: спільні партиції → партиції власників або без pk
+* ---------------------------------------------------------
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-migrate-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+const { migrateTaskPartitions, backfillSearchDocs, backfillInFlight } = await import("../api-function/migrate.js");
+
+let local;
+let tableName;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    tableName = local.parameters["dynamo-db-table-name"];
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const put = (Item) => local.dynamodb.send(new PutCommand({ TableName: tableName, Item }));
+const get = async (id) => (await local.dynamodb.send(new GetCommand({ TableName: tableName, Key: { id } }))).Item;
+
+test("legacy partitions are moved to owners or dropped from the index", async () => {
+    const createdAt = "2025-01-01T00:00:00.000Z";
+    await put({ id: "legacy-task", pk: "TASK", userId: "alice", topic: "Old", status: "DONE", createdAt });
+    await put({ id: "APIKEY#legacy", pk: "APIKEY", userId: "alice", keyId: "legacy", createdAt });
+    await put({ id: "legacy-task#v1", pk: "VERSION", taskId: "legacy-task", version: 1, createdAt });
+    await put({ id: "IDEMP#alice#abc", pk: "IDEMPOTENCY", userId: "alice", createdAt });
+    await put({ id: "USAGE#alice#2025-01", pk: "USAGE", userId: "alice", tasks: 3 });
+
+    const dry = await migrateTaskPartitions(tableName, { dryRun: true });
+    assert.equal(dry.migrated, 5);
+    assert.equal((await get("legacy-task")).pk, "TASK");
+
+    const result = await migrateTaskPartitions(tableName);
+    assert.deepEqual({ migrated: result.migrated, done: result.done }, { migrated: 5, done: true });
+    assert.equal((await get("legacy-task")).pk, "TASK#alice");
+    assert.equal((await get("APIKEY#legacy")).pk, "APIKEY#alice");
+    for (const id of ["legacy-task#v1", "IDEMP#alice#abc", "USAGE#alice#2025-01"]) {
+        const item = await get(id);
+        assert.equal(item.pk, undefined, id);
+        assert.equal(item.id, id);
+    }
+
+    const again = await migrateTaskPartitions(tableName);
+    assert.equal(again.scanned, 0);
+});
+
+test("search backfill indexes finished tasks that predate the index", async () => {
+    const createdAt = "2025-02-01T00:00:00.000Z";
+    const researchMd = "# Glaciers\n\nMoraines mark where the ice stopped.";
+    await put({ id: "unindexed", pk: "TASK#bob", userId: "bob", topic: "Glaciers", status: "DONE", researchMd, createdAt, updatedAt: createdAt });
+    await put({ id: "queued-task", pk: "TASK#bob", userId: "bob", topic: "Fjords", status: "QUEUED", createdAt, updatedAt: createdAt });
+
+    const search = async (q) => {
+        const res = await fetch(`${local.url}/tasks?q=${q}`, { headers: { Authorization: `Bearer ${local.issueToken({ sub: "bob" })}` } });
+        return (await res.json()).items.map((t) => t.id);
+    };
+
+    // Пошук лише читає індекс: без документа задача знаходиться за topic, не за текстом
+    assert.deepEqual(await search("glaciers"), ["unindexed"]);
+    assert.deepEqual(await search("moraines"), []);
+    assert.equal(await get("unindexed#search"), undefined);
+
+    const result = await backfillSearchDocs(tableName);
+    // Разом із задачею з першого тесту, перенесеною в TASK#alice
+    assert.deepEqual({ indexed: result.indexed, done: result.done }, { indexed: 2, done: true });
+    assert.equal((await get("unindexed#search")).pk, "SEARCH#bob");
+    assert.equal((await get("legacy-task#search")).pk, "SEARCH#alice");
+    assert.equal(await get("queued-task#search"), undefined);
+    assert.deepEqual(await search("moraines"), ["unindexed"]);
+
+    const again = await backfillSearchDocs(tableName);
+    assert.deepEqual({ indexed: again.indexed, skipped: again.skipped }, { indexed: 0, skipped: 2 });
+});
+
+test("in-flight backfill puts queued and processing records into the reaper index", async () => {
+    const stale = "2025-03-01T00:00:00.000Z";
+    await put({ id: "old-processing", pk: "TASK#carol", userId: "carol", topic: "Deltas", status: "PROCESSING", createdAt: stale, updatedAt: stale });
+    await put({ id: "old-done", pk: "TASK#carol", userId: "carol", topic: "Estuaries", status: "DONE", createdAt: stale, updatedAt: stale });
+
+    const result = await backfillInFlight(tableName);
+    // Разом із QUEUED-задачею з попереднього тесту
+    assert.deepEqual({ marked: result.marked, done: result.done }, { marked: 2, done: true });
+    assert.equal((await get("old-processing")).inFlight, "PROCESSING");
+    assert.equal((await get("queued-task")).inFlight, "QUEUED");
+    assert.equal((await get("old-done")).inFlight, undefined);
+
+    const again = await backfillInFlight(tableName);
+    assert.equal(again.scanned, 0);
+
+    // Тепер reaper бачить обидва записи й повертає їх у чергу
+    const stats = await (await fetch(`${local.url}/_local/run/reaper`, { method: "POST" })).json();
+    assert.deepEqual({ scanned: stats.scanned, requeued: stats.requeued }, { scanned: 2, requeued: 2 });
+    await local.drain();
+    assert.equal((await get("old-processing")).status, "DONE");
+    assert.equal((await get("old-processing")).inFlight, undefined);
+});
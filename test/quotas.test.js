@@ -0,0 +1,119 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PutCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Квоти: 429, X-RateLimit-* і облік у GET /me/usage
+* ---------------------------------------------------------
+* Тарифи — через SSM quota-tiers: free з двома задачами на день і tight з
+* лімітом у 1 токен (вичерпується першою ж генерацією fake-провайдера).
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-quotas-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+const TIERS = {
+    free: { dailyTasks: 2, monthlyTasks: 100, dailyTokens: 0, monthlyTokens: 0 },
+    tight: { dailyTasks: 10, monthlyTasks: 100, dailyTokens: 1, monthlyTokens: 0 },
+};
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({ port: 0, parameters: { "quota-tiers": JSON.stringify(TIERS) } });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(sub, method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub })}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+const rateLimit = (res) => ["limit", "remaining", "reset"].map((k) => res.headers.get(`x-ratelimit-${k}`));
+const nextUtcMidnight = () => {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) / 1000;
+};
+
+test("daily task quota counts down and then answers 429", async () => {
+    const first = await call("alice", "POST", "/tasks", { topic: "Neural networks" });
+    assert.equal(first.status, 201);
+    assert.deepEqual(rateLimit(first), ["2", "1", String(nextUtcMidnight())]);
+
+    const second = await call("alice", "POST", "/tasks", { topic: "Decision trees" });
+    assert.equal(second.status, 201);
+    assert.equal(second.headers.get("x-ratelimit-remaining"), "0");
+
+    const third = await call("alice", "POST", "/tasks", { topic: "Random forests" });
+    assert.equal(third.status, 429);
+    assert.equal(third.body.code, "quota_exceeded");
+    assert.equal(third.body.message, "Daily tasks quota exceeded");
+    assert.equal(third.body.period, "day");
+    assert.deepEqual(rateLimit(third), ["2", "0", String(nextUtcMidnight())]);
+    assert.ok(Number(third.headers.get("retry-after")) >= 1);
+
+    // Відмова нічого не створює
+    await local.drain();
+    const list = await call("alice", "GET", "/tasks");
+    assert.equal(list.body.items.length, 2);
+});
+
+test("batch larger than the remaining quota is refused as a whole", async () => {
+    const res = await call("erin", "POST", "/tasks/batch", { topics: ["Atoms", "Molecules", "Ions"] });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.requested, 3);
+    assert.equal(res.body.remaining, 2);
+
+    const usage = await call("erin", "GET", "/me/usage");
+    assert.equal(usage.body.day.tasks, 0);
+});
+
+test("GET /me/usage reports tasks, tokens and limits", async () => {
+    await local.drain();
+    const usage = await call("alice", "GET", "/me/usage");
+    assert.equal(usage.status, 200);
+    assert.equal(usage.body.tier, "free");
+    assert.equal(usage.body.day.tasks, 2);
+    assert.equal(usage.body.month.tasks, 2);
+    assert.ok(usage.body.day.inputTokens > 0 && usage.body.day.outputTokens > 0);
+    assert.equal(usage.body.day.tokens, usage.body.day.inputTokens + usage.body.day.outputTokens);
+    assert.deepEqual(usage.body.day.limits, { tasks: 2, tokens: null });
+    assert.deepEqual(usage.body.day.remaining, { tasks: 0, tokens: null });
+    assert.equal(usage.headers.get("x-ratelimit-remaining"), "0");
+
+    // Токени — і на самій задачі
+    const [task] = (await call("alice", "GET", "/tasks")).body.items;
+    const full = await call("alice", "GET", `/tasks/${task.id}`);
+    assert.ok(full.body.usage.inputTokens > 0);
+});
+
+test("token quota blocks new tasks once the tier's tokens are spent", async () => {
+    await local.dynamodb.send(
+        new PutCommand({ TableName: local.parameters["dynamo-db-table-name"], Item: { id: "USER#frank", tier: "tight" } })
+    );
+
+    assert.equal((await call("frank", "POST", "/tasks", { topic: "Black holes" })).status, 201);
+    await local.drain();
+
+    const blocked = await call("frank", "POST", "/tasks", { topic: "Neutron stars" });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.message, "Daily tokens quota exceeded");
+    assert.equal(blocked.body.tier, "tight");
+    assert.equal(blocked.body.limit, "tokens");
+});
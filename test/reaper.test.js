@@ -0,0 +1,107 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { GetCommand, PutCommand } from "@aws-sdk/lib-dynamodb";
+import { SendMessageCommand } from "@aws-sdk/client-sqs";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Reaper завислих задач і DLQ черги задач
+* ---------------------------------------------------------
+* Завислі записи кладемо напряму в таблицю зі старим updatedAt; reaper —
+* POST /_local/run/reaper, DLQ — повідомлення прямо в studynotes-tasks-dlq.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-reaper-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+let tableName;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    tableName = local.parameters["dynamo-db-table-name"];
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const hoursAgo = (h) => new Date(Date.now() - h * 3600e3).toISOString();
+
+async function seed(id, fields) {
+    const item = { id, pk: "TASK#alice", userId: "alice", topic: `Stale ${id}`, createdAt: hoursAgo(24), ...fields };
+    await local.dynamodb.send(new PutCommand({ TableName: tableName, Item: item }));
+}
+
+const getItem = async (id) => (await local.dynamodb.send(new GetCommand({ TableName: tableName, Key: { id } }))).Item;
+const runReaper = async () => (await fetch(`${local.url}/_local/run/reaper`, { method: "POST" })).json();
+
+async function deadLetter(body) {
+    await local.queues.send(
+        new SendMessageCommand({ QueueUrl: local.queues.urlFor("studynotes-tasks-dlq"), MessageBody: JSON.stringify(body) })
+    );
+    await local.drain();
+}
+
+test("stale tasks are requeued, retried out ones fail, fresh ones are left alone", async () => {
+    await seed("stuck-processing", { status: "PROCESSING", inFlight: "PROCESSING", updatedAt: hoursAgo(1) });
+    await seed("lost-message", { status: "QUEUED", inFlight: "QUEUED", updatedAt: hoursAgo(7) });
+    await seed("reaped-twice", { status: "PROCESSING", inFlight: "PROCESSING", updatedAt: hoursAgo(1), reapCount: 2, attempts: 3 });
+    await seed("just-queued", { status: "QUEUED", inFlight: "QUEUED", updatedAt: hoursAgo(1) });
+    await seed("finished", { status: "DONE", updatedAt: hoursAgo(48) });
+
+    const stats = await runReaper();
+    assert.deepEqual(stats, { scanned: 3, requeued: 2, failed: 1, skipped: 0, done: true, startKey: null });
+
+    const failed = await getItem("reaped-twice");
+    assert.equal(failed.status, "ERROR");
+    assert.equal(failed.error.code, "stale_task");
+    assert.equal(failed.error.retryable, true);
+    assert.equal(failed.error.message, "Task was stuck in PROCESSING after 3 attempt(s)");
+    assert.equal(failed.inFlight, undefined);
+
+    assert.equal((await getItem("just-queued")).status, "QUEUED");
+    assert.equal((await getItem("finished")).status, "DONE");
+
+    // Повторно поставлені в чергу — воркер доводить їх до кінця
+    await local.drain();
+    for (const id of ["stuck-processing", "lost-message"]) {
+        const item = await getItem(id);
+        assert.equal(item.status, "DONE", id);
+        assert.equal(item.reapCount, 1);
+        assert.equal(item.inFlight, undefined);
+        assert.ok(item.researchMd.length > 0);
+    }
+
+    assert.equal((await runReaper()).scanned, 0);
+});
+
+test("dead-lettered message fails its in-flight task", async () => {
+    await seed("poisoned", { status: "QUEUED", inFlight: "QUEUED", updatedAt: hoursAgo(0) });
+    await deadLetter({ id: "poisoned", topic: "Stale poisoned" });
+
+    const item = await getItem("poisoned");
+    assert.equal(item.status, "ERROR");
+    assert.deepEqual(
+        { code: item.error.code, retryable: item.error.retryable },
+        { code: "dead_lettered", retryable: true }
+    );
+});
+
+test("dead-lettered message of a settled or deleted task changes nothing", async () => {
+    await seed("settled", { status: "DONE", updatedAt: hoursAgo(0), researchMd: "# Done" });
+    await deadLetter({ id: "settled", topic: "Stale settled" });
+    await deadLetter({ id: "never-existed", topic: "Ghost" });
+
+    const item = await getItem("settled");
+    assert.equal(item.status, "DONE");
+    assert.equal(item.error, undefined);
+    assert.equal(await getItem("never-existed"), undefined);
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Ручне редагування з If-Match, історія ревізій і відновлення
+* ---------------------------------------------------------
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-revisions-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+let id;
+let generated;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    id = (await call("POST", "/tasks", { body: { topic: "Photosynthesis" } })).body.id;
+    await local.drain();
+    generated = (await call("GET", `/tasks/${id}`)).body.researchMd;
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, { body, ifMatch, sub = "alice" } = {}) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${local.issueToken({ sub })}`,
+            "Content-Type": "application/json",
+            ...(ifMatch ? { "If-Match": ifMatch } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+const EDITED = "# Photosynthesis\n\nLight reactions happen in the thylakoids.";
+
+test("editing requires If-Match and rejects a stale ETag", async () => {
+    const task = await call("GET", `/tasks/${id}`);
+    assert.equal(task.headers.get("etag"), '"v1"');
+
+    const missing = await call("PUT", `/tasks/${id}/content`, { body: { researchMd: EDITED } });
+    assert.equal(missing.status, 428);
+    assert.deepEqual(missing.body, { message: "Header 'If-Match' with the task ETag is required" });
+
+    const stale = await call("PUT", `/tasks/${id}/content`, { body: { researchMd: EDITED }, ifMatch: '"v7"' });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.headers.get("etag"), '"v1"');
+
+    const edited = await call("PUT", `/tasks/${id}/content`, { body: { researchMd: EDITED }, ifMatch: '"v1"' });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.version, 2);
+    assert.equal(edited.headers.get("etag"), '"v2"');
+    assert.equal((await call("GET", `/tasks/${id}`)).body.researchMd, EDITED);
+
+    // Той самий ETag вдруге — вже застарілий
+    const again = await call("PUT", `/tasks/${id}/content`, { body: { researchMd: "lost update" }, ifMatch: '"v1"' });
+    assert.equal(again.status, 412);
+    assert.equal(again.headers.get("etag"), '"v2"');
+});
+
+test("revisions list and diff describe the history", async () => {
+    const list = await call("GET", `/tasks/${id}/revisions`);
+    assert.equal(list.status, 200);
+    assert.deepEqual(
+        list.body.items.map((v) => [v.version, v.source, v.author, v.current]),
+        [
+            [1, "generation", null, false],
+            [2, "edit", "alice", true],
+        ]
+    );
+    assert.equal(list.body.items[1].length, EDITED.length);
+
+    const diff = await call("GET", `/tasks/${id}/revisions/diff?from=1&to=2`);
+    assert.equal(diff.status, 200);
+    assert.ok(diff.body.added > 0 && diff.body.removed > 0);
+    assert.match(diff.body.unified, /^--- v1\n\+\+\+ v2\n/);
+    assert.ok(diff.body.unified.includes("+Light reactions happen in the thylakoids."));
+});
+
+test("restore makes an old revision current and honours If-Match", async () => {
+    const stale = await call("POST", `/tasks/${id}/revisions/1/restore`, { ifMatch: '"v1"' });
+    assert.equal(stale.status, 412);
+
+    const restored = await call("POST", `/tasks/${id}/revisions/1/restore`, { ifMatch: '"v2"' });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.version, 3);
+    assert.equal(restored.body.restoredFrom, 1);
+    assert.equal(restored.headers.get("etag"), '"v3"');
+    assert.equal((await call("GET", `/tasks/${id}`)).body.researchMd, generated);
+
+    const [, , latest] = (await call("GET", `/tasks/${id}/revisions`)).body.items;
+    assert.deepEqual([latest.source, latest.restoredFrom, latest.current], ["restore", 1, true]);
+
+    assert.equal((await call("POST", `/tasks/${id}/revisions/9/restore`)).status, 404);
+    assert.equal((await call("POST", `/tasks/${id}/revisions/1/restore`, { sub: "bob" })).status, 403);
+});
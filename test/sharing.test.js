@@ -0,0 +1,139 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Share links: публічне читання, строк дії та відкликання
+* ---------------------------------------------------------
+* Прострочення імітуємо, зсуваючи expiresAt запису в минуле, — без очікування.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-sharing-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+let taskId;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    taskId = (await call("alice", "POST", "/tasks", { topic: "Cell division" })).body.id;
+    await local.drain();
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(sub, method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: {
+            ...(sub ? { Authorization: `Bearer ${local.issueToken({ sub })}` } : {}),
+            "Content-Type": "application/json",
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+const share = async (body) => (await call("alice", "POST", `/tasks/${taskId}/share`, body)).body.token;
+const unavailable = { message: "This share link has expired or was revoked" };
+
+test("share link is readable without auth and counts views", async () => {
+    const created = await call("alice", "POST", `/tasks/${taskId}/share`, { expiresInHours: 24 });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.state, "active");
+    const expiresIn = Date.parse(created.body.expiresAt) - Date.now();
+    assert.ok(expiresIn > 23.9 * 3600e3 && expiresIn <= 24 * 3600e3, String(expiresIn));
+
+    const read = await call(null, "GET", `/shared/${created.body.token}`);
+    assert.equal(read.status, 200);
+    assert.equal(read.body.topic, "Cell division");
+    assert.ok(read.body.researchMd.length > 0);
+    assert.equal(read.body.userId, undefined);
+    assert.equal(read.headers.get("cache-control"), "no-store");
+    await call(null, "GET", `/shared/${created.body.token}`);
+
+    const { body } = await call("alice", "GET", `/tasks/${taskId}/share`);
+    const listed = body.items.find((s) => s.token === created.body.token);
+    assert.equal(listed.accessCount, 2);
+    assert.ok(listed.lastAccessedAt);
+});
+
+test("expired link answers 410 and is listed as expired", async () => {
+    const token = await share({ expiresInHours: 1 });
+    assert.equal((await call(null, "GET", `/shared/${token}`)).status, 200);
+
+    await local.dynamodb.send(
+        new UpdateCommand({
+            TableName: local.parameters["dynamo-db-table-name"],
+            Key: { id: `SHARE#${token}` },
+            UpdateExpression: "SET expiresAt = :past",
+            ExpressionAttributeValues: { ":past": Math.floor(Date.now() / 1000) - 1 },
+        })
+    );
+
+    const read = await call(null, "GET", `/shared/${token}`);
+    assert.equal(read.status, 410);
+    assert.deepEqual(read.body, unavailable);
+
+    const { body } = await call("alice", "GET", `/tasks/${taskId}/share`);
+    const listed = body.items.find((s) => s.token === token);
+    assert.equal(listed.state, "expired");
+    assert.equal(listed.accessCount, 1);
+});
+
+test("revoking one link leaves the others working", async () => {
+    const [a, b] = [await share(), await share()];
+
+    assert.equal((await call("bob", "DELETE", `/tasks/${taskId}/share/${a}`)).status, 403);
+    assert.equal((await call("alice", "DELETE", `/tasks/${taskId}/share/${a}`)).status, 204);
+
+    assert.equal((await call(null, "GET", `/shared/${a}`)).status, 410);
+    assert.equal((await call(null, "GET", `/shared/${b}`)).status, 200);
+
+    const { body } = await call("alice", "GET", `/tasks/${taskId}/share`);
+    assert.equal(body.items.find((s) => s.token === a).state, "revoked");
+    assert.ok(body.items.find((s) => s.token === a).revokedAt);
+});
+
+test("DELETE /tasks/{id}/share revokes every link of the task", async () => {
+    const token = await share();
+    assert.equal((await call("alice", "DELETE", `/tasks/${taskId}/share`)).status, 204);
+
+    assert.deepEqual((await call(null, "GET", `/shared/${token}`)).body, unavailable);
+    const { body } = await call("alice", "GET", `/tasks/${taskId}/share`);
+    assert.ok(body.items.length >= 4);
+    assert.ok(body.items.every((s) => s.state !== "active"));
+});
+
+test("unknown tokens are 404, malformed 400, unfinished tasks cannot be shared", async () => {
+    assert.equal((await call(null, "GET", `/shared/${"A".repeat(43)}`)).status, 404);
+    const malformed = await call(null, "GET", "/shared/short");
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.errors[0].location, "path");
+
+    const now = new Date().toISOString();
+    await local.dynamodb.send(
+        new PutCommand({
+            TableName: local.parameters["dynamo-db-table-name"],
+            Item: { id: "failed-task", pk: "TASK#alice", userId: "alice", topic: "Meiosis", status: "ERROR", createdAt: now, updatedAt: now },
+        })
+    );
+    const refused = await call("alice", "POST", "/tasks/failed-task/share", {});
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.status, "ERROR");
+
+    const past = await call("alice", "POST", `/tasks/${taskId}/share`, { expiresAt: "2000-01-01T00:00:00Z" });
+    assert.equal(past.status, 422);
+    assert.equal(past.body.errors[0].field, "expiresAt");
+});
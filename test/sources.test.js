@@ -0,0 +1,94 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import { loadSource, requestPublicUrl, SourceError } from "../worker-function/sources.js";
+
+/**
+* ---------------------------------------------------------
+* 🧪 SSRF-захист завантаження джерел (без мережі)
+* ---------------------------------------------------------
+* Сервер слухає 127.0.0.1 і рахує з'єднання: заблокований запит не має
+* дійти до нього жодного разу. "public.test" — публічний хост-замінник:
+* його з'єднання агент спрямовує на той самий сервер, решта — як є.
+*/
+let server;
+let port;
+let hits = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits++;
+        if (req.url.startsWith("/redirect")) {
+            res.writeHead(302, { Location: new URL(req.url, "http://x").searchParams.get("to") });
+            return res.end();
+        }
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end("internal secret");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+
+    const createConnection = http.Agent.prototype.createConnection;
+    http.Agent.prototype.createConnection = function (options, callback) {
+        if (options.host === "public.test") return net.createConnection({ host: "127.0.0.1", port: options.port }, callback);
+        return createConnection.call(this, options, callback);
+    };
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const LITERALS = [
+    "127.0.0.1",
+    "[::ffff:127.0.0.1]",
+    "[::ffff:7f00:1]",
+    "[0:0:0:0:0:ffff:7f00:1]",
+    "[::ffff:169.254.169.254]",
+    "[::1]",
+    "[::]",
+    "[64:ff9b::7f00:1]",
+    "[2002:7f00:1::1]",
+    "[fd00::1]",
+    "[fe80::1]",
+    "2130706433",
+    "0x7f000001",
+];
+
+for (const host of LITERALS) {
+    test(`private literal ${host} is refused before connecting`, async () => {
+        const before = hits;
+        await assert.rejects(requestPublicUrl(new URL(`http://${host}:${port}/`)), (err) => {
+            assert.ok(err instanceof SourceError);
+            assert.match(err.message, /private network/);
+            return true;
+        });
+        assert.equal(hits, before);
+    });
+}
+
+test("hostname resolving to loopback is refused", async () => {
+    await assert.rejects(requestPublicUrl(new URL(`http://localhost:${port}/`)), /private network/);
+});
+
+test("public host is fetched", async () => {
+    const source = await loadSource({}, { id: "S1", type: "url", url: `http://public.test:${port}/notes.txt` });
+    assert.equal(source.text, "internal secret");
+});
+
+for (const target of ["[::ffff:127.0.0.1]", "[::ffff:a9fe:a9fe]", "localhost", "127.0.0.1"]) {
+    test(`redirect to ${target} is refused`, async () => {
+        const to = `http://${target}:${port}/secret`;
+        const before = hits;
+        await assert.rejects(
+            loadSource({}, { id: "S1", type: "url", url: `http://public.test:${port}/redirect?to=${encodeURIComponent(to)}` }),
+            (err) => {
+                assert.ok(err instanceof SourceError);
+                assert.equal(err.code, "source_unavailable");
+                assert.match(err.message, /private network/);
+                return true;
+            }
+        );
+        // Лише перший хоп (редирект), без запиту на приватну адресу
+        assert.equal(hits, before + 1);
+    });
+}
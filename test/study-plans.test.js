@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 POST /study-plans, коли черга задач недоступна
+* ---------------------------------------------------------
+* sqs-queue-url вказує на чергу, якої немає: план записаний, але не в черзі.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-study-plans-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+
+before(async () => {
+    local = await startLocalServer({
+        port: 0,
+        parameters: { "sqs-queue-url": "https://sqs.local.amazonaws.com/000000000000/missing-queue" },
+    });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub: "alice" })}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+test("plan that cannot be queued is still accepted and left for the reaper", async () => {
+    const created = await call("POST", "/study-plans", { subject: "Cell biology exam", itemCount: 3 });
+    assert.equal(created.status, 202);
+    assert.equal(created.body.status, "QUEUED");
+
+    await local.drain();
+    const plan = await call("GET", `/study-plans/${created.body.planId}`);
+    assert.equal(plan.status, 200);
+    assert.equal(plan.body.status, "QUEUED");
+
+    // План чекає на reaper, тож списане за нього лишається в квоті
+    assert.equal((await call("GET", "/me/usage")).body.day.tasks, 4);
+});
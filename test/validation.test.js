@@ -0,0 +1,111 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Валідація запитів: 400 для JSON/query/path/заголовків, 422 для тіла
+* ---------------------------------------------------------
+* Тіло помилки — { message: "Request validation failed", errors: [{ location, field, message }] }.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-validation-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+
+let local;
+let token;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    token = local.issueToken({ sub: "alice" });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, { body, raw, headers = {} } = {}) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...headers },
+        body: raw ?? (body ? JSON.stringify(body) : undefined),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+function failed(res, status, errors) {
+    assert.equal(res.status, status);
+    assert.deepEqual(res.body, { message: "Request validation failed", errors });
+}
+
+test("malformed JSON body is 400", async () => {
+    failed(await call("POST", "/tasks", { raw: '{"topic": "Atoms"' }), 400, [
+        { location: "body", field: "", message: "must be valid JSON" },
+    ]);
+});
+
+test("schema violations in the body are 422 and all reported at once", async () => {
+    const res = await call("POST", "/tasks", { body: { topic: "ab", depth: "endless", colour: "red" } });
+    assert.equal(res.status, 422);
+    assert.deepEqual(
+        res.body.errors.map((e) => [e.location, e.field]).sort(),
+        [["body", "colour"], ["body", "depth"], ["body", "topic"]]
+    );
+    const byField = Object.fromEntries(res.body.errors.map((e) => [e.field, e.message]));
+    assert.equal(byField.topic, "must be at least 3 characters");
+    assert.equal(byField.colour, "is not allowed");
+    assert.match(byField.depth, /^must be one of: /);
+
+    failed(await call("POST", "/tasks", { body: {} }), 422, [{ location: "body", field: "topic", message: "is required" }]);
+    failed(await call("POST", "/tasks", { body: { topic: 42 } }), 422, [{ location: "body", field: "topic", message: "must be a string" }]);
+});
+
+test("topic is trimmed before the length check", async () => {
+    failed(await call("POST", "/tasks", { body: { topic: "   ab   " } }), 422, [
+        { location: "body", field: "topic", message: "must be at least 3 characters" },
+    ]);
+    const ok = await call("POST", "/tasks", { body: { topic: "  Atoms  " } });
+    assert.equal(ok.status, 201);
+    assert.equal(ok.body.topic, "Atoms");
+    await local.drain();
+});
+
+test("query, path and header errors are 400", async () => {
+    failed(await call("GET", "/tasks?limit=0"), 400, [{ location: "query", field: "limit", message: "must be at least 1" }]);
+    failed(await call("GET", "/tasks?limit=many"), 400, [{ location: "query", field: "limit", message: "must be an integer" }]);
+
+    const status = await call("GET", "/tasks?status=DONE,FINISHED");
+    assert.equal(status.status, 400);
+    assert.equal(status.body.errors[0].field, "status");
+    assert.match(status.body.errors[0].message, /^must be a comma-separated list of: QUEUED, PROCESSING, DONE/);
+
+    failed(await call("GET", "/tasks/not%20an%20id"), 400, [
+        { location: "path", field: "id", message: "must be 1-64 letters, digits, _ or -" },
+    ]);
+
+    failed(await call("POST", "/tasks", { body: { topic: "Atoms" }, headers: { "Idempotency-Key": "k".repeat(256) } }), 400, [
+        { location: "header", field: "Idempotency-Key", message: "must be at most 255 characters" },
+    ]);
+});
+
+test("validation runs before the handler touches the task", async () => {
+    // Неіснуюча задача, але невалідне тіло — 422, а не 404
+    const res = await call("PUT", "/tasks/missing-task/content", { body: { researchMd: 1 }, headers: { "If-Match": '"v1"' } });
+    failed(res, 422, [{ location: "body", field: "researchMd", message: "must be a string" }]);
+});
+
+test("OpenAPI document is public and lists the request schemas", async () => {
+    const res = await fetch(`${local.url}/openapi.json`);
+    assert.equal(res.status, 200);
+    const doc = await res.json();
+    assert.match(doc.openapi, /^3\./);
+    const create = doc.paths["/tasks"].post;
+    assert.deepEqual(create.requestBody.content["application/json"].schema.required, ["topic"]);
+});
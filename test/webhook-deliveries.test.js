@@ -0,0 +1,142 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Доставка вебхуків: повтори, підпис і вимкнення
+* ---------------------------------------------------------
+* Приймач на 127.0.0.1 відповідає за сценарієм свого шляху. Затримка повтору
+* 0 с — повідомлення одразу повертається в чергу, drain дочікується всіх спроб.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+process.env.WEBHOOK_ALLOW_HTTP = "true";
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+process.env.WEBHOOK_BACKOFF_BASE_SEC = "0";
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_DISABLE_AFTER = "2";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-webhook-deliveries-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+const { signPayload } = await import("../worker-function/webhooks.js");
+
+let local;
+let receiver;
+let receiverUrl;
+// шлях → коди відповідей по черзі (останній повторюється) і отримані запити
+const scripts = { "/flaky": [500, 500, 200], "/down": [500], "/gone": [410] };
+const received = { "/flaky": [], "/down": [], "/gone": [] };
+
+before(async () => {
+    receiver = http.createServer((req, httpRes) => {
+        const chunks = [];
+        req.on("data", (c) => chunks.push(c));
+        req.on("end", () => {
+            const log = received[req.url];
+            log.push({ headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+            const script = scripts[req.url];
+            httpRes.writeHead(script[Math.min(log.length, script.length) - 1]).end();
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    local = await startLocalServer({ port: 0 });
+});
+
+after(async () => {
+    await local?.close();
+    await new Promise((resolve) => receiver.close(resolve));
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(sub, method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${local.issueToken({ sub })}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+async function subscribe(sub, route) {
+    const created = await call(sub, "POST", "/webhooks", { url: `${receiverUrl}${route}`, events: ["task.done"] });
+    assert.equal(created.status, 201);
+    return created.body;
+}
+
+async function finishTask(sub, topic) {
+    assert.equal((await call(sub, "POST", "/tasks", { topic })).status, 201);
+    await local.drain();
+}
+
+const deliveries = async (sub, webhookId) => (await call(sub, "GET", `/webhooks/${webhookId}/deliveries`)).body.items;
+
+test("failed attempts are retried until the receiver accepts", async () => {
+    const { webhookId, secret } = await subscribe("alice", "/flaky");
+    await finishTask("alice", "Coral reefs");
+
+    const [delivery] = await deliveries("alice", webhookId);
+    assert.equal(delivery.status, "SUCCEEDED");
+    assert.equal(delivery.attemptCount, 3);
+    assert.deepEqual(delivery.attempts.map((a) => a.statusCode), [500, 500, 200]);
+    assert.equal(delivery.payload.type, "task.done");
+    assert.equal(delivery.payload.data.task.topic, "Coral reefs");
+
+    // Кожна спроба — той самий webhook-id і тіло, підпис сходиться з секретом
+    const requests = received["/flaky"];
+    assert.equal(requests.length, 3);
+    for (const { headers, body } of requests) {
+        assert.equal(headers["webhook-id"], delivery.deliveryId);
+        assert.equal(headers["webhook-event"], "task.done");
+        assert.equal(headers["webhook-signature"], signPayload(secret, headers["webhook-id"], headers["webhook-timestamp"], body));
+        assert.deepEqual(JSON.parse(body), delivery.payload);
+    }
+
+    const webhook = (await call("alice", "GET", `/webhooks/${webhookId}`)).body;
+    assert.equal(webhook.status, "active");
+    assert.equal(webhook.consecutiveFailures, 0);
+    assert.equal(webhook.secret, undefined);
+});
+
+test("consecutive failed deliveries disable the webhook", async () => {
+    const { webhookId } = await subscribe("bob", "/down");
+
+    await finishTask("bob", "Tides");
+    let webhook = (await call("bob", "GET", `/webhooks/${webhookId}`)).body;
+    assert.equal(webhook.status, "active");
+    assert.equal(webhook.consecutiveFailures, 1);
+    const [first] = await deliveries("bob", webhookId);
+    assert.equal(first.status, "FAILED");
+    assert.equal(first.attemptCount, 3);
+
+    await finishTask("bob", "Currents");
+    webhook = (await call("bob", "GET", `/webhooks/${webhookId}`)).body;
+    assert.equal(webhook.status, "disabled");
+    assert.equal(webhook.disabledReason, "too_many_failures");
+    assert.equal(received["/down"].length, 6);
+
+    // Вимкнений вебхук більше не отримує подій
+    await finishTask("bob", "Waves");
+    assert.equal((await deliveries("bob", webhookId)).length, 2);
+    assert.equal(received["/down"].length, 6);
+});
+
+test("410 Gone disables the webhook without retrying", async () => {
+    const { webhookId } = await subscribe("carol", "/gone");
+    await finishTask("carol", "Estuaries");
+
+    const [delivery] = await deliveries("carol", webhookId);
+    assert.equal(delivery.status, "FAILED");
+    assert.equal(delivery.attemptCount, 1);
+    assert.equal(received["/gone"].length, 1);
+
+    const webhook = (await call("carol", "GET", `/webhooks/${webhookId}`)).body;
+    assert.equal(webhook.status, "disabled");
+    assert.equal(webhook.disabledReason, "gone");
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+* ---------------------------------------------------------
+* 🧪 Вебхуки: підпис Standard Webhooks і приватні URL при реєстрації
+* ---------------------------------------------------------
+* Локальний сервер за замовчуванням дозволяє приватні адреси — тут вимкнено,
+* щоб перевірити відмову API так, як у Lambda.
+*/
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_DISABLED ??= "true";
+process.env.WEBHOOK_ALLOW_HTTP = "true";
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "false";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "studynotes-webhooks-"));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { startLocalServer } = await import("../local/server.js");
+const { signPayload } = await import("../worker-function/webhooks.js");
+
+let local;
+let token;
+
+before(async () => {
+    local = await startLocalServer({ port: 0 });
+    token = local.issueToken({ sub: "alice" });
+});
+
+after(async () => {
+    await local?.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+    const res = await fetch(`${local.url}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+test("signPayload matches the Standard Webhooks test vector", () => {
+    const signature = signPayload(
+        "whsec_MfKQ9r8GKYqrTwjUPD8ILPZIo2LaLaSw",
+        "msg_p5jXN8AQM9LWM0D4loKWxJek",
+        "1614265330",
+        '{"test": 2432232314}'
+    );
+    assert.equal(signature, "v1,g0hM9SsE+OTPJTGt/tmIKtSyZlE3uFJELVlNIOLJ1OE=");
+});
+
+for (const url of [
+    "https://127.0.0.1/hook",
+    "https://[::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://[::ffff:a9fe:a9fe]/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://10.0.0.5/hook",
+    "https://[fd00::1]/hook",
+    "https://localhost:8443/hook",
+    "https://2130706433/hook",
+]) {
+    test(`POST /webhooks rejects ${url}`, async () => {
+        const res = await call("POST", "/webhooks", { url, events: ["task.done"] });
+        assert.equal(res.status, 422);
+        assert.deepEqual(res.body.errors, [{ location: "body", field: "url", message: "must not point to a private network" }]);
+    });
+}
+
+test("PATCH /webhooks/{id} rejects a private URL and keeps the old one", async () => {
+    const created = await call("POST", "/webhooks", { url: "https://hooks.example.com/notes", events: ["task.done"] });
+    assert.equal(created.status, 201);
+
+    const patched = await call("PATCH", `/webhooks/${created.body.webhookId}`, { url: "https://[::ffff:a9fe:a9fe]/x" });
+    assert.equal(patched.status, 422);
+    assert.equal(patched.body.errors[0].field, "url");
+
+    const current = await call("GET", `/webhooks/${created.body.webhookId}`);
+    assert.equal(current.body.url, "https://hooks.example.com/notes");
+});
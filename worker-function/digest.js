@@ -0,0 +1,138 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, BatchGetCommand, BatchWriteCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { loadConfig } from "./index.js";
+import { DIGEST_PARTITION, getNotificationPrefs, sendNotification } from "./notifications.js";
+import { renderDigest, resolveLocale } from "./templates.js";
+import { log, withLogContext, newCorrelationId } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* 🗞️ Щоденний дайджест (EventBridge schedule → "digest.handler")
+* ---------------------------------------------------------
+* Збирає записи DIGEST (їх пише notifications.js для користувачів з
+* delivery: "digest"), створені до моменту запуску, групує по користувачах і
+* надсилає кожному один лист. Надіслані записи видаляються; якщо публікація
+* для користувача впала — його записи лишаються до наступного запуску.
+* Задачі, видалені до дайджесту, пропускаються; delivery: "off" — записи
+* просто прибираються.
+*
+* Момент запуску — event.time (є в подіях EventBridge), інакше поточний час.
+* Локально: той самий handler з LOCAL_NOTIFICATIONS_DIR або
+* setNotificationTransport(fn) замість SNS.
+*/
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+async function listDigestEntries(tableName, until) {
+    const items = [];
+    let startKey = undefined;
+    do {
+        const out = await ddb.send(
+            new QueryCommand({
+                TableName: tableName,
+                IndexName: "byCreatedAt",
+                KeyConditionExpression: "pk = :p AND createdAt <= :until",
+                ExpressionAttributeValues: { ":p": DIGEST_PARTITION, ":until": until },
+                ExclusiveStartKey: startKey,
+            })
+        );
+        items.push(...(out.Items || []));
+        startKey = out.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+}
+
+// Поточні теми задач (могли змінитися після завершення); видалені — відсутні в Map
+async function getTasks(tableName, taskIds) {
+    const found = new Map();
+    for (let i = 0; i < taskIds.length; i += 100) {
+        let keys = taskIds.slice(i, i + 100).map((id) => ({ id }));
+        while (keys.length) {
+            const out = await ddb.send(
+                new BatchGetCommand({
+                    RequestItems: { [tableName]: { Keys: keys, ProjectionExpression: "id, topic" } },
+                })
+            );
+            for (const item of out.Responses?.[tableName] || []) found.set(item.id, item);
+            keys = out.UnprocessedKeys?.[tableName]?.Keys || [];
+        }
+    }
+    return found;
+}
+
+async function deleteEntries(tableName, entries) {
+    for (let i = 0; i < entries.length; i += 25) {
+        let requests = entries.slice(i, i + 25).map((e) => ({ DeleteRequest: { Key: { id: e.id } } }));
+        while (requests.length) {
+            const out = await ddb.send(new BatchWriteCommand({ RequestItems: { [tableName]: requests } }));
+            requests = out.UnprocessedItems?.[tableName] || [];
+        }
+    }
+}
+
+/**
+* Повертає { users, sent, skipped, failed, entries } — для логів і локальних перевірок.
+*/
+export async function sendDigests(tableName, cfg, { now = new Date() } = {}) {
+    const entries = await listDigestEntries(tableName, now.toISOString());
+    const byUser = new Map();
+    for (const entry of entries) {
+        if (!byUser.has(entry.userId)) byUser.set(entry.userId, []);
+        byUser.get(entry.userId).push(entry);
+    }
+
+    const stats = { users: byUser.size, sent: 0, skipped: 0, failed: 0, entries: entries.length };
+    for (const [userId, userEntries] of byUser) {
+        try {
+            const prefs = await getNotificationPrefs(tableName, userId);
+            if (prefs.delivery === "off") {
+                stats.skipped++;
+                await deleteEntries(tableName, userEntries);
+                continue;
+            }
+
+            userEntries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            const tasks = await getTasks(tableName, userEntries.map((e) => e.taskId));
+            const items = userEntries
+                .filter((e) => tasks.has(e.taskId))
+                .map((e) => ({ topic: tasks.get(e.taskId).topic ?? e.topic, taskId: e.taskId }));
+
+            if (items.length) {
+                const locale = resolveLocale(prefs.locale, userEntries[0].language);
+                const rendered = renderDigest(locale, { date: now, items });
+                await sendNotification(cfg, {
+                    event: "digest",
+                    userId,
+                    taskIds: items.map((i) => i.taskId),
+                    ...rendered,
+                });
+                stats.sent++;
+            } else {
+                stats.skipped++;
+            }
+            await deleteEntries(tableName, userEntries);
+        } catch (err) {
+            stats.failed++;
+            log.error("Digest Failed for user", { userId, error: err?.message || err });
+        }
+    }
+    return stats;
+}
+
+/**
+* ---------------------------------------------------------
+* 🗓️ Lambda handler (EventBridge schedule, напр. cron(0 7 * * ? *))
+* ---------------------------------------------------------
+*/
+export const handler = (event, context) =>
+    withLogContext({ service: "digest", correlationId: newCorrelationId(), requestId: context?.awsRequestId }, () =>
+        runDigest(event)
+    );
+
+const runDigest = async (event) => {
+    const now = event?.time ? new Date(event.time) : new Date();
+    log.info("Digest Run", { at: now.toISOString() });
+    const cfg = await loadConfig();
+    const stats = await sendDigests(cfg["dynamo-db-table-name"], cfg, { now });
+    log.info("Digest Done", { stats });
+    return stats;
+};
@@ -0,0 +1,80 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { loadConfig, itemIdFor } from "./index.js";
+import { failItem, IN_FLIGHT_STATUSES } from "./reaper.js";
+import { log, withLogContext, setLogContext, correlationIdFrom } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* ☠️ Dead-letter queue черги задач (SQS trigger → "dlq.handler")
+* ---------------------------------------------------------
+* Повідомлення потрапляє в DLQ, коли SQS вичерпав maxReceiveCount: воркер
+* падав або виходив за таймаут на кожній доставці (до catch не доходив), або
+* повідомлення отруєне. Запис, якого воно стосується, ще QUEUED/PROCESSING —
+* переводимо його в ERROR { code: "dead_lettered", retryable: true }, щоб
+* клієнт побачив помилку і міг зробити POST /tasks/{id}/retry.
+* Запис, який уже DONE/ERROR або видалений, не змінюється.
+*
+* maxReceiveCount у redrive policy має бути більшим за MAX_RECEIVE_COUNT
+* воркера — інакше звичайні тимчасові помилки потраплятимуть сюди раніше,
+* ніж воркер сам позначить задачу.
+*/
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const DEAD_LETTER_ERROR = {
+    code: "dead_lettered",
+    provider: null,
+    retryable: true,
+    message: "Task could not be processed after repeated deliveries",
+};
+
+export async function reconcileDeadLetter(tableName, cfg, body) {
+    let msg;
+    try {
+        msg = JSON.parse(body);
+    } catch {
+        log.error("DLQ Body is not JSON — dropping message");
+        return "dropped";
+    }
+    if (!msg?.id) {
+        log.error("DLQ Message without id — dropping");
+        return "dropped";
+    }
+
+    const itemId = itemIdFor(msg);
+    const { Item: item } = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: itemId } }));
+    if (!item || !IN_FLIGHT_STATUSES.includes(item.status)) {
+        log.warn("DLQ Task already settled", { id: itemId, status: item?.status ?? "deleted" });
+        return "settled";
+    }
+
+    const failed = await failItem(tableName, cfg, item, DEAD_LETTER_ERROR, {
+        expression: "#s IN (:queued, :processing)",
+        values: { ":queued": "QUEUED", ":processing": "PROCESSING" },
+    });
+    return failed ? "failed" : "settled";
+}
+
+export const handler = (event, context) =>
+    withLogContext({ service: "dlq", requestId: context?.awsRequestId }, () => reconcileBatch(event));
+
+const reconcileBatch = async (event) => {
+    log.info("DLQ Event", { records: event?.Records?.length || 0 });
+    const cfg = await loadConfig();
+    const tableName = cfg["dynamo-db-table-name"];
+
+    const failures = [];
+    for (const rec of event.Records ?? []) {
+        // Атрибути повідомлення SQS переносить у DLQ — та сама ланка, що й у воркера
+        setLogContext({ correlationId: correlationIdFrom(rec), messageId: rec.messageId });
+        try {
+            const outcome = await reconcileDeadLetter(tableName, cfg, rec.body);
+            log.info("DLQ Record settled", { messageId: rec.messageId, outcome });
+        } catch (err) {
+            // Збій DynamoDB — повідомлення лишається в DLQ до наступної спроби
+            log.error("DLQ Record failed", { messageId: rec.messageId, error: err?.message || err });
+            failures.push({ itemIdentifier: rec.messageId });
+        }
+    }
+    return { batchItemFailures: failures };
+};
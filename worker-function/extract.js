@@ -0,0 +1,556 @@
+import zlib from "node:zlib";
+
+/**
+* ---------------------------------------------------------
+* 📄 Витяг тексту з джерел: PDF, DOCX, HTML, TXT/Markdown
+* ---------------------------------------------------------
+* Без зовнішніх залежностей (як і export.js в API):
+*  - PDF  — розбір об'єктів (включно з /ObjStm), FlateDecode, текстові
+*           оператори Tj/TJ/'/" і шрифти з /ToUnicode (Type0/Identity-H)
+*           або WinAnsi. Скани без текстового шару дають порожній текст.
+*  - DOCX — ZIP-архів, word/document.xml → абзаци
+*  - HTML — прибирає script/style/навігацію, блоки → рядки
+*
+* chunkText ріже довгий текст на шматки по межах абзаців/речень
+* з невеликим перекриттям, щоб контекст не губився на стиках.
+*/
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024; // захист від zip/flate-бомб
+
+export const SOURCE_CONTENT_TYPES = {
+    "application/pdf": "pdf",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+    "text/plain": "text",
+    "text/markdown": "text",
+    "text/html": "html",
+    "application/xhtml+xml": "html",
+};
+
+export class ExtractError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ExtractError";
+    }
+}
+
+export function normalizeText(text) {
+    return String(text || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\f\v\u00A0]+/g, " ")
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00A0", mdash: "—", ndash: "–", hellip: "…", laquo: "«", raquo: "»", copy: "©" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+        if (ent[0] === "#") {
+            const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : Number(ent.slice(1));
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+        }
+        return NAMED_ENTITIES[ent.toLowerCase()] ?? m;
+    });
+}
+
+/**
+* --------------------------------------------
+* HTML
+* --------------------------------------------
+*/
+export function htmlTitle(html) {
+    const m = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(html);
+    return m ? normalizeText(decodeEntities(m[1].replace(/<[^>]+>/g, ""))).replace(/\n/g, " ") : null;
+}
+
+export function htmlToText(html) {
+    const body = String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|head|nav|footer|aside|form)\b[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|main|header|h[1-6]|li|ul|ol|dl|dt|dd|tr|table|blockquote|pre|figure|figcaption)\b[^>]*>/gi, "\n")
+    .replace(/<\/?(td|th)\b[^>]*>/gi, " ")
+    .replace(/<[^>]+>/g, "");
+    return normalizeText(decodeEntities(body));
+}
+
+/**
+* --------------------------------------------
+* DOCX (ZIP + WordprocessingML)
+* --------------------------------------------
+*/
+function readZipEntries(buf) {
+    // End of central directory — останні 22 байти + коментар до 64 КБ
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new ExtractError("Not a ZIP archive");
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let p = buf.readUInt32LE(eocd + 16);
+    const entries = new Map();
+    for (let i = 0; i < count && p + 46 <= buf.length; i++) {
+        if (buf.readUInt32LE(p) !== 0x02014b50) throw new ExtractError("Corrupted ZIP central directory");
+        const method = buf.readUInt16LE(p + 10);
+        const compressedSize = buf.readUInt32LE(p + 20);
+        const nameLength = buf.readUInt16LE(p + 28);
+        const extraLength = buf.readUInt16LE(p + 30);
+        const commentLength = buf.readUInt16LE(p + 32);
+        const localOffset = buf.readUInt32LE(p + 42);
+        const name = buf.toString("utf8", p + 46, p + 46 + nameLength);
+        entries.set(name, { method, compressedSize, localOffset });
+        p += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function readZipEntry(buf, entry) {
+    const p = entry.localOffset;
+    if (buf.readUInt32LE(p) !== 0x04034b50) throw new ExtractError("Corrupted ZIP entry");
+    const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+    const data = buf.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+    throw new ExtractError(`Unsupported ZIP compression method ${entry.method}`);
+}
+
+export function docxToText(buf) {
+    const entries = readZipEntries(buf);
+    const entry = entries.get("word/document.xml");
+    if (!entry) throw new ExtractError("DOCX has no word/document.xml");
+    const xml = readZipEntry(buf, entry).toString("utf8");
+
+    let out = "";
+    for (const m of xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>|<\/w:p>/g)) {
+        if (m[1] !== undefined) out += decodeEntities(m[1]);
+        else if (m[0] === "<w:tab/>") out += "\t";
+        else if (m[0] === "</w:p>") out += "\n\n";
+        else out += "\n";
+    }
+    return normalizeText(out);
+}
+
+/**
+* --------------------------------------------
+* PDF
+* --------------------------------------------
+* Працюємо з файлом як з latin1-рядком: один символ = один байт.
+*/
+// WinAnsiEncoding = latin1, крім 0x80–0x9F (лапки, тире, €…); TextDecoder у Node їх не мапить
+const WIN_ANSI_HIGH = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ";
+
+const decodeWinAnsi = (bytes) =>
+    bytes.map((b) => (b >= 0x80 && b <= 0x9f ? WIN_ANSI_HIGH[b - 0x80] : String.fromCharCode(b))).join("");
+
+function parseStreamData(dict, raw) {
+    const filters = [...(/\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1].matchAll(/\/(\w+)/g) ?? [])].map((m) => m[1]);
+    if (filters.some((f) => f !== "FlateDecode" && f !== "Fl")) return null;
+    const bytes = Buffer.from(raw, "latin1");
+    if (!filters.length) return bytes;
+    try {
+        return zlib.inflateSync(bytes, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_INFLATED_BYTES });
+    } catch {
+        return null;
+    }
+}
+
+function parsePdfObjects(src) {
+    const objects = new Map(); // номер → { dict, stream: Buffer | null }
+    const re = /(\d+)\s+\d+\s+obj\b/g;
+    let m;
+    while ((m = re.exec(src))) {
+        const start = m.index + m[0].length;
+        const endobj = src.indexOf("endobj", start);
+        const streamAt = src.slice(start, endobj < 0 ? undefined : endobj).search(/\bstream\r?\n/);
+        if (streamAt < 0) {
+            if (endobj < 0) break;
+            objects.set(Number(m[1]), { dict: src.slice(start, endobj), stream: null });
+            re.lastIndex = endobj + 6;
+            continue;
+        }
+
+        const dict = src.slice(start, start + streamAt);
+        const dataStart = start + streamAt + (src[start + streamAt + 6] === "\r" ? 8 : 7);
+        const direct = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+        let dataEnd = direct ? dataStart + Number(direct[1]) : -1;
+        if (dataEnd < 0 || !/^\s*endstream/.test(src.slice(dataEnd, dataEnd + 32))) {
+            dataEnd = src.indexOf("endstream", dataStart);
+            if (dataEnd < 0) break;
+            while (dataEnd > dataStart && (src[dataEnd - 1] === "\n" || src[dataEnd - 1] === "\r")) dataEnd--;
+        }
+        objects.set(Number(m[1]), { dict, stream: parseStreamData(dict, src.slice(dataStart, dataEnd)) });
+        const after = src.indexOf("endobj", dataEnd);
+        re.lastIndex = after < 0 ? dataEnd : after + 6;
+    }
+
+    // Стиснені об'єкти (PDF 1.5+): "n1 off1 n2 off2 ..." і тіла після /First
+    for (const obj of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm\b/.test(obj.dict) || !obj.stream) continue;
+        const n = Number(/\/N\s+(\d+)/.exec(obj.dict)?.[1] || 0);
+        const first = Number(/\/First\s+(\d+)/.exec(obj.dict)?.[1] || 0);
+        const data = obj.stream.toString("latin1");
+        const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < n; i++) {
+            const num = header[2 * i];
+            const from = first + header[2 * i + 1];
+            const to = i + 1 < n ? first + header[2 * i + 3] : data.length;
+            if (!objects.has(num)) objects.set(num, { dict: data.slice(from, to), stream: null });
+        }
+    }
+    return objects;
+}
+
+const refOf = (dict, key) => {
+    const m = new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`).exec(dict);
+    return m ? Number(m[1]) : null;
+};
+
+// Вкладений словник << ... >> після ключа (з урахуванням вкладеності) або за посиланням
+function subDict(objects, dict, key) {
+    const at = new RegExp(`/${key}\\s*(<<|\\d+\\s+\\d+\\s+R)`).exec(dict);
+    if (!at) return null;
+    if (at[1] !== "<<") return objects.get(Number(at[1].split(/\s+/)[0]))?.dict ?? null;
+    let depth = 0;
+    for (let i = at.index + at[0].length - 2; i < dict.length - 1; i++) {
+        if (dict[i] === "<" && dict[i + 1] === "<") {
+            depth++;
+            i++;
+        } else if (dict[i] === ">" && dict[i + 1] === ">") {
+            depth--;
+            i++;
+            if (!depth) return dict.slice(at.index + at[0].length, i - 1);
+        }
+    }
+    return null;
+}
+
+function parseToUnicode(cmap) {
+    const map = new Map();
+    let codeBytes = 1;
+    const hexToString = (hex) => {
+        const bytes = Buffer.from(hex.length % 4 ? hex.padStart(hex.length + 2, "0") : hex, "hex");
+        let s = "";
+        for (let i = 0; i + 1 < bytes.length; i += 2) s += String.fromCharCode(bytes.readUInt16BE(i));
+        return s;
+    };
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, src, dst] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            codeBytes = src.length / 2;
+            map.set(parseInt(src, 16), hexToString(dst));
+        }
+    }
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, lo, hi, dst, list] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g)) {
+            codeBytes = lo.length / 2;
+            const from = parseInt(lo, 16);
+            const to = parseInt(hi, 16);
+            if (list !== undefined) {
+                [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach((d, i) => map.set(from + i, hexToString(d[1])));
+                continue;
+            }
+            const base = hexToString(dst);
+            for (let code = from; code <= to && code - from < 0x10000; code++) {
+                map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - from));
+            }
+        }
+    }
+    return { map, codeBytes };
+}
+
+function fontInfo(objects, num) {
+    const dict = objects.get(num)?.dict || "";
+    const cmapNum = refOf(dict, "ToUnicode");
+    const cmap = cmapNum != null && objects.get(cmapNum)?.stream;
+    const parsed = cmap ? parseToUnicode(cmap.toString("latin1")) : null;
+    const composite = /\/Subtype\s*\/Type0\b/.test(dict);
+    return { toUnicode: parsed?.map ?? null, codeBytes: composite ? 2 : parsed?.codeBytes || 1, composite };
+}
+
+function decodePdfString(bytes, font) {
+    if (font?.toUnicode) {
+        let s = "";
+        for (let i = 0; i + font.codeBytes <= bytes.length; i += font.codeBytes) {
+            const code = font.codeBytes === 2 ? (bytes[i] << 8) | bytes[i + 1] : bytes[i];
+            s += font.toUnicode.get(code) ?? "";
+        }
+        return s;
+    }
+    // Без ToUnicode двобайтові коди (Identity-H) не розшифрувати
+    if (font?.composite) return "";
+    return decodeWinAnsi(bytes);
+}
+
+// Токени content stream: рядки (...) і <...>, масиви, імена, числа, оператори
+function* contentTokens(src) {
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        if (/\s/.test(c)) {
+            i++;
+        } else if (c === "%") {
+            while (i < src.length && src[i] !== "\n" && src[i] !== "\r") i++;
+        } else if (c === "(") {
+            const bytes = [];
+            let depth = 1;
+            i++;
+            while (i < src.length && depth) {
+                let ch = src[i++];
+                if (ch === "\\") {
+                    const e = src[i++];
+                    const esc = { n: 10, r: 13, t: 9, b: 8, f: 12 }[e];
+                    if (esc !== undefined) bytes.push(esc);
+                    else if (/[0-7]/.test(e)) {
+                        let oct = e;
+                        while (oct.length < 3 && /[0-7]/.test(src[i])) oct += src[i++];
+                        bytes.push(parseInt(oct, 8) & 0xff);
+                    } else if (e === "\r") {
+                        if (src[i] === "\n") i++;
+                    } else if (e !== "\n") bytes.push(e.charCodeAt(0));
+                    continue;
+                }
+                if (ch === "(") depth++;
+                if (ch === ")" && !--depth) break;
+                bytes.push(ch.charCodeAt(0));
+            }
+            yield { type: "string", bytes };
+        } else if (c === "<" && src[i + 1] === "<") {
+            i += 2;
+            yield { type: "op", value: "<<" };
+        } else if (c === ">" && src[i + 1] === ">") {
+            i += 2;
+            yield { type: "op", value: ">>" };
+        } else if (c === "<") {
+            const end = src.indexOf(">", i);
+            const hex = src.slice(i + 1, end < 0 ? src.length : end).replace(/\s+/g, "");
+            i = end < 0 ? src.length : end + 1;
+            yield { type: "string", bytes: [...Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex")] };
+        } else if (c === "[" || c === "]") {
+            i++;
+            yield { type: c };
+        } else if (c === "/") {
+            let j = i + 1;
+            while (j < src.length && !/[\s/()<>[\]{}%]/.test(src[j])) j++;
+            yield { type: "name", value: src.slice(i + 1, j) };
+            i = j;
+        } else {
+            let j = i;
+            while (j < src.length && !/[\s/()<>[\]{}%]/.test(src[j])) j++;
+            if (j === i) j++;
+            const word = src.slice(i, j);
+            i = j;
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                yield { type: "number", value: Number(word) };
+            } else if (word === "ID") {
+                // Inline-зображення: бінарні дані до "EI"
+                const end = src.slice(i).search(/\sEI(\s|$)/);
+                i = end < 0 ? src.length : i + end + 3;
+            } else {
+                yield { type: "op", value: word };
+            }
+        }
+    }
+}
+
+function pageText(content, fonts) {
+    let out = "";
+    let font = null;
+    let operands = [];
+    let array = null;
+    let lastY = null;
+    const newline = () => {
+        if (out && !out.endsWith("\n")) out += "\n";
+    };
+    const space = () => {
+        if (out && !/\s$/.test(out)) out += " ";
+    };
+
+    for (const tok of contentTokens(content)) {
+        if (tok.type === "[") {
+            array = [];
+            continue;
+        }
+        if (tok.type === "]") {
+            operands.push({ type: "array", items: array || [] });
+            array = null;
+            continue;
+        }
+        if (array && tok.type !== "op") {
+            array.push(tok);
+            continue;
+        }
+        if (tok.type !== "op") {
+            operands.push(tok);
+            continue;
+        }
+
+        const nums = operands.filter((o) => o.type === "number").map((o) => o.value);
+        switch (tok.value) {
+            case "Tf":
+                font = fonts.get(operands.find((o) => o.type === "name")?.value) || null;
+                break;
+            case "Td":
+            case "TD":
+                if (nums[1]) newline();
+                else if (nums[0]) space();
+                break;
+            case "Tm":
+                if (lastY !== null && nums[5] !== lastY) newline();
+                else space();
+                lastY = nums[5];
+                break;
+            case "T*":
+                newline();
+                break;
+            case "'":
+            case '"':
+                newline();
+            // falls through
+            case "Tj": {
+                const str = operands.filter((o) => o.type === "string").pop();
+                if (str) out += decodePdfString(str.bytes, font);
+                break;
+            }
+            case "TJ":
+                for (const item of operands.find((o) => o.type === "array")?.items || []) {
+                    if (item.type === "string") out += decodePdfString(item.bytes, font);
+                    // Великий від'ємний зсув у TJ — це пробіл між словами
+                    else if (item.type === "number" && item.value < -180) space();
+                }
+                break;
+            case "ET":
+                space();
+                break;
+        }
+        operands = [];
+    }
+    return out;
+}
+
+function pageOrder(objects, src) {
+    const pages = [];
+    const seen = new Set();
+    const walk = (num) => {
+        if (num == null || seen.has(num)) return;
+        seen.add(num);
+        const dict = objects.get(num)?.dict || "";
+        if (/\/Type\s*\/Page\b/.test(dict)) {
+            pages.push(num);
+            return;
+        }
+        const kids = /\/Kids\s*\[([^\]]*)\]/.exec(dict)?.[1] || "";
+        for (const [, kid] of kids.matchAll(/(\d+)\s+\d+\s+R/g)) walk(Number(kid));
+    };
+    const root = refOf(src.slice(src.lastIndexOf("/Root") - 1), "Root");
+    walk(refOf(objects.get(root)?.dict || "", "Pages"));
+    if (pages.length) return pages;
+    // Без дерева сторінок — у порядку номерів об'єктів
+    return [...objects.keys()].filter((n) => /\/Type\s*\/Page\b/.test(objects.get(n).dict)).sort((a, b) => a - b);
+}
+
+export function pdfToText(buf) {
+    const src = buf.toString("latin1");
+    if (!src.startsWith("%PDF-")) throw new ExtractError("Not a PDF file");
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(src)) throw new ExtractError("Encrypted PDFs are not supported");
+
+    const objects = parsePdfObjects(src);
+    const fontCache = new Map();
+    const texts = [];
+
+    for (const pageNum of pageOrder(objects, src)) {
+        // Resources можуть успадковуватись від батьківських /Pages
+        let resources = null;
+        for (let n = pageNum, hops = 0; n != null && !resources && hops < 32; hops++) {
+            const dict = objects.get(n)?.dict || "";
+            resources = subDict(objects, dict, "Resources");
+            n = refOf(dict, "Parent");
+        }
+        const fonts = new Map();
+        const fontDict = resources ? subDict(objects, resources, "Font") : null;
+        for (const [, name, num] of (fontDict || "").matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+            if (!fontCache.has(num)) fontCache.set(num, fontInfo(objects, Number(num)));
+            fonts.set(name, fontCache.get(num));
+        }
+
+        const pageDict = objects.get(pageNum).dict;
+        const contents = /\/Contents\s*\[([^\]]*)\]/.exec(pageDict)?.[1] ?? /\/Contents\s+(\d+\s+\d+\s+R)/.exec(pageDict)?.[1] ?? "";
+        let content = "";
+        for (const [, num] of contents.matchAll(/(\d+)\s+\d+\s+R/g)) {
+            const stream = objects.get(Number(num))?.stream;
+            if (stream) content += stream.toString("latin1") + "\n";
+        }
+        texts.push(pageText(content, fonts));
+    }
+    return normalizeText(texts.join("\n\n"));
+}
+
+/**
+* --------------------------------------------
+* Вхідна точка
+* --------------------------------------------
+*/
+function decodeText(buf, charset) {
+    try {
+        return new TextDecoder(charset || "utf-8").decode(buf);
+    } catch {
+        return buf.toString("utf8");
+    }
+}
+
+// contentType може містити параметри: "text/html; charset=windows-1251"
+export function extractText(buf, contentType) {
+    const [mime, ...params] = String(contentType || "").toLowerCase().split(";").map((s) => s.trim());
+    const charset = params.find((p) => p.startsWith("charset="))?.slice(8).replace(/"/g, "");
+    switch (SOURCE_CONTENT_TYPES[mime]) {
+        case "pdf":
+            return pdfToText(buf);
+        case "docx":
+            return docxToText(buf);
+        case "html":
+            return htmlToText(decodeText(buf, charset));
+        case "text":
+            return normalizeText(decodeText(buf, charset));
+        default:
+            throw new ExtractError(`Unsupported content type: ${mime || "unknown"}`);
+    }
+}
+
+/**
+* Ріже текст на шматки до `size` символів: спершу по абзацах, довгі
+* абзаци — по реченнях, а зовсім довгі речення — жорстко. Кожен шматок
+* після першого починається з `overlap` символів кінця попереднього.
+*/
+export function chunkText(text, { size = 12000, overlap = 400 } = {}) {
+    // Запас під перекриття, щоб шматок разом з ним не перевищив size
+    const limit = Math.max(1, size - overlap - 2);
+    const pieces = [];
+    for (const para of String(text || "").split(/\n{2,}/)) {
+        if (para.length <= limit) {
+            pieces.push(para);
+            continue;
+        }
+        for (const sentence of para.match(/[^.!?…]+(?:[.!?…]+\s*|$)/g) || [para]) {
+            for (let i = 0; i < sentence.length; i += limit) pieces.push(sentence.slice(i, i + limit));
+        }
+    }
+
+    const chunks = [];
+    let cur = "";
+    for (const piece of pieces) {
+        if (!piece.trim()) continue;
+        if (cur && cur.length + piece.length + 2 > limit) {
+            chunks.push(cur);
+            const tail = cur.slice(-overlap);
+            cur = overlap ? tail.slice(tail.search(/\s/) + 1) : "";
+        }
+        cur = cur ? `${cur}\n\n${piece}` : piece;
+    }
+    if (cur.trim()) chunks.push(cur);
+    return chunks;
+}
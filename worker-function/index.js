@@ -1,7 +1,15 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, UpdateCommand } from "@aws-sdk/lib-dynamodb";
-import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
+import { DynamoDBDocumentClient, UpdateCommand, GetCommand, TransactWriteCommand } from "@aws-sdk/lib-dynamodb";
+import { SQSClient, ChangeMessageVisibilityCommand } from "@aws-sdk/client-sqs";
 import { SSMClient, GetParametersByPathCommand } from "@aws-sdk/client-ssm";
+import { resolveProviderChain, generateText, LLMError } from "./llm.js";
+import { loadSource, SourceError } from "./sources.js";
+import { chunkText } from "./extract.js";
+import { emitTaskEvent } from "./webhooks.js";
+import { createPlanTasks, planKey, refundTasks, updatePlanProgress } from "./plans.js";
+import { log, withLogContext, setLogContext, correlationIdFrom, emitMetrics } from "../shared/logger.js";
+import { buildSearchDoc } from "../shared/search.js";
+import { validate } from "../shared/validation.js";
 
 /**
 * ---------------------------------------------------------
@@ -10,21 +18,37 @@ import { SSMClient, GetParametersByPathCommand } from "@aws-sdk/client-ssm";
 * Очікувані ключі під префіксом /ai-studynotes:
 *  - /ai-studynotes/dynamo-db-table-name   (String або SecureString)
 *  - /ai-studynotes/sns-topic-arn          (String або SecureString, опціонально)
-*  - /ai-studynotes/openai-api-key         (SecureString)
-*  - /ai-studynotes/openai-prompt-id       (String або SecureString)
+*  - /ai-studynotes/sqs-queue-url          (String, опціонально) — черга задач, у яку план кладе свої задачі
+*  - /ai-studynotes/webhook-queue-url      (String, опціонально) — черга доставок вебхуків, див. webhooks.js
+*  - /ai-studynotes/openai-api-key         (SecureString, для openai-responses)
+*  - /ai-studynotes/openai-prompt-id       (String або SecureString, опціонально)
+*  - /ai-studynotes/openai-prompt-id-study-notes (String або SecureString, опціонально)
+*  - /ai-studynotes/openai-prompt-id-flashcards  (String або SecureString, опціонально)
+*  - /ai-studynotes/openai-prompt-id-quiz        (String або SecureString, опціонально)
+*  - /ai-studynotes/openai-prompt-id-study-plan  (String або SecureString, опціонально)
+*  - /ai-studynotes/sources-bucket-name          (String, опціонально) — S3 з файлами джерел
+*  - /ai-studynotes/llm-*, anthropic-api-key, openai-compatible-* — див. llm.js
 *
 * Опції через env:
 *  - CONFIG_BASE_PATH (дефолт: "/ai-studynotes")
 *  - CONFIG_TTL_MS    (дефолт: 300000 = 5 хв)
+*  - PROGRESS_FLUSH_MS (дефолт: 2000) — інтервал запису проміжного researchMd
+*  - MAX_RECEIVE_COUNT (дефолт: 5) — після стількох доставок тимчасова помилка стає остаточною
+*  - RETRY_VISIBILITY_MAX_SEC (дефолт: 900) — стеля відкладення повтору через visibility timeout
+*  - SOURCE_* — див. розділ "Джерела" нижче і sources.js
+*  - REAPER_* — див. reaper.js (завислі задачі), DLQ — dlq.js
 */
 const CONFIG_BASE_PATH = process.env.CONFIG_BASE_PATH || "/ai-studynotes";
 const CONFIG_TTL_MS = Number(process.env.CONFIG_TTL_MS || 5 * 60 * 1000); // 5 хв кеш
+const PROGRESS_FLUSH_MS = Number(process.env.PROGRESS_FLUSH_MS || 2000); // як часто писати проміжний researchMd
+const MAX_RECEIVE_COUNT = Number(process.env.MAX_RECEIVE_COUNT || 5);
+const RETRY_VISIBILITY_MAX_SEC = Number(process.env.RETRY_VISIBILITY_MAX_SEC || 15 * 60);
 
 const ssm = new SSMClient({});
 let cachedConfig = null;
 let cachedAt = 0;
 
-async function loadConfig() {
+export async function loadConfig() {
     const now = Date.now();
     if (cachedConfig && now - cachedAt < CONFIG_TTL_MS) return cachedConfig;
     
@@ -50,16 +74,12 @@ async function loadConfig() {
             nextToken = out.NextToken;
         } while (nextToken);
     } catch (e) {
-        console.error("🔴 [CFG] Failed to load SSM params:", {
-            name: e?.name,
-            message: e?.message,
-            status: e?.$metadata?.httpStatusCode,
-        });
+        log.error("Config Failed to load SSM params", { name: e?.name, error: e?.message, status: e?.$metadata?.httpStatusCode });
         throw e;
     }
     
-    // Мінімальна валідація критичних ключів
-    const required = ["dynamo-db-table-name", "openai-api-key", "openai-prompt-id"];
+    // Мінімальна валідація критичних ключів (ключі провайдерів LLM перевіряються в llm.js)
+    const required = ["dynamo-db-table-name"];
     const missing = required.filter((k) => !params[k]);
     if (missing.length) {
         throw new Error(`Missing SSM parameters: ${missing.join(", ")}`);
@@ -76,85 +96,619 @@ async function loadConfig() {
 * ---------------------------------------------------------
 */
 const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
-const sns = new SNSClient({});
+const sqs = new SQSClient({});
 
 /**
 * ---------------------------------------------------------
-* 🧩 Helpers
+* ⚠️ Помилки обробки
 * ---------------------------------------------------------
+* Тимчасові (retryable) — задача повертається в QUEUED, а повідомлення
+* лишається в черзі з подовженим visibility timeout (backoff між доставками).
+* Постійні — задача переходить в ERROR з { code, provider, retryable, message },
+* повідомлення видаляється.
+*
+* Скасування (POST /tasks/{id}/cancel) і видалення: усі записи статусу умовні
+* (лише QUEUED/PROCESSING → …), тож воркер не перезапише CANCELLED і не
+* створить запис-привид на місці видаленої задачі. Скасування, помічене під час
+* запису прогресу, перериває генерацію (AbortSignal) — TaskError "cancelled",
+* повідомлення видаляється без зміни статусу.
+*/
+class TaskError extends Error {
+    constructor(message, code, retryable = false) {
+        super(message);
+        this.name = "TaskError";
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+const isConditionFailure = (err) => err?.name === "ConditionalCheckFailedException";
+
+// Задачу скасували або видалили поза воркером — лише прогрес плану, якщо задача з плану
+async function settleSkipped(tableName, cfg, id) {
+    const { Item: task } = await ddb.send(new GetCommand({ TableName: tableName, Key: { id } }));
+    log.warn("Record Task was cancelled or deleted, skipping", { id, status: task?.status ?? "deleted" });
+    if (task?.status === "CANCELLED" && task.planId) await updatePlanProgress(tableName, cfg, task);
+}
+
+// Метрики Tasks і TaskLatency (від requestedAt у повідомленні) за типом і результатом
+function recordTaskOutcome(msg, status) {
+    const latency = msg?.requestedAt ? Date.now() - Date.parse(msg.requestedAt) : undefined;
+    emitMetrics({ Tasks: 1, TaskLatency: latency }, { TaskType: msg?.taskType || "RESEARCH_SUMMARY_V1", Status: status });
+}
+
+function describeFailure(err) {
+    if (err instanceof LLMError || err instanceof TaskError || err instanceof SourceError) {
+        return {
+            code: err.code,
+            provider: err.provider ?? null,
+            retryable: err.retryable,
+            message: err.message,
+            retryAfterMs: err.retryAfterMs ?? null,
+        };
+    }
+    // Збої DynamoDB/SNS, throttling тощо — варто спробувати ще раз
+    return { code: "internal_error", provider: null, retryable: true, message: "Internal error", retryAfterMs: null };
+}
+
+// arn:aws:sqs:<region>:<account>:<name> → https://sqs.<region>.amazonaws.com/<account>/<name>
+function queueUrlFromArn(arn) {
+    const [, , , region, account, name] = String(arn || "").split(":");
+    return region && account && name ? `https://sqs.${region}.amazonaws.com/${account}/${name}` : null;
+}
+
+// Експоненційно за номером доставки, з jitter; Retry-After провайдера — нижня межа
+function retryDelaySec(receiveCount, retryAfterMs) {
+    const backoff = Math.min(RETRY_VISIBILITY_MAX_SEC, 30 * 2 ** (receiveCount - 1));
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+    const hinted = retryAfterMs ? Math.ceil(retryAfterMs / 1000) : 0;
+    return Math.min(RETRY_VISIBILITY_MAX_SEC, Math.max(hinted, Math.round(jittered)));
+}
+
+/**
+* ---------------------------------------------------------
+* 📊 Облік токенів
+* ---------------------------------------------------------
+* Додає usage генерації до лічильників користувача за UTC-день і місяць
+* ({ id: "USAGE#<userId>#<YYYY-MM-DD|YYYY-MM>" }, ті самі, що рахує API).
 */
-function extractMarkdown(data) {
-    if (typeof data?.output_text === "string" && data.output_text.trim()) return data.output_text.trim();
+const DAY_SEC = 24 * 60 * 60;
+
+async function recordUsage(tableName, userId, usage) {
+    if (!userId || !usage) return;
+    const now = new Date();
+    const y = now.getUTCFullYear();
+    const m = now.getUTCMonth();
+    const windows = [
+        {
+            period: "day",
+            start: now.toISOString().slice(0, 10),
+            expiresAt: Date.UTC(y, m, now.getUTCDate() + 1) / 1000 + 35 * DAY_SEC,
+        },
+        {
+            period: "month",
+            start: now.toISOString().slice(0, 7),
+            expiresAt: Date.UTC(y, m + 1, 1) / 1000 + 400 * DAY_SEC,
+        },
+    ];
     
-    // Responses API shape: output: [{ content: [{ type:'output_text', text:'...' }, ...] }, ...]
-    if (Array.isArray(data?.output)) {
-        const parts = [];
-        for (const blk of data.output) {
-            const content = blk?.content || blk?.contents || [];
-            for (const c of content) {
-                if (typeof c === "string") parts.push(c);
-                else if (typeof c?.text === "string") parts.push(c.text);
-                else if (typeof c?.text?.value === "string") parts.push(c.text.value);
-                else if (typeof c?.output_text === "string") parts.push(c.output_text);
-            }
+    // Облік — не частина результату: збій лише логуємо, щоб не повторювати вже записану генерацію
+    try {
+        for (const w of windows) {
+            await ddb.send(
+                new UpdateCommand({
+                    TableName: tableName,
+                    Key: { id: `USAGE#${userId}#${w.start}` },
+                    UpdateExpression:
+                    "SET userId = :u, #p = :p, expiresAt = :exp " +
+                    "ADD tokens :total, inputTokens :in, outputTokens :out, costUsd :cost",
+                    ExpressionAttributeNames: { "#p": "period" },
+                    ExpressionAttributeValues: {
+                        ":u": userId,
+                        ":p": w.period,
+                        ":exp": w.expiresAt,
+                        ":total": usage.inputTokens + usage.outputTokens,
+                        ":in": usage.inputTokens,
+                        ":out": usage.outputTokens,
+                        ":cost": usage.costUsd || 0,
+                    },
+                })
+            );
         }
-        const md = parts.join("").trim();
-        if (md) return md;
+    } catch (err) {
+        log.error("DynamoDB Usage not recorded", { userId, error: err?.message || err });
+        return;
     }
-    
-    // Older shapes:
-    if (Array.isArray(data?.content)) {
-        const md = data.content
-        .map((c) =>
-            typeof c?.text?.value === "string"
-        ? c.text.value
-        : typeof c?.text === "string"
-        ? c.text
-        : ""
-    )
-    .join("")
-    .trim();
-    if (md) return md;
+    log.info("DynamoDB Usage recorded", { userId, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens });
 }
-return "";
+
+/**
+* ---------------------------------------------------------
+* 📚 Джерела (map-reduce)
+* ---------------------------------------------------------
+* Задача з sources будує конспект лише з матеріалів користувача:
+*  1. map    — кожне джерело ріжеться на шматки, кожен шматок стискається
+*              моделлю до пунктів з міткою джерела [S<n>];
+*  2. reduce — якщо разом пункти довші за SOURCE_DIGEST_CHARS, зводимо їх
+*              групами (мітки зберігаються), доки не влізуть;
+*  3. фінал  — звичайний шаблон taskType + дайджест і вимога цитувати [S<n>]
+*              біля кожного розділу; список джерел дописується в кінець.
+* Збережений промпт OpenAI (promptId) тут не використовується: він не знає
+* про матеріали.
+*
+* Опції через env:
+*  - SOURCE_CHUNK_CHARS   (дефолт: 12000) — розмір шматка для map
+*  - SOURCE_CHUNK_OVERLAP (дефолт: 400)
+*  - SOURCE_MAX_CHUNKS    (дефолт: 40) — більше — помилка source_too_large
+*  - SOURCE_DIGEST_CHARS  (дефолт: 24000) — максимум матеріалу у фінальному промпті
+*  - SOURCE_CONCURRENCY   (дефолт: 4) — паралельних map-запитів
+*/
+const SOURCE_CHUNK_CHARS = Number(process.env.SOURCE_CHUNK_CHARS || 12000);
+const SOURCE_CHUNK_OVERLAP = Number(process.env.SOURCE_CHUNK_OVERLAP || 400);
+const SOURCE_MAX_CHUNKS = Number(process.env.SOURCE_MAX_CHUNKS || 40);
+const SOURCE_DIGEST_CHARS = Number(process.env.SOURCE_DIGEST_CHARS || 24000);
+const SOURCE_CONCURRENCY = Number(process.env.SOURCE_CONCURRENCY || 4);
+const MAX_REDUCE_ROUNDS = 3;
+
+const SOURCE_LIST_HEADINGS = { uk: "Джерела", en: "Sources" };
+
+function addUsage(total, usage) {
+    total.inputTokens += usage?.inputTokens || 0;
+    total.outputTokens += usage?.outputTokens || 0;
+    total.costUsd = Number((total.costUsd + (usage?.costUsd || 0)).toFixed(6));
+    return total;
+}
+
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    });
+    await Promise.all(workers);
+    return results;
 }
 
-async function callOpenAIWithPrompt(topic, apiKey, promptId) {
-    console.log("🟢 [OpenAI] Request for topic:", topic);
+// Групує частини так, щоб кожна група влазила в `size` символів
+function groupBySize(parts, size) {
+    const groups = [];
+    for (const part of parts) {
+        const last = groups[groups.length - 1];
+        if (last && last.join("\n\n").length + part.length + 2 <= size) last.push(part);
+        else groups.push([part]);
+    }
+    return groups;
+}
+
+async function summarizeSources(sources, { topic, language, chain, cfg, usage }) {
+    const chunks = sources.flatMap((source) => {
+        const parts = chunkText(source.text, { size: SOURCE_CHUNK_CHARS, overlap: SOURCE_CHUNK_OVERLAP });
+        source.chars = source.text.length;
+        source.chunks = parts.length;
+        return parts.map((text, i) => ({ source, text, part: `${i + 1}/${parts.length}` }));
+    });
+    if (chunks.length > SOURCE_MAX_CHUNKS) {
+        throw new TaskError(
+            `Sources are too long: ${chunks.length} chunks, at most ${SOURCE_MAX_CHUNKS}`,
+            "source_too_large"
+        );
+    }
+    
+    const lang = LANGUAGE_NAMES[language] || LANGUAGE_NAMES.uk;
+    const call = async (variables, messages) => {
+        const out = await generateText(chain, { variables, messages }, cfg);
+        addUsage(usage, out.usage);
+        return out.text.trim();
+    };
     
-    const body = {
-        prompt: {
-            id: String(promptId),
-            variables: { topic },
+    log.info("Sources Map", { chunks: chunks.length, sources: sources.length });
+    let parts = await mapLimit(chunks, SOURCE_CONCURRENCY, async ({ source, text, part }) => {
+        const summary = await call(
+            { topic, source: source.id, part },
+            {
+                system:
+                "You extract key facts from study material. Never add information that is not in the excerpt.",
+                user:
+                `Topic: ${topic}\nExcerpt ${part} of source [${source.id}] "${source.title}":\n\n${text}\n\n` +
+                `List the key points of this excerpt relevant to the topic as Markdown bullet points in ${lang}. ` +
+                "Keep definitions, formulas, numbers and examples.",
+            }
+        );
+        return `### [${source.id}] ${source.title} (${part})\n${summary}`;
+    });
+    
+    for (let round = 1; parts.join("\n\n").length > SOURCE_DIGEST_CHARS && round <= MAX_REDUCE_ROUNDS; round++) {
+        const groups = groupBySize(parts, SOURCE_DIGEST_CHARS);
+        log.info("Sources Reduce", { round, parts: parts.length, groups: groups.length });
+        parts = await mapLimit(groups, SOURCE_CONCURRENCY, (group, i) =>
+            call(
+                { topic, round: String(round), group: `${i + 1}/${groups.length}` },
+                {
+                    system: "You merge study-material summaries without losing facts or source tags.",
+                    user:
+                    `Topic: ${topic}\nMerge these summaries into fewer, denser Markdown bullet points in ${lang}. ` +
+                    "Every bullet must keep the source tags ([S1], [S2]…) of the facts it contains.\n\n" +
+                    group.join("\n\n"),
+                }
+            )
+        );
+    }
+    // Страховка, якщо й після MAX_REDUCE_ROUNDS дайджест задовгий
+    return parts.join("\n\n").slice(0, SOURCE_DIGEST_CHARS * 2);
+}
+
+function withSources(messages, digest) {
+    return {
+        system:
+        `${messages.system} Base the notes only on the provided source material. ` +
+        "After each section, cite the sources it is based on as [S1], [S2]… using the given tags.",
+        user: `${messages.user}\n\nSource material:\n\n${digest}`,
+    };
+}
+
+function appendSourceList(markdown, sources, language) {
+    const lines = sources.map((s) => {
+        const ref = s.type === "url" ? ` — <${s.url}>` : s.fileName && s.fileName !== s.title ? ` — ${s.fileName}` : "";
+        return `- **[${s.id}]** ${s.title}${ref}`;
+    });
+    return `${markdown.trimEnd()}\n\n## ${SOURCE_LIST_HEADINGS[language] || SOURCE_LIST_HEADINGS.uk}\n\n${lines.join("\n")}\n`;
+}
+
+// Помилки схеми рядками "шлях: повідомлення" — для логу й TaskError
+function schemaErrors(schema, data) {
+    const { errors } = validate(schema, data, { location: "output", trim: true });
+    return errors.map(({ field, message }) => `${field || "$"}: ${message}`);
+}
+
+const FLASHCARDS_SCHEMA = {
+    type: "object",
+    properties: {
+        cards: {
+            type: "array",
+            minItems: 1,
+            maxItems: 100,
+            items: {
+                type: "object",
+                properties: {
+                    front: { type: "string", minLength: 1 },
+                    back: { type: "string", minLength: 1 },
+                },
+                required: ["front", "back"],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ["cards"],
+    additionalProperties: false,
+};
+
+const QUIZ_SCHEMA = {
+    type: "object",
+    properties: {
+        questions: {
+            type: "array",
+            minItems: 1,
+            maxItems: 100,
+            items: {
+                type: "object",
+                properties: {
+                    question: { type: "string", minLength: 1 },
+                    options: { type: "array", minItems: 2, maxItems: 6, items: { type: "string", minLength: 1 } },
+                    answerIndex: { type: "integer", minimum: 0 },
+                    explanation: { type: "string" },
+                },
+                required: ["question", "options", "answerIndex", "explanation"],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ["questions"],
+    additionalProperties: false,
+};
+
+/**
+* ---------------------------------------------------------
+* 🧾 Task types
+* ---------------------------------------------------------
+* Кожен taskType має набір змінних, вбудований шаблон промпту (messages) для
+* будь-якого провайдера і, опціонально, збережений промпт OpenAI (ключ у SSM),
+* який має пріоритет для openai-responses.
+*  - RESEARCH_SUMMARY_V1 — { topic } → /ai-studynotes/openai-prompt-id
+*  - STUDY_NOTES_V2      — { topic, language, depth, audience, format }
+*                          → /ai-studynotes/openai-prompt-id-study-notes
+*
+* Похідні типи (derived) працюють з researchMd готової задачі й пишуть
+* структурований результат у сусідній запис "<taskId>#<derived>":
+*  - FLASHCARDS_V1 — { topic, researchMd, language, count } → /ai-studynotes/openai-prompt-id-flashcards
+*  - QUIZ_V1       — { topic, researchMd, language, count } → /ai-studynotes/openai-prompt-id-quiz
+*
+* Навчальний план (plan) пише програму курсу в запис "PLAN#<planId>" і
+* створює задачі на кожну тему (plans.js):
+*  - STUDY_PLAN_V1 — { subject, language, audience, count } → /ai-studynotes/openai-prompt-id-study-plan
+*/
+const DEFAULT_OPTIONS = { language: "uk", depth: "standard", audience: "university", format: "notes" };
+
+const LANGUAGE_NAMES = { uk: "Ukrainian", en: "English" };
+const DEPTH_HINTS = {
+    summary: "a concise summary (about one page)",
+    standard: "standard study notes covering all key concepts",
+    deep_dive: "an in-depth deep dive with details, examples and edge cases",
+};
+const AUDIENCE_HINTS = {
+    school: "high-school students",
+    university: "university students",
+    professional: "working professionals",
+};
+const FORMAT_HINTS = {
+    notes: "well-structured notes with headings and paragraphs",
+    outline: "a hierarchical outline of nested bullet points",
+    qa: "a list of questions, each followed by a clear answer",
+    cheat_sheet: "a compact cheat sheet with tables, formulas and key facts",
+};
+
+const NOTES_SYSTEM =
+"You are an expert tutor who writes accurate, well-structured study notes in Markdown. " +
+"Use headings, lists, tables and code blocks where helpful, and LaTeX ($...$) for math.";
+
+// Програма курсу: рівно count тем (count задає користувач, 3–30)
+function syllabusSchema(count) {
+    return {
+        type: "object",
+        properties: {
+            title: { type: "string", minLength: 1 },
+            items: {
+                type: "array",
+                minItems: count,
+                maxItems: count,
+                items: {
+                    type: "object",
+                    properties: {
+                        title: { type: "string", minLength: 1 },
+                        description: { type: "string", minLength: 1 },
+                    },
+                    required: ["title", "description"],
+                    additionalProperties: false,
+                },
+            },
         },
+        required: ["title", "items"],
+        additionalProperties: false,
     };
+}
+
+export const TASK_TYPES = {
+    RESEARCH_SUMMARY_V1: {
+        promptKey: "openai-prompt-id",
+        variables: (msg) => ({ topic: msg.topic }),
+        messages: (v) => ({
+            system: NOTES_SYSTEM,
+            user: `Write study notes on the topic: ${v.topic}`,
+        }),
+    },
+    STUDY_NOTES_V2: {
+        promptKey: "openai-prompt-id-study-notes",
+        variables: (msg) => ({ ...DEFAULT_OPTIONS, ...msg.options, topic: msg.topic }),
+        messages: (v) => ({
+            system: NOTES_SYSTEM,
+            user:
+            `Write ${DEPTH_HINTS[v.depth]} on the topic: ${v.topic}\n` +
+            `Audience: ${AUDIENCE_HINTS[v.audience]}.\n` +
+            `Shape: ${FORMAT_HINTS[v.format]}.\n` +
+            `Write in ${LANGUAGE_NAMES[v.language]}.`,
+        }),
+    },
+    FLASHCARDS_V1: {
+        promptKey: "openai-prompt-id-flashcards",
+        derived: "flashcards",
+        schema: FLASHCARDS_SCHEMA,
+        messages: (v) => ({
+            system: "You create flashcards for spaced-repetition study from the user's notes.",
+            user:
+            `Create ${v.count} flashcards (front: question or term, back: concise answer) in ${LANGUAGE_NAMES[v.language]} ` +
+            `for the topic "${v.topic}", based only on these notes:\n\n${v.researchMd}`,
+        }),
+        check: () => [],
+    },
+    QUIZ_V1: {
+        promptKey: "openai-prompt-id-quiz",
+        derived: "quiz",
+        schema: QUIZ_SCHEMA,
+        messages: (v) => ({
+            system: "You write multiple-choice quizzes with exactly one correct answer per question.",
+            user:
+            `Write ${v.count} multiple-choice questions in ${LANGUAGE_NAMES[v.language]} for the topic "${v.topic}", ` +
+            `based only on these notes. answerIndex is the zero-based index of the correct option.\n\n${v.researchMd}`,
+        }),
+        // Те, чого не виразити схемою: індекс відповіді в межах варіантів
+        check: (data) =>
+        data.questions
+        .map((q, i) => (q.answerIndex < q.options.length ? null : `$.questions[${i}].answerIndex: out of range`))
+        .filter(Boolean),
+    },
+    STUDY_PLAN_V1: {
+        promptKey: "openai-prompt-id-study-plan",
+        plan: true,
+        messages: (v) => ({
+            system: "You are an experienced curriculum designer who breaks a subject into a logical sequence of study topics.",
+            user:
+            `Create a study plan of exactly ${v.count} topics in ${LANGUAGE_NAMES[v.language]} for ${AUDIENCE_HINTS[v.audience]} ` +
+            `studying: ${v.subject}\n` +
+            "Order topics from fundamentals to advanced; each title must work on its own as a topic for study notes, " +
+            "the description says in one or two sentences what the topic covers.",
+        }),
+        // Однакові теми дали б дві однакові задачі
+        check: (data) => {
+            const seen = new Set();
+            return data.items
+            .map((item, i) => {
+                const key = item.title.trim().toLowerCase();
+                if (seen.has(key)) return `$.items[${i}].title: duplicate`;
+                seen.add(key);
+                return null;
+            })
+            .filter(Boolean);
+        },
+    },
+};
+
+// Ключ запису, у який пишеться статус/результат повідомлення
+export function itemIdFor(msg) {
+    const taskType = TASK_TYPES[msg.taskType];
+    if (taskType?.plan) return planKey(msg.id);
+    return taskType?.derived ? `${msg.id}#${taskType.derived}` : msg.id;
+}
+
+async function processDerived(msg, taskType, { tableName, cfg, chain }) {
+    const itemId = itemIdFor(msg);
     
-    const res = await fetch("https://api.openai.com/v1/responses", {
-        method: "POST",
-        headers: {
-            Authorization: `Bearer ${apiKey}`,
-            "Content-Type": "application/json",
+    const { Item: task } = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: msg.id } })
+    );
+    if (!task || task.status !== "DONE" || !task.researchMd) {
+        throw new TaskError(`Source task ${msg.id} is not DONE`, "source_not_ready");
+    }
+    
+    log.info("DynamoDB Set PROCESSING", { id: itemId });
+    try {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: itemId },
+                UpdateExpression: "SET #s = :s, inFlight = :s, updatedAt = :t, lastAttemptAt = :t ADD attempts :one",
+                ConditionExpression: "#s IN (:queued, :s)",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":s": "PROCESSING", ":queued": "QUEUED", ":t": new Date().toISOString(), ":one": 1 },
+            })
+        );
+    } catch (e) {
+        if (!isConditionFailure(e)) throw e;
+        log.warn("Record Task was deleted or already finished, skipping", { id: itemId, taskType: taskType.derived });
+        return;
+    }
+    
+    const variables = {
+        topic: task.topic,
+        researchMd: task.researchMd,
+        language: task.options?.language || DEFAULT_OPTIONS.language,
+        count: String(msg.count || 20),
+    };
+    const { text, usage } = await generateText(
+        chain,
+        {
+            variables,
+            promptId: cfg[taskType.promptKey],
+            messages: taskType.messages(variables),
+            textFormat: { type: "json_schema", name: taskType.derived, schema: taskType.schema, strict: true },
         },
-        body: JSON.stringify(body),
-    });
+        cfg
+    );
     
-    console.log("🟢 [OpenAI] HTTP status:", res.status);
+    // Токени вже витрачені, навіть якщо відповідь не пройде валідацію
+    await recordUsage(tableName, task.userId, usage);
     
-    if (!res.ok) {
-        const txt = await res.text();
-        console.error("🔴 [OpenAI] Error:", txt.slice(0, 800));
-        throw new Error(`OpenAI ${res.status}: ${txt}`);
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new TaskError(`Model returned invalid JSON for ${taskType.derived}`, "invalid_output", true);
+    }
+    const errors = schemaErrors(taskType.schema, data);
+    if (!errors.length) errors.push(...taskType.check(data));
+    if (errors.length) {
+        log.warn("Schema Validation failed", { taskType: taskType.derived, errors: errors.slice(0, 10) });
+        throw new TaskError(`Schema validation failed: ${errors.slice(0, 5).join("; ")}`, "invalid_output", true);
     }
     
-    const data = await res.json();
-    const md = extractMarkdown(data);
-    if (!md) {
-        console.warn("🟠 [OpenAI] Unexpected shape, first 400 chars of JSON:", JSON.stringify(data).slice(0, 400));
-        throw new Error("Empty OpenAI response");
+    log.info("DynamoDB Write DONE", { id: itemId, taskType: taskType.derived });
+    try {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: itemId },
+                UpdateExpression: "SET #d = :d, #s = :s, #u = :u, updatedAt = :t REMOVE #e, lastError, inFlight",
+                ConditionExpression: "#s = :processing",
+                ExpressionAttributeNames: { "#d": "data", "#s": "status", "#u": "usage", "#e": "error" },
+                ExpressionAttributeValues: {
+                    ":d": data,
+                    ":s": "DONE",
+                    ":u": usage,
+                    ":processing": "PROCESSING",
+                    ":t": new Date().toISOString(),
+                },
+            })
+        );
+    } catch (e) {
+        if (!isConditionFailure(e)) throw e;
+        log.warn("Record Task was deleted meanwhile, dropping result", { id: itemId, taskType: taskType.derived });
+    }
+}
+
+// План: програма курсу → задачі (plans.js). Повторна доставка після
+// створення задач нічого не робить — план уже не QUEUED/PROCESSING.
+async function processStudyPlan(msg, taskType, { tableName, cfg, chain }) {
+    const itemId = itemIdFor(msg);
+    
+    log.info("DynamoDB Set PROCESSING", { id: itemId });
+    let plan;
+    try {
+        ({ Attributes: plan } = await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: itemId },
+                UpdateExpression: "SET #s = :s, inFlight = :s, updatedAt = :t, lastAttemptAt = :t ADD attempts :one",
+                ConditionExpression: "#s IN (:queued, :s)",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: {
+                    ":s": "PROCESSING",
+                    ":queued": "QUEUED",
+                    ":t": new Date().toISOString(),
+                    ":one": 1,
+                },
+                ReturnValues: "ALL_NEW",
+            })
+        ));
+    } catch (e) {
+        if (e?.name !== "ConditionalCheckFailedException") throw e;
+        log.warn("Record Plan missing or already generated, skipping", { id: itemId });
+        return;
     }
     
-    console.log("🟢 [OpenAI] Markdown length:", md.length);
-    return md;
+    const schema = syllabusSchema(plan.itemCount);
+    const variables = {
+        subject: plan.subject,
+        language: plan.options?.language || DEFAULT_OPTIONS.language,
+        audience: plan.options?.audience || DEFAULT_OPTIONS.audience,
+        count: String(plan.itemCount),
+    };
+    const { text, usage } = await generateText(
+        chain,
+        {
+            variables,
+            promptId: cfg[taskType.promptKey],
+            messages: taskType.messages(variables),
+            textFormat: { type: "json_schema", name: "study_plan", schema, strict: true },
+        },
+        cfg
+    );
+    await recordUsage(tableName, plan.userId, usage);
+    
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new TaskError("Model returned invalid JSON for study plan", "invalid_output", true);
+    }
+    const errors = schemaErrors(schema, data);
+    if (!errors.length) errors.push(...taskType.check(data));
+    if (errors.length) {
+        log.warn("Schema Study plan validation failed", { errors: errors.slice(0, 10) });
+        throw new TaskError(`Schema validation failed: ${errors.slice(0, 5).join("; ")}`, "invalid_output", true);
+    }
+    
+    await createPlanTasks(tableName, cfg, plan, data);
 }
 
 /**
@@ -162,15 +716,18 @@ async function callOpenAIWithPrompt(topic, apiKey, promptId) {
 * 🧠 Lambda handler (SQS trigger)
 * ---------------------------------------------------------
 */
-export const handler = async (event) => {
-    console.log("🟢 [Lambda] Event:", JSON.stringify({ records: event?.Records?.length || 0 }));
+export const handler = (event, context) =>
+    withLogContext({ service: "worker", requestId: context?.awsRequestId }, () => processBatch(event));
+
+const processBatch = async (event) => {
+    log.info("Lambda Event", { records: event?.Records?.length || 0 });
     
     const failures = [];
     let cfg;
     try {
         cfg = await loadConfig();
     } catch (e) {
-        console.error("🔴 [Lambda] Config load failed — abort batch:", e?.message);
+        log.error("Lambda Config load failed — abort batch", { error: e?.message });
         // Якщо конфіг не піднявся, відмічаємо всі записи як failed, щоб SQS ретраїв
         const all = (event.Records ?? []).map((r) => ({ itemIdentifier: r.messageId }));
         return { batchItemFailures: all };
@@ -178,90 +735,324 @@ export const handler = async (event) => {
     
     // Безпечний доступ до значень
     const TABLE_NAME = cfg["dynamo-db-table-name"];
-    const SNS_TOPIC_ARN = cfg["sns-topic-arn"]; // опціонально
-    const OPENAI_API_KEY = cfg["openai-api-key"];
-    const OPENAI_PROMPT_ID = cfg["openai-prompt-id"];
     
     for (const rec of event.Records ?? []) {
-        console.log("🟢 [Record] Start:", rec.messageId);
+        // Correlation id відправника (API, план, reaper) — на всі логи запису
+        setLogContext({ correlationId: correlationIdFrom(rec), messageId: rec.messageId, taskId: null, taskType: null });
+        log.info("Record Start", { messageId: rec.messageId });
         try {
             const msg = JSON.parse(rec.body);
             const id = msg.id;
             const topic = msg.topic;
-            console.log("🟢 [Record] Body:", { id, topic });
-            if (!id || !topic) throw new Error("Message must contain id and topic");
+            setLogContext({ taskId: id ?? null, taskType: msg.taskType || "RESEARCH_SUMMARY_V1" });
+            log.info("Record Body", { id, topic });
+            if (!id || !topic) throw new TaskError("Message must contain id and topic", "invalid_message");
             
-            console.log(`🟢 [DynamoDB] Set PROCESSING id=${id}`);
-            await ddb.send(
-                new UpdateCommand({
-                    TableName: TABLE_NAME,
-                    Key: { id },
-                    UpdateExpression: "SET #s = :s, updatedAt = :t",
-                    ExpressionAttributeNames: { "#s": "status" },
-                    ExpressionAttributeValues: { ":s": "PROCESSING", ":t": new Date().toISOString() },
-                })
-            );
+            // Старі повідомлення в черзі можуть не мати taskType
+            const taskType = TASK_TYPES[msg.taskType || "RESEARCH_SUMMARY_V1"];
+            if (!taskType) throw new TaskError(`Unknown taskType: ${msg.taskType}`, "invalid_message");
+            const chain = resolveProviderChain(cfg, msg.llm);
             
-            const markdown = await callOpenAIWithPrompt(topic, OPENAI_API_KEY, OPENAI_PROMPT_ID);
+            if (taskType.derived) {
+                await processDerived(msg, taskType, { tableName: TABLE_NAME, cfg, chain });
+                recordTaskOutcome(msg, "DONE");
+                log.info("Record Success", { messageId: rec.messageId });
+                continue;
+            }
+            if (taskType.plan) {
+                await processStudyPlan(msg, taskType, { tableName: TABLE_NAME, cfg, chain });
+                recordTaskOutcome(msg, "DONE");
+                log.info("Record Success", { messageId: rec.messageId });
+                continue;
+            }
             
-            console.log(`🟢 [DynamoDB] Write DONE + researchMd id=${id}`);
-            await ddb.send(
-                new UpdateCommand({
-                    TableName: TABLE_NAME,
-                    Key: { id },
-                    UpdateExpression: "SET researchMd = :md, #s = :s, updatedAt = :t REMOVE #e",
-                    ExpressionAttributeNames: { "#s": "status", "#e": "error" },
-                    ExpressionAttributeValues: {
-                        ":md": markdown,
-                        ":s": "DONE",
-                        ":t": new Date().toISOString(),
-                    },
-                })
+            log.info("DynamoDB Set PROCESSING", { id });
+            let processing;
+            try {
+                // SQS гарантує at-least-once: повторна доставка вже готової задачі
+                // не повинна запускати ще одну (платну) генерацію, а скасована чи
+                // видалена задача — оживати
+                ({ Attributes: processing } = await ddb.send(
+                    new UpdateCommand({
+                        TableName: TABLE_NAME,
+                        Key: { id },
+                        // attempts / lastAttemptAt — для reaper.js і діагностики
+                        UpdateExpression: "SET #s = :s, inFlight = :s, updatedAt = :t, lastAttemptAt = :t ADD attempts :one",
+                        ConditionExpression: "#s IN (:queued, :s)",
+                        ExpressionAttributeNames: { "#s": "status" },
+                        ExpressionAttributeValues: {
+                            ":s": "PROCESSING",
+                            ":queued": "QUEUED",
+                            ":t": new Date().toISOString(),
+                            ":one": 1,
+                        },
+                        ReturnValues: "ALL_NEW",
+                    })
+                ));
+            } catch (e) {
+                if (!isConditionFailure(e)) throw e;
+                await settleSkipped(TABLE_NAME, cfg, id);
+                continue;
+            }
+            await emitTaskEvent(TABLE_NAME, cfg, "task.processing", processing);
+            
+            // Проміжний researchMd пишемо не частіше ніж раз на PROGRESS_FLUSH_MS,
+            // щоб API міг транслювати прогрес через GET /tasks/{id}/events.
+            // Невдала умова запису = задачу скасували/видалили — обриваємо генерацію
+            const cancel = new AbortController();
+            let lastFlush = 0;
+            const onProgress = async (partial) => {
+                const now = Date.now();
+                if (now - lastFlush < PROGRESS_FLUSH_MS) return;
+                lastFlush = now;
+                try {
+                    await ddb.send(
+                        new UpdateCommand({
+                            TableName: TABLE_NAME,
+                            Key: { id },
+                            UpdateExpression: "SET researchMd = :md, updatedAt = :t",
+                            ConditionExpression: "#s = :processing",
+                            ExpressionAttributeNames: { "#s": "status" },
+                            ExpressionAttributeValues: { ":md": partial, ":processing": "PROCESSING", ":t": new Date().toISOString() },
+                        })
+                    );
+                } catch (e) {
+                    if (!isConditionFailure(e)) throw e;
+                    const reason = new TaskError("Task was cancelled or deleted", "cancelled");
+                    cancel.abort(reason);
+                    throw reason;
+                }
+                log.info("DynamoDB Progress", { id, outputLength: partial.length });
+            };
+            
+            const variables = taskType.variables(msg);
+            const sources = msg.sources?.length ? msg.sources : null;
+            const sourceUsage = { inputTokens: 0, outputTokens: 0, costUsd: 0 };
+            let messages = taskType.messages(variables);
+            if (sources) {
+                const loaded = [];
+                for (const source of sources) loaded.push(await loadSource(cfg, source));
+                const language = variables.language || DEFAULT_OPTIONS.language;
+                const digest = await summarizeSources(loaded, { topic, language, chain, cfg, usage: sourceUsage });
+                messages = withSources(messages, digest);
+                // Довжини джерел — у метадані задачі (без тексту)
+                sources.forEach((s, i) => Object.assign(s, { title: loaded[i].title, chars: loaded[i].chars, chunks: loaded[i].chunks }));
+            }
+            
+            const generated = await generateText(
+                chain,
+                {
+                    variables,
+                    promptId: sources ? undefined : cfg[taskType.promptKey],
+                    messages,
+                    onProgress,
+                    signal: cancel.signal,
+                },
+                cfg
             );
+            const { provider, model } = generated;
+            const usage = sources ? addUsage(sourceUsage, generated.usage) : generated.usage;
+            const markdown = sources
+            ? appendSourceList(generated.text, sources, variables.language || DEFAULT_OPTIONS.language)
+            : generated.text;
             
-            if (SNS_TOPIC_ARN) {
-                console.log(`🟢 [SNS] Publish ready for id=${id}`);
-                await sns.send(
-                    new PublishCommand({
-                        TopicArn: SNS_TOPIC_ARN,
-                        Subject: "Конспект готовий",
-                        Message: `Конспект на тему "${topic}" готовий. ID: ${id}`,
+            // DONE, запис версії й документ пошуку — однією транзакцією: задача не стане
+            // DONE без версії (GET /tasks/{id}/versions, restore) і без індексу, а повтор
+            // не запише її вдруге. Редагування дозволене лише для DONE, тож version під
+            // час PROCESSING не змінюється
+            const doneAt = new Date().toISOString();
+            const version = (processing.version || 0) + 1;
+            log.info("DynamoDB Write DONE + version", { id, version });
+            try {
+                await ddb.send(
+                    new TransactWriteCommand({
+                        TransactItems: [
+                            {
+                                Update: {
+                                    TableName: TABLE_NAME,
+                                    Key: { id },
+                                    UpdateExpression:
+                                    "SET researchMd = :md, #s = :s, updatedAt = :t, llmProvider = :p, llmModel = :m, #u = :u, " +
+                                    "version = :v" +
+                                    (sources ? ", sources = :src" : "") +
+                                    " REMOVE #e, lastError, inFlight",
+                                    ConditionExpression: "#s = :processing",
+                                    ExpressionAttributeNames: { "#s": "status", "#u": "usage", "#e": "error" },
+                                    ExpressionAttributeValues: {
+                                        ":md": markdown,
+                                        ":s": "DONE",
+                                        ":processing": "PROCESSING",
+                                        ":t": doneAt,
+                                        ":p": provider,
+                                        ":m": model,
+                                        ":u": usage,
+                                        ":v": version,
+                                        ...(sources ? { ":src": sources } : {}),
+                                    },
+                                },
+                            },
+                            {
+                                Put: {
+                                    TableName: TABLE_NAME,
+                                    Item: {
+                                        id: `${id}#v${version}`,
+                                        taskId: id,
+                                        userId: processing.userId,
+                                        version,
+                                        researchMd: markdown,
+                                        llmProvider: provider,
+                                        llmModel: model,
+                                        usage,
+                                        source: "generation",
+                                        author: null,
+                                        createdAt: doneAt,
+                                    },
+                                },
+                            },
+                            {
+                                Put: {
+                                    TableName: TABLE_NAME,
+                                    Item: buildSearchDoc({ ...processing, status: "DONE", researchMd: markdown, updatedAt: doneAt }),
+                                },
+                            },
+                        ],
                     })
                 );
-            } else {
-                console.log("🟠 [SNS] sns-topic-arn not set — skipping publish");
+            } catch (e) {
+                if (e?.name !== "TransactionCanceledException" || e.CancellationReasons?.[0]?.Code !== "ConditionalCheckFailed") {
+                    throw e;
+                }
+                // Скасовано вже після генерації: результат і токени не зараховуються
+                throw new TaskError("Task was cancelled or deleted", "cancelled");
             }
+            const task = {
+                ...processing,
+                researchMd: markdown,
+                status: "DONE",
+                updatedAt: doneAt,
+                llmProvider: provider,
+                llmModel: model,
+                usage,
+                version,
+                ...(sources ? { sources } : {}),
+                error: undefined,
+                lastError: undefined,
+            };
+            
+            await recordUsage(TABLE_NAME, task.userId, usage);
             
-            console.log(`✅ [Record] Success ${rec.messageId}`);
+            await emitTaskEvent(TABLE_NAME, cfg, "task.done", task);
+            recordTaskOutcome(msg, "DONE");
+            
+            log.info("Record Success", { messageId: rec.messageId });
         } catch (err) {
-            console.error("🔴 [Record] Error:", err?.message || err);
-            failures.push({ itemIdentifier: rec.messageId });
+            // Скасовано під час генерації — статус уже CANCELLED, повідомлення видаляємо
+            if (err instanceof TaskError && err.code === "cancelled") {
+                recordTaskOutcome(JSON.parse(rec.body), "CANCELLED");
+                try {
+                    await settleSkipped(TABLE_NAME, cfg, JSON.parse(rec.body).id);
+                } catch (nested) {
+                    log.error("Record Failed to settle cancelled task", { error: nested?.message || nested });
+                }
+                continue;
+            }
+            log.error("Record Error", { error: err?.message || err });
+            const failure = describeFailure(err);
+            const receiveCount = Number(rec.attributes?.ApproximateReceiveCount || 1);
+            const retry = failure.retryable && receiveCount < MAX_RECEIVE_COUNT;
+            const { retryAfterMs, ...error } = failure;
             
-            // Спробуємо позначити запис як ERROR у БД
+            let safe = null;
+            try {
+                safe = JSON.parse(rec.body);
+            } catch {
+                log.error("Record Body is not JSON — dropping message");
+            }
+            
+            // Тимчасова помилка: задача знову QUEUED, SQS доставить повідомлення пізніше
+            if (retry) {
+                failures.push({ itemIdentifier: rec.messageId });
+                recordTaskOutcome(safe, "RETRY");
+                const delay = retryDelaySec(receiveCount, retryAfterMs);
+                const queueUrl = queueUrlFromArn(rec.eventSourceARN);
+                log.warn("Record Transient error, retrying", { code: error.code, retry: receiveCount + 1, delaySec: delay });
+                try {
+                    if (queueUrl) {
+                        await sqs.send(
+                            new ChangeMessageVisibilityCommand({
+                                QueueUrl: queueUrl,
+                                ReceiptHandle: rec.receiptHandle,
+                                VisibilityTimeout: delay,
+                            })
+                        );
+                    }
+                    if (safe?.id) {
+                        await ddb.send(
+                            new UpdateCommand({
+                                TableName: TABLE_NAME,
+                                Key: { id: itemIdFor(safe) },
+                                UpdateExpression: "SET #s = :s, inFlight = :s, lastError = :e, updatedAt = :t",
+                                ConditionExpression: "#s IN (:s, :processing)",
+                                ExpressionAttributeNames: { "#s": "status" },
+                                ExpressionAttributeValues: {
+                                    ":s": "QUEUED",
+                                    ":e": error,
+                                    ":processing": "PROCESSING",
+                                    ":t": new Date().toISOString(),
+                                },
+                            })
+                        );
+                    }
+                } catch (nested) {
+                    if (isConditionFailure(nested)) log.warn("Record Task was cancelled or deleted meanwhile");
+                    else log.error("Record Failed to schedule retry", { error: nested?.message || nested });
+                }
+                continue;
+            }
+            
+            // Постійна помилка або вичерпано спроби: ERROR, повідомлення видаляється.
+            // retryable лишається як підказка клієнту, чи має сенс POST /tasks/{id}/retry
             try {
-                const safe = JSON.parse(rec.body);
                 if (safe?.id) {
-                    console.log(`🟠 [DynamoDB] Mark ERROR id=${safe.id}`);
-                    await ddb.send(
+                    const itemId = itemIdFor(safe);
+                    log.warn("DynamoDB Mark ERROR", { id: itemId, code: error.code });
+                    const { Attributes: failed } = await ddb.send(
                         new UpdateCommand({
                             TableName: TABLE_NAME,
-                            Key: { id: safe.id },
-                            UpdateExpression: "SET #e = :e, #s = :s, updatedAt = :t",
+                            Key: { id: itemId },
+                            UpdateExpression: "SET #e = :e, #s = :s, updatedAt = :t REMOVE lastError, inFlight",
+                            ConditionExpression: "#s IN (:queued, :processing)",
                             ExpressionAttributeNames: { "#e": "error", "#s": "status" },
                             ExpressionAttributeValues: {
-                                ":e": String(err?.message || err),
+                                ":e": error,
                                 ":s": "ERROR",
+                                ":queued": "QUEUED",
+                                ":processing": "PROCESSING",
                                 ":t": new Date().toISOString(),
                             },
+                            ReturnValues: "ALL_NEW",
                         })
                     );
+                    recordTaskOutcome(safe, "ERROR");
+                    // Події лише для самих задач; похідні (картки, тести) — без вебхуків
+                    if (itemId === safe.id) await emitTaskEvent(TABLE_NAME, cfg, "task.error", failed);
+                    // План без програми — задачі так і не створено, їхню квоту повертаємо
+                    if (TASK_TYPES[safe.taskType]?.plan && failed) {
+                        await refundTasks(TABLE_NAME, failed.userId, failed.createdAt, failed.itemCount);
+                    }
                 }
             } catch (nested) {
-                console.error("🔴 [Record] Failed to mark ERROR:", nested?.message || nested);
+                if (isConditionFailure(nested)) {
+                    log.warn("Record Task was cancelled, deleted or already finished — not marking ERROR");
+                    continue;
+                }
+                log.error("Record Failed to mark ERROR", { error: nested?.message || nested });
+                failures.push({ itemIdentifier: rec.messageId });
             }
         }
     }
     
-    console.log("🟢 [Lambda] Done. batchItemFailures:", failures);
+    setLogContext({ correlationId: null, messageId: null, taskId: null, taskType: null });
+    log.info("Lambda Done", { batchItemFailures: failures });
     return { batchItemFailures: failures };
 };
\ No newline at end of file
@@ -0,0 +1,582 @@
+import { log, emitMetrics } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* 🤖 LLM providers
+* ---------------------------------------------------------
+* Кожен провайдер — async ({ model, promptId, variables, messages,
+* textFormat, onProgress, signal }, cfg) => text. Стрімінг віддається через
+* onProgress(накопичений текст).
+* request.signal у generateText — скасування ззовні (напр. задачу скасовано):
+* запит обривається, і кидається signal.reason без повторів і fallback.
+*
+*  - openai-responses — OpenAI Responses API. Якщо для taskType є збережений
+*                       промпт (promptId) — використовує його зі змінними,
+*                       інакше — вбудований шаблон (messages).
+*  - openai-chat      — OpenAI-сумісний /chat/completions (vLLM, Ollama, LM Studio…)
+*  - anthropic        — Anthropic Messages API
+*  - fake             — детермінований локальний провайдер для тестів
+*
+* Ключі в SSM:
+*  - /ai-studynotes/llm-provider          "провайдер[:модель]" (дефолт: openai-responses)
+*  - /ai-studynotes/llm-model             модель для основного провайдера (опціонально)
+*  - /ai-studynotes/llm-fallback-providers "anthropic:claude-sonnet-4-5,openai-chat:llama3" (опціонально)
+*  - /ai-studynotes/openai-api-key                 (для openai-responses)
+*  - /ai-studynotes/openai-compatible-base-url     (для openai-chat, напр. http://llm.internal:8000/v1)
+*  - /ai-studynotes/openai-compatible-api-key      (для openai-chat, опціонально)
+*  - /ai-studynotes/anthropic-api-key              (для anthropic)
+*
+* Кожен провайдер повертає { text, model, usage: { inputTokens, outputTokens } };
+* вартість оцінюється за MODEL_PRICING (або SSM /ai-studynotes/llm-pricing).
+* Кожен виклик провайдера — метрики LLMDuration, LLMErrors, InputTokens,
+* OutputTokens з виміром Provider (див. shared/logger.js).
+*
+* Надійність (env):
+*  - LLM_TIMEOUT_MS       (дефолт: 120000) — ліміт на один запит разом зі стрімом
+*  - LLM_MAX_ATTEMPTS     (дефолт: 3) — спроб на провайдера для тимчасових помилок
+*  - LLM_BACKOFF_BASE_MS  (дефолт: 1000) — експоненційний backoff з full jitter
+*  - LLM_BACKOFF_MAX_MS   (дефолт: 20000) — довший Retry-After не чекаємо в Lambda,
+*                           а повертаємо в чергу (див. retryAfterMs у LLMError)
+*  - LLM_FAKE_DELAY_MS    (дефолт: 0) — пауза fake між шматками стріму, щоб локально
+*                           бачити прогрес і встигнути скасувати задачу
+*/
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 120 * 1000);
+const LLM_MAX_ATTEMPTS = Number(process.env.LLM_MAX_ATTEMPTS || 3);
+const LLM_BACKOFF_BASE_MS = Number(process.env.LLM_BACKOFF_BASE_MS || 1000);
+const LLM_BACKOFF_MAX_MS = Number(process.env.LLM_BACKOFF_MAX_MS || 20 * 1000);
+const LLM_FAKE_DELAY_MS = Number(process.env.LLM_FAKE_DELAY_MS || 0);
+
+/**
+* ---------------------------------------------------------
+* ⚠️ Класифікація помилок
+* ---------------------------------------------------------
+* code:
+*  - rate_limited, provider_unavailable, timeout, network_error — тимчасові
+*  - quota_exceeded, auth_failed, invalid_request, content_policy,
+*    empty_response, config_error — постійні
+* Повідомлення коротке: тіло відповіді провайдера в помилку не потрапляє.
+*/
+export class LLMError extends Error {
+    constructor(message, { code, provider, retryable, status = null, retryAfterMs = null }) {
+        super(message);
+        this.name = "LLMError";
+        this.code = code;
+        this.provider = provider;
+        this.retryable = retryable;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+    
+    toJSON() {
+        return { code: this.code, provider: this.provider, retryable: this.retryable, message: this.message };
+    }
+}
+
+const CONTENT_POLICY_CODES = ["content_policy_violation", "content_filter", "invalid_prompt"];
+
+// OpenAI: { error: { code, type, message } }, Anthropic: { type: "error", error: { type, message } }
+function providerErrorInfo(bodyText) {
+    try {
+        const err = JSON.parse(bodyText)?.error;
+        return { code: err?.code || err?.type || null, message: err?.message || null };
+    } catch {
+        return { code: null, message: null };
+    }
+}
+
+// "Retry-After: 30" або HTTP-дата; OpenAI також шле retry-after-ms
+function parseRetryAfter(headers) {
+    const ms = Number(headers?.get?.("retry-after-ms"));
+    if (Number.isFinite(ms) && ms > 0) return ms;
+    const value = headers?.get?.("retry-after");
+    if (!value) return null;
+    const sec = Number(value);
+    if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+export function classifyHttpError(provider, status, bodyText, headers) {
+    const info = providerErrorInfo(bodyText);
+    const detail = (info.message || `HTTP ${status}`).slice(0, 200);
+    const base = { provider, status, retryAfterMs: parseRetryAfter(headers) };
+    
+    if (status === 429 && info.code === "insufficient_quota") {
+        return new LLMError(`${provider}: quota exceeded`, { ...base, code: "quota_exceeded", retryable: false });
+    }
+    if (status === 429) {
+        return new LLMError(`${provider}: rate limited`, { ...base, code: "rate_limited", retryable: true });
+    }
+    if (status === 408 || status === 409 || status >= 500) {
+        return new LLMError(`${provider}: ${detail}`, { ...base, code: "provider_unavailable", retryable: true });
+    }
+    if (status === 401 || status === 403) {
+        return new LLMError(`${provider}: authentication failed`, { ...base, code: "auth_failed", retryable: false });
+    }
+    if (CONTENT_POLICY_CODES.includes(info.code)) {
+        return new LLMError(`${provider}: request rejected by content policy`, { ...base, code: "content_policy", retryable: false });
+    }
+    return new LLMError(`${provider}: ${detail}`, { ...base, code: "invalid_request", retryable: false });
+}
+
+// Помилки, що приходять усередині стріму (response.failed, error event)
+function classifyStreamError(provider, code, message) {
+    const detail = String(message || "stream failed").slice(0, 200);
+    if (["rate_limit_exceeded", "rate_limit_error"].includes(code)) {
+        return new LLMError(`${provider}: rate limited`, { code: "rate_limited", provider, retryable: true });
+    }
+    if (["server_error", "api_error", "overloaded_error"].includes(code) || !code) {
+        return new LLMError(`${provider}: ${detail}`, { code: "provider_unavailable", provider, retryable: true });
+    }
+    if (CONTENT_POLICY_CODES.includes(code)) {
+        return new LLMError(`${provider}: request rejected by content policy`, { code: "content_policy", provider, retryable: false });
+    }
+    return new LLMError(`${provider}: ${detail}`, { code: "invalid_request", provider, retryable: false });
+}
+
+function classifyThrown(provider, err) {
+    if (err instanceof LLMError) return err;
+    if (err?.name === "TimeoutError" || err?.name === "AbortError") {
+        return new LLMError(`${provider}: timed out after ${LLM_TIMEOUT_MS} ms`, { code: "timeout", provider, retryable: true });
+    }
+    // fetch кидає TypeError("fetch failed") на мережеві збої; обірваний стрім — теж сюди
+    if (err?.name === "TypeError" || err?.cause?.code) {
+        return new LLMError(`${provider}: network error`, { code: "network_error", provider, retryable: true });
+    }
+    return new LLMError(`${provider}: ${String(err?.message || err).slice(0, 200)}`, {
+        code: "invalid_request",
+        provider,
+        retryable: false,
+    });
+}
+
+function extractMarkdown(data) {
+    if (typeof data?.output_text === "string" && data.output_text.trim()) return data.output_text.trim();
+    
+    // Responses API shape: output: [{ content: [{ type:'output_text', text:'...' }, ...] }, ...]
+    if (Array.isArray(data?.output)) {
+        const parts = [];
+        for (const blk of data.output) {
+            const content = blk?.content || blk?.contents || [];
+            for (const c of content) {
+                if (typeof c === "string") parts.push(c);
+                else if (typeof c?.text === "string") parts.push(c.text);
+                else if (typeof c?.text?.value === "string") parts.push(c.text.value);
+                else if (typeof c?.output_text === "string") parts.push(c.output_text);
+            }
+        }
+        const md = parts.join("").trim();
+        if (md) return md;
+    }
+    
+    // Older shapes:
+    if (Array.isArray(data?.content)) {
+        const md = data.content
+        .map((c) =>
+            typeof c?.text?.value === "string"
+        ? c.text.value
+        : typeof c?.text === "string"
+        ? c.text
+        : ""
+    )
+    .join("")
+    .trim();
+    if (md) return md;
+}
+return "";
+}
+
+/**
+* Парсить SSE-потік (OpenAI, OpenAI-сумісні, Anthropic) і віддає JSON кожної події.
+* Формат: блоки "event: ...\ndata: {...}" розділені порожнім рядком.
+*/
+async function* readSSE(body) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let idx;
+        while ((idx = buffer.indexOf("\n\n")) !== -1) {
+            const block = buffer.slice(0, idx);
+            buffer = buffer.slice(idx + 2);
+            const data = block
+            .split("\n")
+            .filter((l) => l.startsWith("data:"))
+            .map((l) => l.slice(5).trimStart())
+            .join("\n");
+            if (!data || data === "[DONE]") continue;
+            yield JSON.parse(data);
+        }
+    }
+}
+
+const DEFAULT_MODELS = {
+    "openai-chat": "gpt-4o-mini",
+    anthropic: "claude-sonnet-4-5",
+    fake: "fake-1",
+};
+const ANTHROPIC_MAX_TOKENS = 8192;
+
+/**
+* Ціни в USD за 1M токенів. Модель зіставляється за найдовшим префіксом
+* ("gpt-4.1-mini-2025-04-14" → "gpt-4.1-mini"). Перевизначення/доповнення —
+* SSM /ai-studynotes/llm-pricing: { "<model>": { "input": 2, "output": 8 } }.
+*/
+const MODEL_PRICING = {
+    "gpt-5": { input: 1.25, output: 10 },
+    "gpt-5-mini": { input: 0.25, output: 2 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "claude-opus-4-1": { input: 15, output: 75 },
+    "claude-sonnet-4-5": { input: 3, output: 15 },
+    "claude-haiku-4-5": { input: 1, output: 5 },
+    "fake-1": { input: 0, output: 0 },
+};
+
+function pricingFor(model, cfg) {
+    let pricing = MODEL_PRICING;
+    if (cfg?.["llm-pricing"]) {
+        try {
+            pricing = { ...MODEL_PRICING, ...JSON.parse(cfg["llm-pricing"]) };
+        } catch {
+            log.error("Config llm-pricing is not valid JSON — using defaults");
+        }
+    }
+    const match = Object.keys(pricing)
+    .filter((name) => model === name || model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+    return match ? pricing[match] : null;
+}
+
+// null, якщо ціна моделі невідома
+export function estimateCost(model, usage, cfg) {
+    const price = pricingFor(model, cfg);
+    if (!price || !usage) return null;
+    const cost = (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    return Number(cost.toFixed(6));
+}
+
+const toUsage = (input, output) => ({ inputTokens: Number(input) || 0, outputTokens: Number(output) || 0 });
+
+function requireParam(cfg, key, provider) {
+    if (!cfg[key]) {
+        throw new LLMError(`Missing SSM parameter: ${key}`, { code: "config_error", provider, retryable: false });
+    }
+    return cfg[key];
+}
+
+async function ensureOk(res, provider) {
+    log.info("LLM HTTP status", { provider, status: res.status });
+    if (!res.ok) {
+        const txt = await res.text();
+        log.error("LLM Error response", { provider, response: txt.slice(0, 800) });
+        throw classifyHttpError(provider, res.status, txt, res.headers);
+    }
+}
+
+async function openaiResponses({ model, promptId, variables, messages, textFormat, onProgress, signal }, cfg) {
+    const apiKey = requireParam(cfg, "openai-api-key", "openai-responses");
+    
+    const body = promptId
+    ? { prompt: { id: String(promptId), variables } }
+    : { instructions: messages.system, input: messages.user };
+    if (model) body.model = model;
+    body.stream = true;
+    // Structured outputs: модель зобов'язана відповісти JSON за схемою
+    if (textFormat) body.text = { format: textFormat };
+    
+    const res = await fetch("https://api.openai.com/v1/responses", {
+        method: "POST",
+        headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+        signal,
+    });
+    await ensureOk(res, "openai-responses");
+    
+    let streamed = "";
+    let completed = null;
+    for await (const evt of readSSE(res.body)) {
+        if (evt.type === "response.output_text.delta" && typeof evt.delta === "string") {
+            streamed += evt.delta;
+            if (onProgress) await onProgress(streamed);
+        } else if (evt.type === "response.completed") {
+            completed = evt.response;
+        } else if (evt.type === "response.failed" || evt.type === "error") {
+            const error = evt.response?.error || evt;
+            log.error("OpenAI Stream error", { code: error?.code, error: error?.message });
+            throw classifyStreamError("openai-responses", error?.code, error?.message);
+        }
+    }
+    
+    // Фінальний текст беремо з response.completed, якщо він є — він авторитетний
+    const md = (completed && extractMarkdown(completed)) || streamed.trim();
+    if (!md) {
+        log.warn("OpenAI Unexpected shape", { json: JSON.stringify(completed).slice(0, 400) });
+    }
+    return {
+        text: md,
+        model: completed?.model || model,
+        usage: toUsage(completed?.usage?.input_tokens, completed?.usage?.output_tokens),
+    };
+}
+
+async function openaiChat({ model, messages, textFormat, onProgress, signal }, cfg) {
+    const baseUrl = requireParam(cfg, "openai-compatible-base-url", "openai-chat").replace(/\/+$/, "");
+    const apiKey = cfg["openai-compatible-api-key"];
+    
+    const body = {
+        model,
+        messages: [
+            { role: "system", content: messages.system },
+            { role: "user", content: messages.user },
+        ],
+        stream: true,
+        // останній chunk міститиме usage (choices: [])
+        stream_options: { include_usage: true },
+    };
+    if (textFormat) {
+        body.response_format = {
+            type: "json_schema",
+            json_schema: { name: textFormat.name, schema: textFormat.schema, strict: textFormat.strict },
+        };
+    }
+    
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+        signal,
+    });
+    await ensureOk(res, "openai-chat");
+    
+    let text = "";
+    let usage = null;
+    for await (const evt of readSSE(res.body)) {
+        if (evt.error) throw classifyStreamError("openai-chat", evt.error.code || evt.error.type, evt.error.message || evt.error);
+        if (evt.usage) usage = evt.usage;
+        const delta = evt.choices?.[0]?.delta?.content;
+        if (typeof delta === "string" && delta) {
+            text += delta;
+            if (onProgress) await onProgress(text);
+        }
+    }
+    return { text: text.trim(), model, usage: toUsage(usage?.prompt_tokens, usage?.completion_tokens) };
+}
+
+async function anthropic({ model, messages, textFormat, onProgress, signal }, cfg) {
+    const apiKey = requireParam(cfg, "anthropic-api-key", "anthropic");
+    
+    // Messages API не має json_schema — схема йде в system-промпт, а відповідь
+    // все одно перевіряється схемою у воркері (shared/validation.js)
+    const system = textFormat
+    ? `${messages.system}\n\nRespond with a single JSON object (no markdown fences) matching this JSON schema:\n${JSON.stringify(textFormat.schema)}`
+    : messages.system;
+    
+    const res = await fetch("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        headers: {
+            "x-api-key": apiKey,
+            "anthropic-version": "2023-06-01",
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+            model,
+            max_tokens: ANTHROPIC_MAX_TOKENS,
+            system,
+            messages: [{ role: "user", content: messages.user }],
+            stream: true,
+        }),
+        signal,
+    });
+    await ensureOk(res, "anthropic");
+    
+    let text = "";
+    let inputTokens = 0;
+    let outputTokens = 0;
+    for await (const evt of readSSE(res.body)) {
+        if (evt.type === "content_block_delta" && evt.delta?.type === "text_delta") {
+            text += evt.delta.text;
+            if (onProgress) await onProgress(text);
+        } else if (evt.type === "message_start") {
+            inputTokens = evt.message?.usage?.input_tokens ?? inputTokens;
+        } else if (evt.type === "message_delta") {
+            // output_tokens у message_delta — накопичене значення
+            outputTokens = evt.usage?.output_tokens ?? outputTokens;
+        } else if (evt.type === "error") {
+            throw classifyStreamError("anthropic", evt.error?.type, evt.error?.message);
+        }
+    }
+    return { text: text.trim(), model, usage: toUsage(inputTokens, outputTokens) };
+}
+
+// Мінімальне валідне значення за JSON-схемою (для структурованих задач)
+function fakeFromSchema(schema, seed) {
+    switch (schema.type) {
+        case "object":
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([k, sub]) => [k, fakeFromSchema(sub, `${seed} ${k}`)])
+            );
+        case "array":
+            return Array.from({ length: Math.max(schema.minItems || 1, 2) }, (_, i) =>
+                fakeFromSchema(schema.items || {}, `${seed} ${i + 1}`)
+            );
+        case "integer":
+        case "number":
+            return schema.minimum ?? 0;
+        case "boolean":
+            return false;
+        default:
+            return schema.enum ? schema.enum[0] : seed.trim();
+    }
+}
+
+// Відповідь залежить лише від вхідних даних — зручно для тестів і локальної розробки
+async function fake({ model, variables, textFormat, onProgress, signal }) {
+    const text = textFormat
+    ? JSON.stringify(fakeFromSchema(textFormat.schema, variables.topic || "item"))
+    : `# ${variables.topic}\n\n` +
+    Object.entries(variables)
+    .filter(([k]) => k !== "topic")
+    .map(([k, v]) => `- **${k}**: ${v}`)
+    .join("\n") +
+    `\n\n_Generated by ${model}._\n`;
+    
+    if (onProgress) {
+        for (let i = 16; i < text.length; i += 16) {
+            if (LLM_FAKE_DELAY_MS) await sleep(LLM_FAKE_DELAY_MS);
+            signal?.throwIfAborted();
+            await onProgress(text.slice(0, i));
+        }
+    }
+    // ~4 символи на токен — достатньо для перевірки обліку локально
+    const prompt = JSON.stringify(variables);
+    return { text, model, usage: toUsage(Math.ceil(prompt.length / 4), Math.ceil(text.length / 4)) };
+}
+
+export const PROVIDERS = {
+    "openai-responses": openaiResponses,
+    "openai-chat": openaiChat,
+    anthropic,
+    fake,
+};
+
+// "anthropic:claude-sonnet-4-5" -> { provider: "anthropic", model: "claude-sonnet-4-5" }
+function parseProviderSpec(spec, defaultModel) {
+    const [provider, ...rest] = String(spec).trim().split(":");
+    const model = rest.join(":") || defaultModel || DEFAULT_MODELS[provider];
+    return { provider, model };
+}
+
+/**
+* Ланцюжок провайдерів: per-task override (якщо є) → llm-provider → llm-fallback-providers.
+* Дублікати прибираються, невідомі провайдери — помилка конфігурації.
+*/
+export function resolveProviderChain(cfg, override) {
+    const chain = [];
+    if (override?.provider) chain.push({ provider: override.provider, model: override.model || DEFAULT_MODELS[override.provider] });
+    chain.push(parseProviderSpec(cfg["llm-provider"] || "openai-responses", cfg["llm-model"]));
+    for (const spec of (cfg["llm-fallback-providers"] || "").split(",").filter((s) => s.trim())) {
+        chain.push(parseProviderSpec(spec));
+    }
+    
+    const seen = new Set();
+    return chain.filter(({ provider, model }) => {
+        if (!PROVIDERS[provider]) {
+            throw new LLMError(`Unknown LLM provider: ${provider}`, { code: "config_error", provider, retryable: false });
+        }
+        const key = `${provider}:${model || ""}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Full jitter: випадкова затримка в [0, min(max, base * 2^attempt)]
+function backoffDelay(attempt) {
+    return Math.random() * Math.min(LLM_BACKOFF_MAX_MS, LLM_BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+async function callWithRetries(provider, request, cfg) {
+    const { signal: cancelSignal, ...rest } = request;
+    for (let attempt = 0; ; attempt++) {
+        const timeout = AbortSignal.timeout(LLM_TIMEOUT_MS);
+        const signal = cancelSignal ? AbortSignal.any([cancelSignal, timeout]) : timeout;
+        try {
+            const result = await PROVIDERS[provider]({ ...rest, signal }, cfg);
+            if (!result?.text) {
+                throw new LLMError(`${provider}: empty response`, { code: "empty_response", provider, retryable: false });
+            }
+            return result;
+        } catch (e) {
+            if (cancelSignal?.aborted) throw cancelSignal.reason;
+            const err = classifyThrown(provider, e);
+            if (!err.retryable || attempt + 1 >= LLM_MAX_ATTEMPTS) throw err;
+            
+            // Retry-After довший за наш ліміт — не палимо час Lambda, хай повторить SQS
+            if (err.retryAfterMs != null && err.retryAfterMs > LLM_BACKOFF_MAX_MS) throw err;
+            
+            const delay = Math.max(err.retryAfterMs ?? 0, backoffDelay(attempt));
+            log.warn("LLM Retrying", { provider, code: err.code, retry: attempt + 1, maxRetries: LLM_MAX_ATTEMPTS - 1, delayMs: Math.round(delay) });
+            await sleep(delay);
+            cancelSignal?.throwIfAborted();
+        }
+    }
+}
+
+/**
+* Пробує провайдерів по черзі (кожного — з повторами для тимчасових помилок);
+* перша успішна непорожня відповідь виграє.
+* Повертає { text, provider, model, usage: { inputTokens, outputTokens, costUsd } }.
+* Якщо всі впали — кидає LLMError: тимчасову, якщо хоч одна з помилок була
+* тимчасовою (є сенс повторити пізніше), інакше — останню постійну.
+* Порушення content policy одразу зупиняє ланцюжок: інший провайдер його не виправить.
+*/
+export async function generateText(chain, request, cfg) {
+    const errors = [];
+    for (const { provider, model } of chain) {
+        log.info("LLM Request", { provider, model, variables: Object.keys(request.variables) });
+        const startedAt = Date.now();
+        try {
+            const result = await callWithRetries(provider, { ...request, model }, cfg);
+            const usedModel = result.model || model || null;
+            const usage = { ...result.usage, costUsd: estimateCost(usedModel, result.usage, cfg) };
+            log.info("LLM Response", { provider, outputLength: result.text.length, usage });
+            emitMetrics(
+                {
+                    LLMDuration: Date.now() - startedAt,
+                    LLMErrors: 0,
+                    InputTokens: usage.inputTokens,
+                    OutputTokens: usage.outputTokens,
+                },
+                { Provider: provider },
+                { model: usedModel }
+            );
+            return { text: result.text, provider, model: usedModel, usage };
+        } catch (err) {
+            if (request.signal?.aborted) throw request.signal.reason;
+            emitMetrics(
+                { LLMDuration: Date.now() - startedAt, LLMErrors: 1 },
+                { Provider: provider },
+                { model: model || null, code: err.code }
+            );
+            errors.push(err);
+            log.warn("LLM Provider failed", { provider, code: err.code, error: err.message });
+            if (err.code === "content_policy") break;
+        }
+    }
+    if (!errors.length) {
+        throw new LLMError("No LLM providers configured", { code: "config_error", provider: null, retryable: false });
+    }
+    throw errors.find((e) => e.retryable) || errors[errors.length - 1];
+}
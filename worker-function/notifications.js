@@ -0,0 +1,181 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand } from "@aws-sdk/lib-dynamodb";
+import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
+import { renderNotification, resolveLocale } from "./templates.js";
+import { log, correlationAttributes } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* 📣 Сповіщення користувачу (SNS)
+* ---------------------------------------------------------
+* Налаштування — у записі користувача { id: "USER#<userId>", notifications:
+* { locale, delivery } }, змінюються через PATCH /me/notifications в API:
+*  - delivery: "instant" (дефолт) — лист на кожну task.done / task.error;
+*              задачі навчального плану замість цього дають один лист
+*              plan.done, коли завершено весь план (plans.js);
+*              "digest" — task.done збираються в записи DIGEST і йдуть одним
+*              листом за день (digest.js), помилки не надсилаються;
+*              "off" — нічого.
+*  - locale:   "uk" | "en"; без налаштування — мова конспекту, інакше uk.
+*
+* Повідомлення { event, userId, locale, subject, text, html, taskIds } іде
+* транспортом:
+*  - override через setNotificationTransport(fn) (як setObjectStore в API);
+*  - SNS (sns-topic-arn) з MessageStructure "json": email/default — текст,
+*    sqs/lambda/https/email-json — JSON з html для власного мейлера;
+*    атрибути event/userId/locale (і taskId для однієї задачі) для фільтрів;
+*  - env LOCAL_NOTIFICATIONS_DIR — файли <час>-<подія>-<userId>.json/.html
+*    замість SNS, для локальної розробки.
+*/
+export const DELIVERY_MODES = ["instant", "digest", "off"];
+const DEFAULT_DELIVERY = "instant";
+export const DIGEST_PARTITION = "DIGEST";
+const DIGEST_ENTRY_TTL_SEC = 7 * 24 * 60 * 60;
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const sns = new SNSClient({});
+
+let overrideTransport = null;
+
+export function setNotificationTransport(fn) {
+    overrideTransport = fn || null;
+}
+
+export async function getNotificationPrefs(tableName, userId) {
+    if (!userId) return { locale: null, delivery: DEFAULT_DELIVERY };
+    const { Item } = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: `USER#${userId}` }, ProjectionExpression: "notifications" })
+    );
+    const prefs = Item?.notifications || {};
+    return {
+        locale: prefs.locale ?? null,
+        delivery: DELIVERY_MODES.includes(prefs.delivery) ? prefs.delivery : DEFAULT_DELIVERY,
+    };
+}
+
+async function publishSns(topicArn, message) {
+    const json = JSON.stringify(message);
+    const attributes = {
+        event: { DataType: "String", StringValue: message.event },
+        userId: { DataType: "String", StringValue: message.userId || "anonymous" },
+        locale: { DataType: "String", StringValue: message.locale },
+        ...correlationAttributes(),
+    };
+    if (message.taskIds.length === 1) {
+        attributes.taskId = { DataType: "String", StringValue: message.taskIds[0] };
+    }
+    await sns.send(
+        new PublishCommand({
+            TopicArn: topicArn,
+            Subject: message.subject,
+            MessageStructure: "json",
+            Message: JSON.stringify({
+                default: message.text,
+                email: message.text,
+                "email-json": json,
+                sqs: json,
+                lambda: json,
+                http: json,
+                https: json,
+            }),
+            MessageAttributes: attributes,
+        })
+    );
+}
+
+async function writeLocal(dir, message) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const base = path.join(path.resolve(dir), `${stamp}-${message.event}-${message.userId || "anonymous"}`);
+    await fs.mkdir(path.dirname(base), { recursive: true });
+    await fs.writeFile(`${base}.json`, JSON.stringify(message, null, 2));
+    await fs.writeFile(`${base}.html`, message.html);
+    return base;
+}
+
+export async function sendNotification(cfg, message) {
+    if (overrideTransport) return overrideTransport(message);
+
+    const topicArn = cfg["sns-topic-arn"];
+    if (topicArn) {
+        log.info("SNS Publish", { event: message.event, userId: message.userId || "anonymous" });
+        await publishSns(topicArn, message);
+        return;
+    }
+    if (process.env.LOCAL_NOTIFICATIONS_DIR) {
+        const file = await writeLocal(process.env.LOCAL_NOTIFICATIONS_DIR, message);
+        log.info("Notify Written to local outbox", { event: message.event, file: `${file}.json` });
+        return;
+    }
+    log.warn("SNS sns-topic-arn not set — skipping publish");
+}
+
+// Запис до дайджесту; id з taskId — повторна генерація не дублює задачу в листі
+async function queueForDigest(tableName, task) {
+    const now = new Date().toISOString();
+    await ddb.send(
+        new PutCommand({
+            TableName: tableName,
+            Item: {
+                id: `${DIGEST_PARTITION}#${task.userId}#${task.id}`,
+                pk: DIGEST_PARTITION,
+                userId: task.userId,
+                taskId: task.id,
+                topic: task.topic,
+                language: task.options?.language ?? null,
+                createdAt: now,
+                expiresAt: Math.floor(Date.now() / 1000) + DIGEST_ENTRY_TTL_SEC,
+            },
+        })
+    );
+    log.info("Notify Queued for digest", { taskId: task.id, userId: task.userId });
+}
+
+/**
+* Миттєве сповіщення або запис до дайджесту — за налаштуванням користувача.
+* Викликається з emitTaskEvent (webhooks.js); task.processing сповіщень не має.
+*/
+export async function notifyTaskEvent(tableName, cfg, type, task) {
+    if (type !== "task.done" && type !== "task.error") return;
+
+    const prefs = await getNotificationPrefs(tableName, task.userId);
+    if (prefs.delivery === "off") return;
+    if (prefs.delivery === "digest") {
+        if (type === "task.done" && task.userId) await queueForDigest(tableName, task);
+        return;
+    }
+    if (task.planId) return;
+
+    const locale = resolveLocale(prefs.locale, task.options?.language);
+    const vars = { topic: task.topic, taskId: task.id, error: task.error?.message || task.error?.code || "" };
+    const rendered = renderNotification(type, locale, vars);
+    await sendNotification(cfg, { event: type, userId: task.userId ?? null, taskIds: [task.id], ...rendered });
+}
+
+/**
+* Навчальний план завершено (DONE або PARTIAL) — один лист замість листа на
+* кожну задачу. Лише для delivery: "instant": у дайджест задачі плану
+* потрапляють поштучно.
+*/
+export async function notifyPlanEvent(tableName, cfg, plan) {
+    const prefs = await getNotificationPrefs(tableName, plan.userId);
+    if (prefs.delivery !== "instant") return;
+
+    const statuses = Object.values(plan.itemStatuses || {});
+    const locale = resolveLocale(prefs.locale, plan.options?.language);
+    const vars = {
+        subject: plan.subject,
+        planId: plan.planId,
+        total: statuses.length,
+        done: statuses.filter((s) => s === "DONE").length,
+        failed: statuses.filter((s) => s === "ERROR").length,
+    };
+    const rendered = renderNotification("plan.done", locale, vars);
+    await sendNotification(cfg, {
+        event: "plan.done",
+        userId: plan.userId,
+        taskIds: (plan.items || []).map((i) => i.taskId),
+        ...rendered,
+    });
+}
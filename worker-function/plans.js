@@ -0,0 +1,273 @@
+import crypto from "node:crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, TransactWriteCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { SQSClient, SendMessageBatchCommand } from "@aws-sdk/client-sqs";
+import { notifyPlanEvent } from "./notifications.js";
+import { log, correlationAttributes } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* 🗂️ Навчальні плани (POST /study-plans в API)
+* ---------------------------------------------------------
+* Воркер отримує повідомлення STUDY_PLAN_V1, генерує програму курсу
+* (index.js → processStudyPlan), а цей модуль:
+*  - createPlanTasks — однією транзакцією записує теми в план і створює по
+*    задачі на кожну (planId у задачі), потім кладе задачі в чергу пакетами;
+*  - updatePlanProgress — на кожній події дочірньої задачі (emitTaskEvent)
+*    оновлює itemStatuses плану і, коли всі задачі завершені (DONE, ERROR
+*    або CANCELLED), ставить DONE чи PARTIAL та надсилає сповіщення plan.done;
+*  - refundTasks — повертає квоту за генерації, які не відбулися.
+*
+* Статус плану пишеться з умовою на progressSeq (лічильник оновлень), тож
+* паралельні завершення задач не перетирають один одного.
+*/
+const ENQUEUE_BATCH_SIZE = 10;
+const TERMINAL_TASK_STATUSES = ["DONE", "ERROR", "CANCELLED"];
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const sqs = new SQSClient({});
+
+export const planKey = (planId) => `PLAN#${planId}`;
+
+// Тема дочірньої задачі — "<предмет>: <тема>", в межах ліміту теми в API
+const MAX_TOPIC_LENGTH = 300;
+
+function childTopic(subject, title) {
+    const topic = `${subject}: ${title}`.replace(/\s+/g, " ").trim();
+    return topic.length > MAX_TOPIC_LENGTH ? `${topic.slice(0, MAX_TOPIC_LENGTH - 1)}…` : topic;
+}
+
+// Опції плану ті самі, що в POST /tasks: без них — базовий конспект
+function childTaskType(plan) {
+    return plan.options && Object.keys(plan.options).length ? "STUDY_NOTES_V2" : "RESEARCH_SUMMARY_V1";
+}
+
+/**
+* Повертає квоту (лічильник tasks) за вікна, в яких її списав API.
+* createdAt — час списання (створення плану чи задачі).
+*/
+export async function refundTasks(tableName, userId, createdAt, n) {
+    if (!userId || !createdAt || n <= 0) return;
+    const starts = [createdAt.slice(0, 10), createdAt.slice(0, 7)];
+    for (const start of starts) {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: `USAGE#${userId}#${start}` },
+                UpdateExpression: "ADD tasks :minus",
+                ConditionExpression: "attribute_exists(id)",
+                ExpressionAttributeValues: { ":minus": -n },
+            })
+        ).catch((err) => {
+            if (err?.name !== "ConditionalCheckFailedException") throw err;
+        });
+    }
+    log.info("Quota Refund tasks", { count: n, userId });
+}
+
+async function markEnqueueFailed(tableName, ids) {
+    const error = { code: "enqueue_failed", provider: null, retryable: true, message: "Task could not be queued" };
+    for (const id of ids) {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id },
+                UpdateExpression: "SET #s = :s, #e = :e, updatedAt = :t REMOVE inFlight",
+                ExpressionAttributeNames: { "#s": "status", "#e": "error" },
+                ExpressionAttributeValues: { ":s": "ERROR", ":e": error, ":t": new Date().toISOString() },
+            })
+        );
+    }
+}
+
+// Ids задач, які не вдалося покласти в чергу
+async function enqueueChildren(queueUrl, messages) {
+    const failed = [];
+    if (!queueUrl) {
+        log.warn("SQS sqs-queue-url not set — plan tasks stay QUEUED");
+        return failed;
+    }
+    for (let i = 0; i < messages.length; i += ENQUEUE_BATCH_SIZE) {
+        const chunk = messages.slice(i, i + ENQUEUE_BATCH_SIZE);
+        try {
+            const out = await sqs.send(
+                new SendMessageBatchCommand({
+                    QueueUrl: queueUrl,
+                    Entries: chunk.map((m, j) => ({
+                        Id: String(j),
+                        MessageBody: JSON.stringify(m),
+                        MessageAttributes: correlationAttributes(),
+                    })),
+                })
+            );
+            for (const f of out.Failed || []) failed.push(chunk[Number(f.Id)].id);
+        } catch (err) {
+            log.error("SQS Plan batch send failed", { error: err?.message || err });
+            failed.push(...chunk.map((m) => m.id));
+        }
+    }
+    return failed;
+}
+
+/**
+* План у статусі PROCESSING + згенерована програма → GENERATING і задачі в черзі.
+* syllabus — { title, items: [{ title, description }] }.
+* Повертає оновлений план або null, якщо план уже змінився (повторна доставка).
+*/
+export async function createPlanTasks(tableName, cfg, plan, syllabus) {
+    const now = new Date().toISOString();
+    const taskType = childTaskType(plan);
+    const children = syllabus.items.map((item) => ({
+        id: crypto.randomUUID(),
+        pk: `TASK#${plan.userId}`,
+        userId: plan.userId,
+        topic: childTopic(plan.subject, item.title),
+        taskType,
+        options: plan.options ?? null,
+        llm: plan.llm ?? null,
+        planId: plan.planId,
+        status: "QUEUED",
+        inFlight: "QUEUED",
+        researchMd: "",
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        // Квоту за задачі плану API списав при створенні плану
+        chargedAt: plan.createdAt,
+    }));
+    const items = syllabus.items.map((item, index) => ({
+        index,
+        title: item.title,
+        description: item.description,
+        taskId: children[index].id,
+    }));
+    const itemStatuses = Object.fromEntries(children.map((c) => [c.id, "QUEUED"]));
+
+    log.info("DynamoDB Plan GENERATING", { planId: plan.planId, tasks: children.length });
+    try {
+        await ddb.send(
+            new TransactWriteCommand({
+                TransactItems: [
+                    {
+                        Update: {
+                            TableName: tableName,
+                            Key: { id: planKey(plan.planId) },
+                            UpdateExpression:
+                            "SET #s = :s, title = :title, #items = :items, itemStatuses = :statuses, " +
+                            "progressSeq = :zero, updatedAt = :t REMOVE lastError, inFlight",
+                            ConditionExpression: "#s = :processing",
+                            ExpressionAttributeNames: { "#s": "status", "#items": "items" },
+                            ExpressionAttributeValues: {
+                                ":s": "GENERATING",
+                                ":processing": "PROCESSING",
+                                ":title": syllabus.title,
+                                ":items": items,
+                                ":statuses": itemStatuses,
+                                ":zero": 0,
+                                ":t": now,
+                            },
+                        },
+                    },
+                    ...children.map((child) => ({
+                        Put: { TableName: tableName, Item: child, ConditionExpression: "attribute_not_exists(id)" },
+                    })),
+                ],
+            })
+        );
+    } catch (err) {
+        if (err?.name !== "TransactionCanceledException") throw err;
+        log.warn("Plan No longer PROCESSING — skipping", { planId: plan.planId });
+        return null;
+    }
+
+    const failed = await enqueueChildren(
+        cfg["sqs-queue-url"],
+        children.map((c) => ({
+            id: c.id,
+            topic: c.topic,
+            options: c.options,
+            llm: c.llm,
+            sources: null,
+            requestedAt: now,
+            taskType,
+        }))
+    );
+    if (failed.length) {
+        log.warn("Plan Tasks not enqueued", { planId: plan.planId, count: failed.length });
+        // План уже GENERATING: помилка тут не повинна повертати повідомлення в чергу
+        // (повтор створив би задачі ще раз), тож лише логуємо
+        try {
+            await markEnqueueFailed(tableName, failed);
+            await refundTasks(tableName, plan.userId, plan.createdAt, failed.length);
+            for (const id of failed) await updatePlanProgress(tableName, cfg, { id, planId: plan.planId, status: "ERROR" });
+        } catch (err) {
+            log.error("Plan Failed to record enqueue errors", { error: err?.message || err });
+        }
+    }
+    return { ...plan, status: "GENERATING", title: syllabus.title, items, itemStatuses };
+}
+
+function nextPlanStatus(itemStatuses) {
+    const statuses = Object.values(itemStatuses);
+    if (statuses.some((s) => !TERMINAL_TASK_STATUSES.includes(s))) return "GENERATING";
+    return statuses.every((s) => s === "DONE") ? "DONE" : "PARTIAL";
+}
+
+/**
+* Подія дочірньої задачі → itemStatuses плану. Для задач поза планом нічого не робить.
+* Коли план стає DONE або PARTIAL — сповіщення plan.done.
+*/
+export async function updatePlanProgress(tableName, cfg, task) {
+    if (!task?.planId) return null;
+
+    let plan;
+    try {
+        ({ Attributes: plan } = await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: planKey(task.planId) },
+                UpdateExpression: "SET itemStatuses.#t = :s, updatedAt = :now ADD progressSeq :one",
+                ConditionExpression: "attribute_exists(itemStatuses.#t)",
+                ExpressionAttributeNames: { "#t": task.id },
+                ExpressionAttributeValues: { ":s": task.status, ":one": 1, ":now": new Date().toISOString() },
+                ReturnValues: "ALL_NEW",
+            })
+        ));
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        log.warn("Plan Not found or task not in plan", { planId: task.planId, taskId: task.id });
+        return null;
+    }
+
+    const status = nextPlanStatus(plan.itemStatuses);
+    if (status === plan.status) return plan;
+
+    const completedAt = status === "GENERATING" ? null : new Date().toISOString();
+    try {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: planKey(task.planId) },
+                UpdateExpression: "SET #s = :s, completedAt = :c",
+                // Пізніше оновлення вже побачило новіший стан — воно й запише статус
+                ConditionExpression: "progressSeq = :seq",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":s": status, ":c": completedAt, ":seq": plan.progressSeq },
+            })
+        );
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        return plan;
+    }
+    log.info("Plan Status changed", { planId: task.planId, from: plan.status, to: status });
+
+    const updated = { ...plan, status, completedAt };
+    if (completedAt) {
+        try {
+            await notifyPlanEvent(tableName, cfg, updated);
+        } catch (err) {
+            log.error("Notify Plan notification failed", { error: err?.message || err });
+        }
+    }
+    return updated;
+}
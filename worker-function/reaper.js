@@ -0,0 +1,237 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { loadConfig, TASK_TYPES } from "./index.js";
+import { emitTaskEvent } from "./webhooks.js";
+import { refundTasks } from "./plans.js";
+import { log, withLogContext, newCorrelationId, correlationAttributes } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* 🧹 Завислі задачі (EventBridge schedule → "reaper.handler")
+* ---------------------------------------------------------
+* Воркер, який упав або вийшов за таймаут Lambda після PROCESSING, не доходить
+* до catch — задача лишається PROCESSING. Повідомлення, що не потрапило в
+* чергу або загубилось, лишає задачу QUEUED.
+*
+* Записи в роботі розкидані по партиціях користувачів, тому вони несуть
+* атрибут inFlight (= status, лише поки QUEUED/PROCESSING) — за ним розріджений
+* GSI byInFlight (hash inFlight, range updatedAt). Reaper читає з нього по
+* Query на статус лише записи, які не змінювались довше порогу:
+*  - reapCount < REAPER_MAX_REQUEUES — знову QUEUED, нове повідомлення в черзі,
+*    reapCount + 1;
+*  - інакше — ERROR { code: "stale_task", retryable: true }.
+* Охоплює задачі (і задачі навчальних планів), похідні записи (картки, тести)
+* та плани, що зависли на генерації програми. План у GENERATING не чіпається:
+* його задачі переглядаються окремо.
+*
+* Оновлення умовне — той самий status і updatedAt, що бачив Query, тож запис,
+* який воркер саме взяв, не піде в чергу вдруге. attempts / lastAttemptAt
+* (старти обробки) пише воркер.
+*
+* Повідомлення, які SQS переклав у DLQ, обробляє dlq.js тим самим failItem.
+*
+* Опції через env:
+*  - REAPER_PROCESSING_STALE_SEC (дефолт: 1800) — більше за таймаут Lambda воркера
+*  - REAPER_QUEUED_STALE_SEC     (дефолт: 21600 = 6 год) — із запасом на backoff і чергу
+*  - REAPER_MAX_REQUEUES         (дефолт: 2)
+*
+* Записи, створені до появи inFlight, індекс не бачить — їх доповнює
+* migrate.js з event.backfill = "in-flight".
+*/
+const REAPER_PROCESSING_STALE_SEC = Number(process.env.REAPER_PROCESSING_STALE_SEC || 30 * 60);
+const REAPER_QUEUED_STALE_SEC = Number(process.env.REAPER_QUEUED_STALE_SEC || 6 * 60 * 60);
+const REAPER_MAX_REQUEUES = Number(process.env.REAPER_MAX_REQUEUES || 2);
+const SAFETY_MARGIN_MS = 30 * 1000;
+export const IN_FLIGHT_STATUSES = ["QUEUED", "PROCESSING"];
+const IN_FLIGHT_INDEX = "byInFlight";
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const sqs = new SQSClient({});
+
+const itemKind = (item) => (item.id.startsWith("PLAN#") ? "plan" : item.kind ? "derived" : "task");
+
+// Повідомлення для черги з самого запису — як його кладе API
+async function messageFor(tableName, item) {
+    const kind = itemKind(item);
+    if (kind === "plan") {
+        return {
+            id: item.planId,
+            topic: item.subject,
+            options: item.options ?? null,
+            llm: item.llm ?? null,
+            count: item.itemCount,
+            taskType: "STUDY_PLAN_V1",
+        };
+    }
+    if (kind === "derived") {
+        const { Item: task } = await ddb.send(new GetCommand({ TableName: tableName, Key: { id: item.taskId } }));
+        const taskType = Object.keys(TASK_TYPES).find((t) => TASK_TYPES[t].derived === item.kind);
+        if (!task || !taskType) return null;
+        return { id: item.taskId, topic: task.topic, count: item.count, llm: task.llm ?? null, taskType };
+    }
+    return {
+        id: item.id,
+        topic: item.topic,
+        options: item.options ?? null,
+        llm: item.llm ?? null,
+        sources: item.sources ?? null,
+        taskType: item.taskType || "RESEARCH_SUMMARY_V1",
+    };
+}
+
+/**
+* Запис у роботі → ERROR. guard — { expression, values }: умова, за якої
+* запис ще вважається завислим. Повертає false, якщо запис уже змінився.
+* Задачі дають подію task.error (вебхуки, сповіщення, прогрес плану);
+* план без програми повертає квоту за свої задачі, як і воркер.
+*/
+export async function failItem(tableName, cfg, item, error, guard) {
+    let failed;
+    try {
+        ({ Attributes: failed } = await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: item.id },
+                UpdateExpression: "SET #e = :e, #s = :error, updatedAt = :t REMOVE lastError, inFlight",
+                ConditionExpression: guard.expression,
+                ExpressionAttributeNames: { "#e": "error", "#s": "status" },
+                ExpressionAttributeValues: { ":e": error, ":error": "ERROR", ":t": new Date().toISOString(), ...guard.values },
+                ReturnValues: "ALL_NEW",
+            })
+        ));
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        return false;
+    }
+    log.warn("DynamoDB Mark ERROR", { id: item.id, code: error.code });
+
+    const kind = itemKind(failed);
+    if (kind === "task") await emitTaskEvent(tableName, cfg, "task.error", failed);
+    if (kind === "plan") await refundTasks(tableName, failed.userId, failed.createdAt, failed.itemCount);
+    return true;
+}
+
+async function requeueItem(tableName, cfg, item, guard) {
+    const message = await messageFor(tableName, item);
+    const queueUrl = cfg["sqs-queue-url"];
+    if (!message || !queueUrl) return false;
+
+    const now = new Date().toISOString();
+    const lastError = {
+        code: "stale_task",
+        provider: null,
+        retryable: true,
+        message: `Task was stuck in ${item.status}, requeued`,
+    };
+    try {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: item.id },
+                UpdateExpression: "SET #s = :q, inFlight = :q, lastError = :le, updatedAt = :t ADD reapCount :one",
+                ConditionExpression: guard.expression,
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":q": "QUEUED", ":le": lastError, ":t": now, ":one": 1, ...guard.values },
+            })
+        );
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        return null;
+    }
+    log.info("SQS Requeue stale task", { id: item.id, status: item.status });
+    await sqs.send(
+        new SendMessageCommand({
+            QueueUrl: queueUrl,
+            MessageBody: JSON.stringify({ ...message, requestedAt: now, reason: "REAP" }),
+            MessageAttributes: correlationAttributes(),
+        })
+    );
+    return true;
+}
+
+/**
+* Один прохід. Повертає { scanned, requeued, failed, skipped, done, startKey } —
+* done: false, якщо час Lambda вичерпано (наступний запуск почне спочатку
+* або з event.startKey). startKey — LastEvaluatedKey індексу: його inFlight
+* каже, з якого статусу продовжувати.
+*/
+export async function reapStaleTasks(tableName, cfg, { now = new Date(), startKey, shouldStop } = {}) {
+    const stats = { scanned: 0, requeued: 0, failed: 0, skipped: 0 };
+    const cutoffs = {
+        QUEUED: new Date(now.getTime() - REAPER_QUEUED_STALE_SEC * 1000).toISOString(),
+        PROCESSING: new Date(now.getTime() - REAPER_PROCESSING_STALE_SEC * 1000).toISOString(),
+    };
+    const statuses = IN_FLIGHT_STATUSES.slice(Math.max(0, IN_FLIGHT_STATUSES.indexOf(startKey?.inFlight)));
+
+    for (const status of statuses) {
+        let lastKey = startKey?.inFlight === status ? startKey : undefined;
+        do {
+            const out = await ddb.send(
+                new QueryCommand({
+                    TableName: tableName,
+                    IndexName: IN_FLIGHT_INDEX,
+                    KeyConditionExpression: "inFlight = :s AND updatedAt < :cutoff",
+                    ExpressionAttributeValues: { ":s": status, ":cutoff": cutoffs[status] },
+                    ExclusiveStartKey: lastKey,
+                })
+            );
+            lastKey = out.LastEvaluatedKey;
+
+            for (const item of out.Items || []) {
+                stats.scanned++;
+                const guard = {
+                    expression: "#s = :seen AND updatedAt = :seenAt",
+                    values: { ":seen": item.status, ":seenAt": item.updatedAt },
+                };
+                try {
+                    if ((item.reapCount || 0) < REAPER_MAX_REQUEUES && (await requeueItem(tableName, cfg, item, guard))) {
+                        stats.requeued++;
+                        continue;
+                    }
+                    const error = {
+                        code: "stale_task",
+                        provider: null,
+                        retryable: true,
+                        message: `Task was stuck in ${item.status} after ${item.attempts || 0} attempt(s)`,
+                    };
+                    if (await failItem(tableName, cfg, item, error, guard)) stats.failed++;
+                    else stats.skipped++;
+                } catch (err) {
+                    // Один запис не зупиняє прохід — наступний запуск спробує ще раз
+                    stats.skipped++;
+                    log.error("Reaper Task failed", { id: item.id, error: err?.message || err });
+                }
+            }
+        } while (lastKey && !shouldStop?.());
+
+        if (lastKey) return { ...stats, done: false, startKey: lastKey };
+    }
+
+    return { ...stats, done: true, startKey: null };
+}
+
+/**
+* ---------------------------------------------------------
+* 🗓️ Lambda handler (EventBridge schedule, напр. rate(15 minutes))
+* ---------------------------------------------------------
+*/
+// Кожен запуск — свій correlation id: за ним у логах воркера видно перезапущені задачі
+export const handler = (event = {}, context) =>
+    withLogContext({ service: "reaper", correlationId: newCorrelationId(), requestId: context?.awsRequestId }, () =>
+        runReaper(event, context)
+    );
+
+const runReaper = async (event, context) => {
+    const now = event.time ? new Date(event.time) : new Date();
+    log.info("Reaper Run", { at: now.toISOString() });
+    const cfg = await loadConfig();
+    const stats = await reapStaleTasks(cfg["dynamo-db-table-name"], cfg, {
+        now,
+        startKey: event.startKey || undefined,
+        shouldStop: () => (context?.getRemainingTimeInMillis?.() ?? Infinity) < SAFETY_MARGIN_MS,
+    });
+    if (!stats.done) log.warn("Reaper Out of time", { startKey: stats.startKey });
+    log.info("Reaper Done", { stats });
+    return stats;
+};
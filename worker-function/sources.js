@@ -0,0 +1,205 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import { extractText, htmlTitle, ExtractError } from "./extract.js";
+import { isPrivateAddress } from "../shared/network.js";
+
+/**
+* ---------------------------------------------------------
+* 📎 Завантаження джерел задачі
+* ---------------------------------------------------------
+* Джерело з повідомлення SQS (метадані без тексту, див. API):
+*  - { id: "S1", type: "text", title, key }                       — вставлений текст
+*  - { id: "S2", type: "file", title, key, contentType, fileName } — PDF/DOCX/TXT
+*  - { id: "S3", type: "url",  title, url }
+* text/file читаються зі сховища: S3 (SSM sources-bucket-name) або локальна
+* тека LOCAL_STORAGE_DIR — та сама, що й в API.
+*
+* URL тягнуться з таймаутом і лімітом розміру; адреси в приватних мережах
+* (localhost, 10/8, 169.254.169.254, ::1, fc00::/7, IPv4-mapped IPv6 тощо)
+* заборонені, включно з редиректами.
+* Адреса перевіряється в lookup самого з'єднання (requestPublicUrl), тож
+* сокет відкривається на ту адресу, яку перевірили, — DNS rebinding між
+* перевіркою і запитом неможливий.
+*
+* Опції через env:
+*  - SOURCE_FETCH_TIMEOUT_MS   (дефолт: 15000)
+*  - SOURCE_MAX_BYTES          (дефолт: 10485760 = 10 МБ)
+*  - SOURCE_ALLOW_PRIVATE_URLS (дефолт: false) — лише для локальної розробки
+*/
+const SOURCE_FETCH_TIMEOUT_MS = Number(process.env.SOURCE_FETCH_TIMEOUT_MS || 15 * 1000);
+const SOURCE_MAX_BYTES = Number(process.env.SOURCE_MAX_BYTES || 10 * 1024 * 1024);
+const SOURCE_ALLOW_PRIVATE_URLS = process.env.SOURCE_ALLOW_PRIVATE_URLS === "true";
+const MAX_REDIRECTS = 5;
+
+export class SourceError extends Error {
+    constructor(message, code, retryable = false) {
+        super(message);
+        this.name = "SourceError";
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+let s3 = null;
+
+async function readObject(cfg, key) {
+    const bucket = cfg["sources-bucket-name"];
+    if (bucket) {
+        s3 ??= await import("@aws-sdk/client-s3").then((mod) => ({ mod, client: new mod.S3Client({}) }));
+        try {
+            const out = await s3.client.send(new s3.mod.GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await out.Body.transformToByteArray());
+        } catch (err) {
+            if (err?.name === "NoSuchKey") throw new SourceError(`Source object ${key} not found`, "source_unavailable");
+            throw err;
+        }
+    }
+
+    const dir = process.env.LOCAL_STORAGE_DIR;
+    if (!dir) throw new SourceError("Source storage is not configured", "config_error");
+    const root = path.resolve(dir);
+    const file = path.resolve(root, ...String(key).split("/"));
+    if (!file.startsWith(root + path.sep)) throw new SourceError(`Invalid source key: ${key}`, "invalid_message");
+    try {
+        return await fs.readFile(file);
+    } catch (err) {
+        if (err?.code === "ENOENT") throw new SourceError(`Source object ${key} not found`, "source_unavailable");
+        throw err;
+    }
+}
+
+// dns.lookup для з'єднань агентів нижче: приватна адреса — помилка ще до connect
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err || !addresses.length) {
+            return callback(new SourceError(`Cannot resolve ${hostname}`, "source_unavailable", true));
+        }
+        if (addresses.some((a) => isPrivateAddress(a.address))) {
+            return callback(new SourceError(`URL ${hostname} points to a private network`, "source_unavailable"));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Окремі агенти: сокети з перевіреною адресою не змішуються з іншими запитами
+const PUBLIC_AGENTS = {
+    "http:": new http.Agent({ keepAlive: true, lookup: publicLookup }),
+    "https:": new https.Agent({ keepAlive: true, lookup: publicLookup }),
+};
+
+// IP-літерал у URL з'єднання відкриває без lookup — його перевіряємо тут
+function assertPublicUrl(url, { allowPrivate = SOURCE_ALLOW_PRIVATE_URLS } = {}) {
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new SourceError(`Unsupported URL scheme: ${url.protocol}`, "source_unavailable");
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+        throw new SourceError(`URL ${url.hostname} points to a private network`, "source_unavailable");
+    }
+}
+
+/**
+* Один HTTP-запит (без редиректів) на публічну адресу; також для вебхуків
+* (webhooks.js) з власним прапорцем allowPrivate.
+* Повертає { status, ok, headers (Headers), body (потік) }; тіло треба
+* дочитати або закрити. Таймаут — через signal.
+*/
+export async function requestPublicUrl(url, { method = "GET", headers = {}, body, signal, allowPrivate = SOURCE_ALLOW_PRIVATE_URLS } = {}) {
+    assertPublicUrl(url, { allowPrivate });
+    const client = url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.request(
+            url,
+            { method, headers, signal, agent: allowPrivate ? undefined : PUBLIC_AGENTS[url.protocol] },
+            (res) => {
+                const flat = Object.entries(res.headers).map(([k, v]) => [k, Array.isArray(v) ? v.join(", ") : String(v)]);
+                resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, headers: new Headers(flat), body: res });
+            }
+        );
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+// Читає тіло з обмеженням розміру, не довіряючи Content-Length
+async function readLimited(res) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of res.body) {
+        size += chunk.length;
+        if (size > SOURCE_MAX_BYTES) {
+            res.body.destroy();
+            throw new SourceError(`Source is larger than ${SOURCE_MAX_BYTES} bytes`, "source_too_large");
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+async function fetchUrl(rawUrl) {
+    let url = new URL(rawUrl);
+    const signal = AbortSignal.timeout(SOURCE_FETCH_TIMEOUT_MS);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        let res;
+        try {
+            res = await requestPublicUrl(url, {
+                signal,
+                headers: { "User-Agent": "ai-studynotes/1.0 (+source fetch)", Accept: "text/html,application/pdf,text/plain;q=0.9,*/*;q=0.5" },
+            });
+        } catch (err) {
+            if (err instanceof SourceError) throw err;
+            throw new SourceError(`Failed to fetch ${url.hostname}: ${err?.message || err}`, "source_unavailable", true);
+        }
+        if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+            res.body.destroy();
+            url = new URL(res.headers.get("location"), url);
+            continue;
+        }
+        if (!res.ok) {
+            res.body.destroy();
+            const retryable = res.status === 429 || res.status >= 500;
+            throw new SourceError(`Fetching ${url.href} failed with HTTP ${res.status}`, "source_unavailable", retryable);
+        }
+        return { buffer: await readLimited(res), contentType: res.headers.get("content-type") || "", finalUrl: url.href };
+    }
+    throw new SourceError(`Too many redirects for ${rawUrl}`, "source_unavailable");
+}
+
+/**
+* Повертає { ...source, title, text }. Джерело без тексту (скан PDF,
+* порожня сторінка) — постійна помилка source_unreadable.
+*/
+export async function loadSource(cfg, source) {
+    let buffer;
+    let contentType = source.contentType || "text/plain; charset=utf-8";
+    let title = source.title;
+    if (source.type === "url") {
+        const fetched = await fetchUrl(source.url);
+        ({ buffer, contentType } = fetched);
+        // Сервери часто віддають файли як octet-stream — вгадуємо за розширенням
+        if (/^application\/octet-stream|^$/.test(contentType) && /\.pdf$/i.test(new URL(fetched.finalUrl).pathname)) {
+            contentType = "application/pdf";
+        }
+        if (!title && /html/.test(contentType)) title = htmlTitle(buffer.toString("utf8"));
+        title ||= source.url;
+    } else {
+        buffer = await readObject(cfg, source.key);
+    }
+
+    let text;
+    try {
+        text = extractText(buffer, contentType);
+    } catch (err) {
+        if (!(err instanceof ExtractError)) throw err;
+        throw new SourceError(`Source ${source.id} (${title || source.type}): ${err.message}`, "source_unreadable");
+    }
+    if (!text) {
+        throw new SourceError(`Source ${source.id} (${title || source.type}) has no extractable text`, "source_unreadable");
+    }
+    return { ...source, title: title || source.fileName || source.id, text };
+}
@@ -0,0 +1,166 @@
+/**
+* ---------------------------------------------------------
+* ✉️ Шаблони сповіщень
+* ---------------------------------------------------------
+* TEMPLATES[<подія>][<локаль>] = { subject, text, html } — рядки з
+* плейсхолдерами:
+*  - {{name}}   — значення екранується під варіант: HTML-сутності в html,
+*                 керівні символи в text/subject;
+*  - {{{name}}} — вставка без екранування, лише для фрагментів, які вже
+*                 відрендерені цим модулем (список задач у дайджесті).
+* Невідомий плейсхолдер — помилка, а не порожній рядок.
+*
+* Події: task.done, task.error, plan.done (миттєві) і digest (щоденний дайджест).
+* Локалі: uk (дефолт), en.
+*/
+export const LOCALES = ["uk", "en"];
+export const DEFAULT_LOCALE = "uk";
+
+// SNS обмежує Subject 100 символами без переносів рядків
+const MAX_SUBJECT_LENGTH = 100;
+// Обмежує розмір листа (SNS — до 256 КБ на повідомлення)
+export const MAX_DIGEST_ITEMS = 50;
+
+const HTML_LAYOUT = `<!doctype html>
+<html lang="{{locale}}">
+<head><meta charset="utf-8"><title>{{subject}}</title></head>
+<body style="font-family: sans-serif; line-height: 1.5">
+{{{body}}}
+</body>
+</html>
+`;
+
+const TEMPLATES = {
+    "task.done": {
+        uk: {
+            subject: "Конспект готовий: {{topic}}",
+            text: "Конспект на тему \"{{topic}}\" готовий.\nID: {{taskId}}\n",
+            html: "<p>Конспект на тему «<strong>{{topic}}</strong>» готовий.</p>\n<p>ID: <code>{{taskId}}</code></p>",
+        },
+        en: {
+            subject: "Your notes are ready: {{topic}}",
+            text: "Your notes on \"{{topic}}\" are ready.\nID: {{taskId}}\n",
+            html: "<p>Your notes on “<strong>{{topic}}</strong>” are ready.</p>\n<p>ID: <code>{{taskId}}</code></p>",
+        },
+    },
+    "task.error": {
+        uk: {
+            subject: "Не вдалося створити конспект: {{topic}}",
+            text: "Не вдалося створити конспект на тему \"{{topic}}\".\nПричина: {{error}}\nID: {{taskId}}\n",
+            html: "<p>Не вдалося створити конспект на тему «<strong>{{topic}}</strong>».</p>\n<p>Причина: {{error}}</p>\n<p>ID: <code>{{taskId}}</code></p>",
+        },
+        en: {
+            subject: "Could not create your notes: {{topic}}",
+            text: "We could not create your notes on \"{{topic}}\".\nReason: {{error}}\nID: {{taskId}}\n",
+            html: "<p>We could not create your notes on “<strong>{{topic}}</strong>”.</p>\n<p>Reason: {{error}}</p>\n<p>ID: <code>{{taskId}}</code></p>",
+        },
+    },
+    "plan.done": {
+        uk: {
+            subject: "Навчальний план готовий: {{subject}}",
+            text: "Конспекти навчального плану \"{{subject}}\" готові: {{done}} з {{total}}.\nНе вдалося: {{failed}}\nID плану: {{planId}}\n",
+            html: "<p>Конспекти навчального плану «<strong>{{subject}}</strong>» готові: {{done}} з {{total}}.</p>\n<p>Не вдалося: {{failed}}</p>\n<p>ID плану: <code>{{planId}}</code></p>",
+        },
+        en: {
+            subject: "Your study plan is ready: {{subject}}",
+            text: "Notes for your study plan \"{{subject}}\" are ready: {{done}} of {{total}}.\nFailed: {{failed}}\nPlan ID: {{planId}}\n",
+            html: "<p>Notes for your study plan “<strong>{{subject}}</strong>” are ready: {{done}} of {{total}}.</p>\n<p>Failed: {{failed}}</p>\n<p>Plan ID: <code>{{planId}}</code></p>",
+        },
+    },
+    digest: {
+        uk: {
+            subject: "Готові конспекти за {{date}}: {{count}}",
+            text: "Готові конспекти за {{date}} ({{count}}):\n\n{{{items}}}{{{more}}}",
+            html: "<p>Готові конспекти за {{date}} ({{count}}):</p>\n<ul>\n{{{items}}}</ul>\n{{{more}}}",
+        },
+        en: {
+            subject: "Notes ready on {{date}}: {{count}}",
+            text: "Notes ready on {{date}} ({{count}}):\n\n{{{items}}}{{{more}}}",
+            html: "<p>Notes ready on {{date}} ({{count}}):</p>\n<ul>\n{{{items}}}</ul>\n{{{more}}}",
+        },
+    },
+};
+
+// Фрагменти дайджесту: один рядок на задачу і хвіст "…і ще N"
+const DIGEST_PARTS = {
+    uk: {
+        item: { text: "- {{topic}} (ID: {{taskId}})\n", html: "<li><strong>{{topic}}</strong> — <code>{{taskId}}</code></li>\n" },
+        more: { text: "\n…і ще {{more}}\n", html: "<p>…і ще {{more}}</p>\n" },
+    },
+    en: {
+        item: { text: "- {{topic}} (ID: {{taskId}})\n", html: "<li><strong>{{topic}}</strong> — <code>{{taskId}}</code></li>\n" },
+        more: { text: "\n…and {{more}} more\n", html: "<p>…and {{more}} more</p>\n" },
+    },
+};
+
+const DATE_LOCALES = { uk: "uk-UA", en: "en-GB" };
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+// Тема задачі від користувача: без керівних символів, які ламають текст і заголовки листа
+export function escapeText(value) {
+    return String(value ?? "").replace(/[\u0000-\u001F\u007F-\u009F\u2028\u2029]+/g, " ");
+}
+
+const ESCAPERS = { subject: escapeText, text: escapeText, html: escapeHtml };
+
+export function renderTemplate(template, vars, escape) {
+    return template.replace(/\{\{(\{)?\s*([\w.]+)\s*\}?\}\}/g, (match, raw, name) => {
+        if (!(name in vars)) throw new Error(`Unknown template placeholder: ${name}`);
+        return raw ? String(vars[name] ?? "") : escape(vars[name]);
+    });
+}
+
+export function resolveLocale(...candidates) {
+    return candidates.find((l) => LOCALES.includes(l)) || DEFAULT_LOCALE;
+}
+
+function truncateSubject(subject) {
+    const s = subject.replace(/\s+/g, " ").trim();
+    return s.length > MAX_SUBJECT_LENGTH ? `${s.slice(0, MAX_SUBJECT_LENGTH - 1)}…` : s;
+}
+
+/**
+* Повертає { locale, subject, text, html } для події.
+* vars — сирі значення (без екранування), напр. { topic, taskId, error }.
+*/
+export function renderNotification(event, locale, vars) {
+    const byLocale = TEMPLATES[event];
+    if (!byLocale) throw new Error(`No notification template for event: ${event}`);
+    const loc = resolveLocale(locale);
+    const tpl = byLocale[loc];
+
+    const subject = truncateSubject(renderTemplate(tpl.subject, vars, ESCAPERS.subject));
+    const text = renderTemplate(tpl.text, vars, ESCAPERS.text);
+    const body = renderTemplate(tpl.html, vars, ESCAPERS.html);
+    const html = renderTemplate(HTML_LAYOUT, { locale: loc, subject, body }, escapeHtml);
+    return { locale: loc, subject, text, html };
+}
+
+/**
+* Дайджест за день: items — [{ topic, taskId }] у порядку завершення.
+* Понад MAX_DIGEST_ITEMS показується лише кількість решти.
+*/
+export function renderDigest(locale, { date, items }) {
+    const loc = resolveLocale(locale);
+    const parts = DIGEST_PARTS[loc];
+    const shown = items.slice(0, MAX_DIGEST_ITEMS);
+    const more = items.length - shown.length;
+    const day = new Intl.DateTimeFormat(DATE_LOCALES[loc], { dateStyle: "long", timeZone: "UTC" }).format(date);
+
+    const fragment = (variant) => ({
+        items: shown.map((item) => renderTemplate(parts.item[variant], item, ESCAPERS[variant])).join(""),
+        more: more > 0 ? renderTemplate(parts.more[variant], { more }, ESCAPERS[variant]) : "",
+    });
+    const vars = { date: day, count: items.length };
+
+    const subject = truncateSubject(renderTemplate(TEMPLATES.digest[loc].subject, vars, ESCAPERS.subject));
+    const text = renderTemplate(TEMPLATES.digest[loc].text, { ...vars, ...fragment("text") }, ESCAPERS.text);
+    const body = renderTemplate(TEMPLATES.digest[loc].html, { ...vars, ...fragment("html") }, ESCAPERS.html);
+    const html = renderTemplate(HTML_LAYOUT, { locale: loc, subject, body }, escapeHtml);
+    return { locale: loc, subject, text, html };
+}
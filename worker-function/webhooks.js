@@ -0,0 +1,372 @@
+import crypto from "node:crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { SQSClient, SendMessageCommand, ChangeMessageVisibilityCommand } from "@aws-sdk/client-sqs";
+import { loadConfig } from "./index.js";
+import { requestPublicUrl, SourceError } from "./sources.js";
+import { notifyTaskEvent } from "./notifications.js";
+import { updatePlanProgress } from "./plans.js";
+import { log, withLogContext, setLogContext, correlationIdFrom, correlationAttributes } from "../shared/logger.js";
+
+/**
+* ---------------------------------------------------------
+* 🔔 Події задач: сповіщення і вебхуки користувачів
+* ---------------------------------------------------------
+* emitTaskEvent(tableName, cfg, type, task) викликає воркер на переходах
+* статусу: task.processing, task.done, task.error.
+*  - Задача навчального плану (planId) — ще й прогрес плану, див. plans.js.
+*  - Сповіщення (SNS, шаблони за мовою, миттєво або дайджестом) — див.
+*    notifications.js.
+*  - Вебхуки — на кожен активний вебхук користувача, підписаний на подію,
+*    пишеться запис доставки й кладеться повідомлення в чергу доставок
+*    (SSM webhook-queue-url). Без черги — одна спроба одразу, без повторів.
+*
+* Доставки обробляє handler цього файлу ("webhooks.handler", SQS trigger на
+* черзі доставок). Невдала спроба повертає повідомлення в чергу з
+* експоненційною затримкою (visibility timeout); після WEBHOOK_MAX_ATTEMPTS
+* доставка FAILED. WEBHOOK_DISABLE_AFTER невдалих доставок поспіль (або 410
+* Gone) вимикають вебхук — увімкнути знову можна через PATCH /webhooks/{id}.
+*
+* Підпис — за схемою Standard Webhooks:
+*   webhook-id, webhook-timestamp, webhook-signature: "v1,<base64 HMAC-SHA256>"
+* від "<id>.<timestamp>.<body>" ключем з секрету "whsec_<base64>".
+*
+* Опції через env:
+*  - WEBHOOK_TIMEOUT_MS         (дефолт: 10000)
+*  - WEBHOOK_MAX_ATTEMPTS       (дефолт: 8)
+*  - WEBHOOK_BACKOFF_BASE_SEC   (дефолт: 30) — 30 с, 1 хв, 2 хв… до WEBHOOK_BACKOFF_MAX_SEC
+*  - WEBHOOK_BACKOFF_MAX_SEC    (дефолт: 21600 = 6 год)
+*  - WEBHOOK_DISABLE_AFTER      (дефолт: 5)
+*  - WEBHOOK_ALLOW_PRIVATE_URLS (дефолт: false) — лише для локальної розробки
+*/
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const WEBHOOK_BACKOFF_BASE_SEC = Number(process.env.WEBHOOK_BACKOFF_BASE_SEC || 30);
+const WEBHOOK_BACKOFF_MAX_SEC = Number(process.env.WEBHOOK_BACKOFF_MAX_SEC || 6 * 60 * 60);
+const WEBHOOK_DISABLE_AFTER = Number(process.env.WEBHOOK_DISABLE_AFTER || 5);
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+const DELIVERY_TTL_SEC = 30 * 24 * 60 * 60;
+const MAX_LOGGED_ATTEMPTS = 10;
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const sqs = new SQSClient({});
+
+const webhookKey = (webhookId) => `WEBHOOK#${webhookId}`;
+const deliveryKey = (deliveryId) => `DELIVERY#${deliveryId}`;
+
+// Поля задачі в payload — без researchMd (може бути сотні КБ)
+function taskSummary(task) {
+    return {
+        id: task.id,
+        topic: task.topic,
+        status: task.status,
+        taskType: task.taskType || "RESEARCH_SUMMARY_V1",
+        version: task.version ?? null,
+        error: task.error ?? null,
+        createdAt: task.createdAt,
+        updatedAt: task.updatedAt,
+    };
+}
+
+export function signPayload(secret, id, timestamp, body) {
+    const key = Buffer.from(String(secret).replace(/^whsec_/, ""), "base64");
+    return `v1,${crypto.createHmac("sha256", key).update(`${id}.${timestamp}.${body}`).digest("base64")}`;
+}
+
+async function listSubscribedWebhooks(tableName, userId, type) {
+    const items = [];
+    let startKey = undefined;
+    do {
+        const out = await ddb.send(
+            new QueryCommand({
+                TableName: tableName,
+                IndexName: "byCreatedAt",
+                KeyConditionExpression: "pk = :p",
+                FilterExpression: "#s = :active AND contains(events, :e)",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":p": `WEBHOOK#${userId}`, ":active": "active", ":e": type },
+                ExclusiveStartKey: startKey,
+            })
+        );
+        items.push(...(out.Items || []));
+        startKey = out.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+}
+
+/**
+* Помилки сповіщень не валять задачу: кожен канал логується окремо.
+*/
+export async function emitTaskEvent(tableName, cfg, type, task) {
+    if (task.planId) {
+        try {
+            await updatePlanProgress(tableName, cfg, task);
+        } catch (err) {
+            log.error("Plan Progress update failed", { error: err?.message || err });
+        }
+    }
+    try {
+        await notifyTaskEvent(tableName, cfg, type, task);
+    } catch (err) {
+        log.error("Notify Notification failed", { error: err?.message || err });
+    }
+    if (!task.userId) return;
+
+    try {
+        const webhooks = await listSubscribedWebhooks(tableName, task.userId, type);
+        if (!webhooks.length) return;
+
+        const createdAt = new Date().toISOString();
+        let failed = 0;
+        for (const webhook of webhooks) {
+            // Збій одного вебхука (запис доставки, черга) не зупиняє решту
+            try {
+                const deliveryId = crypto.randomUUID();
+                const payload = JSON.stringify({ id: deliveryId, type, createdAt, data: { task: taskSummary(task) } });
+                const delivery = {
+                    id: deliveryKey(deliveryId),
+                    pk: `DELIVERY#${webhook.webhookId}`,
+                    deliveryId,
+                    webhookId: webhook.webhookId,
+                    userId: task.userId,
+                    event: type,
+                    taskId: task.id,
+                    payload,
+                    status: "PENDING",
+                    attemptCount: 0,
+                    attempts: [],
+                    createdAt,
+                    updatedAt: createdAt,
+                    expiresAt: Math.floor(Date.now() / 1000) + DELIVERY_TTL_SEC,
+                };
+                await ddb.send(new PutCommand({ TableName: tableName, Item: delivery }));
+
+                const queueUrl = cfg["webhook-queue-url"];
+                if (queueUrl) {
+                    await sqs.send(
+                        new SendMessageCommand({
+                            QueueUrl: queueUrl,
+                            MessageBody: JSON.stringify({ deliveryId }),
+                            MessageAttributes: correlationAttributes(),
+                        })
+                    );
+                } else {
+                    log.warn("Webhook webhook-queue-url not set — single inline attempt");
+                    await processDelivery(tableName, deliveryId, { final: true });
+                }
+            } catch (err) {
+                failed++;
+                log.error("Webhook Fan-out to webhook failed", { webhookId: webhook.webhookId, error: err?.message || err });
+            }
+        }
+        log.info("Webhook Deliveries queued", { type, queued: webhooks.length - failed, total: webhooks.length, taskId: task.id });
+    } catch (err) {
+        log.error("Webhook Fan-out failed", { error: err?.message || err });
+    }
+}
+
+async function post(webhook, delivery) {
+    const started = Date.now();
+    const timestamp = Math.floor(started / 1000);
+    try {
+        // Адреса перевіряється при з'єднанні (див. sources.js) — без вікна для DNS rebinding
+        const res = await requestPublicUrl(new URL(webhook.url), {
+            method: "POST",
+            allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "ai-studynotes-webhooks/1.0",
+                "webhook-id": delivery.deliveryId,
+                "webhook-timestamp": String(timestamp),
+                "webhook-signature": signPayload(webhook.secret, delivery.deliveryId, timestamp, delivery.payload),
+                "webhook-event": delivery.event,
+            },
+            body: delivery.payload,
+        });
+        // Тіло відповіді не потрібне, але його треба дочитати/закрити
+        res.body.resume();
+        return {
+            ok: res.ok,
+            statusCode: res.status,
+            error: res.ok ? null : `HTTP ${res.status}`,
+            durationMs: Date.now() - started,
+        };
+    } catch (err) {
+        const timedOut = err?.name === "TimeoutError" || err?.cause?.name === "TimeoutError";
+        const error = err instanceof SourceError ? err.message : timedOut ? "Timeout" : err?.message || String(err);
+        return { ok: false, statusCode: null, error, durationMs: Date.now() - started };
+    }
+}
+
+// 30 с × 2^(n-1) з jitter, не більше WEBHOOK_BACKOFF_MAX_SEC (SQS дозволяє до 12 год)
+function retryDelaySec(attempt) {
+    const backoff = Math.min(WEBHOOK_BACKOFF_MAX_SEC, WEBHOOK_BACKOFF_BASE_SEC * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+async function recordWebhookResult(tableName, webhook, { ok, statusCode, gone }) {
+    const now = new Date().toISOString();
+    if (ok) {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: webhookKey(webhook.webhookId) },
+                UpdateExpression: "SET consecutiveFailures = :zero, lastDeliveryAt = :t, lastStatusCode = :c",
+                ConditionExpression: "attribute_exists(id)",
+                ExpressionAttributeValues: { ":zero": 0, ":t": now, ":c": statusCode },
+            })
+        ).catch((err) => {
+            if (err?.name !== "ConditionalCheckFailedException") throw err;
+        });
+        return;
+    }
+
+    let updated;
+    try {
+        ({ Attributes: updated } = await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: webhookKey(webhook.webhookId) },
+                UpdateExpression: "SET lastDeliveryAt = :t, lastStatusCode = :c ADD consecutiveFailures :one",
+                ConditionExpression: "attribute_exists(id)",
+                ExpressionAttributeValues: { ":t": now, ":c": statusCode, ":one": 1 },
+                ReturnValues: "ALL_NEW",
+            })
+        ));
+    } catch (err) {
+        if (err?.name !== "ConditionalCheckFailedException") throw err;
+        return;
+    }
+
+    if (gone || updated.consecutiveFailures >= WEBHOOK_DISABLE_AFTER) {
+        const reason = gone ? "gone" : "too_many_failures";
+        log.warn("Webhook Disabled", { webhookId: webhook.webhookId, reason });
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: webhookKey(webhook.webhookId) },
+                UpdateExpression: "SET #s = :disabled, disabledReason = :r, disabledAt = :t, updatedAt = :t",
+                ConditionExpression: "#s = :active",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":disabled": "disabled", ":active": "active", ":r": reason, ":t": now },
+            })
+        ).catch((err) => {
+            if (err?.name !== "ConditionalCheckFailedException") throw err;
+        });
+    }
+}
+
+/**
+* Одна спроба доставки. Повертає { retryInSec } якщо варто повторити,
+* інакше null (доставлено, остаточно невдало або пропущено).
+* final: true — повторів не буде (немає черги).
+*/
+async function processDelivery(tableName, deliveryId, { final = false } = {}) {
+    const { Item: delivery } = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: deliveryKey(deliveryId) } })
+    );
+    if (!delivery || delivery.status !== "PENDING") {
+        log.warn("Webhook Delivery already settled — skip", { deliveryId, status: delivery?.status || "missing" });
+        return null;
+    }
+
+    const { Item: webhook } = await ddb.send(
+        new GetCommand({ TableName: tableName, Key: { id: webhookKey(delivery.webhookId) } })
+    );
+    const now = new Date().toISOString();
+    if (!webhook || webhook.status !== "active") {
+        await ddb.send(
+            new UpdateCommand({
+                TableName: tableName,
+                Key: { id: delivery.id },
+                UpdateExpression: "SET #s = :s, skippedReason = :r, updatedAt = :t",
+                ExpressionAttributeNames: { "#s": "status" },
+                ExpressionAttributeValues: { ":s": "SKIPPED", ":r": webhook ? "webhook_disabled" : "webhook_deleted", ":t": now },
+            })
+        );
+        return null;
+    }
+
+    const attempt = (delivery.attemptCount || 0) + 1;
+    const result = await post(webhook, delivery);
+    const gone = result.statusCode === 410;
+    const retry = !result.ok && !gone && !final && attempt < WEBHOOK_MAX_ATTEMPTS;
+    const retryInSec = retry ? retryDelaySec(attempt) : null;
+    const status = result.ok ? "SUCCEEDED" : retry ? "PENDING" : "FAILED";
+    log.info("Webhook Delivery attempt", { deliveryId, attempt, result: result.statusCode ?? result.error, status });
+
+    const attempts = [
+        ...(delivery.attempts || []),
+        { at: now, statusCode: result.statusCode, durationMs: result.durationMs, error: result.error },
+    ].slice(-MAX_LOGGED_ATTEMPTS);
+    await ddb.send(
+        new UpdateCommand({
+            TableName: tableName,
+            Key: { id: delivery.id },
+            UpdateExpression: "SET #s = :s, attemptCount = :n, attempts = :a, updatedAt = :t, nextAttemptAt = :next",
+            ExpressionAttributeNames: { "#s": "status" },
+            ExpressionAttributeValues: {
+                ":s": status,
+                ":n": attempt,
+                ":a": attempts,
+                ":t": now,
+                ":next": retryInSec ? new Date(Date.now() + retryInSec * 1000).toISOString() : null,
+            },
+        })
+    );
+
+    // Лічильник вебхука рахує доставки, а не окремі спроби
+    if (status !== "PENDING") await recordWebhookResult(tableName, webhook, { ...result, gone });
+    return retry ? { retryInSec } : null;
+}
+
+// arn:aws:sqs:<region>:<account>:<name> → https://sqs.<region>.amazonaws.com/<account>/<name>
+function queueUrlFromArn(arn) {
+    const [, , , region, account, name] = String(arn || "").split(":");
+    return region && account && name ? `https://sqs.${region}.amazonaws.com/${account}/${name}` : null;
+}
+
+/**
+* ---------------------------------------------------------
+* 📬 Lambda handler (SQS trigger на черзі доставок)
+* ---------------------------------------------------------
+*/
+export const handler = (event, context) =>
+    withLogContext({ service: "webhooks", requestId: context?.awsRequestId }, () => deliverBatch(event));
+
+const deliverBatch = async (event) => {
+    log.info("Webhook Event", { records: event?.Records?.length || 0 });
+    const cfg = await loadConfig();
+    const tableName = cfg["dynamo-db-table-name"];
+    const failures = [];
+
+    for (const rec of event.Records ?? []) {
+        setLogContext({ correlationId: correlationIdFrom(rec), messageId: rec.messageId });
+        try {
+            const { deliveryId } = JSON.parse(rec.body);
+            if (!deliveryId) throw new Error("Message must contain deliveryId");
+            const outcome = await processDelivery(tableName, deliveryId);
+            if (!outcome) continue;
+
+            failures.push({ itemIdentifier: rec.messageId });
+            const queueUrl = queueUrlFromArn(rec.eventSourceARN);
+            if (queueUrl) {
+                await sqs.send(
+                    new ChangeMessageVisibilityCommand({
+                        QueueUrl: queueUrl,
+                        ReceiptHandle: rec.receiptHandle,
+                        VisibilityTimeout: outcome.retryInSec,
+                    })
+                );
+            }
+        } catch (err) {
+            // Збій DynamoDB/SQS — SQS доставить повідомлення ще раз
+            log.error("Webhook Record failed", { error: err?.message || err });
+            failures.push({ itemIdentifier: rec.messageId });
+        }
+    }
+
+    log.info("Webhook Done", { batchItemFailures: failures });
+    return { batchItemFailures: failures };
+};